@@ -0,0 +1,313 @@
+// mock-server/db.js
+// In-memory data for the local stand-in backend. Everything resets on restart.
+
+const crypto = require('crypto');
+
+const users = [];
+const messages = [];
+const groups = [];
+const sessions = new Map(); // access token -> { userId, expiresAt }
+const refreshTokens = new Map(); // refresh token -> userId
+const subscriptions = new Map(); // userId -> push subscription
+const uploads = new Map(); // id -> { data, mimeType, name }
+const hidden = new Map(); // userId -> Set of message ids deleted "for me"
+const contactSettings = new Map(); // userId -> { pinned, muted, blocked }, each a list of chat ids
+const emailTokens = new Map(); // token from an emailed link -> { purpose, userId, expiresAt }
+
+// Short-lived on purpose so the client's refresh path gets exercised
+const ACCESS_TOKEN_TTL_MS = (Number(process.env.MOCK_TOKEN_TTL) || 15 * 60) * 1000;
+const EMAIL_TOKEN_TTL_MS = {
+  verify: 24 * 60 * 60 * 1000,
+  reset: 60 * 60 * 1000
+};
+
+let nextUserId = 1;
+let nextMessageId = 1;
+let nextGroupId = 1;
+
+const publicUser = ({ password, ...user }) => user;
+
+const createUser = ({ username, email, password, emailVerified = false }) => {
+  const user = {
+    id: nextUserId++,
+    username,
+    email,
+    password,
+    email_verified: emailVerified,
+    public_keys: [], // one { device_id, key } per device with end-to-end encryption set up
+    status_message: '',
+    avatar_url: null,
+    last_seen: null, // when their last device disconnected
+    created_at: new Date().toISOString()
+  };
+  users.push(user);
+  return user;
+};
+
+// A device publishing its encryption key; re-publishing replaces that device's key
+const publishKey = (user, deviceId, key) => {
+  user.public_keys = [
+    ...user.public_keys.filter(k => k.device_id !== deviceId),
+    { device_id: deviceId, key, created_at: new Date().toISOString() }
+  ];
+  return user.public_keys;
+};
+
+const findUserById = (id) => users.find(user => user.id === Number(id)) || null;
+
+const findUserByEmail = (email) => (
+  users.find(user => user.email.toLowerCase() === String(email).toLowerCase()) || null
+);
+
+// Signs them out everywhere and takes them out of their groups; their
+// messages stay, shown as from an unknown user
+const deleteUser = (user) => {
+  users.splice(users.indexOf(user), 1);
+  revokeSessionsFor(user.id);
+  emailTokens.forEach((entry, token) => {
+    if (entry.userId === user.id) emailTokens.delete(token);
+  });
+  groups.forEach(group => { group.members = group.members.filter(id => id !== user.id); });
+  contactSettings.delete(user.id);
+  subscriptions.delete(user.id);
+};
+
+const randomToken = () => crypto.randomBytes(24).toString('hex');
+
+const issueAccessToken = (userId) => {
+  const token = randomToken();
+  sessions.set(token, { userId, expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS });
+  return token;
+};
+
+// A new sign-in: an access token plus the refresh token that renews it
+const createSession = (userId) => {
+  const refreshToken = randomToken();
+  refreshTokens.set(refreshToken, userId);
+  return { token: issueAccessToken(userId), refreshToken };
+};
+
+// Refresh tokens are single-use: each refresh rotates it
+const refreshSession = (refreshToken) => {
+  const userId = refreshTokens.get(refreshToken);
+  if (!userId || !findUserById(userId)) return null;
+  refreshTokens.delete(refreshToken);
+  return createSession(userId);
+};
+
+const revokeSession = (refreshToken) => {
+  refreshTokens.delete(refreshToken);
+};
+
+// Every device, e.g. after the password is reset
+const revokeSessionsFor = (userId) => {
+  sessions.forEach((session, token) => {
+    if (session.userId === userId) sessions.delete(token);
+  });
+  refreshTokens.forEach((owner, token) => {
+    if (owner === userId) refreshTokens.delete(token);
+  });
+};
+
+// The token in an emailed link. `purpose` is 'verify' or 'reset'; a new one
+// replaces any earlier link for the same purpose.
+const issueEmailToken = (purpose, userId) => {
+  emailTokens.forEach((entry, token) => {
+    if (entry.purpose === purpose && entry.userId === userId) emailTokens.delete(token);
+  });
+  const token = randomToken();
+  emailTokens.set(token, { purpose, userId, expiresAt: Date.now() + EMAIL_TOKEN_TTL_MS[purpose] });
+  return token;
+};
+
+// Single-use: resolves the link's user, or null when it's unknown, used or expired
+const consumeEmailToken = (purpose, token) => {
+  const entry = emailTokens.get(token);
+  if (!entry || entry.purpose !== purpose) return null;
+  emailTokens.delete(token);
+  if (entry.expiresAt <= Date.now()) return null;
+  return findUserById(entry.userId);
+};
+
+const userForToken = (token) => {
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return findUserById(session.userId);
+};
+
+// The snapshot of the original a reply carries; the client keeps the same shape
+const quoteOf = (message) => ({
+  id: message.id,
+  sender_id: message.sender_id,
+  content: message.content.slice(0, 200),
+  attachment: message.attachment,
+  deleted: Boolean(message.deleted_at)
+});
+
+const createMessage = ({ senderId, receiverId, groupId, content, attachment, clientId, replyTo, call }) => {
+  const message = {
+    id: nextMessageId++,
+    sender_id: senderId,
+    receiver_id: receiverId ?? null,
+    group_id: groupId ?? null,
+    content: content || '',
+    attachment: attachment || null,
+    client_id: clientId || null,
+    reply_to: replyTo ? quoteOf(replyTo) : null,
+    call: call || null, // { id, video, status: 'completed' | 'missed' | 'declined', duration } for call history
+    reactions: {}, // emoji -> user ids
+    created_at: new Date().toISOString(),
+    edited_at: null,
+    deleted_at: null,
+    delivered_at: null,
+    read_at: null
+  };
+  messages.push(message);
+  return message;
+};
+
+const findMessageById = (id) => messages.find(m => m.id === Number(id)) || null;
+
+const editMessage = (message, content) => {
+  message.content = content;
+  message.edited_at = new Date().toISOString();
+  refreshQuotes(message);
+  return message;
+};
+
+// Deleted for everyone: the message stays as a tombstone so replies still make sense
+const deleteMessage = (message) => {
+  message.content = '';
+  message.attachment = null;
+  message.reactions = {};
+  message.deleted_at = new Date().toISOString();
+  refreshQuotes(message);
+  return message;
+};
+
+// Same emoji again from the same user takes the reaction back
+const toggleReaction = (message, emoji, userId) => {
+  const userIds = message.reactions[emoji] || [];
+  if (userIds.includes(userId)) {
+    message.reactions[emoji] = userIds.filter(id => id !== userId);
+    if (message.reactions[emoji].length === 0) delete message.reactions[emoji];
+  } else {
+    message.reactions[emoji] = [...userIds, userId];
+  }
+  return message.reactions;
+};
+
+const refreshQuotes = (message) => {
+  messages
+    .filter(m => m.reply_to?.id === message.id)
+    .forEach(m => { m.reply_to = quoteOf(message); });
+};
+
+const hideMessage = (userId, messageId) => {
+  if (!hidden.has(userId)) hidden.set(userId, new Set());
+  hidden.get(userId).add(Number(messageId));
+};
+
+const isHiddenFor = (userId, message) => Boolean(hidden.get(userId)?.has(message.id));
+
+// Pinned and muted hold chat ids as the client uses them: a user id, or
+// `group:<id>`. Blocked only ever holds user ids.
+const settingsFor = (userId) => {
+  if (!contactSettings.has(userId)) contactSettings.set(userId, { pinned: [], muted: [], blocked: [] });
+  return contactSettings.get(userId);
+};
+
+const updateSetting = (userId, list, chatId, on) => {
+  const settings = settingsFor(userId);
+  const rest = settings[list].filter(id => id !== chatId);
+  settings[list] = on ? [...rest, chatId] : rest;
+  return settings;
+};
+
+const hasBlocked = (userId, otherId) => Boolean(contactSettings.get(userId)?.blocked.includes(otherId));
+
+const conversationBetween = (a, b) => messages.filter(m => m.group_id === null && (
+  (m.sender_id === a && m.receiver_id === b) ||
+  (m.sender_id === b && m.receiver_id === a)
+));
+
+const createGroup = ({ name, createdBy, memberIds }) => {
+  const group = {
+    id: nextGroupId++,
+    name,
+    created_by: createdBy,
+    members: [...new Set([createdBy, ...memberIds.map(Number)])],
+    created_at: new Date().toISOString()
+  };
+  groups.push(group);
+  return group;
+};
+
+const findGroupById = (id) => groups.find(group => group.id === Number(id)) || null;
+
+const groupsFor = (userId) => groups.filter(group => group.members.includes(userId));
+
+const groupMessages = (groupId) => messages.filter(m => m.group_id === Number(groupId));
+
+// Every message in the user's direct chats and current groups
+const messagesFor = (userId) => {
+  const groupIds = new Set(groupsFor(userId).map(group => group.id));
+  return messages.filter(m => (
+    m.group_id === null ? m.sender_id === userId || m.receiver_id === userId : groupIds.has(m.group_id)
+  ));
+};
+
+const seed = () => {
+  ['alice', 'bob', 'carol'].forEach(name => createUser({
+    username: name.charAt(0).toUpperCase() + name.slice(1),
+    email: `${name}@example.com`,
+    password: 'password',
+    emailVerified: true
+  }));
+  createMessage({ senderId: 2, receiverId: 1, content: 'Hey Alice, welcome to the local server!' });
+  createMessage({ senderId: 1, receiverId: 2, content: 'Thanks Bob 👋' });
+  const team = createGroup({ name: 'Team', createdBy: 1, memberIds: [2, 3] });
+  createMessage({ senderId: 3, groupId: team.id, content: 'Morning, team!' });
+};
+
+module.exports = {
+  users,
+  messages,
+  groups,
+  subscriptions,
+  uploads,
+  settingsFor,
+  updateSetting,
+  hasBlocked,
+  publicUser,
+  createUser,
+  findUserById,
+  findUserByEmail,
+  deleteUser,
+  publishKey,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeSessionsFor,
+  issueEmailToken,
+  consumeEmailToken,
+  userForToken,
+  createMessage,
+  findMessageById,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  hideMessage,
+  isHiddenFor,
+  conversationBetween,
+  createGroup,
+  findGroupById,
+  groupsFor,
+  groupMessages,
+  messagesFor,
+  seed
+};
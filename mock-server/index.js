@@ -0,0 +1,699 @@
+// mock-server/index.js
+// Local stand-in for the VSChats backend: the REST endpoints and socket events
+// the client uses, backed by memory. Run with `npm run mock-server`.
+
+const http = require('http');
+const { Server } = require('socket.io');
+const db = require('./db');
+
+const PORT = Number(process.env.MOCK_PORT) || 4000;
+// Where the links in emails point: the app, not this server
+const APP_URL = process.env.MOCK_APP_URL || 'http://localhost:3000';
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+const EDIT_WINDOW_MS = 15 * 60 * 1000; // keep in step with src/messageActions.js
+const MAX_STATUS_LENGTH = 80;
+const MAX_USERNAME_LENGTH = 40;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// --- HTTP helpers ---
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-File-Name',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const readRaw = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > limit) {
+      reject(new Error('Payload too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Wraps a handler so it only runs for a valid session. Accounts that haven't
+// verified their email yet are refused unless `unverified` is set.
+const authed = (handler, { unverified = false } = {}) => (req, res, params) => {
+  const user = db.userForToken(bearerToken(req));
+  if (!user) return send(res, 401, { error: 'Invalid or expired token' });
+  if (!user.email_verified && !unverified) {
+    return send(res, 403, { error: 'Email address not verified', code: 'email_unverified' });
+  }
+  return handler(req, res, params, user);
+};
+
+// There's no mail server: emails are printed, links and all
+const sendMail = (to, subject, link) => {
+  console.log(`[mail] to ${to}: ${subject}\n  ${link}`);
+};
+
+const sendVerificationMail = (user) => {
+  const token = db.issueEmailToken('verify', user.id);
+  sendMail(user.email, 'Verify your email address', `${APP_URL}/verify-email?token=${token}`);
+};
+
+// What signing in answers with; verification and reset links sign in too
+const sessionFor = (user) => ({
+  ...db.createSession(user.id),
+  user: db.publicUser(user),
+  vapidPublicKey: null
+});
+
+// Field errors name the field so the client can show them next to it
+const invalid = (res, field, error) => send(res, 400, { error, field });
+
+// Shared by direct and group history: the whole list, or a page when `limit` is given
+const sendHistory = (req, res, user, conversation) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  const history = conversation.filter(m => !db.isHiddenFor(user.id, m));
+  if (!query.has('limit')) return send(res, 200, history);
+
+  const limit = Math.max(1, Number(query.get('limit')) || 50);
+  const before = query.has('before') ? Number(query.get('before')) : Infinity;
+  const older = history.filter(m => m.id < before);
+  send(res, 200, {
+    messages: older.slice(-limit),
+    hasMore: older.length > limit
+  });
+};
+
+// Wraps a handler so it only runs for members of the group in the path
+const member = (handler) => authed((req, res, params, user) => {
+  const group = db.findGroupById(params[0]);
+  if (!group || !group.members.includes(user.id)) {
+    return send(res, 404, { error: 'Group not found' });
+  }
+  return handler(req, res, params, user, group);
+});
+
+// --- Routes ---
+
+const routes = [
+  // Signs the new account in straight away; it can't do anything but wait
+  // for its email to be verified
+  ['POST', /^\/api\/register$/, async (req, res) => {
+    const { username, email, password } = await readBody(req);
+    const name = String(username || '').trim();
+    if (!name || name.length > MAX_USERNAME_LENGTH) {
+      return invalid(res, 'username', `Username must be 1 to ${MAX_USERNAME_LENGTH} characters`);
+    }
+    if (!EMAIL_PATTERN.test(String(email || ''))) return invalid(res, 'email', 'Enter a valid email address');
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+      return invalid(res, 'password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (db.findUserByEmail(email)) {
+      return send(res, 409, { error: 'Email already registered', field: 'email' });
+    }
+    const user = db.createUser({ username: name, email, password });
+    sendVerificationMail(user);
+    send(res, 201, sessionFor(user));
+  }],
+
+  ['POST', /^\/api\/login$/, async (req, res) => {
+    const { email, password } = await readBody(req);
+    const user = db.findUserByEmail(email);
+    if (!user || user.password !== password) {
+      return send(res, 401, { error: 'Invalid email or password' });
+    }
+    send(res, 200, sessionFor(user));
+  }],
+
+  ['POST', /^\/api\/verify-email$/, async (req, res) => {
+    const { token } = await readBody(req);
+    const user = token && db.consumeEmailToken('verify', String(token));
+    if (!user) return send(res, 400, { error: 'This link is invalid or has expired' });
+    user.email_verified = true;
+    send(res, 200, sessionFor(user));
+  }],
+
+  ['POST', /^\/api\/verify-email\/resend$/, authed((req, res, params, user) => {
+    if (!user.email_verified) sendVerificationMail(user);
+    send(res, 200, { ok: true });
+  }, { unverified: true })],
+
+  // Answers the same whether or not the address has an account
+  ['POST', /^\/api\/password\/forgot$/, async (req, res) => {
+    const { email } = await readBody(req);
+    if (!EMAIL_PATTERN.test(String(email || ''))) return invalid(res, 'email', 'Enter a valid email address');
+    const user = db.findUserByEmail(email);
+    if (user) {
+      const token = db.issueEmailToken('reset', user.id);
+      sendMail(user.email, 'Reset your password', `${APP_URL}/reset-password?token=${token}`);
+    }
+    send(res, 200, { ok: true });
+  }],
+
+  // Signs out every device, then signs in with the new password. Following
+  // the link proves the address, so it counts as verified.
+  ['POST', /^\/api\/password\/reset$/, async (req, res) => {
+    const { token, password } = await readBody(req);
+    if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+      return invalid(res, 'password', `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    const user = token && db.consumeEmailToken('reset', String(token));
+    if (!user) return send(res, 400, { error: 'This link is invalid or has expired' });
+    user.password = password;
+    user.email_verified = true;
+    db.revokeSessionsFor(user.id);
+    io.in(roomFor(user.id)).disconnectSockets(true);
+    send(res, 200, sessionFor(user));
+  }],
+
+  ['POST', /^\/api\/refresh$/, async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    const session = refreshToken && db.refreshSession(refreshToken);
+    if (!session) return send(res, 401, { error: 'Session expired' });
+    send(res, 200, session);
+  }],
+
+  ['POST', /^\/api\/logout$/, async (req, res) => {
+    const { refreshToken } = await readBody(req);
+    if (refreshToken) db.revokeSession(refreshToken);
+    send(res, 200, { ok: true });
+  }],
+
+  ['GET', /^\/api\/validate$/, authed((req, res, params, user) => {
+    send(res, 200, db.publicUser(user));
+  }, { unverified: true })],
+
+  ['GET', /^\/api\/users$/, authed((req, res, params, user) => {
+    send(res, 200, db.users.filter(u => u.id !== user.id).map(db.publicUser));
+  })],
+
+  ['GET', /^\/api\/users\/(\d+)\/keys$/, authed((req, res, [userId]) => {
+    const owner = db.findUserById(userId);
+    if (!owner) return send(res, 404, { error: 'User not found' });
+    send(res, 200, { public_keys: owner.public_keys });
+  })],
+
+  // The server only relays encrypted content; it never sees private keys
+  ['PUT', /^\/api\/keys$/, authed(async (req, res, params, user) => {
+    const { deviceId, publicKey } = await readBody(req);
+    if (!deviceId || !publicKey) return send(res, 400, { error: 'deviceId and publicKey are required' });
+    const keys = db.publishKey(user, String(deviceId), String(publicKey));
+    io.emit('user_keys_changed', { userId: user.id, public_keys: keys });
+    send(res, 200, { public_keys: keys });
+  })],
+
+  ['PUT', /^\/api\/status$/, authed(async (req, res, params, user) => {
+    const { statusMessage } = await readBody(req);
+    user.status_message = String(statusMessage || '').trim().slice(0, MAX_STATUS_LENGTH);
+    io.emit('presence', presenceOf(user.id));
+    send(res, 200, db.publicUser(user));
+  })],
+
+  // { username?, avatarUrl? }; avatarUrl is an upload's url, or null to remove it
+  ['PATCH', /^\/api\/profile$/, authed(async (req, res, params, user) => {
+    const { username, avatarUrl } = await readBody(req);
+    if (username !== undefined) {
+      const name = String(username || '').trim();
+      if (!name || name.length > MAX_USERNAME_LENGTH) {
+        return send(res, 400, { error: `Display name must be 1 to ${MAX_USERNAME_LENGTH} characters` });
+      }
+      user.username = name;
+    }
+    if (avatarUrl !== undefined) user.avatar_url = avatarUrl ? String(avatarUrl) : null;
+    io.emit('user_updated', { user: db.publicUser(user) });
+    send(res, 200, db.publicUser(user));
+  })],
+
+  ['PUT', /^\/api\/password$/, authed(async (req, res, params, user) => {
+    const { currentPassword, newPassword } = await readBody(req);
+    if (currentPassword !== user.password) return send(res, 403, { error: 'Current password is incorrect' });
+    if (String(newPassword || '').length < MIN_PASSWORD_LENGTH) {
+      return send(res, 400, { error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    user.password = newPassword;
+    send(res, 200, { ok: true });
+  })],
+
+  // Confirmed with the password; signs the account out on every device
+  ['DELETE', /^\/api\/account$/, authed(async (req, res, params, user) => {
+    const { password } = await readBody(req);
+    if (password !== user.password) return send(res, 403, { error: 'Password is incorrect' });
+    const groups = db.groupsFor(user.id);
+    db.deleteUser(user);
+    groups.forEach(group => notifyGroup(group, 'group_updated', { group }));
+    io.emit('user_deleted', { userId: user.id });
+    io.in(roomFor(user.id)).disconnectSockets(true);
+    send(res, 200, { ok: true });
+  })],
+
+  ['GET', /^\/api\/contacts\/settings$/, authed((req, res, params, user) => {
+    send(res, 200, db.settingsFor(user.id));
+  })],
+
+  // One chat at a time: { chatId, pinned?, muted?, blocked? }
+  ['PATCH', /^\/api\/contacts\/settings$/, authed(async (req, res, params, user) => {
+    const { chatId, ...changes } = await readBody(req);
+    const group = typeof chatId === 'string' && chatId.startsWith('group:')
+      ? db.findGroupById(chatId.slice('group:'.length))
+      : null;
+    const contact = typeof chatId === 'number' ? db.findUserById(chatId) : null;
+    if (group ? !group.members.includes(user.id) : !contact || contact.id === user.id) {
+      return send(res, 404, { error: 'Chat not found' });
+    }
+    if ('blocked' in changes && !contact) return send(res, 400, { error: 'Only people can be blocked' });
+
+    let settings = db.settingsFor(user.id);
+    ['pinned', 'muted', 'blocked'].forEach(list => {
+      if (list in changes) settings = db.updateSetting(user.id, list, chatId, Boolean(changes[list]));
+    });
+    io.to(roomFor(user.id)).emit('contact_settings', settings);
+    send(res, 200, settings);
+  })],
+
+  // Catching up after a reconnect: everything in any of our chats after the
+  // `after` message id, oldest first, a page at a time
+  ['GET', /^\/api\/messages\/missed$/, authed((req, res, params, user) => {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const after = Number(query.get('after'));
+    if (!query.has('after') || !Number.isInteger(after)) return send(res, 400, { error: 'after is required' });
+    const limit = Math.max(1, Number(query.get('limit')) || 50);
+    const newer = db.messagesFor(user.id).filter(m => m.id > after && !db.isHiddenFor(user.id, m));
+    send(res, 200, {
+      messages: newer.slice(0, limit),
+      hasMore: newer.length > limit
+    });
+  })],
+
+  // With `limit`, pages back from the `before` cursor (a message id), newest page first
+  ['GET', /^\/api\/messages\/(\d+)$/, authed((req, res, [otherId], user) => {
+    sendHistory(req, res, user, db.conversationBetween(user.id, Number(otherId)));
+  })],
+
+  ['GET', /^\/api\/groups$/, authed((req, res, params, user) => {
+    send(res, 200, db.groupsFor(user.id));
+  })],
+
+  ['POST', /^\/api\/groups$/, authed(async (req, res, params, user) => {
+    const { name, memberIds = [] } = await readBody(req);
+    if (!String(name || '').trim()) return send(res, 400, { error: 'Group name is required' });
+    const group = db.createGroup({ name: name.trim(), createdBy: user.id, memberIds });
+    notifyGroup(group, 'group_updated', { group });
+    send(res, 201, group);
+  })],
+
+  ['PATCH', /^\/api\/groups\/(\d+)$/, member(async (req, res, params, user, group) => {
+    const { name } = await readBody(req);
+    if (!String(name || '').trim()) return send(res, 400, { error: 'Group name is required' });
+    group.name = name.trim();
+    notifyGroup(group, 'group_updated', { group });
+    send(res, 200, group);
+  })],
+
+  ['POST', /^\/api\/groups\/(\d+)\/members$/, member(async (req, res, params, user, group) => {
+    const { userId } = await readBody(req);
+    if (!db.findUserById(userId)) return send(res, 404, { error: 'User not found' });
+    if (!group.members.includes(Number(userId))) group.members.push(Number(userId));
+    notifyGroup(group, 'group_updated', { group });
+    send(res, 200, group);
+  })],
+
+  ['DELETE', /^\/api\/groups\/(\d+)\/members\/(\d+)$/, member((req, res, [, memberId], user, group) => {
+    group.members = group.members.filter(id => id !== Number(memberId));
+    io.to(roomFor(memberId)).emit('group_removed', { groupId: group.id });
+    notifyGroup(group, 'group_updated', { group });
+    send(res, 200, group);
+  })],
+
+  ['GET', /^\/api\/groups\/(\d+)\/messages$/, member((req, res, params, user, group) => {
+    sendHistory(req, res, user, db.groupMessages(group.id));
+  })],
+
+  // Raw file body; name in X-File-Name. Served back from /uploads/:id
+  ['POST', /^\/api\/uploads$/, authed(async (req, res) => {
+    let data;
+    try {
+      data = await readRaw(req, MAX_UPLOAD_SIZE);
+    } catch (error) {
+      return send(res, 413, { error: 'File is too large' });
+    }
+    const id = String(db.uploads.size + 1);
+    const name = decodeURIComponent(req.headers['x-file-name'] || 'file');
+    const mimeType = req.headers['content-type'] || 'application/octet-stream';
+    db.uploads.set(id, { data, mimeType, name });
+    send(res, 201, {
+      url: `http://${req.headers.host}/uploads/${id}`,
+      name,
+      size: data.length,
+      mime_type: mimeType
+    });
+  })],
+
+  ['GET', /^\/uploads\/(\d+)$/, (req, res, [id]) => {
+    const upload = db.uploads.get(id);
+    if (!upload) return send(res, 404, { error: 'Not found' });
+    res.writeHead(200, {
+      'Content-Type': upload.mimeType,
+      'Content-Length': upload.data.length,
+      'Content-Disposition': `inline; filename="${encodeURIComponent(upload.name)}"`,
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end(upload.data);
+  }],
+
+  ['POST', /^\/api\/subscribe$/, authed(async (req, res, params, user) => {
+    const { subscription } = await readBody(req);
+    db.subscriptions.set(user.id, subscription);
+    send(res, 201, { success: true });
+  })]
+];
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && pathname.match(pattern);
+    if (match) {
+      try {
+        return await handler(req, res, match.slice(1));
+      } catch (error) {
+        console.error(error);
+        return send(res, 500, { error: 'Internal server error' });
+      }
+    }
+  }
+  send(res, 404, { error: 'Not found' });
+});
+
+// --- Socket.io ---
+
+const io = new Server(server, { cors: { origin: '*' } });
+const roomFor = (userId) => `user:${userId}`;
+const isOnline = (userId) => (io.sockets.adapter.rooms.get(roomFor(userId))?.size || 0) > 0;
+
+// Away once every one of their devices reports itself idle or hidden
+const presenceOf = (userId) => {
+  const user = db.findUserById(userId);
+  const sockets = [...(io.sockets.adapter.rooms.get(roomFor(userId)) || [])]
+    .map(id => io.sockets.sockets.get(id))
+    .filter(Boolean);
+  let status = 'offline';
+  if (sockets.length) status = sockets.every(s => s.data.away) ? 'away' : 'online';
+  return {
+    userId,
+    status,
+    lastSeen: user?.last_seen || null,
+    statusMessage: user?.status_message || ''
+  };
+};
+
+const notifyGroup = (group, event, payload, exceptUserId) => {
+  group.members
+    .filter(id => id !== exceptUserId)
+    .forEach(id => io.to(roomFor(id)).emit(event, payload));
+};
+
+// Everyone who can see a message, the sender included
+const participantsOf = (message) => {
+  if (message.group_id === null) return [message.sender_id, message.receiver_id];
+  return db.findGroupById(message.group_id)?.members || [];
+};
+
+const canSee = (userId, message) => participantsOf(message).includes(userId);
+
+// Calls in progress: callId -> { callerId, calleeId, video, answeredAt }.
+// The server only relays the WebRTC signalling; it records the outcome as a
+// call-history message in the conversation once the call is over.
+const calls = new Map();
+
+const finishCall = (callId, status) => {
+  const call = calls.get(callId);
+  if (!call) return;
+  calls.delete(callId);
+  const answered = call.answeredAt !== null;
+  const message = db.createMessage({
+    senderId: call.callerId,
+    receiverId: call.calleeId,
+    call: {
+      id: callId,
+      video: call.video,
+      status: answered ? 'completed' : status,
+      duration: answered ? Math.round((Date.now() - call.answeredAt) / 1000) : 0
+    }
+  });
+  [call.callerId, call.calleeId].forEach(id => io.to(roomFor(id)).emit('message', message));
+};
+
+io.use((socket, next) => {
+  const user = db.userForToken(socket.handshake.auth?.token);
+  if (!user) {
+    const error = new Error('Authentication failed');
+    error.data = { code: 'unauthorized' };
+    return next(error);
+  }
+  if (!user.email_verified) {
+    const error = new Error('Email address not verified');
+    error.data = { code: 'email_unverified' };
+    return next(error);
+  }
+  socket.user = user;
+  next();
+});
+
+io.on('connection', (socket) => {
+  const userId = socket.user.id;
+  const before = presenceOf(userId).status;
+  socket.data.away = false;
+  socket.join(roomFor(userId));
+  if (before === 'offline') socket.broadcast.emit('user_online', userId);
+  if (before !== 'online') socket.broadcast.emit('presence', presenceOf(userId));
+
+  // Everyone's presence as of now, so the client never builds on stale deltas
+  socket.emit('presence_snapshot', {
+    users: db.users.filter(u => u.id !== userId).map(u => presenceOf(u.id))
+  });
+
+  socket.on('set_presence', ({ away } = {}) => {
+    const before = presenceOf(userId).status;
+    socket.data.away = Boolean(away);
+    const presence = presenceOf(userId);
+    if (presence.status !== before) socket.broadcast.emit('presence', presence);
+  });
+
+  socket.on('send_message', ({ receiverId, groupId, content, attachment, clientId, replyToId } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const group = groupId != null ? db.findGroupById(groupId) : null;
+    const validTarget = group ? group.members.includes(userId) : db.findUserById(receiverId);
+    if (!validTarget || (!String(content || '').trim() && !attachment?.url)) {
+      return respond({ error: 'Invalid message' });
+    }
+    const replyTo = replyToId != null ? db.findMessageById(replyToId) : null;
+    if (replyToId != null && (!replyTo || !canSee(userId, replyTo) ||
+        replyTo.group_id !== (group?.id ?? null))) {
+      return respond({ error: 'Original message not found' });
+    }
+
+    const message = db.createMessage({
+      senderId: userId,
+      receiverId: group ? null : receiverId,
+      groupId: group?.id,
+      content,
+      attachment,
+      clientId,
+      replyTo
+    });
+    let recipients = group ? group.members.filter(id => id !== userId) : [receiverId];
+    // Someone who blocked the sender never sees it; the sender isn't told
+    if (!group && db.hasBlocked(Number(receiverId), userId)) {
+      db.hideMessage(Number(receiverId), message.id);
+      recipients = [];
+    }
+    recipients.forEach(id => io.to(roomFor(id)).emit('message', message));
+
+    if (recipients.some(isOnline)) {
+      message.delivered_at = new Date().toISOString();
+      io.to(roomFor(userId)).emit('message_delivered', { messageId: message.id, clientId: message.client_id });
+    }
+    respond({ message });
+  });
+
+  socket.on('edit_message', ({ messageId, content } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const message = db.findMessageById(messageId);
+    if (!message || message.sender_id !== userId || message.deleted_at) {
+      return respond({ error: 'Message not found' });
+    }
+    if (!String(content || '').trim()) return respond({ error: 'Message is empty' });
+    if (Date.now() - new Date(message.created_at).getTime() > EDIT_WINDOW_MS) {
+      return respond({ error: 'Messages can only be edited for 15 minutes' });
+    }
+
+    db.editMessage(message, content);
+    participantsOf(message).forEach(id => io.to(roomFor(id)).emit('message_edited', { message }));
+    respond({ message });
+  });
+
+  socket.on('react_message', ({ messageId, emoji } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const message = db.findMessageById(messageId);
+    if (!message || !canSee(userId, message) || message.deleted_at) {
+      return respond({ error: 'Message not found' });
+    }
+    if (typeof emoji !== 'string' || !emoji || emoji.length > 16) return respond({ error: 'Invalid reaction' });
+
+    const reactions = db.toggleReaction(message, emoji, userId);
+    participantsOf(message).forEach(id => (
+      io.to(roomFor(id)).emit('message_reactions', { messageId: message.id, reactions })
+    ));
+    respond({ messageId: message.id, reactions });
+  });
+
+  // For everyone leaves a tombstone; for me only hides it from this user's history
+  socket.on('delete_message', ({ messageId, forEveryone } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const message = db.findMessageById(messageId);
+    if (!message || !canSee(userId, message)) return respond({ error: 'Message not found' });
+
+    if (!forEveryone) {
+      db.hideMessage(userId, message.id);
+      io.to(roomFor(userId)).emit('message_hidden', { messageId: message.id });
+      return respond({ messageId: message.id });
+    }
+    if (message.sender_id !== userId) return respond({ error: 'Only the sender can delete for everyone' });
+
+    db.deleteMessage(message);
+    participantsOf(message).forEach(id => io.to(roomFor(id)).emit('message_deleted', { message }));
+    respond({ message });
+  });
+
+  const relayTyping = (event) => ({ receiverId, groupId } = {}) => {
+    const group = groupId != null ? db.findGroupById(groupId) : null;
+    if (group) {
+      if (group.members.includes(userId)) notifyGroup(group, event, { userId, groupId: group.id }, userId);
+      return;
+    }
+    if (!db.hasBlocked(Number(receiverId), userId)) io.to(roomFor(receiverId)).emit(event, { userId });
+  };
+
+  // Call signalling goes to every device of the other party, tagged with who
+  // it's from. Returns the call, or null when this user isn't part of it.
+  const relayCall = (event, { callId, to, ...payload } = {}) => {
+    const call = calls.get(callId);
+    if (!call || (call.callerId !== userId && call.calleeId !== userId)) return null;
+    const otherId = call.callerId === userId ? call.calleeId : call.callerId;
+    io.to(roomFor(otherId)).emit(event, { callId, from: userId, ...payload });
+    return call;
+  };
+
+  socket.on('call_offer', ({ callId, to, video, sdp } = {}, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+    const callee = db.findUserById(to);
+    if (!callId || calls.has(callId) || !callee || callee.id === userId || !sdp) {
+      return respond({ error: 'Invalid call' });
+    }
+    if (db.hasBlocked(callee.id, userId)) return respond({ error: 'User is unavailable' });
+    calls.set(callId, { callerId: userId, calleeId: callee.id, video: Boolean(video), answeredAt: null });
+    if (!isOnline(callee.id)) {
+      finishCall(callId, 'missed');
+      return respond({ error: 'User is offline' });
+    }
+    relayCall('call_offer', { callId, video: Boolean(video), sdp });
+    respond({ ok: true });
+  });
+
+  socket.on('call_ringing', (data) => relayCall('call_ringing', data));
+  socket.on('call_ice', (data) => relayCall('call_ice', data));
+
+  socket.on('call_answer', (data = {}) => {
+    if (calls.get(data.callId)?.calleeId !== userId) return;
+    calls.get(data.callId).answeredAt = Date.now();
+    relayCall('call_answer', data);
+    // Stop it ringing on the callee's other devices
+    socket.to(roomFor(userId)).emit('call_handled', { callId: data.callId });
+  });
+
+  socket.on('call_reject', (data = {}) => {
+    if (!relayCall('call_reject', data)) return;
+    socket.to(roomFor(userId)).emit('call_handled', { callId: data.callId });
+    finishCall(data.callId, data.reason === 'declined' ? 'declined' : 'missed');
+  });
+
+  socket.on('call_hangup', (data = {}) => {
+    if (relayCall('call_hangup', data)) finishCall(data.callId, 'missed');
+  });
+
+  socket.on('typing_start', relayTyping('typing_start'));
+  socket.on('typing_stop', relayTyping('typing_stop'));
+
+  socket.on('mark_read', ({ senderId, groupId, messageIds } = {}) => {
+    const now = new Date().toISOString();
+    const readBySender = new Map();
+    db.messages.forEach(m => {
+      const inConversation = groupId != null
+        ? m.group_id === Number(groupId) && m.sender_id !== userId
+        : m.group_id === null && m.sender_id === senderId && m.receiver_id === userId;
+      if (inConversation && !m.read_at && (!messageIds || messageIds.includes(m.id))) {
+        m.read_at = now;
+        readBySender.set(m.sender_id, [...(readBySender.get(m.sender_id) || []), m.id]);
+      }
+    });
+    readBySender.forEach((ids, id) => {
+      io.to(roomFor(id)).emit('messages_read', {
+        readerId: userId,
+        groupId: groupId ?? undefined,
+        messageIds: ids
+      });
+    });
+  });
+
+  socket.on('disconnect', () => {
+    if (isOnline(userId)) {
+      // Their remaining devices may all be idle
+      socket.broadcast.emit('presence', presenceOf(userId));
+      return;
+    }
+    socket.user.last_seen = new Date().toISOString();
+    socket.broadcast.emit('user_offline', userId);
+    socket.broadcast.emit('presence', presenceOf(userId));
+    // Gone from every device: end their calls for the other side
+    calls.forEach((call, callId) => {
+      if (call.callerId !== userId && call.calleeId !== userId) return;
+      const otherId = call.callerId === userId ? call.calleeId : call.callerId;
+      io.to(roomFor(otherId)).emit('call_hangup', { callId, from: userId, reason: 'disconnected' });
+      finishCall(callId, 'missed');
+    });
+  });
+});
+
+if (require.main === module) {
+  db.seed();
+  server.listen(PORT, () => {
+    console.log(`Mock VSChats server on http://localhost:${PORT}`);
+    console.log('Seeded users: alice@example.com, bob@example.com, carol@example.com (password: "password")');
+  });
+}
+
+module.exports = { server, io, db };
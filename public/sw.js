@@ -1,18 +1,134 @@
 /* eslint-disable no-undef */
 /* eslint-disable no-restricted-globals */
 // public/sw.js
+// App shell precache, offline copies of recently fetched contacts and
+// conversations, and push notifications, except for muted chats.
+//
+// BUILD_VERSION is stamped by scripts/stamp-sw.js after `npm run build`; a new
+// value makes this a new worker, which waits until the app asks it to take over.
+// Under `npm start` it stays 'development' and nothing is cached.
+
+const BUILD_VERSION = 'development';
+const CACHING = BUILD_VERSION !== 'development';
+const SHELL_PREFIX = 'vschats-shell-';
+const SHELL_CACHE = `${SHELL_PREFIX}${BUILD_VERSION}`;
+const DATA_CACHE = 'vschats-data-v1';
+const ICON = '/icon-192.jpg';
+// Where the signed-in account's muted chats are kept for the push handler
+const MUTED_CHATS_KEY = '/muted-chats';
+
+// REST reads worth keeping for offline use; everything else goes to the network
+const CACHEABLE_API = [
+  /\/api\/validate$/,
+  /\/api\/users$/,
+  /\/api\/groups$/,
+  /\/api\/messages\/\d+$/,
+  /\/api\/groups\/\d+\/messages$/
+];
+
+const shellUrls = async () => {
+  const res = await fetch('/asset-manifest.json', { cache: 'no-store' });
+  const { files = {} } = await res.json();
+  const assets = Object.values(files).filter(url => !/\.(map|txt)$/.test(url));
+  return [...new Set(['/', '/index.html', '/manifest.json', '/favicon.ico', ICON, '/icon-512.jpg', ...assets])];
+};
 
 self.addEventListener('install', (event) => {
-  console.log('Service Worker installing...');
-  self.skipWaiting();
+  if (!CACHING) {
+    self.skipWaiting();
+    return;
+  }
+  event.waitUntil(
+    shellUrls().then(urls => caches.open(SHELL_CACHE).then(cache => cache.addAll(urls)))
+  );
 });
 
+// Drop the shells of previous builds
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker activated');
-  return self.clients.claim();
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(SHELL_PREFIX) && key !== SHELL_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
 });
 
-// Listen to push events
+self.addEventListener('message', (event) => {
+  switch (event.data?.type) {
+    case 'SKIP_WAITING':
+      self.skipWaiting();
+      break;
+    case 'CLEAR_DATA': // signed out: don't leave their conversations behind
+      event.waitUntil(caches.delete(DATA_CACHE));
+      break;
+    case 'MUTED_CHATS': // kept with the data cache, so signing out forgets them too
+      event.waitUntil(
+        caches.open(DATA_CACHE).then(cache => cache.put(MUTED_CHATS_KEY, new Response(JSON.stringify(event.data.chatIds))))
+      );
+      break;
+    default:
+      break;
+  }
+});
+
+// Network first, falling back to the last good copy
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !CACHING) return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    // Every route is the single-page app
+    event.respondWith(
+      caches.match('/index.html', { cacheName: SHELL_CACHE }).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  // Runtime config changes without a new build, so it's fetched like API data
+  if (url.pathname === '/config.json' || CACHEABLE_API.some(pattern => pattern.test(url.pathname))) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && !url.pathname.startsWith('/socket.io/')) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+const mutedChats = async () => {
+  const response = await caches.match(MUTED_CHATS_KEY, { cacheName: DATA_CACHE });
+  return response ? response.json() : [];
+};
+
+// The chat id a push is about, as the app's contact settings name it
+const pushChatId = (data) => {
+  if (data.groupId != null) return `group:${data.groupId}`;
+  return data.senderId ?? null;
+};
+
+// Listen to push events. Muted chats stay silent here as in the app.
 self.addEventListener('push', (event) => {
   let data = {};
   if (event.data) {
@@ -21,31 +137,43 @@ self.addEventListener('push', (event) => {
 
   const options = {
     body: data.body || 'You have a new message',
-    icon: '/icon-192x192.png',
-    badge: '/icon-72x72.png',
+    icon: ICON,
     data: data
   };
 
   event.waitUntil(
-    self.registration.showNotification(data.title || 'Chat App', options)
+    mutedChats()
+      .catch(() => [])
+      .then((muted) => {
+        const chatId = pushChatId(data);
+        if (chatId != null && muted.includes(chatId)) return;
+        return self.registration.showNotification(data.title || 'VS Chats', options);
+      })
   );
 });
 
-// Handle notification click
+// The conversation a notification is about. Push payloads carry `url`, or
+// `senderId` / `groupId` to build it from; anything else opens the app.
+const notificationUrl = (data = {}) => {
+  if (data.url) return data.url;
+  if (data.groupId != null) return `/group/${data.groupId}`;
+  if (data.senderId != null) return `/chat/${data.senderId}`;
+  return '/chat';
+};
+
+// Bring an open window to that conversation, or open one there
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
+  const url = new URL(notificationUrl(event.notification.data), self.location.origin);
 
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clientList => {
-      for (const client of clientList) {
-        if ('focus' in client) return client.focus();
+      const client = clientList.find(c => new URL(c.url).origin === url.origin && 'focus' in c);
+      if (client) {
+        client.postMessage({ type: 'NAVIGATE', url: url.pathname + url.search });
+        return client.focus();
       }
-      if (clients.openWindow) return clients.openWindow('/');
+      if (clients.openWindow) return clients.openWindow(url.href);
     })
   );
 });
-
-// Optional: Cache static assets (simple PWA offline support)
-self.addEventListener('fetch', (event) => {
-  // Here you can implement caching strategies if needed
-});
@@ -0,0 +1,22 @@
+// scripts/stamp-sw.js
+// Runs after `npm run build`: stamps build/sw.js with a version derived from the
+// build's asset manifest, so every deploy ships a byte-different service worker
+// with its own shell cache.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const buildDir = path.join(__dirname, '..', 'build');
+const swPath = path.join(buildDir, 'sw.js');
+const manifest = fs.readFileSync(path.join(buildDir, 'asset-manifest.json'));
+const version = crypto.createHash('sha256').update(manifest).digest('hex').slice(0, 12);
+
+const source = fs.readFileSync(swPath, 'utf8');
+const stamped = source.replace(/const BUILD_VERSION = '[^']*';/, `const BUILD_VERSION = '${version}';`);
+if (stamped === source) {
+  console.error('stamp-sw: BUILD_VERSION not found in build/sw.js');
+  process.exit(1);
+}
+fs.writeFileSync(swPath, stamped);
+console.log(`Service worker version ${version}`);
@@ -0,0 +1,34 @@
+// AccountSummary.js
+// Who's signed in, at the top of the sidebar and of the empty chat area: the
+// picture (which opens the profile), name, custom status and whether we're
+// connected.
+import React from 'react';
+import Avatar from './Avatar';
+import StatusEditor from './StatusEditor';
+import { t } from './i18n';
+
+const AccountSummary = ({ user, connectionStatus, onOpenProfile, onSaveStatus }) => (
+  <div className="user-profile">
+    <button
+      type="button"
+      className="profile-btn"
+      onClick={onOpenProfile}
+      title={t('profile.title')}
+      aria-label={t('profile.title')}
+    >
+      <Avatar className="avatar" name={user.username} src={user.avatar_url} />
+    </button>
+    <div className="user-info">
+      <span className="username">{user.username}</span>
+      <StatusEditor value={user.status_message || ''} onSave={onSaveStatus} />
+      <div className="connection-status">
+        <span className={`status-dot ${connectionStatus}`}></span>
+        <span className="status-text">
+          {t(`connection.${connectionStatus}`)}
+        </span>
+      </div>
+    </div>
+  </div>
+);
+
+export default AccountSummary;
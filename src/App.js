@@ -1,726 +1,1015 @@
 // App.js
-import React, { useState, useEffect, useRef } from 'react';
-import io from 'socket.io-client';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { createChatClient, CONNECTION_STATUS } from './chatClient';
+import { useChatEvent, useConnectionStatus, useReconnect, usePresence, useTyping, useConversations, useNow } from './chatHooks';
+import { useComposer, useMessageJump } from './chatViewHooks';
+import { useContacts, useContactSettings } from './contactHooks';
+import { useGroups } from './groupHooks';
+import { useUploads } from './uploadHooks';
+import { useSearch } from './searchHooks';
+import { useEncryption, useSafetyNumber } from './encryptionHooks';
+import { useCalls, canCall } from './callHooks';
+import { useUnreadCounts, useMessageAlerts } from './notificationHooks';
+import { clearOutbox } from './outbox';
+import { MESSAGE_STATUS } from './messageStatus';
+import AuthScreen from './AuthScreen';
+import SignInForm from './SignInForm';
+import ForgotPasswordForm from './ForgotPasswordForm';
+import ResetPasswordForm from './ResetPasswordForm';
+import VerifyEmail from './VerifyEmail';
+import ContactList from './ContactList';
+import ChatHeader from './ChatHeader';
+import Conversation from './Conversation';
+import SearchResults from './SearchResults';
+import UpdateBanner from './UpdateBanner';
+import ConnectionBanner from './ConnectionBanner';
+import { clearOfflineData, onNavigateRequest } from './serviceWorker';
+import { subscribeToPush } from './push';
+import { useLocation, navigate, goBack, matchRoute, chatPath, AUTH_ROUTES } from './router';
+import { clearSearchIndex } from './searchIndex';
+import { addRecentEmoji } from './emoji';
+import GroupDialog from './GroupDialog';
+import EncryptionDialog from './EncryptionDialog';
+import AppearanceDialog from './AppearanceDialog';
+import ProfileDialog from './ProfileDialog';
+import ProfilePanel from './ProfilePanel';
+import AccountSummary from './AccountSummary';
+import { updateProfile, uploadAvatar, removeAvatar, changePassword, deleteAccount } from './profile';
+import { signIn, signUp, needsVerification } from './auth';
+import { useTheme } from './theme';
+import { t, useLocale, formatRelativeDate, formatList } from './i18n';
+import { announce } from './a11y';
+import { reportError } from './errors';
+import ErrorNotice from './ErrorNotice';
+import CallScreen from './CallScreen';
+import { CALL_STATUS } from './calls';
+import { describePresence, watchActivity } from './presence';
+import { isBlocked } from './contacts';
+import Composer from './Composer';
+import {
+  groupConversationId,
+  toGroupChat,
+  chatName,
+  formatTypingNames
+} from './conversations';
+import { quoteOf, quotePreview } from './messageActions';
+import {
+  isEncryptionSupported,
+  forgetKeys,
+  encryptContent,
+  decryptMessage
+} from './e2ee';
+import {
+  ApiError,
+  request,
+  hasSession,
+  setSession,
+  clearSession,
+  onSessionExpired,
+  logout
+} from './api';
 import './App.css';
 
-const BACKEND_URL = "https://vschats.onrender.com";
+const JUMP_PAGE_SIZE = 200;
 
 const App = () => {
   const [currentUser, setCurrentUser] = useState(null);
-  const [isLogin, setIsLogin] = useState(true);
-  const [users, setUsers] = useState([]);
-  const [selectedUser, setSelectedUser] = useState(null);
-  const [messages, setMessages] = useState([]);
-  const [newMessage, setNewMessage] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [onlineUsers, setOnlineUsers] = useState(new Set());
-  const [connectionStatus, setConnectionStatus] = useState('disconnected');
-  const [typingUsers, setTypingUsers] = useState(new Set());
-  const [isTyping, setIsTyping] = useState(false);
+  const [authChecked, setAuthChecked] = useState(() => !hasSession()); // false while a stored session is validated
+  // One dialog at a time: null | 'createGroup' | 'manageGroup' | 'encryption' |
+  // 'appearance' | 'profile' | 'contactProfile'
+  const [dialog, setDialog] = useState(null);
+  const [selectedChat, setSelectedChat] = useState(null);
   const [showSidebar, setShowSidebar] = useState(false);
-  
-  const socketRef = useRef(null);
-  const messagesEndRef = useRef(null);
+
+  // The connection, outbox and message store; see chatClient.js
+  const [client] = useState(() => createChatClient({
+    readMessage: decryptMessage, // the rest of the app only ever sees plaintext
+    encrypt: (content, { senderId, receiverId }) => encryptContent(content, senderId, receiverId)
+  }));
+  const connectionStatus = useConnectionStatus(client);
+  const reconnect = useReconnect(client);
+  const presence = usePresence(client);
+  const { users, loadUsers } = useContacts(client, currentUser?.id);
+  const nameOf = userId => users.find(user => user.id === userId)?.username;
+  const { contactSettings, loadContactSettings, updateContactSetting } = useContactSettings(client, currentUser?.id);
+  // Blocked people are ignored wherever they turn up, groups included
+  const ignoreBlocked = userId => isBlocked(contactSettings, userId);
+  const typingByChat = useTyping(client, currentUser?.id, { ignore: ignoreBlocked });
+  const store = useConversations(client, currentUser?.id, { ignore: ignoreBlocked });
+  const { conversations, historyMeta, markRead } = store;
+  const { groups, loadGroups, createGroup, renameGroup, addMember, removeMember } = useGroups(client, currentUser?.id);
+  const { encryptionReady, encryptedChats, setUpKeys, toggleEncryption } = useEncryption(currentUser?.id);
+  const { uploads, dragActive, attachFiles, cancelUpload, dropTarget } = useUploads(
+    currentUser?.id,
+    (chat, attachment) => queueMessage(chat, { attachment })
+  );
+  const calls = useCalls(nameOf);
+  const { call } = calls;
+
   const messageInputRef = useRef(null);
-  const typingTimeoutRef = useRef(null);
+  const currentUserRef = useRef(null);
+  const selectedChatRef = useRef(null);
+  const messageListRef = useRef(null);
+  const contactListRef = useRef(null);
+  const sidebarToggleRef = useRef(null);
+  const actionsRef = useRef({}); // the latest render's handlers, for listeners set up once
 
-  // Check for existing token on app start
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      validateToken(token);
-    }
-    
-    // Request notification permission
-    if ('Notification' in window && Notification.permission === 'default') {
-      Notification.requestPermission();
+    actionsRef.current = {
+      showConversation,
+      openConversation,
+      startApp,
+      handleLogout,
+      closeSidebar,
+      handleBackToContacts
+    };
+  });
+
+  const location = useLocation();
+  useLocale(); // render again in the new language when it changes
+  const [theme, updateTheme] = useTheme(currentUser?.id);
+  const route = matchRoute(location.pathname);
+  const routeChatId = route.name === 'chat' ? route.chatId : null;
+  const isLogin = route.name !== 'register';
+
+  const chats = useMemo(
+    () => [...users, ...groups.map(toGroupChat)],
+    [users, groups]
+  );
+
+  const { searchQuery, setSearchQuery, searchResults, searching } = useSearch(client, currentUser?.id, { chats, store });
+
+  const messages = useMemo(
+    () => (selectedChat && conversations[selectedChat.id]) || [],
+    [selectedChat, conversations]
+  );
+
+  // Keep the open chat's details current, and leave it if we were removed from
+  // the group or the account was deleted
+  useEffect(() => {
+    if (!selectedChat) return;
+    const latest = chats.find(chat => chat.id === selectedChat.id);
+    if (!latest) navigate('/chat', { replace: true });
+    else if (latest !== selectedChat) setSelectedChat(latest);
+  }, [chats, selectedChat]);
+
+  // The open direct chat's contact, and the safety number we share
+  const selectedContact = selectedChat && !selectedChat.isGroup
+    ? users.find(user => user.id === selectedChat.id) || selectedChat
+    : null;
+  const { safety, changed: safetyChanged, verify: verifySafetyNumber } = useSafetyNumber(currentUser, selectedContact);
+
+  // Report this device away while the tab is hidden or untouched
+  useEffect(() => {
+    if (!currentUser) return;
+    return watchActivity(client.setAway);
+  }, [currentUser, client]);
+
+  const now = useNow(Boolean(currentUser)); // keeps "last seen" times current
+
+  // Signed-out visitors land on /login, remembering where they were headed;
+  // signed-in ones skip the auth screens once their email is verified
+  useEffect(() => {
+    if (!authChecked) return;
+    const onAuthScreen = AUTH_ROUTES.includes(route.name);
+    if (!currentUser && !onAuthScreen) {
+      const next = route.name === 'chat' ? `?next=${encodeURIComponent(location.href)}` : '';
+      navigate(`/login${next}`, { replace: true });
+    } else if (currentUser && !needsVerification(currentUser) && (onAuthScreen || route.name === 'home')) {
+      const next = location.query.get('next');
+      // Only paths within the app, never another origin
+      navigate(next && /^\/(?!\/)/.test(next) ? next : '/chat', { replace: true });
     }
-  }, []);
+  }, [authChecked, currentUser, route.name, location]);
 
-  const validateToken = async (token) => {
-    try {
-      const res = await fetch(`${BACKEND_URL}/api/validate`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      
-      if (res.ok) {
-        const userData = await res.json();
+  // The URL decides which conversation is open
+  useEffect(() => {
+    if (routeChatId != null) return;
+    const leftChatId = selectedChatRef.current?.id;
+    setSelectedChat(null);
+    setShowSidebar(true);
+    // Keyboard focus goes back to the contact whose chat was just left
+    if (leftChatId != null) requestAnimationFrame(() => contactListRef.current?.focusContact(leftChatId));
+  }, [routeChatId]);
+
+  useEffect(() => {
+    if (!currentUser || routeChatId == null || routeChatId === selectedChat?.id) return;
+    // Contacts and groups load after sign-in; a deep link waits for them
+    const chat = chats.find(chat => chat.id === routeChatId);
+    if (chat) actionsRef.current.showConversation(chat);
+  }, [currentUser, routeChatId, chats, selectedChat]);
+
+  // A notification clicked while the app was already open
+  useEffect(() => onNavigateRequest((url) => {
+    const target = matchRoute(new URL(url, window.location.origin).pathname);
+    if (target.name === 'chat') actionsRef.current.openConversation(target.chatId);
+    else navigate(url);
+  }), []);
+
+  // Opening a chat puts the cursor in its composer
+  const selectedChatId = selectedChat?.id;
+  useEffect(() => {
+    if (selectedChatId != null) messageInputRef.current?.focus();
+  }, [selectedChatId]);
+
+  // Escape steps back out: it closes the sidebar drawn over the chat, then
+  // leaves the chat for the contacts list. Dialogs, menus and fields that use
+  // Escape themselves mark it handled first.
+  useEffect(() => {
+    if (!currentUser) return;
+    const handleKey = (e) => {
+      if (e.key !== 'Escape' || e.defaultPrevented) return;
+      if (!selectedChat) return;
+      e.preventDefault();
+      if (showSidebar) actionsRef.current.closeSidebar();
+      else actionsRef.current.handleBackToContacts();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [currentUser, showSidebar, selectedChat]);
+
+  useEffect(() => {
+    currentUserRef.current = currentUser;
+    selectedChatRef.current = selectedChat;
+  }, [currentUser, selectedChat]);
+
+  // Check for existing token on app start
+  useEffect(() => {
+    const validateToken = async () => {
+      try {
+        const userData = await request('/api/validate');
         setCurrentUser(userData);
-        initializeSocket(token);
-        loadUsers();
-      } else {
-        localStorage.removeItem('token');
+        if (!needsVerification(userData)) actionsRef.current.startApp(userData);
+      } catch (error) {
+        console.error('Token validation failed:', error);
+        // Offline at startup isn't a reason to forget the session
+        if (error instanceof ApiError) clearSession();
+      } finally {
+        setAuthChecked(true);
       }
-    } catch (error) {
-      console.error('Token validation failed:', error);
-      localStorage.removeItem('token');
+    };
+
+    if (hasSession()) {
+      validateToken();
     }
+  }, []);
+
+  // The API client gave up on renewing the session: sign out
+  useEffect(() => onSessionExpired(() => {
+    if (!currentUserRef.current) return;
+    const { pathname, search } = window.location;
+    actionsRef.current.handleLogout();
+    // Signing back in returns to the conversation they were in
+    navigate(`/login?next=${encodeURIComponent(pathname + search)}`, { replace: true });
+    reportError(t('auth.sessionExpired'));
+  }), []);
+
+  // Everything a verified account needs once it's signed in. `session` is
+  // the sign-in response when there is one; it carries the push key.
+  const startApp = (user, session) => {
+    initializeEncryption(user);
+    // Calls are signalled over the same connection
+    calls.attachCalls(client.connect(user.id));
+    subscribeToPush(session?.vapidPublicKey);
+    loadUsers();
+    loadGroups();
+    loadContactSettings();
+  };
+
+  // A new session from signing in or up, or from an emailed link. A link
+  // followed while signed in replaces that session. Until the email is
+  // verified the app waits on the verification screen.
+  const startSession = (data) => {
+    if (currentUserRef.current) handleLogout();
+    setSession(data);
+    setCurrentUser(data.user);
+    if (!needsVerification(data.user)) startApp(data.user, data);
   };
 
-  // Scroll to bottom of messages
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  // Rejects with the server's error for the form to show
+  const handleAuth = async ({ username, email, password }) => {
+    const data = isLogin
+      ? await signIn(email.trim(), password)
+      : await signUp({ username: username.trim(), email: email.trim(), password });
+    startSession(data);
   };
 
+  // Waiting on the verification link, which may be followed in another tab or
+  // on another device: look again whenever they come back to this one
   useEffect(() => {
-    scrollToBottom();
-  }, [messages, typingUsers]);
-
-  // Typing indicators
-  const handleTypingStart = () => {
-    if (!selectedUser || !socketRef.current || isTyping) return;
-    
-    setIsTyping(true);
-    socketRef.current.emit('typing_start', { receiverId: selectedUser.id });
-    
-    // Stop typing after 2 seconds of inactivity
-    clearTimeout(typingTimeoutRef.current);
-    typingTimeoutRef.current = setTimeout(() => {
-      handleTypingStop();
-    }, 2000);
+    if (!needsVerification(currentUser)) return;
+    const check = async () => {
+      try {
+        const user = await request('/api/validate');
+        if (needsVerification(user)) return;
+        setCurrentUser(user);
+        actionsRef.current.startApp(user);
+      } catch (error) {
+        // Still waiting; a session that's gone signs out through onSessionExpired
+      }
+    };
+    window.addEventListener('focus', check);
+    return () => window.removeEventListener('focus', check);
+  }, [currentUser]);
+
+  // The message store follows the client on its own (see useConversations);
+  // unread counts, announcements and notifications follow it here
+  const { unreadCounts, clearUnread } = useUnreadCounts(client, currentUser?.id, {
+    openChatId: selectedChat?.id,
+    settings: contactSettings
+  });
+  useMessageAlerts(client, currentUser?.id, {
+    openChatId: selectedChat?.id,
+    settings: contactSettings,
+    nameOf,
+    groupOf: id => groups.find(group => group.id === id),
+    onOpen: chatId => actionsRef.current.openConversation(chatId)
+  });
+
+  // Our own account changed on another device; contacts' changes are
+  // useContacts' to follow
+  useChatEvent(client, 'keys_changed', ({ userId, keys }) => {
+    if (userId === currentUser?.id) setCurrentUser(prev => ({ ...prev, public_keys: keys }));
+  });
+
+  useChatEvent(client, 'user_updated', ({ user }) => {
+    if (user.id === currentUser?.id) setCurrentUser(prev => ({ ...prev, ...user }));
+  });
+
+  useChatEvent(client, 'user_deleted', ({ userId }) => {
+    if (userId !== currentUser?.id) return;
+    // Nothing queued by a deleted account can be sent any more
+    clearOutbox(userId).catch(error => console.error('Failed to clear outbox:', error));
+    handleLogout();
+  });
+
+  // Socket errors are shown inline, never as a blocking alert
+  useChatEvent(client, 'error', ({ message }) => reportError(message));
+
+  // End-to-end encryption: publish this device's key, which our account's keys then include
+  const initializeEncryption = async (user) => {
+    const keys = await setUpKeys(user);
+    if (keys) setCurrentUser(prev => (prev?.id === user.id ? { ...prev, public_keys: keys } : prev));
   };
 
-  const handleTypingStop = () => {
-    if (!selectedUser || !socketRef.current || !isTyping) return;
-    
-    setIsTyping(false);
-    socketRef.current.emit('typing_stop', { receiverId: selectedUser.id });
-    clearTimeout(typingTimeoutRef.current);
+  // Calls: one at a time, direct chats only, and only while connected
+  const callsUnavailable = connectionStatus !== CONNECTION_STATUS.CONNECTED || call.status !== CALL_STATUS.IDLE;
+
+  // Our custom status, shown to contacts under our name
+  const saveStatusMessage = async (statusMessage) => {
+    const user = await request('/api/status', { method: 'PUT', body: { statusMessage } });
+    setCurrentUser(prev => ({ ...prev, status_message: user.status_message }));
   };
 
-  // Authentication handlers
-  const handleAuth = async (e) => {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    const email = formData.get('email');
-    const password = formData.get('password');
-    const username = formData.get('username');
+  // Our own account, from the profile dialog. These reject with the server's
+  // error so the dialog can show it.
+  const applyProfile = (user) => setCurrentUser(prev => ({ ...prev, ...user }));
 
-    if (!email || !password || (!isLogin && !username)) {
-      alert('Please fill all fields');
-      return;
-    }
+  const handleUpdateName = async (username) => applyProfile(await updateProfile({ username }));
 
-    setLoading(true);
-    try {
-      const url = isLogin ? `${BACKEND_URL}/api/login` : `${BACKEND_URL}/api/register`;
-      const res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(isLogin ? { email, password } : { username, email, password })
-      });
-      
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error);
-
-      if (isLogin) {
-        localStorage.setItem('token', data.token);
-        setCurrentUser(data.user);
-        initializeSocket(data.token);
-        initializePushNotifications(data);
-        loadUsers();
-      } else {
-        alert('Registration successful! Please login.');
-        setIsLogin(true);
-        // Clear form
-        e.target.reset();
-      }
-    } catch (err) {
-      alert(err.message || 'Operation failed');
-    } finally {
-      setLoading(false);
-    }
+  const handleUploadAvatar = async (blob) => applyProfile(await uploadAvatar(blob));
+
+  const handleRemoveAvatar = async () => applyProfile(await removeAvatar());
+
+  const handleDeleteAccount = async (password) => {
+    await deleteAccount(password);
+    handleLogout();
   };
 
-  // Socket initialization
-  const initializeSocket = (token) => {
-    setConnectionStatus('connecting');
-    
-    socketRef.current = io(BACKEND_URL, {
-      auth: { token },
-      transports: ['websocket', 'polling']
-    });
-
-    socketRef.current.on('connect', () => {
-      setConnectionStatus('connected');
-      console.log('Connected to server');
-    });
-
-    socketRef.current.on('disconnect', () => {
-      setConnectionStatus('disconnected');
-    });
-
-    socketRef.current.on('connect_error', (error) => {
-      setConnectionStatus('error');
-      console.error('Connection error:', error);
-    });
-
-    socketRef.current.on('message', (message) => {
-      setMessages(prev => [...prev, { ...message, isOwn: false }]);
-      
-      // Show notification for new messages when app is in background
-      if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
-        new Notification(`New message from ${selectedUser?.username || 'Someone'}`, {
-          body: message.content,
-          icon: '/favicon.ico'
-        });
-      }
-    });
-
-    socketRef.current.on('user_online', (userId) => {
-      setOnlineUsers(prev => new Set([...prev, userId]));
-    });
-
-    socketRef.current.on('user_offline', (userId) => {
-      setOnlineUsers(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(userId);
-        return newSet;
-      });
-    });
-
-    socketRef.current.on('typing_start', (data) => {
-      setTypingUsers(prev => new Set([...prev, data.userId]));
-    });
-
-    socketRef.current.on('typing_stop', (data) => {
-      setTypingUsers(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(data.userId);
-        return newSet;
-      });
-    });
-
-    socketRef.current.on('message_delivered', (data) => {
-      // Update message status if needed
-      console.log('Message delivered:', data);
-    });
-
-    socketRef.current.on('error', (err) => {
-      alert(err.message);
-    });
+  // Once confirmed in the contacts list; blocking the open chat leaves it
+  const blockContact = (chat) => {
+    if (selectedChatRef.current?.id === chat.id) navigate('/chat', { replace: true });
+    updateContactSetting(chat.id, 'blocked', true);
   };
 
-  // Push notifications
-  const initializePushNotifications = async (data) => {
-    if ('serviceWorker' in navigator && 'PushManager' in window) {
-      try {
-        const reg = await navigator.serviceWorker.register('/sw.js');
-        const sub = await reg.pushManager.subscribe({
-          userVisibleOnly: true,
-          applicationServerKey: urlBase64ToUint8Array(data.vapidPublicKey)
-        });
-        
-        await fetch(`${BACKEND_URL}/api/subscribe`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${data.token}`
-          },
-          body: JSON.stringify({ subscription: sub })
-        });
-      } catch (error) {
-        console.error('Push notification setup failed:', error);
-      }
+  // From the group dialog; the server's refusals are shown as they come
+  const handleCreateGroup = async (name, memberIds) => {
+    try {
+      const group = await createGroup(name, memberIds);
+      setDialog(null);
+      openConversation(groupConversationId(group.id));
+    } catch (error) {
+      reportError(error.message);
     }
   };
 
-  // Load users list
-  const loadUsers = async () => {
+  const handleRenameGroup = name => renameGroup(selectedChat.groupId, name).catch(error => reportError(error.message));
+
+  const handleAddMember = userId => addMember(selectedChat.groupId, userId).catch(error => reportError(error.message));
+
+  const handleRemoveMember = async (userId) => {
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch(`${BACKEND_URL}/api/users`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      
-      if (res.ok) {
-        const usersData = await res.json();
-        setUsers(usersData);
-      } else {
-        throw new Error('Failed to load users');
-      }
+      await removeMember(selectedChat.groupId, userId);
+      if (userId === currentUser.id) setDialog(null); // leaving the group's route follows
     } catch (error) {
-      console.error('Failed to load users:', error);
-      alert('Failed to load users. Please try again.');
+      reportError(error.message);
     }
   };
 
-  // Load messages for selected user
-  const loadMessages = async (userId) => {
+  // Load a page of a conversation's history into the store
+  const loadMessages = async (conversationId, options) => {
     try {
-      const token = localStorage.getItem('token');
-      const res = await fetch(`${BACKEND_URL}/api/messages/${userId}`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
-      
-      if (res.ok) {
-        const messagesData = await res.json();
-        setMessages(messagesData);
-        const user = users.find(user => user.id === userId);
-        setSelectedUser(user);
-        setShowSidebar(false); // Close sidebar on mobile when selecting a chat
-        messageInputRef.current?.focus();
-      } else {
-        throw new Error('Failed to load messages');
-      }
+      await store.loadMessages(conversationId, options);
     } catch (error) {
       console.error('Failed to load messages:', error);
-      alert('Failed to load messages. Please try again.');
+      if (error.status !== 401) reportError(t('chat.loadFailed'));
     }
   };
 
-  // Send message
-  const sendMessage = () => {
-    const content = newMessage.trim();
-    if (!content || !selectedUser || !socketRef.current) return;
-
-    // Stop typing indicator
-    handleTypingStop();
-
-    socketRef.current.emit('send_message', {
-      receiverId: selectedUser.id,
-      content
-    });
-
-    // Optimistically add message to UI
-    const optimisticMessage = {
-      id: Date.now(), // Temporary ID
-      content,
-      sender_id: currentUser.id,
-      created_at: new Date().toISOString(),
-      isOwn: true
-    };
-    
-    setMessages(prev => [...prev, optimisticMessage]);
-    setNewMessage('');
-    messageInputRef.current?.focus();
+  const loadOlderMessages = (limit) => {
+    if (!selectedChat || messages.length === 0) return;
+    const oldest = messages.find(m => m.id !== m.client_id);
+    if (oldest) loadMessages(selectedChat.id, { before: oldest.id, limit });
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      sendMessage();
+  // Open a chat by its URL. Switching between chats replaces the entry, so Back
+  // always returns to the contacts list. Reads refs only: socket and service
+  // worker handlers call it from old renders.
+  const openConversation = (chatId) => {
+    if (chatId === selectedChatRef.current?.id) {
+      setShowSidebar(false);
+      return;
     }
+    navigate(chatPath(chatId), { replace: matchRoute(window.location.pathname).name === 'chat' });
   };
 
-  const handleInputChange = (e) => {
-    setNewMessage(e.target.value);
-    if (e.target.value.trim()) {
-      handleTypingStart();
-    } else {
-      handleTypingStop();
+  // Show the chat the route names; history is only fetched the first time,
+  // live messages keep it current after that
+  const showConversation = (chat) => {
+    composer.reset();
+    setSelectedChat(chat);
+    clearUnread(chat.id);
+    setShowSidebar(false); // Close sidebar on mobile when selecting a chat
+
+    if (!store.isLoaded(chat.id)) {
+      loadMessages(chat.id);
     }
   };
 
-  const formatTime = (dateString) => {
-    return new Date(dateString).toLocaleTimeString([], { 
-      hour: '2-digit', 
-      minute: '2-digit' 
-    });
+  const senderOf = (message) => (
+    message.sender_id === currentUser.id
+      ? currentUser
+      : users.find(user => user.id === message.sender_id)
+  );
+
+  const typingTextFor = (chat) => {
+    const typing = [...(typingByChat[chat.id] || [])];
+    if (typing.length === 0) return '';
+    if (!chat.isGroup) return t('typing.direct');
+    return formatTypingNames(typing.map(id => nameOf(id) || t('common.someone')));
   };
 
-  const formatMessageTime = (dateString) => {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffInHours = (now - date) / (1000 * 60 * 60);
-    
-    if (diffInHours < 24) {
-      return formatTime(dateString);
-    } else {
-      return date.toLocaleDateString() + ' ' + formatTime(dateString);
+  // Say who started typing in the open chat; a direct chat's "typing…" needs the name
+  const typingStatus = selectedChat && typingTextFor(selectedChat)
+    ? (selectedChat.isGroup ? typingTextFor(selectedChat) : t('typing.one', { name: chatName(selectedChat) }))
+    : '';
+
+  useEffect(() => {
+    if (typingStatus) announce(typingStatus);
+  }, [typingStatus]);
+
+  // Queue a message for a chat; it shows straight away and is delivered once connected
+  const queueMessage = (chat, options) => {
+    store.send(chat, { ...options, encrypted: encryptedChats.has(chat.id) });
+  };
+
+  const saveEdit = async (message, content) => {
+    try {
+      await store.editMessage(message, content);
+    } catch (error) {
+      reportError(t('message.editFailed', { error: error.message }));
+    }
+  };
+
+  const composer = useComposer(client, currentUser?.id, {
+    inputRef: messageInputRef,
+    onSend: queueMessage,
+    onEdit: saveEdit
+  });
+
+  const deleteMessage = async (message, forEveryone) => {
+    if (forEveryone && !window.confirm(t('message.confirmDelete'))) return;
+    composer.forget(message);
+
+    try {
+      await store.deleteMessage(message, forEveryone);
+    } catch (error) {
+      reportError(t('message.deleteFailed', { error: error.message }));
+    }
+  };
+
+  const reactToMessage = async (message, emoji) => {
+    addRecentEmoji(emoji);
+    try {
+      await store.react(message, emoji);
+    } catch (error) {
+      reportError(t('message.reactFailed', { error: error.message }));
     }
   };
 
-  const getConnectionStatusColor = () => {
-    switch (connectionStatus) {
-      case 'connected': return '#00b300';
-      case 'connecting': return '#ffa500';
-      case 'error': return '#ff4444';
-      default: return '#65676b';
+  // Scroll to a quoted message or a search result
+  const { highlightedKey, jumpTo } = useMessageJump(selectedChat, {
+    messages,
+    historyMeta,
+    routeChatId,
+    listRef: messageListRef,
+    getKey: getMessageKey,
+    loadOlder: loadOlderMessages,
+    pageSize: JUMP_PAGE_SIZE
+  });
+
+  const openSearchResult = (result) => {
+    openConversation(result.conversationId);
+    jumpTo(result.conversationId, result.id);
+  };
+
+  const composerContext = () => {
+    const { editingMessage, replyingTo } = composer;
+    if (editingMessage) {
+      return {
+        type: 'edit',
+        title: t('composer.editing'),
+        text: quotePreview(quoteOf(editingMessage), messages),
+        onCancel: composer.cancelEdit
+      };
     }
+    if (replyingTo) {
+      return {
+        type: 'reply',
+        title: replyingTo.sender_id === currentUser.id
+          ? t('composer.replyingToSelf')
+          : t('composer.replyingTo', { name: senderOf(replyingTo)?.username || t('common.unknown') }),
+        text: quotePreview(quoteOf(replyingTo), messages),
+        onCancel: composer.cancelReply
+      };
+    }
+    return null;
   };
 
+  // Read receipts: acknowledge the open conversation while it is actually in view
+  useEffect(() => {
+    const markConversationRead = () => {
+      if (!selectedChat || !client.isConnected()) return;
+      if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+
+      const unreadIds = messages
+        .filter(m => m.sender_id !== currentUser.id && m.status !== MESSAGE_STATUS.READ)
+        .map(m => m.id);
+      if (unreadIds.length === 0) return;
+
+      markRead(selectedChat, unreadIds);
+    };
+
+    markConversationRead();
+    window.addEventListener('focus', markConversationRead);
+    document.addEventListener('visibilitychange', markConversationRead);
+    return () => {
+      window.removeEventListener('focus', markConversationRead);
+      document.removeEventListener('visibilitychange', markConversationRead);
+    };
+  }, [selectedChat, messages, connectionStatus, currentUser, client, markRead]);
+
+  // The hooks holding account data start over on their own once the user is gone
   const handleLogout = () => {
-    localStorage.removeItem('token');
+    client.disconnect();
+    calls.detachCalls();
+    logout();
+    clearOfflineData();
+    // Unsent messages stay queued under their sender until the account signs back in
+    forgetKeys();
+    clearSearchIndex();
     setCurrentUser(null);
-    setSelectedUser(null);
-    setMessages([]);
-    socketRef.current?.disconnect();
+    setSelectedChat(null);
+    setDialog(null);
+    navigate('/login', { replace: true });
+  };
+
+  const closeSidebar = () => {
+    setShowSidebar(false);
+    sidebarToggleRef.current?.focus();
   };
 
   const toggleSidebar = () => {
-    setShowSidebar(!showSidebar);
+    if (showSidebar) {
+      closeSidebar();
+      return;
+    }
+    setShowSidebar(true);
+    requestAnimationFrame(() => contactListRef.current?.focusCurrent());
   };
 
   const handleBackToContacts = () => {
-    setSelectedUser(null);
-    setMessages([]);
-    setShowSidebar(true);
+    goBack('/chat');
   };
 
-  if (!currentUser) {
+  // Signed out, or signed up and waiting on the verification email. The
+  // emailed links work either way.
+  if (!currentUser || needsVerification(currentUser)) {
+    const token = location.query.get('token');
+    let content;
+    if (!authChecked && (route.name === 'verifyEmail' || route.name === 'resetPassword')) {
+      content = null; // a stored session is still being checked; the link's session replaces it
+    } else if (route.name === 'verifyEmail') {
+      content = (
+        <VerifyEmail
+          key={token}
+          token={token}
+          user={currentUser}
+          onVerified={startSession}
+          onSignOut={handleLogout}
+          onBack={() => navigate('/login', { replace: true })}
+        />
+      );
+    } else if (route.name === 'resetPassword') {
+      content = (
+        <ResetPasswordForm
+          key={token}
+          token={token}
+          onReset={startSession}
+          onRequestLink={() => navigate('/forgot-password', { replace: true })}
+        />
+      );
+    } else if (currentUser) {
+      content = <VerifyEmail user={currentUser} onSignOut={handleLogout} />;
+    } else if (route.name === 'forgotPassword') {
+      content = <ForgotPasswordForm onBack={() => goBack('/login')} />;
+    } else {
+      content = (
+        <SignInForm
+          key={route.name}
+          isLogin={isLogin}
+          onSubmit={handleAuth}
+          onSwitch={() => navigate(`${isLogin ? '/register' : '/login'}${location.search}`)}
+          onForgotPassword={() => navigate('/forgot-password')}
+        />
+      );
+    }
     return (
-      <div className="app auth-container">
-        <div className="auth-card">
-          <div className="auth-header">
-            <h1 className="app-title">💬 VSChats</h1>
-            <p className="app-subtitle">Real-time messaging platform</p>
-          </div>
-          
-          <form onSubmit={handleAuth} className="auth-form">
-            <h2 className="auth-title">
-              {isLogin ? 'Welcome Back' : 'Create Account'}
-            </h2>
-            
-            {!isLogin && (
-              <div className="input-group">
-                <input
-                  type="text"
-                  name="username"
-                  placeholder="Username"
-                  className="form-input"
-                  required
-                />
-              </div>
-            )}
-            
-            <div className="input-group">
-              <input
-                type="email"
-                name="email"
-                placeholder="Email address"
-                className="form-input"
-                required
-              />
-            </div>
-            
-            <div className="input-group">
-              <input
-                type="password"
-                name="password"
-                placeholder="Password"
-                className="form-input"
-                required
-                minLength="6"
-              />
-            </div>
-            
-            <button 
-              type="submit" 
-              className="auth-btn"
-              disabled={loading}
-            >
-              {loading ? (
-                <div className="spinner"></div>
-              ) : (
-                isLogin ? 'Sign In' : 'Create Account'
-              )}
-            </button>
-          </form>
-          
-          <div className="auth-switch">
-            <p>
-              {isLogin ? "Don't have an account? " : "Already have an account? "}
-              <button 
-                type="button" 
-                className="switch-btn"
-                onClick={() => setIsLogin(!isLogin)}
-              >
-                {isLogin ? 'Sign Up' : 'Sign In'}
-              </button>
-            </p>
-          </div>
-        </div>
-      </div>
+      <>
+        <AuthScreen>{content}</AuthScreen>
+        <ErrorNotice />
+      </>
     );
   }
 
   return (
     <div className="app">
+      <UpdateBanner />
+      <ErrorNotice />
+      <ConnectionBanner reconnect={reconnect} onRetry={client.reconnectNow} />
       {/* Sidebar for Contacts */}
-      <div className={`sidebar ${showSidebar ? 'active' : ''}`}>
+      <nav className={`sidebar ${showSidebar ? 'active' : ''}`} aria-label={t('contacts.title')}>
         <div className="sidebar-header">
-          <div className="user-profile">
-            <div className="avatar">
-              {currentUser.username?.charAt(0).toUpperCase()}
-            </div>
-            <div className="user-info">
-              <span className="username">{currentUser.username}</span>
-              <div className="connection-status">
-                <span 
-                  className="status-dot"
-                  style={{ backgroundColor: getConnectionStatusColor() }}
-                ></span>
-                <span className="status-text">
-                  {connectionStatus.charAt(0).toUpperCase() + connectionStatus.slice(1)}
-                </span>
-              </div>
-            </div>
-          </div>
-          <button 
-            className="logout-btn"
-            onClick={handleLogout}
-            title="Logout"
-          >
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M17 7l-1.41 1.41L18.17 11H8v2h10.17l-2.58 2.58L17 17l5-5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4V5z"/>
-            </svg>
-          </button>
-        </div>
-
-        <div className="users-section">
-          <div className="section-header">
-            <h3 className="section-title">Contacts</h3>
+          <AccountSummary
+            user={currentUser}
+            connectionStatus={connectionStatus}
+            onOpenProfile={() => setDialog('profile')}
+            onSaveStatus={saveStatusMessage}
+          />
+          <div className="header-actions">
+            <button
+              className="appearance-btn"
+              onClick={() => setDialog('appearance')}
+              title={t('appearance.title')}
+              aria-label={t('appearance.title')}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d="M12 3c-4.97 0-9 4.03-9 9s4.03 9 9 9c.83 0 1.5-.67 1.5-1.5 0-.39-.15-.74-.39-1.01-.23-.26-.38-.61-.38-.99 0-.83.67-1.5 1.5-1.5H16c2.76 0 5-2.24 5-5 0-4.42-4.03-8-9-8zm-5.5 9c-.83 0-1.5-.67-1.5-1.5S5.67 9 6.5 9 8 9.67 8 10.5 7.33 12 6.5 12zm3-4C8.67 8 8 7.33 8 6.5S8.67 5 9.5 5s1.5.67 1.5 1.5S10.33 8 9.5 8zm5 0c-.83 0-1.5-.67-1.5-1.5S13.67 5 14.5 5s1.5.67 1.5 1.5S15.33 8 14.5 8zm3 4c-.83 0-1.5-.67-1.5-1.5S16.67 9 17.5 9s1.5.67 1.5 1.5-.67 1.5-1.5 1.5z"/>
+              </svg>
+            </button>
             <button 
-              className="refresh-btn"
-              onClick={loadUsers}
-              title="Refresh contacts"
+              className="logout-btn"
+              onClick={handleLogout}
+              title={t('auth.signOut')}
+              aria-label={t('auth.signOut')}
             >
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d="M17 7l-1.41 1.41L18.17 11H8v2h10.17l-2.58 2.58L17 17l5-5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4V5z"/>
               </svg>
             </button>
           </div>
-          <div className="users-list">
-            {users.map(user => (
-              <div
-                key={user.id}
-                className={`user-item ${selectedUser?.id === user.id ? 'selected' : ''}`}
-                onClick={() => loadMessages(user.id)}
-              >
-                <div className="user-avatar">
-                  {user.username?.charAt(0).toUpperCase()}
-                  {onlineUsers.has(user.id) && <span className="online-dot"></span>}
-                </div>
-                <div className="user-details">
-                  <span className="user-name">{user.username}</span>
-                  <span className="user-status">
-                    {onlineUsers.has(user.id) ? 'Online' : 'Offline'}
-                  </span>
-                </div>
-                {typingUsers.has(user.id) && (
-                  <div className="typing-indicator">
-                    <span></span>
-                    <span></span>
-                    <span></span>
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
         </div>
-      </div>
 
-      {/* Chat Area */}
-      <div className="chat-area">
-        {selectedUser ? (
-          <>
-            {/* Mobile Navigation Bar */}
-            <div className="chat-header">
+        <div className="users-section">
+          <div className="section-header">
+            <h3 className="section-title">{t('contacts.title')}</h3>
+            <div className="section-actions">
               <button 
-                className="back-btn"
-                onClick={handleBackToContacts}
-                title="Back to contacts"
+                className="refresh-btn"
+                onClick={() => setDialog('createGroup')}
+                title={t('group.new')}
+                aria-label={t('group.new')}
               >
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                  <path d="M16 11c1.66 0 2.99-1.34 2.99-3S17.66 5 16 5c-1.66 0-3 1.34-3 3s1.34 3 3 3zm-8 0c1.66 0 2.99-1.34 2.99-3S9.66 5 8 5C6.34 5 5 6.34 5 8s1.34 3 3 3zm0 2c-2.33 0-7 1.17-7 3.5V19h14v-2.5c0-2.33-4.67-3.5-7-3.5zm8 0c-.29 0-.62.02-.97.05 1.16.84 1.97 1.97 1.97 3.45V19h6v-2.5c0-2.33-4.67-3.5-7-3.5z"/>
                 </svg>
               </button>
-              
-              <div className="chat-user">
-                <div className="chat-user-avatar">
-                  {selectedUser.username?.charAt(0).toUpperCase()}
-                  {onlineUsers.has(selectedUser.id) && <span className="online-dot"></span>}
-                </div>
-                <div className="chat-user-info">
-                  <span className="chat-username">{selectedUser.username}</span>
-                  <span className="chat-status">
-                    {typingUsers.has(selectedUser.id) ? (
-                      <span className="typing-text">typing...</span>
-                    ) : (
-                      onlineUsers.has(selectedUser.id) ? 'Online' : 'Offline'
-                    )}
-                  </span>
-                </div>
-              </div>
-
               <button 
-                className="menu-btn"
-                onClick={toggleSidebar}
-                title="Menu"
+                className="refresh-btn"
+                onClick={() => { loadUsers(); loadGroups(); }}
+                title={t('contacts.refresh')}
+                aria-label={t('contacts.refresh')}
               >
-                <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M3 18h18v-2H3v2zm0-5h18v-2H3v2zm0-7v2h18V6H3z"/>
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                  <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
                 </svg>
               </button>
             </div>
+          </div>
+          <div className="search-box">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+              <path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
+            </svg>
+            <input
+              type="search"
+              className="search-input"
+              placeholder={t('search.placeholder')}
+              value={searchQuery}
+              onChange={e => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key !== 'Escape' || !searchQuery) return;
+                e.preventDefault();
+                setSearchQuery('');
+              }}
+              aria-label={t('search.placeholder')}
+            />
+          </div>
+          {searchQuery.trim() && (
+            <div className="users-list">
+              <SearchResults
+                query={searchQuery}
+                chats={chats.filter(chat => !isBlocked(contactSettings, chat.id))}
+                messageResults={searchResults}
+                searching={searching}
+                senderName={id => (id === currentUser.id ? t('common.you') : nameOf(id) || t('common.unknown'))}
+                formatTime={formatRelativeDate}
+                onOpenChat={openConversation}
+                onOpenMessage={openSearchResult}
+              />
+            </div>
+          )}
+          <ContactList
+            ref={contactListRef}
+            chats={chats}
+            conversations={conversations}
+            settings={contactSettings}
+            unreadCounts={unreadCounts}
+            presence={presence}
+            typingByChat={typingByChat}
+            now={now}
+            selectedChatId={selectedChat?.id}
+            currentUserId={currentUser.id}
+            nameOf={nameOf}
+            hidden={Boolean(searchQuery.trim())}
+            onOpen={openConversation}
+            onUpdateSetting={updateContactSetting}
+            onBlock={blockContact}
+          />
+        </div>
+      </nav>
 
-            <div className="messages-container">
-              <div className="messages">
-                {messages.length === 0 ? (
-                  <div className="empty-state">
-                    <div className="empty-illustration">
-                      <svg width="80" height="80" viewBox="0 0 24 24" fill="#0084ff">
-                        <path d="M20 2H4c-1.1 0-1.99.9-1.99 2L2 22l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 9h12v2H6V9zm8 5H6v-2h8v2zm4-6H6V6h12v2z"/>
-                      </svg>
-                    </div>
-                    <h3>No messages yet</h3>
-                    <p>Start a conversation by sending a message</p>
-                  </div>
-                ) : (
-                  messages.map((message, index) => {
-                    const isOwn = message.sender_id === currentUser.id;
-                    const showAvatar = index === 0 || 
-                      messages[index - 1]?.sender_id !== message.sender_id;
-                    
-                    return (
-                      <div
-                        key={message.id || index}
-                        className={`message ${isOwn ? 'own' : 'other'} ${showAvatar ? 'with-avatar' : ''}`}
-                      >
-                        {!isOwn && showAvatar && (
-                          <div className="message-avatar">
-                            {selectedUser.username?.charAt(0).toUpperCase()}
-                          </div>
-                        )}
-                        <div className="message-content">
-                          <div className="message-bubble">
-                            {message.content}
-                          </div>
-                          <div className="message-time">
-                            {formatMessageTime(message.created_at)}
-                          </div>
-                        </div>
-                      </div>
-                    );
-                  })
-                )}
-                <div ref={messagesEndRef} />
+      {/* Chat Area */}
+      <main
+        className={`chat-area ${dragActive ? 'drag-active' : ''}`}
+        {...dropTarget(selectedChat && !encryptedChats.has(selectedChat.id) ? selectedChat : null)}
+      >
+        {dragActive && (
+          <div className="drop-overlay">
+            <span>{t('upload.drop')}</span>
+          </div>
+        )}
+        {selectedChat ? (
+          <>
+            {/* Mobile Navigation Bar */}
+            <ChatHeader
+              chat={selectedChat}
+              contact={selectedContact}
+              presence={presence[selectedChat.id]}
+              typingText={typingTextFor(selectedChat)}
+              subtitle={selectedChat.isGroup
+                ? formatList(selectedChat.members
+                  .map(id => (id === currentUser.id ? t('common.you') : nameOf(id)))
+                  .filter(Boolean))
+                : describePresence(presence[selectedChat.id], now)}
+              canCall={Boolean(selectedContact) && canCall && !isBlocked(contactSettings, selectedContact.id)}
+              callsDisabled={callsUnavailable}
+              encrypted={encryptedChats.has(selectedChat.id)}
+              sidebarOpen={showSidebar}
+              menuButtonRef={sidebarToggleRef}
+              onBack={handleBackToContacts}
+              onOpenGroup={() => setDialog('manageGroup')}
+              onOpenProfile={() => setDialog('contactProfile')}
+              onCall={video => calls.startCall(selectedContact.id, video)}
+              onOpenEncryption={() => setDialog('encryption')}
+              onToggleSidebar={toggleSidebar}
+            />
+
+            {selectedContact && encryptedChats.has(selectedChat.id) && safetyChanged && (
+              <div className="encryption-banner" role="alert">
+                <span>{t('encryption.changedBanner', { name: selectedContact.username })}</span>
+                <button type="button" onClick={() => setDialog('encryption')}>{t('encryption.verify')}</button>
               </div>
-            </div>
+            )}
 
-            <div className="message-input-container">
-              <div className="message-input-wrapper">
-                <input
-                  ref={messageInputRef}
-                  type="text"
-                  value={newMessage}
-                  onChange={handleInputChange}
-                  onKeyPress={handleKeyPress}
-                  placeholder="Type a message..."
-                  className="message-input"
-                />
-                <button
-                  onClick={sendMessage}
-                  disabled={!newMessage.trim()}
-                  className="send-btn"
-                  title="Send message"
-                >
-                  <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
-                  </svg>
+            <Conversation
+              ref={messageListRef}
+              key={selectedChat.id}
+              chat={selectedChat}
+              messages={messages}
+              meta={historyMeta[selectedChat.id]}
+              currentUserId={currentUser.id}
+              senderOf={senderOf}
+              nameOf={nameOf}
+              now={now}
+              queued={connectionStatus !== CONNECTION_STATUS.CONNECTED}
+              highlightedKey={highlightedKey}
+              getKey={getMessageKey}
+              onLoadOlder={loadOlderMessages}
+              onReply={composer.startReply}
+              onEdit={composer.startEdit}
+              onDelete={deleteMessage}
+              onReact={reactToMessage}
+              onJump={messageId => jumpTo(selectedChat.id, messageId)}
+              onRetry={store.retry}
+              onDiscard={store.discard}
+            />
+
+            {isBlocked(contactSettings, selectedChat.id) ? (
+              <div className="blocked-banner">
+                <span>{t('contacts.blockedBanner', { name: chatName(selectedChat) })}</span>
+                <button type="button" onClick={() => updateContactSetting(selectedChat.id, 'blocked', false)}>
+                  {t('contacts.unblock')}
                 </button>
               </div>
-            </div>
+            ) : (
+              <Composer
+                value={composer.draft}
+                onChange={value => composer.changeDraft(selectedChat, value)}
+                onSend={() => composer.submit(selectedChat)}
+                inputRef={messageInputRef}
+                uploads={uploads.filter(upload => upload.conversationId === selectedChat.id)}
+                // Files would go up unencrypted, so an encrypted chat takes none
+                onAttach={encryptedChats.has(selectedChat.id) ? null : files => attachFiles(selectedChat, files)}
+                attachBlocked={t('composer.attachEncrypted')}
+                onCancelUpload={cancelUpload}
+                context={composerContext()}
+                placeholder={encryptedChats.has(selectedChat.id) ? t('composer.encryptedPlaceholder') : undefined}
+              />
+            )}
           </>
         ) : (
           <>
             {/* Mobile Navigation Bar for Contacts View */}
-            <div className="chat-header">
-              <div className="user-profile">
-                <div className="avatar">
-                  {currentUser.username?.charAt(0).toUpperCase()}
-                </div>
-                <div className="user-info">
-                  <span className="username">{currentUser.username}</span>
-                  <div className="connection-status">
-                    <span 
-                      className="status-dot"
-                      style={{ backgroundColor: getConnectionStatusColor() }}
-                    ></span>
-                    <span className="status-text">
-                      {connectionStatus.charAt(0).toUpperCase() + connectionStatus.slice(1)}
-                    </span>
-                  </div>
-                </div>
-              </div>
+            <header className="chat-header">
+              <AccountSummary
+                user={currentUser}
+                connectionStatus={connectionStatus}
+                onOpenProfile={() => setDialog('profile')}
+                onSaveStatus={saveStatusMessage}
+              />
               
               <div className="header-actions">
                 <button 
                   className="refresh-btn"
                   onClick={loadUsers}
-                  title="Refresh contacts"
+                  title={t('contacts.refresh')}
+                  aria-label={t('contacts.refresh')}
                 >
-                  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
                     <path d="M17.65 6.35C16.2 4.9 14.21 4 12 4c-4.42 0-7.99 3.58-7.99 8s3.57 8 7.99 8c3.73 0 6.84-2.55 7.73-6h-2.08c-.82 2.33-3.04 4-5.65 4-3.31 0-6-2.69-6-6s2.69-6 6-6c1.66 0 3.14.69 4.22 1.78L13 11h7V4l-2.35 2.35z"/>
                   </svg>
                 </button>
                 
+                <button
+                  className="appearance-btn"
+                  onClick={() => setDialog('appearance')}
+                  title={t('appearance.title')}
+                  aria-label={t('appearance.title')}
+                >
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                    <path d="M12 3c-4.97 0-9 4.03-9 9s4.03 9 9 9c.83 0 1.5-.67 1.5-1.5 0-.39-.15-.74-.39-1.01-.23-.26-.38-.61-.38-.99 0-.83.67-1.5 1.5-1.5H16c2.76 0 5-2.24 5-5 0-4.42-4.03-8-9-8zm-5.5 9c-.83 0-1.5-.67-1.5-1.5S5.67 9 6.5 9 8 9.67 8 10.5 7.33 12 6.5 12zm3-4C8.67 8 8 7.33 8 6.5S8.67 5 9.5 5s1.5.67 1.5 1.5S10.33 8 9.5 8zm5 0c-.83 0-1.5-.67-1.5-1.5S13.67 5 14.5 5s1.5.67 1.5 1.5S15.33 8 14.5 8zm3 4c-.83 0-1.5-.67-1.5-1.5S16.67 9 17.5 9s1.5.67 1.5 1.5-.67 1.5-1.5 1.5z"/>
+                  </svg>
+                </button>
+
                 <button 
                   className="logout-btn"
                   onClick={handleLogout}
-                  title="Logout"
+                  title={t('auth.signOut')}
+                  aria-label={t('auth.signOut')}
                 >
-                  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
                     <path d="M17 7l-1.41 1.41L18.17 11H8v2h10.17l-2.58 2.58L17 17l5-5zM4 5h8V3H4c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h8v-2H4V5z"/>
                   </svg>
                 </button>
               </div>
-            </div>
+            </header>
 
             <div className="no-chat-selected">
               <div className="welcome-illustration">
-                <svg width="150" height="150" viewBox="0 0 24 24" fill="#0084ff">
+                <svg width="150" height="150" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
                   <path d="M20 2H4c-1.1 0-1.99.9-1.99 2L2 22l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 9h12v2H6V9zm8 5H6v-2h8v2zm4-6H6V6h12v2z"/>
                 </svg>
               </div>
-              <h2>Welcome to VSChats</h2>
-              <p>Select a conversation to start messaging</p>
+              <h2>{t('chat.welcomeTitle')}</h2>
+              <p>{t('chat.welcomeText')}</p>
               <div className="connection-info">
-                <span 
-                  className="status-dot"
-                  style={{ backgroundColor: getConnectionStatusColor() }}
-                ></span>
-                Server: {connectionStatus}
+                <span className={`status-dot ${connectionStatus}`}></span>
+                {t('connection.server', { status: t(`connection.${connectionStatus}`) })}
               </div>
               
               <button 
+                ref={sidebarToggleRef}
                 className="new-chat-btn"
                 onClick={toggleSidebar}
               >
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
                   <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
                 </svg>
-                Start New Chat
+                {t('chat.start')}
               </button>
             </div>
           </>
         )}
-      </div>
+      </main>
+
+      {(dialog === 'createGroup' || (dialog === 'manageGroup' && selectedChat?.isGroup)) && (
+        <GroupDialog
+          group={dialog === 'manageGroup' ? selectedChat : null}
+          contacts={users}
+          currentUser={currentUser}
+          onCreate={handleCreateGroup}
+          onRename={handleRenameGroup}
+          onAddMember={handleAddMember}
+          onRemoveMember={handleRemoveMember}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {call.status !== CALL_STATUS.IDLE && (
+        <CallScreen
+          call={call}
+          peer={users.find(user => user.id === call.peerId)}
+          onAccept={calls.accept}
+          onReject={calls.reject}
+          onHangUp={calls.hangUp}
+          onToggleMute={calls.toggleMute}
+          onToggleCamera={calls.toggleCamera}
+        />
+      )}
+
+      {dialog === 'encryption' && selectedContact && (
+        <EncryptionDialog
+          contact={selectedContact}
+          supported={isEncryptionSupported()}
+          ready={encryptionReady}
+          enabled={encryptedChats.has(selectedChat.id)}
+          safety={safety}
+          onToggle={enabled => toggleEncryption(selectedChat.id, enabled)}
+          onVerify={verifySafetyNumber}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {dialog === 'appearance' && (
+        <AppearanceDialog
+          theme={theme}
+          onChange={updateTheme}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {dialog === 'profile' && (
+        <ProfileDialog
+          user={currentUser}
+          onUpdateName={handleUpdateName}
+          onUploadAvatar={handleUploadAvatar}
+          onRemoveAvatar={handleRemoveAvatar}
+          onChangePassword={changePassword}
+          onDeleteAccount={handleDeleteAccount}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {dialog === 'contactProfile' && selectedContact && (
+        <ProfilePanel
+          user={selectedContact}
+          presence={presence[selectedContact.id]}
+          now={now}
+          onClose={() => setDialog(null)}
+        />
+      )}
 
       {/* Overlay for mobile sidebar */}
       {showSidebar && (
         <div 
           className="sidebar-overlay"
-          onClick={() => setShowSidebar(false)}
+          onClick={closeSidebar}
         />
       )}
     </div>
   );
 };
 
-// Utility function for VAPID key conversion
-const urlBase64ToUint8Array = (base64String) => {
-  const padding = '='.repeat((4 - base64String.length % 4) % 4);
-  const base64 = (base64String + padding)
-    .replace(/\-/g, '+')
-    .replace(/_/g, '/');
-  const rawData = window.atob(base64);
-  const outputArray = new Uint8Array(rawData.length);
-  for (let i = 0; i < rawData.length; ++i) {
-    outputArray[i] = rawData.charCodeAt(i);
-  }
-  return outputArray;
-};
+const getMessageKey = (message) => message.client_id || message.id;
 
 export default App;
@@ -1,8 +1,37 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
+import { t } from './i18n';
 
-test('renders learn react link', () => {
+test('signed out, it asks to sign in', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: t('auth.welcomeBack') })).toBeInTheDocument();
+  expect(screen.getByLabelText(t('auth.email'))).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: t('auth.signIn') })).toBeEnabled();
+  expect(window.location.pathname).toBe('/login');
+});
+
+test('signing in with empty fields points at each one instead of sending', () => {
+  const fetchSpy = jest.spyOn(window, 'fetch').mockImplementation(() => new Promise(() => {}));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: t('auth.signIn') }));
+
+  const email = screen.getByLabelText(t('auth.email'));
+  expect(email).toHaveAttribute('aria-invalid', 'true');
+  expect(email).toHaveAccessibleDescription(t('auth.emailRequired'));
+  expect(email).toHaveFocus();
+  expect(screen.getByLabelText(t('auth.password'))).toHaveAccessibleDescription(t('auth.passwordRequired'));
+  expect(fetchSpy).not.toHaveBeenCalled();
+  fetchSpy.mockRestore();
+});
+
+test('signing up rates the password as it is typed', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: t('auth.signUp') }));
+  expect(window.location.pathname).toBe('/register');
+
+  const password = screen.getByLabelText(t('auth.password'));
+  fireEvent.change(password, { target: { value: 'abc' } });
+  expect(password).toHaveAccessibleDescription(t('auth.strength', { level: t('auth.strengthTooShort') }));
+  fireEvent.change(password, { target: { value: 'Correct-horse' } });
+  expect(password).toHaveAccessibleDescription(t('auth.strength', { level: t('auth.strengthGood') }));
 });
@@ -0,0 +1,97 @@
+// AppearanceDialog.js
+// Pick the theme, accent color and language. Changes apply as they're made;
+// the theme is saved for this user, the language for this device.
+import React, { useId } from 'react';
+import { THEMES, ACCENTS, DEFAULT_THEME } from './theme';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+import LanguageSelect from './LanguageSelect';
+
+const AppearanceDialog = ({ theme, onChange, onClose }) => {
+  const accent = theme.accent || ACCENTS[0].color;
+  const isCustom = !ACCENTS.some(option => option.color === accent);
+  const dialogRef = useDialog(onClose);
+  const titleId = useId();
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h3 id={titleId}>{t('appearance.title')}</h3>
+          <button type="button" className="dialog-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+        </div>
+
+        <div className="dialog-body">
+          <h4 className="dialog-section-title">{t('appearance.theme')}</h4>
+          <div className="theme-options" role="radiogroup" aria-label={t('appearance.theme')}>
+            {THEMES.map(option => (
+              <label key={option.id} className={`theme-option ${theme.theme === option.id ? 'active' : ''}`}>
+                <input
+                  type="radio"
+                  name="theme"
+                  value={option.id}
+                  checked={theme.theme === option.id}
+                  onChange={() => onChange({ theme: option.id })}
+                />
+                <span className={`theme-preview ${option.id}`} aria-hidden="true"></span>
+                <span>{t(option.labelKey)}</span>
+              </label>
+            ))}
+          </div>
+          <p className="dialog-note">{t('appearance.systemNote')}</p>
+
+          <h4 className="dialog-section-title">{t('appearance.accent')}</h4>
+          <div className="accent-options" role="radiogroup" aria-label={t('appearance.accent')}>
+            {ACCENTS.map(option => (
+              <button
+                key={option.color}
+                type="button"
+                role="radio"
+                aria-checked={accent === option.color}
+                className="accent-swatch"
+                style={{ backgroundColor: option.color }}
+                title={t(option.nameKey)}
+                aria-label={t(option.nameKey)}
+                onClick={() => onChange({ accent: option.color })}
+              />
+            ))}
+            <label
+              className={`accent-swatch custom ${isCustom ? 'active' : ''}`}
+              style={isCustom ? { backgroundColor: accent } : undefined}
+              title={t('appearance.custom')}
+            >
+              <input
+                type="color"
+                value={accent}
+                onChange={e => onChange({ accent: e.target.value })}
+                aria-label={t('appearance.customAccent')}
+              />
+            </label>
+          </div>
+          {theme.theme === 'contrast' && (
+            <p className="dialog-note">{t('appearance.contrastNote')}</p>
+          )}
+
+          <h4 className="dialog-section-title">{t('language.title')}</h4>
+          <LanguageSelect />
+
+          <div className="dialog-actions">
+            <button type="button" className="danger-btn" onClick={() => onChange(DEFAULT_THEME)}>
+              {t('appearance.reset')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AppearanceDialog;
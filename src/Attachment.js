@@ -0,0 +1,105 @@
+// Attachment.js
+// Renders a message attachment: inline thumbnails with a lightbox for images
+// and video, a download card for everything else. The url comes from another
+// client, so only http(s) ones are used; anything else shows as unavailable.
+import React, { useState } from 'react';
+import { attachmentKind, formatFileSize } from './attachments';
+import { safeHref } from './markdown';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+
+const FileIcon = () => (
+  <span className="attachment-file-icon">
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+      <path d="M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm2 16H8v-2h8v2zm0-4H8v-2h8v2zm-3-5V3.5L18.5 9H13z"/>
+    </svg>
+  </span>
+);
+
+const Lightbox = ({ attachment, url, onClose }) => {
+  const dialogRef = useDialog(onClose);
+
+  return (
+    <div
+      ref={dialogRef}
+      className="lightbox"
+      onClick={onClose}
+      role="dialog"
+      aria-modal="true"
+      aria-label={attachment.name}
+      tabIndex={-1}
+    >
+      <button type="button" className="lightbox-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+      <div className="lightbox-content" onClick={e => e.stopPropagation()}>
+        {attachmentKind(attachment.mime_type) === 'video' ? (
+          <video src={url} controls autoPlay />
+        ) : (
+          <img src={url} alt={attachment.name} />
+        )}
+        <a className="lightbox-download" href={url} download={attachment.name}>
+          {t('attachment.download')}
+        </a>
+      </div>
+    </div>
+  );
+};
+
+const Attachment = ({ attachment }) => {
+  const [open, setOpen] = useState(false);
+  const kind = attachmentKind(attachment.mime_type);
+  const url = typeof attachment.url === 'string' ? safeHref(attachment.url) : null;
+
+  if (!url) {
+    return (
+      <span className="attachment-file unavailable">
+        <FileIcon />
+        <span className="attachment-file-info">
+          <span className="attachment-file-name">{attachment.name}</span>
+          <span className="attachment-file-size">{t('attachment.unavailable')}</span>
+        </span>
+      </span>
+    );
+  }
+
+  if (kind === 'file') {
+    return (
+      <a
+        className="attachment-file"
+        href={url}
+        download={attachment.name}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        <FileIcon />
+        <span className="attachment-file-info">
+          <span className="attachment-file-name">{attachment.name}</span>
+          <span className="attachment-file-size">{formatFileSize(attachment.size)}</span>
+        </span>
+      </a>
+    );
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`attachment-media ${kind}`}
+        onClick={() => setOpen(true)}
+        title={attachment.name}
+        aria-label={attachment.name}
+      >
+        {kind === 'video' ? (
+          <>
+            <video src={url} preload="metadata" muted />
+            <span className="attachment-play" aria-hidden="true">▶</span>
+          </>
+        ) : (
+          <img src={url} alt={attachment.name} loading="lazy" />
+        )}
+      </button>
+      {open && <Lightbox attachment={attachment} url={url} onClose={() => setOpen(false)} />}
+    </>
+  );
+};
+
+export default Attachment;
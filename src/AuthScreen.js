@@ -0,0 +1,23 @@
+// AuthScreen.js
+// The card every signed-out screen shares: the app's name, the screen's form
+// or message as children, and the language picker.
+import React from 'react';
+import UpdateBanner from './UpdateBanner';
+import LanguageSelect from './LanguageSelect';
+import { t } from './i18n';
+
+const AuthScreen = ({ children }) => (
+  <div className="app auth-container">
+    <UpdateBanner />
+    <div className="auth-card">
+      <div className="auth-header">
+        <h1 className="app-title">💬 VSChats</h1>
+        <p className="app-subtitle">{t('auth.tagline')}</p>
+      </div>
+      {children}
+      <LanguageSelect className="auth-language" />
+    </div>
+  </div>
+);
+
+export default AuthScreen;
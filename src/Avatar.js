@@ -0,0 +1,24 @@
+// Avatar.js
+// Someone's picture, or the first letter of their name when they have none or
+// it fails to load. `className` sets the size and colors (user-avatar,
+// chat-user-avatar, ...); children such as the online dot go on top. Other
+// people set their own `src`, so only http(s) ones are shown.
+import React, { useState } from 'react';
+import { safeHref } from './markdown';
+
+const Avatar = ({ name, src: rawSrc, className, title, children }) => {
+  const [failed, setFailed] = useState(null); // the src that didn't load
+  const src = typeof rawSrc === 'string' ? safeHref(rawSrc) : null;
+  const showImage = Boolean(src) && failed !== src;
+
+  return (
+    <div className={`${className} ${showImage ? 'has-image' : ''}`} title={title}>
+      {showImage
+        ? <img className="avatar-image" src={src} alt="" onError={() => setFailed(src)} />
+        : name?.charAt(0).toUpperCase() || '?'}
+      {children}
+    </div>
+  );
+};
+
+export default Avatar;
@@ -0,0 +1,137 @@
+// AvatarCropper.js
+// Square crop of a picked picture: drag it (or use the arrow keys) to
+// position it and the slider to zoom. The crop goes to `onCrop` as a JPEG.
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { coverScale, clampOffset, centerOffset, zoomOffset, cropImage } from './profile';
+import { t } from './i18n';
+
+const VIEWPORT = 240; // px
+const MAX_ZOOM = 3;
+const KEY_STEP = 10; // px per arrow key press
+const ZOOM_STEP = 0.1;
+
+const AvatarCropper = ({ file, saving, onCrop, onError, onCancel }) => {
+  const [src, setSrc] = useState(null);
+  const [image, setImage] = useState(null); // natural { width, height } once loaded
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const imgRef = useRef(null);
+  const dragRef = useRef(null); // last pointer position while dragging
+  const hintId = useId();
+
+  useEffect(() => {
+    const url = URL.createObjectURL(file);
+    setSrc(url);
+    setImage(null);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  const handleLoad = (e) => {
+    const size = { width: e.target.naturalWidth, height: e.target.naturalHeight };
+    setImage(size);
+    setZoom(1);
+    setOffset(centerOffset(size, VIEWPORT, 1));
+  };
+
+  const moveBy = (dx, dy) => {
+    if (!image) return;
+    setOffset(prev => clampOffset({ x: prev.x + dx, y: prev.y + dy }, image, VIEWPORT, zoom));
+  };
+
+  const changeZoom = (next) => {
+    if (!image) return;
+    const clamped = Math.min(MAX_ZOOM, Math.max(1, next));
+    setOffset(prev => zoomOffset(prev, image, VIEWPORT, zoom, clamped));
+    setZoom(clamped);
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    moveBy(e.clientX - dragRef.current.x, e.clientY - dragRef.current.y);
+    dragRef.current = { x: e.clientX, y: e.clientY };
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleKeyDown = (e) => {
+    const moves = {
+      ArrowLeft: [-KEY_STEP, 0],
+      ArrowRight: [KEY_STEP, 0],
+      ArrowUp: [0, -KEY_STEP],
+      ArrowDown: [0, KEY_STEP]
+    };
+    if (moves[e.key]) moveBy(...moves[e.key]);
+    else if (e.key === '+' || e.key === '=') changeZoom(zoom + ZOOM_STEP);
+    else if (e.key === '-') changeZoom(zoom - ZOOM_STEP);
+    else return;
+    e.preventDefault();
+  };
+
+  const handleSave = () => {
+    cropImage(imgRef.current, { offset, zoom, viewport: VIEWPORT }).then(onCrop, onError);
+  };
+
+  const scale = image ? coverScale(image, VIEWPORT, zoom) : 1;
+
+  return (
+    <div className="avatar-cropper">
+      <div
+        className="avatar-crop-area"
+        style={{ width: VIEWPORT, height: VIEWPORT }}
+        role="group"
+        tabIndex={0}
+        aria-label={t('profile.cropArea')}
+        aria-describedby={hintId}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+      >
+        {src && (
+          <img
+            ref={imgRef}
+            src={src}
+            alt=""
+            draggable={false}
+            onLoad={handleLoad}
+            style={image ? {
+              width: image.width * scale,
+              height: image.height * scale,
+              transform: `translate(${offset.x}px, ${offset.y}px)`
+            } : { visibility: 'hidden' }}
+          />
+        )}
+      </div>
+      <p id={hintId} className="dialog-note">{t('profile.cropHint')}</p>
+      <input
+        type="range"
+        className="avatar-zoom"
+        min={1}
+        max={MAX_ZOOM}
+        step={0.01}
+        value={zoom}
+        onChange={e => changeZoom(Number(e.target.value))}
+        disabled={!image}
+        aria-label={t('profile.zoom')}
+      />
+      <div className="dialog-actions">
+        <button type="button" className="secondary-btn" onClick={onCancel} disabled={saving}>
+          {t('common.cancel')}
+        </button>
+        <button type="button" className="auth-btn" onClick={handleSave} disabled={!image || saving}>
+          {saving ? t('profile.saving') : t('profile.usePicture')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AvatarCropper;
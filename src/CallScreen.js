@@ -0,0 +1,124 @@
+// CallScreen.js
+// Full-screen call UI: the incoming-call prompt, the outgoing "calling" screen,
+// and the call itself with video, mute, camera and duration.
+import React, { useState, useEffect, useRef } from 'react';
+import { CALL_STATUS, formatCallDuration } from './calls';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+import Avatar from './Avatar';
+
+// Each has a `call.end.<reason>` message; anything else is just "Call ended"
+const END_REASONS = ['declined', 'busy', 'no-answer', 'unavailable', 'media-error', 'failed', 'missed'];
+
+// <video>/<audio> take a MediaStream through a property, not an attribute
+const MediaView = ({ stream, kind = 'video', ...props }) => {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (ref.current && ref.current.srcObject !== stream) ref.current.srcObject = stream || null;
+  }, [stream]);
+  return kind === 'audio'
+    ? <audio ref={ref} autoPlay {...props} />
+    : <video ref={ref} autoPlay playsInline {...props} />;
+};
+
+const useDuration = (connectedAt) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!connectedAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [connectedAt]);
+  return connectedAt ? (now - connectedAt) / 1000 : 0;
+};
+
+const ControlButton = ({ label, className = '', onClick, children }) => (
+  <button type="button" className={`call-control ${className}`} onClick={onClick} title={label} aria-label={label}>
+    <svg width="26" height="26" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">{children}</svg>
+  </button>
+);
+
+const HANG_UP_ICON = <path d="M12 9c-1.6 0-3.15.25-4.6.72v3.1c0 .39-.23.74-.56.9-.98.49-1.87 1.12-2.66 1.85-.18.18-.43.28-.7.28-.28 0-.53-.11-.71-.29L.29 13.08c-.18-.17-.29-.42-.29-.7 0-.28.11-.53.29-.71C3.34 8.78 7.46 7 12 7s8.66 1.78 11.71 4.67c.18.18.29.43.29.71 0 .28-.11.53-.29.71l-2.48 2.48c-.18.18-.43.29-.71.29-.27 0-.52-.11-.7-.28-.79-.74-1.69-1.36-2.67-1.85-.33-.16-.56-.5-.56-.9v-3.1C15.15 9.25 13.6 9 12 9z"/>;
+const PHONE_ICON = <path d="M6.62 10.79c1.44 2.83 3.76 5.14 6.59 6.59l2.2-2.2c.27-.27.67-.36 1.02-.24 1.12.37 2.33.57 3.57.57.55 0 1 .45 1 1V20c0 .55-.45 1-1 1-9.39 0-17-7.61-17-17 0-.55.45-1 1-1h3.5c.55 0 1 .45 1 1 0 1.25.2 2.45.57 3.57.11.35.03.74-.25 1.02l-2.2 2.2z"/>;
+const VIDEO_ICON = <path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/>;
+const VIDEO_OFF_ICON = <path d="M21 6.5l-4 4V7c0-.55-.45-1-1-1H9.82L21 17.18V6.5zM3.27 2L2 3.27 4.73 6H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.21 0 .39-.08.54-.18L19.73 21 21 19.73 3.27 2z"/>;
+const MIC_ICON = <path d="M12 14c1.66 0 2.99-1.34 2.99-3L15 5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3zm5.3-3c0 3-2.54 5.1-5.3 5.1S6.7 14 6.7 11H5c0 3.41 2.72 6.23 6 6.72V21h2v-3.28c3.28-.48 6-3.3 6-6.72h-1.7z"/>;
+const MIC_OFF_ICON = <path d="M19 11h-1.7c0 .74-.16 1.43-.43 2.05l1.23 1.23c.56-.98.9-2.09.9-3.28zm-4.02.17c0-.06.02-.11.02-.17V5c0-1.66-1.34-3-3-3S9 3.34 9 5v.18l5.98 5.99zM4.27 3L3 4.27l6.01 6.01V11c0 1.66 1.33 3 2.99 3 .22 0 .44-.03.65-.08l1.66 1.66c-.71.33-1.5.52-2.31.52-2.76 0-5.3-2.1-5.3-5.1H5c0 3.41 2.72 6.23 6 6.72V21h2v-3.28c.91-.13 1.77-.45 2.54-.9L19.73 21 21 19.73 4.27 3z"/>;
+
+const CallScreen = ({ call, peer, onAccept, onReject, onHangUp, onToggleMute, onToggleCamera }) => {
+  const duration = useDuration(call.status === CALL_STATUS.ACTIVE ? call.connectedAt : null);
+  const name = peer?.username || t('common.unknown');
+  const showVideo = call.video && call.status !== CALL_STATUS.INCOMING && call.status !== CALL_STATUS.ENDED;
+  const dialogRef = useDialog(); // a call is only left through its own buttons
+
+  let status;
+  switch (call.status) {
+    case CALL_STATUS.OUTGOING: status = t('call.calling'); break;
+    case CALL_STATUS.RINGING: status = t('call.ringing'); break;
+    case CALL_STATUS.INCOMING: status = t(call.video ? 'call.incomingVideo' : 'call.incomingVoice'); break;
+    case CALL_STATUS.CONNECTING: status = t('call.connecting'); break;
+    case CALL_STATUS.ACTIVE: status = formatCallDuration(duration); break;
+    default: status = t(END_REASONS.includes(call.endReason) ? `call.end.${call.endReason}` : 'call.ended', { name });
+  }
+
+  return (
+    <div
+      ref={dialogRef}
+      className={`call-screen ${showVideo ? 'video' : ''}`}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t(call.video ? 'call.videoWith' : 'call.voiceWith', { name })}
+      tabIndex={-1}
+    >
+      {showVideo && call.remoteStream ? (
+        <MediaView stream={call.remoteStream} className="call-remote-video" />
+      ) : (
+        // Voice calls (and video before theirs arrives) still need their audio
+        call.remoteStream && <MediaView stream={call.remoteStream} kind="audio" />
+      )}
+      {showVideo && call.localStream && !call.cameraOff && (
+        <MediaView stream={call.localStream} className="call-local-video" muted />
+      )}
+
+      <div className="call-info">
+        {!(showVideo && call.remoteStream) && (
+          <Avatar className="call-avatar" name={name} src={peer?.avatar_url} />
+        )}
+        <h2 className="call-peer-name">{name}</h2>
+        <p className="call-status" aria-live="polite">{status}</p>
+      </div>
+
+      <div className="call-controls">
+        {call.status === CALL_STATUS.INCOMING ? (
+          <>
+            <ControlButton label={t('call.decline')} className="hang-up" onClick={onReject}>{HANG_UP_ICON}</ControlButton>
+            <ControlButton label={t('call.answer')} className="answer" onClick={onAccept}>
+              {call.video ? VIDEO_ICON : PHONE_ICON}
+            </ControlButton>
+          </>
+        ) : call.status !== CALL_STATUS.ENDED && (
+          <>
+            <ControlButton
+              label={t(call.muted ? 'call.unmute' : 'call.mute')}
+              className={call.muted ? 'off' : ''}
+              onClick={onToggleMute}
+            >
+              {call.muted ? MIC_OFF_ICON : MIC_ICON}
+            </ControlButton>
+            {call.video && (
+              <ControlButton
+                label={t(call.cameraOff ? 'call.cameraOn' : 'call.cameraOff')}
+                className={call.cameraOff ? 'off' : ''}
+                onClick={onToggleCamera}
+              >
+                {call.cameraOff ? VIDEO_OFF_ICON : VIDEO_ICON}
+              </ControlButton>
+            )}
+            <ControlButton label={t('call.hangUp')} className="hang-up" onClick={onHangUp}>{HANG_UP_ICON}</ControlButton>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CallScreen;
@@ -0,0 +1,130 @@
+// ChatHeader.js
+// The bar above an open conversation: who it's with and what they're up to,
+// opening the group's or person's details, plus the call, encryption and
+// sidebar buttons.
+import React from 'react';
+import Avatar from './Avatar';
+import { chatName } from './conversations';
+import { isAvailable } from './presence';
+import { t } from './i18n';
+
+const ChatHeader = ({
+  chat,
+  contact, // the other person in a direct chat
+  presence,
+  typingText,
+  subtitle,
+  canCall,
+  callsDisabled,
+  encrypted,
+  sidebarOpen,
+  menuButtonRef,
+  onBack,
+  onOpenGroup,
+  onOpenProfile,
+  onCall,
+  onOpenEncryption,
+  onToggleSidebar
+}) => (
+  <header className="chat-header">
+    <button
+      className="back-btn"
+      onClick={onBack}
+      title={t('chat.back')}
+      aria-label={t('chat.back')}
+    >
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/>
+      </svg>
+    </button>
+
+    <div
+      className="chat-user clickable"
+      role="button"
+      tabIndex={0}
+      aria-label={chat.isGroup ? t('group.info') : t('profile.view', { name: chatName(chat) })}
+      onClick={chat.isGroup ? onOpenGroup : onOpenProfile}
+      onKeyDown={(e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        (chat.isGroup ? onOpenGroup : onOpenProfile)();
+      }}
+    >
+      <Avatar className={`chat-user-avatar ${chat.isGroup ? 'group' : ''}`} name={chatName(chat)} src={chat.avatar_url}>
+        {!chat.isGroup && isAvailable(presence) && (
+          <span className={`online-dot ${presence.status}`}></span>
+        )}
+      </Avatar>
+      <div className="chat-user-info">
+        <span className="chat-username">{chatName(chat)}</span>
+        <span className="chat-status">
+          {typingText ? (
+            <span className="typing-text">{typingText}</span>
+          ) : subtitle}
+        </span>
+        {contact?.status_message && (
+          <span className="chat-status-message">{contact.status_message}</span>
+        )}
+      </div>
+    </div>
+
+    {canCall && (
+      <>
+        <button
+          className="call-btn"
+          onClick={() => onCall(false)}
+          disabled={callsDisabled}
+          title={t('call.voice')}
+          aria-label={t('call.voice')}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M6.62 10.79c1.44 2.83 3.76 5.14 6.59 6.59l2.2-2.2c.27-.27.67-.36 1.02-.24 1.12.37 2.33.57 3.57.57.55 0 1 .45 1 1V20c0 .55-.45 1-1 1-9.39 0-17-7.61-17-17 0-.55.45-1 1-1h3.5c.55 0 1 .45 1 1 0 1.25.2 2.45.57 3.57.11.35.03.74-.25 1.02l-2.2 2.2z"/>
+          </svg>
+        </button>
+        <button
+          className="call-btn"
+          onClick={() => onCall(true)}
+          disabled={callsDisabled}
+          title={t('call.video')}
+          aria-label={t('call.video')}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/>
+          </svg>
+        </button>
+      </>
+    )}
+
+    {contact && (
+      <button
+        className={`encryption-btn ${encrypted ? 'active' : ''}`}
+        onClick={onOpenEncryption}
+        title={t(encrypted ? 'encryption.enabled' : 'encryption.title')}
+        aria-label={t('encryption.settings')}
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+          {encrypted ? (
+            <path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-6 9c-1.1 0-2-.9-2-2s.9-2 2-2 2 .9 2 2-.9 2-2 2zm3.1-9H8.9V6c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2z"/>
+          ) : (
+            <path d="M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6h1.9c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm0 12H6V10h12v10z"/>
+          )}
+        </svg>
+      </button>
+    )}
+
+    <button
+      ref={menuButtonRef}
+      className="menu-btn"
+      onClick={onToggleSidebar}
+      aria-expanded={sidebarOpen}
+      title={t('chat.menu')}
+      aria-label={t('chat.menu')}
+    >
+      <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+        <path d="M3 18h18v-2H3v2zm0-5h18v-2H3v2zm0-7v2h18V6H3z"/>
+      </svg>
+    </button>
+  </header>
+);
+
+export default ChatHeader;
@@ -0,0 +1,281 @@
+// Composer.js
+// Multi-line message composer: grows with its content, Enter sends and
+// Shift+Enter inserts a newline. The toolbar wraps the selection in Markdown.
+// Files come in through the attach button or a paste and go to `onAttach`;
+// without `onAttach` the button is disabled, with `attachBlocked` saying why.
+// `context` is the reply or edit in progress, shown above the input.
+import React, { useState, useLayoutEffect, useRef } from 'react';
+import { renderMarkdown } from './markdown';
+import { formatFileSize } from './attachments';
+import EmojiPicker from './EmojiPicker';
+import { t } from './i18n';
+
+const MAX_HEIGHT = 160;
+
+// Inline formats wrap the selection; block formats prefix every selected line
+const FORMATS = [
+  { id: 'bold', label: 'B', titleKey: 'composer.bold', wrap: ['**', '**'] },
+  { id: 'italic', label: 'I', titleKey: 'composer.italic', wrap: ['_', '_'] },
+  { id: 'code', label: '<>', titleKey: 'composer.code', wrap: ['`', '`'] },
+  { id: 'code-block', label: '{ }', titleKey: 'composer.codeBlock', wrap: ['```\n', '\n```'] },
+  { id: 'quote', label: '❝', titleKey: 'composer.quote', prefix: '> ' },
+  { id: 'list', label: '•', titleKey: 'composer.list', prefix: '- ' }
+];
+
+const Composer = ({
+  value,
+  onChange,
+  onSend,
+  inputRef,
+  uploads = [],
+  onAttach,
+  attachBlocked,
+  onCancelUpload,
+  context,
+  placeholder = t('composer.placeholder')
+}) => {
+  const [showToolbar, setShowToolbar] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  const [showEmoji, setShowEmoji] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Auto-grow up to MAX_HEIGHT, then scroll
+  useLayoutEffect(() => {
+    const textarea = inputRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${Math.min(textarea.scrollHeight, MAX_HEIGHT)}px`;
+    textarea.style.overflowY = textarea.scrollHeight > MAX_HEIGHT ? 'auto' : 'hidden';
+  }, [value, inputRef]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      onSend();
+    } else if (e.key === 'Escape' && context) {
+      e.preventDefault();
+      context.onCancel();
+    }
+  };
+
+  const handlePaste = (e) => {
+    const files = [...(e.clipboardData?.files || [])];
+    if (files.length === 0 || !onAttach) return;
+    e.preventDefault();
+    onAttach(files);
+  };
+
+  const handleFileInput = (e) => {
+    const files = [...e.target.files];
+    e.target.value = ''; // allow picking the same file again
+    if (files.length) onAttach(files);
+  };
+
+  // Insert at the caret, replacing any selection; the picker stays open for more
+  const insertEmoji = (char) => {
+    const textarea = inputRef.current;
+    const start = textarea ? textarea.selectionStart : value.length;
+    const end = textarea ? textarea.selectionEnd : value.length;
+    onChange(value.slice(0, start) + char + value.slice(end));
+    requestAnimationFrame(() => textarea?.setSelectionRange(start + char.length, start + char.length));
+  };
+
+  const applyFormat = (format) => {
+    const textarea = inputRef.current;
+    if (!textarea) return;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const selected = value.slice(start, end);
+
+    let from = start;
+    let replacement;
+    let selection;
+    if (format.wrap) {
+      const [before, after] = format.wrap;
+      replacement = `${before}${selected}${after}`;
+      selection = [start + before.length, start + before.length + selected.length];
+    } else {
+      from = value.lastIndexOf('\n', start - 1) + 1;
+      replacement = value.slice(from, end).split('\n').map(line => `${format.prefix}${line}`).join('\n');
+      selection = [from + replacement.length, from + replacement.length];
+    }
+
+    onChange(value.slice(0, from) + replacement + value.slice(end));
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(...selection);
+    });
+  };
+
+  return (
+    <div className="message-input-container">
+      {uploads.length > 0 && (
+        <ul className="upload-list">
+          {uploads.map(upload => (
+            <li key={upload.id} className={`upload-item ${upload.error ? 'error' : ''}`}>
+              <div className="upload-info">
+                <span className="upload-name">{upload.name}</span>
+                <span className="upload-detail">
+                  {upload.error || t('upload.progress', { percent: Math.round(upload.progress * 100), size: formatFileSize(upload.size) })}
+                </span>
+                {!upload.error && (
+                  <div
+                    className="upload-progress"
+                    role="progressbar"
+                    aria-label={upload.name}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round(upload.progress * 100)}
+                  >
+                    <div className="upload-progress-bar" style={{ width: `${upload.progress * 100}%` }} />
+                  </div>
+                )}
+              </div>
+              <button
+                type="button"
+                className="upload-cancel"
+                onClick={() => onCancelUpload(upload.id)}
+                title={t(upload.error ? 'upload.dismiss' : 'upload.cancel')}
+                aria-label={t(upload.error ? 'upload.dismiss' : 'upload.cancel')}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {context && (
+        <div className={`composer-context ${context.type}`}>
+          <div className="composer-context-info">
+            <span className="composer-context-title">{context.title}</span>
+            <span className="composer-context-text">{context.text}</span>
+          </div>
+          <button
+            type="button"
+            className="upload-cancel"
+            onClick={context.onCancel}
+            title={t(context.type === 'edit' ? 'composer.cancelEdit' : 'composer.cancelReply')}
+            aria-label={t(context.type === 'edit' ? 'composer.cancelEdit' : 'composer.cancelReply')}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {showPreview && value.trim() && (
+        <div className="composer-preview">
+          <span className="composer-preview-label">{t('composer.preview')}</span>
+          <div className="message-bubble markdown">{renderMarkdown(value)}</div>
+        </div>
+      )}
+
+      {showToolbar && (
+        <div className="composer-toolbar" role="toolbar" aria-label={t('composer.formatting')}>
+          {FORMATS.map(format => (
+            <button
+              key={format.id}
+              type="button"
+              className={`format-btn format-${format.id}`}
+              title={t(format.titleKey)}
+              aria-label={t(format.titleKey)}
+              onMouseDown={e => e.preventDefault()} // keep the selection
+              onClick={() => applyFormat(format)}
+            >
+              {format.label}
+            </button>
+          ))}
+          <button
+            type="button"
+            className={`format-btn preview-toggle ${showPreview ? 'active' : ''}`}
+            onClick={() => setShowPreview(!showPreview)}
+            aria-pressed={showPreview}
+          >
+            {t('composer.preview')}
+          </button>
+        </div>
+      )}
+
+      {showEmoji && (
+        <EmojiPicker
+          className="composer-emoji-picker"
+          onSelect={insertEmoji}
+          onClose={() => {
+            setShowEmoji(false);
+            inputRef.current?.focus();
+          }}
+        />
+      )}
+
+      <div className="message-input-wrapper">
+        <button
+          type="button"
+          className={`composer-btn ${showToolbar ? 'active' : ''}`}
+          onClick={() => setShowToolbar(!showToolbar)}
+          title={t('composer.formatting')}
+          aria-label={t('composer.formatting')}
+          aria-pressed={showToolbar}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M5 17v2h14v-2H5zm4.5-4.2h5l.9 2.2h2.1L12.75 4h-1.5L6.5 15h2.1l.9-2.2zM12 5.98L13.87 11h-3.74L12 5.98z"/>
+          </svg>
+        </button>
+        <button
+          type="button"
+          className="composer-btn"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={!onAttach}
+          title={onAttach ? t('composer.attach') : attachBlocked}
+          aria-label={onAttach ? t('composer.attach') : attachBlocked}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M16.5 6v11.5c0 2.21-1.79 4-4 4s-4-1.79-4-4V5c0-1.38 1.12-2.5 2.5-2.5s2.5 1.12 2.5 2.5v10.5c0 .55-.45 1-1 1s-1-.45-1-1V6H10v9.5c0 1.38 1.12 2.5 2.5 2.5s2.5-1.12 2.5-2.5V5c0-2.21-1.79-4-4-4S7 2.79 7 5v12.5c0 3.04 2.46 5.5 5.5 5.5s5.5-2.46 5.5-5.5V6h-1.5z"/>
+          </svg>
+        </button>
+        <button
+          type="button"
+          className={`composer-btn ${showEmoji ? 'active' : ''}`}
+          onMouseDown={e => e.stopPropagation()} // the picker's outside-click would reopen it
+          onClick={() => setShowEmoji(!showEmoji)}
+          title={t('composer.emoji')}
+          aria-label={t('composer.emoji')}
+          aria-pressed={showEmoji}
+        >
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm3.5-9c.83 0 1.5-.67 1.5-1.5S16.33 8 15.5 8 14 8.67 14 9.5s.67 1.5 1.5 1.5zm-7 0c.83 0 1.5-.67 1.5-1.5S9.33 8 8.5 8 7 8.67 7 9.5 7.67 11 8.5 11zm3.5 6.5c2.33 0 4.31-1.46 5.11-3.5H6.89c.8 2.04 2.78 3.5 5.11 3.5z"/>
+          </svg>
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          hidden
+          onChange={handleFileInput}
+        />
+        <textarea
+          ref={inputRef}
+          rows={1}
+          value={value}
+          onChange={e => onChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onPaste={handlePaste}
+          placeholder={placeholder}
+          aria-label={t('composer.label')}
+          className="message-input"
+        />
+        <button
+          onClick={onSend}
+          disabled={!value.trim()}
+          className="send-btn"
+          title={t(context?.type === 'edit' ? 'composer.saveEdit' : 'composer.send')}
+          aria-label={t(context?.type === 'edit' ? 'composer.saveEdit' : 'composer.send')}
+        >
+          <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M2.01 21L23 12 2.01 3 2 10l15 2-15 2z"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Composer;
@@ -0,0 +1,42 @@
+// ConnectionBanner.js
+// Shown while the chat connection is down: the countdown to the next
+// reconnect attempt and a button to try straight away.
+import React, { useState, useEffect } from 'react';
+import { t } from './i18n';
+
+const ConnectionBanner = ({ reconnect, onRetry }) => {
+  const [now, setNow] = useState(Date.now);
+  const retryAt = reconnect?.retryAt;
+
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  if (!reconnect) return null;
+
+  const seconds = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+
+  return (
+    <div className="connection-banner" role="status">
+      <span className="status-dot reconnecting" aria-hidden="true"></span>
+      <span>
+        {t('connection.lost')}{' '}
+        {/* Not read out on every tick */}
+        <span aria-live="off">
+          {seconds > 0 ? t('connection.retryIn', { count: seconds }) : t('connection.retrying')}
+        </span>
+        <span className="connection-attempt"> · {t('connection.attempt', { count: reconnect.attempt })}</span>
+      </span>
+      {seconds > 0 && (
+        <button type="button" className="connection-retry-btn" onClick={onRetry}>
+          {t('connection.retryNow')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ConnectionBanner;
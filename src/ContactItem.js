@@ -0,0 +1,132 @@
+// ContactItem.js
+// One chat in the contacts list: avatar and presence, the last message or
+// status, badges, and its options menu. The list has a roving Tab order: only
+// the current contact's row is in it, its chat button and then the options
+// button beside it (not inside), and arrow keys from either move between rows.
+import React from 'react';
+import MessageMenu from './MessageMenu';
+import Avatar from './Avatar';
+import { chatName } from './conversations';
+import { isAvailable, describePresence } from './presence';
+import { t } from './i18n';
+
+const ContactItem = ({
+  chat,
+  itemRef,
+  selected,
+  focusable, // the one contact in the Tab order
+  presence,
+  now,
+  preview, // the last message, if there is one
+  time,
+  typing,
+  pinned,
+  muted,
+  unread,
+  menuActions, // set while its options menu is open
+  pressHandlers,
+  onOpen,
+  onFocus,
+  onKeyDown,
+  onOpenMenu,
+  onToggleMenu,
+  onCloseMenu
+}) => (
+  <li
+    className={`user-item ${selected ? 'selected' : ''} ${unread ? 'unread' : ''}`}
+    onClick={onOpen}
+    onContextMenu={e => {
+      e.preventDefault();
+      onOpenMenu();
+    }}
+    {...pressHandlers}
+  >
+    <div
+      ref={itemRef}
+      role="button"
+      className="user-item-main"
+      aria-current={selected || undefined}
+      tabIndex={focusable ? 0 : -1}
+      onFocus={onFocus}
+      onKeyDown={onKeyDown}
+    >
+      <Avatar className={`user-avatar ${chat.isGroup ? 'group' : ''}`} name={chatName(chat)} src={chat.avatar_url}>
+        {!chat.isGroup && isAvailable(presence) && (
+          <span className={`online-dot ${presence.status}`}></span>
+        )}
+      </Avatar>
+      <div className="user-details">
+        <span className="user-name">{chatName(chat)}</span>
+        {preview != null ? (
+          <span className="user-preview">{preview}</span>
+        ) : (
+          <span className="user-status">
+            {chat.isGroup
+              ? t('group.members', { count: chat.members.length })
+              : describePresence(presence, now)}
+          </span>
+        )}
+        {chat.status_message && (
+          <span className="user-status-message">{chat.status_message}</span>
+        )}
+      </div>
+      {typing ? (
+        <div className="typing-indicator">
+          <span></span>
+          <span></span>
+          <span></span>
+        </div>
+      ) : (
+        <div className="user-meta">
+          {time && <span className="user-last-time">{time}</span>}
+          <span className="user-badges">
+            {pinned && (
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" role="img" aria-label={t('contacts.favoriteBadge')}>
+                <path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/>
+              </svg>
+            )}
+            {muted && (
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" role="img" aria-label={t('contacts.mutedBadge')}>
+                <path d="M20 18.69L7.84 6.14 5.27 3.49 4 4.76l2.8 2.8v.01c-.52.99-.8 2.16-.8 3.42v5l-2 2v1h13.73l2 2L21 19.72l-1-1.03zM12 22c1.11 0 2-.89 2-2h-4c0 1.11.89 2 2 2zm6-7.32V11c0-3.08-1.64-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68c-.15.03-.29.08-.42.12-.1.03-.2.07-.3.11h-.01c-.01 0-.01 0-.02.01-.23.09-.46.2-.68.31 0 0-.01 0-.01.01L18 14.68z"/>
+              </svg>
+            )}
+            {unread > 0 && (
+              <span className={`unread-badge ${muted ? 'muted' : ''}`}>{unread > 99 ? '99+' : unread}</span>
+            )}
+          </span>
+        </div>
+      )}
+    </div>
+    <div className="contact-menu-anchor" onClick={e => e.stopPropagation()}>
+      <button
+        type="button"
+        className="contact-menu-btn"
+        tabIndex={focusable ? 0 : -1}
+        onFocus={onFocus}
+        onKeyDown={e => {
+          // Enter and Space press the button itself
+          if (e.key !== 'Enter' && e.key !== ' ') onKeyDown(e);
+        }}
+        onMouseDown={e => e.stopPropagation()} // the menu's outside-click would reopen it
+        title={t('contacts.moreOptions')}
+        aria-label={t('contacts.optionsFor', { name: chatName(chat) })}
+        aria-haspopup="menu"
+        aria-expanded={Boolean(menuActions)}
+        onClick={onToggleMenu}
+      >
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+          <path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/>
+        </svg>
+      </button>
+      {menuActions && (
+        <MessageMenu
+          actions={menuActions}
+          align="end"
+          onClose={onCloseMenu}
+        />
+      )}
+    </div>
+  </li>
+);
+
+export default ContactItem;
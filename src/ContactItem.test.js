@@ -0,0 +1,83 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ContactItem from './ContactItem';
+import { t } from './i18n';
+
+const bob = { id: 2, username: 'bob' };
+const carol = { id: 3, username: 'carol' };
+
+const noop = () => {};
+
+const row = (chat, props) => (
+  <ContactItem
+    key={chat.id}
+    chat={chat}
+    itemRef={noop}
+    selected={false}
+    focusable={false}
+    presence={null}
+    now={new Date('2026-01-01T12:00:00Z')}
+    preview={null}
+    time={null}
+    typing={false}
+    pinned={false}
+    muted={false}
+    unread={0}
+    menuActions={null}
+    onOpen={noop}
+    onFocus={noop}
+    onKeyDown={noop}
+    onOpenMenu={noop}
+    onToggleMenu={noop}
+    onCloseMenu={noop}
+    {...props}
+  />
+);
+
+// Named by its avatar initial, name and status
+const chatButton = (chat) => screen.getByRole('button', { name: new RegExp(` ${chat.username} `) });
+const optionsButton = (chat) => screen.getByRole('button', { name: t('contacts.optionsFor', { name: chat.username }) });
+
+test('Tab goes through the current row, chat then options, and skips the others', () => {
+  render(
+    <>
+      <ul>
+        {row(bob, { focusable: true })}
+        {row(carol)}
+      </ul>
+      <button type="button">after</button>
+    </>
+  );
+
+  userEvent.tab();
+  expect(chatButton(bob)).toHaveFocus();
+  userEvent.tab();
+  expect(optionsButton(bob)).toHaveFocus();
+  userEvent.tab();
+  expect(screen.getByRole('button', { name: 'after' })).toHaveFocus();
+
+  userEvent.tab({ shift: true });
+  expect(optionsButton(bob)).toHaveFocus();
+});
+
+test('the options button opens the menu with Enter and passes arrow keys on to the list', () => {
+  const onFocus = jest.fn();
+  const onKeyDown = jest.fn();
+  const onToggleMenu = jest.fn();
+  render(<ul>{row(bob, { focusable: true, onFocus, onKeyDown, onToggleMenu })}</ul>);
+
+  optionsButton(bob).focus();
+  expect(onFocus).toHaveBeenCalled();
+
+  userEvent.keyboard('{Enter}');
+  expect(onToggleMenu).toHaveBeenCalledTimes(1);
+  expect(onKeyDown).not.toHaveBeenCalled();
+
+  fireEvent.keyDown(optionsButton(bob), { key: 'ArrowDown' });
+  expect(onKeyDown).toHaveBeenCalledWith(expect.objectContaining({ key: 'ArrowDown' }));
+});
+
+test('the open menu shows as expanded on its button', () => {
+  render(<ul>{row(bob, { focusable: true, menuActions: [{ id: 'mute', label: 'Mute', onSelect: noop }] })}</ul>);
+  expect(optionsButton(bob)).toHaveAttribute('aria-expanded', 'true');
+});
@@ -0,0 +1,196 @@
+// ContactList.js
+// The contacts list in the sidebar: the filters (all, unread, favorites,
+// groups, blocked) and the name filter, then one ContactItem per chat,
+// favorites first and the most recent activity after that. One contact at a
+// time is in the Tab order; arrow keys move between them. The parent can move
+// focus into the list through the ref: `focusContact(chatId)`, or
+// `focusCurrent()` for the one Tab would land on.
+import React, { useState, useCallback, useRef, forwardRef, useImperativeHandle } from 'react';
+import ContactItem from './ContactItem';
+import { CONTACT_FILTERS, isPinned, isMuted, isBlocked, filterChats, pinnedFirst } from './contacts';
+import { lastMessageOf, sortContactsByActivity } from './conversations';
+import { previewOf } from './messageActions';
+import { useLongPress } from './gestures';
+import { t, formatRelativeDate } from './i18n';
+
+const ContactList = forwardRef(({
+  chats,
+  conversations,
+  settings,
+  unreadCounts,
+  presence,
+  typingByChat,
+  now,
+  selectedChatId,
+  currentUserId,
+  nameOf, // (userId) => username
+  hidden, // kept, filters and all, while search results show instead
+  onOpen,
+  onUpdateSetting, // (chatId, list, on)
+  onBlock // (chat), once they've confirmed
+}, ref) => {
+  const [filter, setFilter] = useState('all');
+  const [query, setQuery] = useState('');
+  const [menuFor, setMenuFor] = useState(null); // chat id
+  const [activeId, setActiveId] = useState(null); // the contact Tab lands on
+  const itemsRef = useRef(new Map()); // chat id -> its button
+  const longPress = useLongPress();
+
+  const visibleChats = pinnedFirst(
+    filterChats(sortContactsByActivity(chats, conversations), filter, { settings, unreadCounts, query }),
+    settings
+  );
+
+  // The last one focused, else the open chat, else the first
+  const isListed = chatId => visibleChats.some(chat => chat.id === chatId);
+  const rovingId = [activeId, selectedChatId].find(isListed) ?? visibleChats[0]?.id;
+
+  const focusContact = useCallback((chatId) => {
+    const item = itemsRef.current.get(chatId);
+    if (!item) return;
+    setActiveId(chatId);
+    item.focus();
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    focusContact,
+    focusCurrent: () => focusContact(rovingId)
+  }), [focusContact, rovingId]);
+
+  // Arrow keys, Home and End move through the contacts, from the chat or its
+  // options button; Enter or Space opens one. The context menu key opens its
+  // options through onContextMenu.
+  const handleKeyDown = (e, index) => {
+    let next;
+    switch (e.key) {
+      case 'ArrowDown': next = visibleChats[index + 1]; break;
+      case 'ArrowUp': next = visibleChats[index - 1]; break;
+      case 'Home': next = visibleChats[0]; break;
+      case 'End': next = visibleChats[visibleChats.length - 1]; break;
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        onOpen(visibleChats[index].id);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (next) focusContact(next.id);
+  };
+
+  const block = (chat) => {
+    if (!window.confirm(t('contacts.confirmBlock', { name: chat.username }))) return;
+    onBlock(chat);
+  };
+
+  const actionsFor = (chat) => {
+    const pinned = isPinned(settings, chat.id);
+    const muted = isMuted(settings, chat.id);
+    const actions = [
+      {
+        id: 'pin',
+        label: t(pinned ? 'contacts.unfavorite' : 'contacts.favorite'),
+        onSelect: () => onUpdateSetting(chat.id, 'pinned', !pinned)
+      },
+      {
+        id: 'mute',
+        label: t(muted ? 'contacts.unmute' : 'contacts.mute'),
+        onSelect: () => onUpdateSetting(chat.id, 'muted', !muted)
+      }
+    ];
+    if (!chat.isGroup) {
+      actions.push(isBlocked(settings, chat.id)
+        ? { id: 'unblock', label: t('contacts.unblock'), onSelect: () => onUpdateSetting(chat.id, 'blocked', false) }
+        : { id: 'block', label: t('contacts.block'), danger: true, onSelect: () => block(chat) });
+    }
+    return actions;
+  };
+
+  // The last message, with who sent it where that isn't obvious
+  const previewFor = (chat, message) => {
+    const isOwn = message.sender_id === currentUserId;
+    const sender = isOwn
+      ? t('common.you')
+      : chat.isGroup && (nameOf(message.sender_id) || t('common.someone'));
+    return `${sender ? t('chat.previewSender', { name: sender }) : ''}${previewOf(message, isOwn)}`;
+  };
+
+  if (hidden) return null;
+
+  return (
+    <>
+      <div className="contact-filters" role="group" aria-label={t('contacts.show')}>
+        {CONTACT_FILTERS.map(option => (
+          <button
+            key={option}
+            type="button"
+            className={`contact-filter ${filter === option ? 'active' : ''}`}
+            aria-pressed={filter === option}
+            onClick={() => setFilter(option)}
+          >
+            {t(`contacts.filter.${option}`)}
+          </button>
+        ))}
+      </div>
+      <input
+        type="search"
+        className="contact-filter-input"
+        placeholder={t('contacts.filterByName')}
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key !== 'Escape' || !query) return;
+          e.preventDefault();
+          setQuery('');
+        }}
+        aria-label={t('contacts.filterByName')}
+      />
+      <div className="users-list">
+        {visibleChats.length === 0 ? (
+          <p className="contacts-empty">
+            {query.trim()
+              ? t('contacts.noMatch', { query: query.trim() })
+              : t(`contacts.empty.${filter}`)}
+          </p>
+        ) : (
+          <ul className="contact-list" aria-label={t('contacts.title')}>
+            {visibleChats.map((chat, index) => {
+              const lastMessage = lastMessageOf(conversations, chat.id);
+              return (
+                <ContactItem
+                  key={chat.id}
+                  chat={chat}
+                  itemRef={(node) => {
+                    if (node) itemsRef.current.set(chat.id, node);
+                    else itemsRef.current.delete(chat.id);
+                  }}
+                  selected={selectedChatId === chat.id}
+                  focusable={chat.id === rovingId}
+                  presence={presence[chat.id]}
+                  now={now}
+                  preview={lastMessage ? previewFor(chat, lastMessage) : null}
+                  time={lastMessage && formatRelativeDate(lastMessage.created_at, now)}
+                  typing={Boolean(typingByChat[chat.id]?.size)}
+                  pinned={isPinned(settings, chat.id)}
+                  muted={isMuted(settings, chat.id)}
+                  unread={unreadCounts[chat.id] || 0}
+                  menuActions={menuFor === chat.id ? actionsFor(chat) : null}
+                  pressHandlers={longPress(() => setMenuFor(chat.id))}
+                  onOpen={() => onOpen(chat.id)}
+                  onFocus={() => setActiveId(chat.id)}
+                  onKeyDown={e => handleKeyDown(e, index)}
+                  onOpenMenu={() => setMenuFor(chat.id)}
+                  onToggleMenu={() => setMenuFor(menuFor === chat.id ? null : chat.id)}
+                  onCloseMenu={() => setMenuFor(null)}
+                />
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </>
+  );
+});
+
+export default ContactList;
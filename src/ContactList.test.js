@@ -0,0 +1,102 @@
+import { createRef } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import ContactList from './ContactList';
+import { EMPTY_SETTINGS } from './contacts';
+import { t } from './i18n';
+
+const alice = { id: 2, username: 'alice' };
+const bob = { id: 3, username: 'bob' };
+const team = { id: 'group:5', name: 'Team', isGroup: true, members: [1, 2, 3] };
+
+const setup = (props = {}) => {
+  const ref = createRef();
+  const onOpen = jest.fn();
+  const onBlock = jest.fn();
+  const onUpdateSetting = jest.fn();
+  const list = (extra = {}) => (
+    <ContactList
+      ref={ref}
+      chats={[alice, bob, team]}
+      conversations={{}}
+      settings={{ ...EMPTY_SETTINGS, pinned: [3] }}
+      unreadCounts={{ 'group:5': 2 }}
+      presence={{}}
+      typingByChat={{}}
+      now={new Date('2026-01-01T12:00:00Z')}
+      selectedChatId={null}
+      currentUserId={1}
+      nameOf={id => ({ 2: 'alice', 3: 'bob' })[id]}
+      onOpen={onOpen}
+      onUpdateSetting={onUpdateSetting}
+      onBlock={onBlock}
+      {...props}
+      {...extra}
+    />
+  );
+  const { rerender } = render(list());
+  return { ref, onOpen, onBlock, onUpdateSetting, rerender: extra => rerender(list(extra)) };
+};
+
+// Named by its avatar initial, name and status
+const chatButton = name => screen.getByRole('button', { name: new RegExp(` ${name} `) });
+const listedNames = () => screen.getAllByRole('listitem').map(item => item.textContent);
+
+test('favorites come first; filters and the name box narrow the list', () => {
+  setup();
+  expect(listedNames()[0]).toMatch('bob');
+
+  fireEvent.click(screen.getByRole('button', { name: t('contacts.filter.unread') }));
+  expect(listedNames()).toEqual([expect.stringMatching('Team')]);
+
+  fireEvent.click(screen.getByRole('button', { name: t('contacts.filter.all') }));
+  fireEvent.change(screen.getByLabelText(t('contacts.filterByName')), { target: { value: 'zed' } });
+  expect(screen.getByText(t('contacts.noMatch', { query: 'zed' }))).toBeInTheDocument();
+});
+
+test('arrow keys move focus through the list and Enter opens a chat', () => {
+  const { ref, onOpen } = setup();
+  act(() => ref.current.focusCurrent());
+  expect(chatButton('bob')).toHaveFocus();
+
+  fireEvent.keyDown(chatButton('bob'), { key: 'ArrowDown' });
+  expect(chatButton('alice')).toHaveFocus();
+  fireEvent.keyDown(chatButton('alice'), { key: 'End' });
+  expect(chatButton('Team')).toHaveFocus();
+
+  fireEvent.keyDown(chatButton('Team'), { key: 'Enter' });
+  expect(onOpen).toHaveBeenCalledWith('group:5');
+});
+
+test('focus can be sent to a given contact, which Tab then lands on', () => {
+  const { ref } = setup();
+  act(() => ref.current.focusContact(2));
+  expect(chatButton('alice')).toHaveFocus();
+  expect(chatButton('alice')).toHaveAttribute('tabindex', '0');
+  expect(chatButton('bob')).toHaveAttribute('tabindex', '-1');
+});
+
+test('blocking asks first', () => {
+  const { onBlock } = setup();
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+
+  fireEvent.contextMenu(chatButton('alice'));
+  fireEvent.click(screen.getByRole('menuitem', { name: t('contacts.block') }));
+  expect(onBlock).not.toHaveBeenCalled();
+
+  fireEvent.contextMenu(chatButton('alice'));
+  fireEvent.click(screen.getByRole('menuitem', { name: t('contacts.block') }));
+  expect(onBlock).toHaveBeenCalledWith(alice);
+  confirm.mockRestore();
+});
+
+test('keep the filters while hidden behind search results', () => {
+  const { rerender } = setup();
+  fireEvent.click(screen.getByRole('button', { name: t('contacts.filter.groups') }));
+
+  rerender({ hidden: true });
+  expect(screen.queryByRole('list')).not.toBeInTheDocument();
+
+  rerender({ hidden: false });
+  expect(screen.getByRole('button', { name: t('contacts.filter.groups') })).toHaveAttribute('aria-pressed', 'true');
+  expect(listedNames()).toEqual([expect.stringMatching('Team')]);
+});
@@ -0,0 +1,144 @@
+// Conversation.js
+// The open chat's messages: an empty state until there are some, then the
+// virtualized MessageList with day separators, each message's menu and its
+// reaction picker. The ref is the MessageList's, for jumping to a message.
+import React, { useState, forwardRef } from 'react';
+import MessageItem from './MessageItem';
+import MessageList from './MessageList';
+import { chatName } from './conversations';
+import { isAcknowledged, canReply, canEdit, canDeleteForEveryone, quotePreview } from './messageActions';
+import { emojiName } from './emoji';
+import { useLongPress } from './gestures';
+import { t, formatDay, isSameDay, formatList } from './i18n';
+
+const Conversation = forwardRef(({
+  chat,
+  messages,
+  meta, // the chat's history: { loading, hasMore }
+  currentUserId,
+  senderOf, // (message) => the user who sent it
+  nameOf, // (userId) => username
+  now,
+  queued, // messages sent now wait for the connection
+  highlightedKey,
+  getKey,
+  onLoadOlder,
+  onReply,
+  onEdit,
+  onDelete, // (message, forEveryone)
+  onReact, // (message, emoji)
+  onJump, // (messageId) to a quoted message
+  onRetry,
+  onDiscard
+}, ref) => {
+  const [menuFor, setMenuFor] = useState(null); // key of the message whose menu is open
+  const [pickerFor, setPickerFor] = useState(null);
+  const longPress = useLongPress();
+
+  const nameOrYou = (userId, fallback) => (
+    userId === currentUserId ? t('common.you') : nameOf(userId) || fallback
+  );
+
+  const reactionTitle = (emoji, userIds) => {
+    const names = userIds.map(id => nameOrYou(id, t('common.someone')));
+    return t('reactions.reactedWith', { names: formatList(names), name: emojiName(emoji) });
+  };
+
+  const actionsFor = (message) => {
+    const actions = [];
+    if (canReply(message)) {
+      actions.push({ id: 'reply', label: t('message.reply'), onSelect: () => onReply(message) });
+    }
+    if (canEdit(message, currentUserId)) {
+      actions.push({ id: 'edit', label: t('message.edit'), onSelect: () => onEdit(message) });
+    }
+    if (isAcknowledged(message)) {
+      actions.push({ id: 'delete-me', label: t('message.deleteForMe'), danger: true, onSelect: () => onDelete(message, false) });
+    }
+    if (canDeleteForEveryone(message, currentUserId)) {
+      actions.push({ id: 'delete-all', label: t('message.deleteForEveryone'), danger: true, onSelect: () => onDelete(message, true) });
+    }
+    return actions;
+  };
+
+  if (messages.length === 0) {
+    return (
+      <div className="messages-container">
+        <div className="messages">
+          {meta?.loading ? (
+            <div className="history-loader">
+              <div className="spinner small"></div>
+            </div>
+          ) : (
+            <div className="empty-state">
+              <div className="empty-illustration">
+                <svg width="80" height="80" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                  <path d="M20 2H4c-1.1 0-1.99.9-1.99 2L2 22l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zM6 9h12v2H6V9zm8 5H6v-2h8v2zm4-6H6V6h12v2z"/>
+                </svg>
+              </div>
+              <h3>{t('chat.emptyTitle')}</h3>
+              <p>{t('chat.emptyText')}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <MessageList
+      ref={ref}
+      items={messages}
+      getKey={getKey}
+      hasMore={meta?.hasMore ?? false}
+      loadingOlder={meta?.loading ?? false}
+      onLoadOlder={onLoadOlder}
+      label={t('chat.messagesWith', { name: chatName(chat) })}
+      shouldFollow={message => message.sender_id === currentUserId}
+      renderItem={(message, index) => {
+        const newDay = index === 0 || !isSameDay(messages[index - 1].created_at, message.created_at);
+        const key = getKey(message);
+        const quote = message.reply_to;
+
+        return (
+          <>
+            {newDay && (
+              <div className="day-separator" role="separator">
+                <span>{formatDay(message.created_at, now)}</span>
+              </div>
+            )}
+            <MessageItem
+              message={message}
+              currentUserId={currentUserId}
+              sender={senderOf(message)}
+              showAvatar={newDay || messages[index - 1].sender_id !== message.sender_id}
+              showSender={chat.isGroup}
+              highlighted={highlightedKey === key}
+              queued={queued}
+              quoteSender={quote && nameOrYou(quote.sender_id, t('common.unknown'))}
+              quoteText={quote && quotePreview(quote, messages)}
+              actions={actionsFor(message)}
+              menuOpen={menuFor === key}
+              pickerOpen={pickerFor === key}
+              pressHandlers={longPress(() => setMenuFor(key))}
+              describeReaction={reactionTitle}
+              onToggleMenu={() => setMenuFor(menuFor === key ? null : key)}
+              onCloseMenu={() => setMenuFor(null)}
+              onOpenPicker={() => {
+                setMenuFor(null);
+                setPickerFor(key);
+              }}
+              onClosePicker={() => setPickerFor(null)}
+              onReact={emoji => onReact(message, emoji)}
+              onJumpToQuote={onJump}
+              onRetry={onRetry}
+              onDiscard={onDiscard}
+            />
+          </>
+        );
+      }}
+    />
+  );
+});
+
+export default Conversation;
@@ -0,0 +1,106 @@
+// EmojiPicker.js
+// Searchable emoji grid with the recently used emoji first. Used by the
+// composer and for reacting with something outside the quick reactions.
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  EMOJI_CATEGORIES,
+  searchEmoji,
+  emojiName,
+  getRecentEmoji,
+  addRecentEmoji
+} from './emoji';
+import { t } from './i18n';
+
+const EmojiPicker = ({ onSelect, onClose, className = '' }) => {
+  const [query, setQuery] = useState('');
+  const [recent, setRecent] = useState(getRecentEmoji);
+  const pickerRef = useRef(null);
+  const searchRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointer = (e) => {
+      if (!pickerRef.current?.contains(e.target)) onClose();
+    };
+    document.addEventListener('mousedown', handlePointer);
+    document.addEventListener('touchstart', handlePointer);
+    return () => {
+      document.removeEventListener('mousedown', handlePointer);
+      document.removeEventListener('touchstart', handlePointer);
+    };
+  }, [onClose]);
+
+  useEffect(() => {
+    searchRef.current?.focus();
+  }, []);
+
+  const pick = (char) => {
+    setRecent(addRecentEmoji(char));
+    onSelect(char);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      const [first] = searchEmoji(query);
+      if (query.trim() && first) pick(first.char);
+    }
+  };
+
+  const renderGrid = (emoji) => (
+    <div className="emoji-grid">
+      {emoji.map(({ char, name }) => (
+        <button
+          key={char}
+          type="button"
+          className="emoji-btn"
+          title={name}
+          aria-label={name}
+          onClick={() => pick(char)}
+        >
+          {char}
+        </button>
+      ))}
+    </div>
+  );
+
+  const results = query.trim() ? searchEmoji(query) : null;
+
+  return (
+    <div ref={pickerRef} className={`emoji-picker ${className}`} onKeyDown={handleKeyDown}>
+      <input
+        ref={searchRef}
+        type="search"
+        className="emoji-search"
+        placeholder={t('emoji.search')}
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        aria-label={t('emoji.search')}
+      />
+      <div className="emoji-sections">
+        {results ? (
+          results.length ? renderGrid(results) : <p className="emoji-empty">{t('emoji.noResults')}</p>
+        ) : (
+          <>
+            {recent.length > 0 && (
+              <section>
+                <h4 className="emoji-section-title">{t('emoji.recent')}</h4>
+                {renderGrid(recent.map(char => ({ char, name: emojiName(char) })))}
+              </section>
+            )}
+            {EMOJI_CATEGORIES.map(category => (
+              <section key={category.id}>
+                <h4 className="emoji-section-title">{t(category.labelKey)}</h4>
+                {renderGrid(category.emoji)}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmojiPicker;
@@ -0,0 +1,94 @@
+// EncryptionDialog.js
+// Turn end-to-end encryption on or off for a direct chat, and compare safety
+// numbers with the contact to verify it.
+import React, { useId } from 'react';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+
+const EncryptionDialog = ({
+  contact,
+  supported,
+  ready, // this device's key is published
+  enabled,
+  safety, // { number, verified } or null while it's worked out
+  onToggle,
+  onVerify,
+  onClose
+}) => {
+  const contactReady = Boolean(contact.public_keys?.length);
+  const changed = Boolean(safety?.verified && safety.verified !== safety.number);
+  const isVerified = Boolean(safety?.number && safety.verified === safety.number);
+  const dialogRef = useDialog(onClose);
+  const titleId = useId();
+
+  let unavailable = null;
+  if (!supported) unavailable = t('encryption.unsupported');
+  else if (!ready) unavailable = t('encryption.settingUp');
+  else if (!contactReady) unavailable = t('encryption.contactNotReady', { name: contact.username });
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h3 id={titleId}>{t('encryption.title')}</h3>
+          <button type="button" className="dialog-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+        </div>
+
+        <div className="dialog-body">
+          <label className="encryption-toggle">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={e => onToggle(e.target.checked)}
+              disabled={Boolean(unavailable) && !enabled}
+            />
+            <span>{t('encryption.toggle', { name: contact.username })}</span>
+          </label>
+          <p className="dialog-note">
+            {unavailable || t('encryption.about')}
+          </p>
+
+          {contactReady && supported && (
+            <>
+              <h4 className="dialog-section-title">{t('encryption.safetyNumber')}</h4>
+              {changed && (
+                <p className="encryption-warning" role="alert">
+                  {t('encryption.changed', { name: contact.username })}
+                </p>
+              )}
+              <div className="safety-number" aria-live="polite">
+                {safety?.number
+                  ? safety.number.split(' ').map((group, i) => <span key={i}>{group}</span>)
+                  : t('encryption.calculating')}
+              </div>
+              <p className="dialog-note">
+                {t('encryption.compare', { name: contact.username })}
+              </p>
+              <div className="dialog-actions">
+                {isVerified ? (
+                  <button type="button" className="danger-btn" onClick={() => onVerify(false)}>
+                    {t('encryption.clearVerification')}
+                  </button>
+                ) : (
+                  <button type="button" className="auth-btn" onClick={() => onVerify(true)} disabled={!safety?.number}>
+                    {t('encryption.markVerified')}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EncryptionDialog;
@@ -0,0 +1,32 @@
+// ErrorNotice.js
+// The latest reported error (see errors.js), until it's dismissed or a few
+// seconds have passed.
+import React, { useEffect } from 'react';
+import { useError, dismissError } from './errors';
+import { t } from './i18n';
+
+const SHOW_MS = 8000;
+
+const ErrorNotice = () => {
+  const error = useError();
+  const id = error?.id;
+
+  useEffect(() => {
+    if (id === undefined) return undefined;
+    const timer = setTimeout(() => dismissError(id), SHOW_MS);
+    return () => clearTimeout(timer);
+  }, [id]);
+
+  if (!error) return null;
+
+  return (
+    <div className="error-notice" role="alert">
+      <span>{error.message}</span>
+      <button type="button" className="error-dismiss-btn" onClick={() => dismissError(id)} title={t('common.close')} aria-label={t('common.close')}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default ErrorNotice;
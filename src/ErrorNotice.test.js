@@ -0,0 +1,46 @@
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import ErrorNotice from './ErrorNotice';
+import { reportError, dismissError } from './errors';
+import { t } from './i18n';
+
+beforeEach(() => jest.useFakeTimers());
+
+afterEach(() => {
+  act(() => dismissError());
+  jest.useRealTimers();
+});
+
+test('shows the latest error inline until it is dismissed', () => {
+  render(<ErrorNotice />);
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  act(() => reportError('Connection refused'));
+  expect(screen.getByRole('alert')).toHaveTextContent('Connection refused');
+
+  act(() => reportError('Not a member of this group'));
+  expect(screen.getByRole('alert')).toHaveTextContent('Not a member of this group');
+  expect(screen.getByRole('alert')).not.toHaveTextContent('Connection refused');
+
+  fireEvent.click(screen.getByRole('button', { name: t('common.close') }));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('goes away on its own, each error getting its full time', () => {
+  render(<ErrorNotice />);
+  act(() => reportError('first'));
+  act(() => jest.advanceTimersByTime(5000));
+  act(() => reportError('second'));
+  act(() => jest.advanceTimersByTime(5000));
+  expect(screen.getByRole('alert')).toHaveTextContent('second');
+
+  act(() => jest.advanceTimersByTime(3000));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('dismissing an older error, or reporting nothing, leaves the current one', () => {
+  render(<ErrorNotice />);
+  act(() => reportError('current'));
+  act(() => dismissError(1)); // the first error reported, long replaced
+  act(() => reportError(''));
+  expect(screen.getByRole('alert')).toHaveTextContent('current');
+});
@@ -0,0 +1,85 @@
+// ForgotPasswordForm.js
+// Asks for the email address to send a password reset link to. The answer is
+// the same whether or not the address has an account.
+import React, { useState, useRef } from 'react';
+import FormField from './FormField';
+import { requestPasswordReset, validateFields, errorsFrom } from './auth';
+import { t } from './i18n';
+
+const ForgotPasswordForm = ({ onBack }) => {
+  const [email, setEmail] = useState('');
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState(null);
+  const formRef = useRef(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateFields({ email });
+    setErrors(found);
+    if (found.email) {
+      formRef.current?.elements.email.focus();
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await requestPasswordReset(email.trim());
+      setSentTo(email.trim());
+    } catch (error) {
+      setErrors(errorsFrom(error));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (sentTo) {
+    return (
+      <div className="auth-form" role="status">
+        <h2 className="auth-title">{t('auth.checkEmail')}</h2>
+        <p className="auth-message">{t('auth.resetSent', { email: sentTo })}</p>
+        <button type="button" className="auth-btn" onClick={onBack}>
+          {t('auth.backToSignIn')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <form ref={formRef} onSubmit={handleSubmit} className="auth-form" noValidate>
+        <h2 className="auth-title">{t('auth.forgotTitle')}</h2>
+        <p className="auth-message">{t('auth.forgotHint')}</p>
+
+        <FormField
+          type="email"
+          name="email"
+          label={t('auth.email')}
+          autoComplete="email"
+          value={email}
+          error={errors.email}
+          onChange={e => {
+            setEmail(e.target.value);
+            if (errors.email) setErrors({});
+          }}
+          required
+          autoFocus
+        />
+
+        {errors.form && <p className="form-error" role="alert">{errors.form}</p>}
+
+        <button type="submit" className="auth-btn" disabled={submitting}>
+          {submitting ? <div className="spinner"></div> : t('auth.sendResetLink')}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={onBack}>
+          {t('auth.backToSignIn')}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -0,0 +1,27 @@
+// FormField.js
+// A labelled input with its validation message underneath, tied to it for
+// screen readers. Anything else that describes the field (like a password
+// strength meter) goes in as children, with its id in `describedBy`.
+import React, { useId } from 'react';
+
+const FormField = ({ label, error, describedBy, children, ...inputProps }) => {
+  const errorId = useId();
+  const describedIds = [error && errorId, describedBy].filter(Boolean).join(' ');
+
+  return (
+    <div className="input-group">
+      <input
+        className="form-input"
+        placeholder={label}
+        aria-label={label}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={describedIds || undefined}
+        {...inputProps}
+      />
+      {error && <p id={errorId} className="field-error">{error}</p>}
+      {children}
+    </div>
+  );
+};
+
+export default FormField;
@@ -0,0 +1,179 @@
+// GroupDialog.js
+// Create a group from contacts, or rename one and manage its members.
+import React, { useState, useId } from 'react';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+import Avatar from './Avatar';
+
+const GroupDialog = ({
+  group,
+  contacts,
+  currentUser,
+  onCreate,
+  onRename,
+  onAddMember,
+  onRemoveMember,
+  onClose
+}) => {
+  const isNew = !group;
+  const [name, setName] = useState(group?.name || '');
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [saving, setSaving] = useState(false);
+
+  const memberIds = group?.members || [];
+  const members = memberIds.map(id => (
+    id === currentUser.id ? currentUser : contacts.find(contact => contact.id === id)
+  )).filter(Boolean);
+  const candidates = contacts.filter(contact => !memberIds.includes(contact.id));
+  const isAdmin = !group || group.created_by === currentUser.id;
+  const dialogRef = useDialog(onClose);
+  const titleId = useId();
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    if (isNew) {
+      if (selectedIds.size === 0) return;
+      run(() => onCreate(trimmed, [...selectedIds]));
+    } else if (trimmed !== group.name) {
+      run(() => onRename(trimmed));
+    }
+  };
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h3 id={titleId}>{t(isNew ? 'group.new' : 'group.info')}</h3>
+          <button type="button" className="dialog-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="dialog-body">
+          <div className="input-group">
+            <input
+              type="text"
+              className="form-input"
+              placeholder={t('group.name')}
+              aria-label={t('group.name')}
+              data-autofocus={isAdmin || undefined}
+              value={name}
+              onChange={e => setName(e.target.value)}
+              disabled={!isAdmin}
+              maxLength={64}
+              required
+            />
+          </div>
+
+          {!isNew && (
+            <>
+              <h4 className="dialog-section-title">{t('group.members', { count: members.length })}</h4>
+              <ul className="member-list">
+                {members.map(member => (
+                  <li key={member.id} className="member-item">
+                    <Avatar className="user-avatar small" name={member.username} src={member.avatar_url} />
+                    <span className="member-name">
+                      {member.id === currentUser.id ? t('common.you') : member.username}
+                      {member.id === group.created_by && <span className="member-role"> · {t('group.admin')}</span>}
+                    </span>
+                    {isAdmin && member.id !== currentUser.id && (
+                      <button
+                        type="button"
+                        className="member-remove-btn"
+                        onClick={() => run(() => onRemoveMember(member.id))}
+                        disabled={saving}
+                      >
+                        {t('group.remove')}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {(isNew || isAdmin) && candidates.length > 0 && (
+            <>
+              <h4 className="dialog-section-title">{t(isNew ? 'group.chooseMembers' : 'group.addMembers')}</h4>
+              <ul className="member-list">
+                {candidates.map(contact => (
+                  <li key={contact.id} className="member-item">
+                    <Avatar className="user-avatar small" name={contact.username} src={contact.avatar_url} />
+                    <span className="member-name">{contact.username}</span>
+                    {isNew ? (
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.has(contact.id)}
+                        onChange={() => toggleSelected(contact.id)}
+                        aria-label={t('group.addMember', { name: contact.username })}
+                      />
+                    ) : (
+                      <button
+                        type="button"
+                        className="member-add-btn"
+                        onClick={() => run(() => onAddMember(contact.id))}
+                        disabled={saving}
+                      >
+                        {t('group.add')}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <div className="dialog-actions">
+            {!isNew && (
+              <button
+                type="button"
+                className="danger-btn"
+                onClick={() => run(() => onRemoveMember(currentUser.id))}
+                disabled={saving}
+              >
+                {t('group.leave')}
+              </button>
+            )}
+            {(isNew || isAdmin) && (
+              <button
+                type="submit"
+                className="auth-btn"
+                disabled={saving || !name.trim() || (isNew && selectedIds.size === 0)}
+              >
+                {t(isNew ? 'group.create' : 'common.save')}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default GroupDialog;
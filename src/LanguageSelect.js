@@ -0,0 +1,24 @@
+// LanguageSelect.js
+// Switch the interface language. Each language is listed in its own name so
+// it can be found whatever the current one is.
+import React from 'react';
+import { LOCALES, t, setLocale, useLocale } from './i18n';
+
+const LanguageSelect = ({ className = '' }) => {
+  const locale = useLocale();
+
+  return (
+    <select
+      className={`language-select ${className}`}
+      value={locale}
+      onChange={e => setLocale(e.target.value)}
+      aria-label={t('language.title')}
+    >
+      {LOCALES.map(option => (
+        <option key={option.id} value={option.id} lang={option.id}>{option.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSelect;
@@ -0,0 +1,218 @@
+// MessageItem.js
+// One message in a conversation: the bubble with its quote or attachment,
+// reactions, time and delivery ticks, plus its actions menu and reaction picker.
+import React from 'react';
+import MessageMenu from './MessageMenu';
+import EmojiPicker from './EmojiPicker';
+import Attachment from './Attachment';
+import Avatar from './Avatar';
+import { MESSAGE_STATUS } from './messageStatus';
+import { isDeleted, canReact } from './messageActions';
+import { describeCall } from './calls';
+import { renderMarkdown } from './markdown';
+import { t, formatTime } from './i18n';
+
+const MessageItem = ({
+  message,
+  currentUserId,
+  sender,
+  showAvatar,
+  showSender,
+  highlighted,
+  queued, // still waiting for a connection
+  quoteSender,
+  quoteText,
+  actions,
+  menuOpen,
+  pickerOpen,
+  pressHandlers,
+  describeReaction,
+  onToggleMenu,
+  onCloseMenu,
+  onOpenPicker,
+  onClosePicker,
+  onReact,
+  onJumpToQuote,
+  onRetry,
+  onDiscard
+}) => {
+  const isOwn = message.sender_id === currentUserId;
+  const deleted = isDeleted(message);
+  const quote = message.reply_to;
+
+  return (
+    <div className={`message ${isOwn ? 'own' : 'other'} ${showAvatar ? 'with-avatar' : ''} ${highlighted ? 'highlighted' : ''}`}>
+      {!isOwn && showAvatar && (
+        <Avatar className="message-avatar" title={sender?.username} name={sender?.username} src={sender?.avatar_url} />
+      )}
+      <div className="message-content">
+        {showSender && !isOwn && showAvatar && (
+          <div className="message-sender">{sender?.username || t('common.unknown')}</div>
+        )}
+        <div className="message-bubble-row">
+          {deleted ? (
+            <div className="message-bubble deleted" {...pressHandlers}>
+              {t('message.quoteDeleted')}
+            </div>
+          ) : message.call ? (
+            <div className={`message-bubble call-entry ${message.call.status}`} {...pressHandlers}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                {message.call.video ? (
+                  <path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/>
+                ) : (
+                  <path d="M6.62 10.79c1.44 2.83 3.76 5.14 6.59 6.59l2.2-2.2c.27-.27.67-.36 1.02-.24 1.12.37 2.33.57 3.57.57.55 0 1 .45 1 1V20c0 .55-.45 1-1 1-9.39 0-17-7.61-17-17 0-.55.45-1 1-1h3.5c.55 0 1 .45 1 1 0 1.25.2 2.45.57 3.57.11.35.03.74-.25 1.02l-2.2 2.2z"/>
+                )}
+              </svg>
+              {describeCall(message.call, isOwn)}
+            </div>
+          ) : message.undecryptable ? (
+            <div className="message-bubble undecryptable" {...pressHandlers}>
+              🔒 {t('message.undecryptable')}
+            </div>
+          ) : (
+            <div
+              className={`message-bubble markdown ${message.attachment ? 'has-attachment' : ''}`}
+              {...pressHandlers}
+            >
+              {quote && (
+                <button
+                  type="button"
+                  className="message-quote"
+                  onClick={() => onJumpToQuote(quote.id)}
+                >
+                  <span className="message-quote-sender">{quoteSender}</span>
+                  <span className="message-quote-text">{quoteText}</span>
+                </button>
+              )}
+              {message.attachment && <Attachment attachment={message.attachment} />}
+              {message.content && renderMarkdown(message.content)}
+            </div>
+          )}
+          {actions.length > 0 && (
+            <button
+              type="button"
+              className="message-menu-btn"
+              onMouseDown={e => e.stopPropagation()} // the menu's outside-click would reopen it
+              onClick={onToggleMenu}
+              title={t('message.actions')}
+              aria-label={t('message.actions')}
+              aria-haspopup="menu"
+              aria-expanded={menuOpen}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d="M12 8c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/>
+              </svg>
+            </button>
+          )}
+          {menuOpen && actions.length > 0 && (
+            <MessageMenu
+              actions={actions}
+              align={isOwn ? 'end' : 'start'}
+              onReact={canReact(message) ? onReact : undefined}
+              onMoreReactions={onOpenPicker}
+              onClose={onCloseMenu}
+            />
+          )}
+          {pickerOpen && (
+            <EmojiPicker
+              className={`reaction-picker ${isOwn ? 'end' : 'start'}`}
+              onSelect={emoji => {
+                onClosePicker();
+                onReact(emoji);
+              }}
+              onClose={onClosePicker}
+            />
+          )}
+        </div>
+        {!deleted && message.reactions && Object.keys(message.reactions).length > 0 && (
+          <div className="message-reactions">
+            {Object.entries(message.reactions).map(([emoji, userIds]) => (
+              <button
+                key={emoji}
+                type="button"
+                className={`reaction-chip ${userIds.includes(currentUserId) ? 'mine' : ''}`}
+                onClick={() => onReact(emoji)}
+                title={describeReaction(emoji, userIds)}
+                aria-label={describeReaction(emoji, userIds)}
+                aria-pressed={userIds.includes(currentUserId)}
+              >
+                <span className="reaction-emoji">{emoji}</span>
+                <span className="reaction-count">{userIds.length}</span>
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="message-time">
+          {formatTime(message.created_at)}
+          {message.edited_at && !deleted && <span className="message-edited"> · {t('message.edited')}</span>}
+          {/* A file is never encrypted, whatever its caption */}
+          {message.encrypted && !message.attachment && !deleted && (
+            <span className="message-encrypted" role="img" title={t('encryption.enabled')} aria-label={t('encryption.enabled')}> · 🔒</span>
+          )}
+          {message.status === MESSAGE_STATUS.SENDING && queued && (
+            <span className="message-status"> · {t('message.queued')}</span>
+          )}
+          {isOwn && <MessageTicks status={message.status} />}
+        </div>
+        {message.status === MESSAGE_STATUS.FAILED && (
+          <div className="message-failed">
+            <span>{t('message.notSent')}</span>
+            <button
+              type="button"
+              className="message-action-btn"
+              onClick={() => onRetry(message.client_id)}
+            >
+              {t('message.retry')}
+            </button>
+            <button
+              type="button"
+              className="message-action-btn"
+              onClick={() => onDiscard(message.client_id)}
+            >
+              {t('message.discard')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Delivery state shown next to the time of our own messages
+const MessageTicks = ({ status }) => {
+  switch (status) {
+    case MESSAGE_STATUS.SENDING:
+      return (
+        <svg className="message-ticks" width="14" height="14" viewBox="0 0 24 24" fill="currentColor" role="img" aria-label={t('delivery.sending')}>
+          <path d="M12 2C6.5 2 2 6.5 2 12s4.5 10 10 10 10-4.5 10-10S17.5 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z"/>
+        </svg>
+      );
+    case MESSAGE_STATUS.SENT:
+      return (
+        <svg className="message-ticks" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" role="img" aria-label={t('delivery.sent')}>
+          <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
+        </svg>
+      );
+    case MESSAGE_STATUS.DELIVERED:
+    case MESSAGE_STATUS.READ:
+      return (
+        <svg
+          className={`message-ticks ${status === MESSAGE_STATUS.READ ? 'read' : ''}`}
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="currentColor"
+          role="img"
+          aria-label={t(status === MESSAGE_STATUS.READ ? 'delivery.read' : 'delivery.delivered')}
+        >
+          <path d="M18 7l-1.41-1.41-6.34 6.34 1.41 1.41L18 7zm4.24-1.41L11.66 16.17 7.48 12l-1.41 1.41L11.66 19l12-12-1.42-1.41zM.41 13.41L6 19l1.41-1.41L1.83 12 .41 13.41z"/>
+        </svg>
+      );
+    case MESSAGE_STATUS.FAILED:
+      return <span className="message-ticks failed" role="img" aria-label={t('delivery.failed')}>!</span>;
+    default:
+      return null;
+  }
+};
+
+export default MessageItem;
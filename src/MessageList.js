@@ -0,0 +1,197 @@
+// MessageList.js
+// Virtualized, bottom-anchored message list. Only rows near the viewport are
+// mounted; heights are measured as rows render and estimated until then.
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useMemo,
+  forwardRef,
+  useImperativeHandle
+} from 'react';
+
+const ESTIMATED_ROW_HEIGHT = 64;
+const OVERSCAN_PX = 800;
+const AT_BOTTOM_THRESHOLD = 80;
+const LOAD_OLDER_THRESHOLD = 200;
+
+// Index of the first row whose bottom edge is below `y`
+const findRowAt = (offsets, heights, y) => {
+  let low = 0;
+  let high = heights.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid] + heights[mid] <= y) low = mid + 1;
+    else high = mid;
+  }
+  return Math.max(0, low);
+};
+
+const MessageList = forwardRef(({
+  items,
+  getKey,
+  renderItem,
+  hasMore,
+  loadingOlder,
+  onLoadOlder,
+  shouldFollow,
+  label
+}, ref) => {
+  const containerRef = useRef(null);
+  const topSpacerRef = useRef(null);
+  const atBottomRef = useRef(true);
+  const prevFirstKeyRef = useRef(null);
+  const prevLastKeyRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [rowHeights, setRowHeights] = useState(() => new Map()); // row key -> measured height
+
+  const layout = useMemo(() => {
+    const heights = items.map(item => rowHeights.get(String(getKey(item))) ?? ESTIMATED_ROW_HEIGHT);
+    const offsets = new Array(heights.length);
+    let total = 0;
+    heights.forEach((height, i) => {
+      offsets[i] = total;
+      total += height;
+    });
+    return { heights, offsets, total };
+  }, [items, getKey, rowHeights]);
+
+  const start = items.length ? findRowAt(layout.offsets, layout.heights, scrollTop - OVERSCAN_PX) : 0;
+  const end = items.length
+    ? findRowAt(layout.offsets, layout.heights, scrollTop + viewportHeight + OVERSCAN_PX) + 1
+    : 0;
+  const topSpacer = items.length ? layout.offsets[start] : 0;
+  const bottomSpacer = items.length ? layout.total - (layout.offsets[end - 1] + layout.heights[end - 1]) : 0;
+
+  // Track the viewport size
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Measure mounted rows whenever they render; keep the view steady when rows
+  // above it change size. It only sets state when a height actually changed.
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    let measured = null;
+    let shiftAbove = 0;
+    const viewportTop = container.getBoundingClientRect().top;
+    container.querySelectorAll('[data-row-key]').forEach(row => {
+      const key = row.dataset.rowKey;
+      const height = row.offsetHeight;
+      const previous = rowHeights.get(key) ?? ESTIMATED_ROW_HEIGHT;
+      if (height && height !== previous) {
+        measured = measured || new Map(rowHeights);
+        measured.set(key, height);
+        if (row.getBoundingClientRect().bottom <= viewportTop) shiftAbove += height - previous;
+      }
+    });
+    if (measured) {
+      if (shiftAbove && !atBottomRef.current) container.scrollTop += shiftAbove;
+      setRowHeights(measured);
+    }
+  }, [items, start, end, renderItem, rowHeights]);
+
+  // Anchor on prepends; follow the bottom only if we're already there (or it's our own send)
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container || items.length === 0) return;
+    const firstKey = getKey(items[0]);
+    const lastItem = items[items.length - 1];
+    const lastKey = getKey(lastItem);
+
+    if (prevFirstKeyRef.current != null && firstKey !== prevFirstKeyRef.current) {
+      const anchorIndex = items.findIndex(item => getKey(item) === prevFirstKeyRef.current);
+      if (anchorIndex > 0) container.scrollTop += layout.offsets[anchorIndex];
+    }
+
+    const appended = prevLastKeyRef.current != null && lastKey !== prevLastKeyRef.current;
+    if (atBottomRef.current || (appended && shouldFollow?.(lastItem))) {
+      container.scrollTop = container.scrollHeight;
+      atBottomRef.current = true;
+    }
+
+    prevFirstKeyRef.current = firstKey;
+    prevLastKeyRef.current = lastKey;
+    if (container.scrollTop !== scrollTop) setScrollTop(container.scrollTop);
+
+    // Not enough history to scroll yet: keep paging until there is
+    if (container.scrollHeight <= container.clientHeight && hasMore && !loadingOlder) {
+      onLoadOlder?.();
+    }
+  }, [items, getKey, layout, shouldFollow, scrollTop, hasMore, loadingOlder, onLoadOlder]);
+
+  // Centre a row in the viewport; it gets measured and corrected once it mounts
+  useImperativeHandle(ref, () => ({
+    scrollToKey: (key) => {
+      const container = containerRef.current;
+      const index = items.findIndex(item => String(getKey(item)) === String(key));
+      if (!container || index === -1) return false;
+      // Rows start below the history loader; the top spacer marks where they begin
+      const spacer = topSpacerRef.current;
+      const base = spacer.getBoundingClientRect().top - container.getBoundingClientRect().top +
+        container.scrollTop - topSpacer;
+      const target = base + layout.offsets[index] - (container.clientHeight - layout.heights[index]) / 2;
+      container.scrollTop = Math.max(0, target);
+      atBottomRef.current = false;
+      setScrollTop(container.scrollTop);
+      return true;
+    }
+  }), [items, getKey, layout, topSpacer]);
+
+  const handleScroll = (e) => {
+    const container = e.currentTarget;
+    atBottomRef.current =
+      container.scrollHeight - container.scrollTop - container.clientHeight < AT_BOTTOM_THRESHOLD;
+    setScrollTop(container.scrollTop);
+
+    if (container.scrollTop < LOAD_OLDER_THRESHOLD && hasMore && !loadingOlder) {
+      onLoadOlder?.();
+    }
+  };
+
+  return (
+    // Focusable so the history can be scrolled from the keyboard
+    <div
+      className="messages-container"
+      ref={containerRef}
+      onScroll={handleScroll}
+      tabIndex={0}
+      role="region"
+      aria-label={label}
+    >
+      <div className="messages virtual">
+        {(hasMore || loadingOlder) && (
+          <div className="history-loader">
+            {loadingOlder ? <div className="spinner small"></div> : null}
+          </div>
+        )}
+        <div ref={topSpacerRef} style={{ height: topSpacer }} />
+        {items.slice(start, end).map((item, i) => {
+          const index = start + i;
+          const key = String(getKey(item));
+          return (
+            <div
+              key={key}
+              data-row-key={key}
+              className={`message-row ${index === items.length - 1 ? 'latest' : ''}`}
+            >
+              {renderItem(item, index)}
+            </div>
+          );
+        })}
+        <div style={{ height: bottomSpacer }} />
+      </div>
+    </div>
+  );
+});
+
+export default MessageList;
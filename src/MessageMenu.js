@@ -0,0 +1,111 @@
+// MessageMenu.js
+// Popover of actions for one message bubble, with a row of quick reactions
+// when `onReact` is given. Closes on an outside click, Escape, or once an
+// action is picked; arrow keys move between the items, and focus goes back to
+// where it was when the menu closes.
+import React, { useEffect, useRef } from 'react';
+import { QUICK_REACTIONS, emojiName } from './emoji';
+import { t } from './i18n';
+import { focusableIn } from './a11y';
+
+const NEXT_KEYS = ['ArrowDown', 'ArrowRight'];
+const PREVIOUS_KEYS = ['ArrowUp', 'ArrowLeft'];
+
+const MessageMenu = ({ actions, align = 'start', onReact, onMoreReactions, onClose }) => {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handlePointer = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+    const handleKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      onClose();
+    };
+    document.addEventListener('mousedown', handlePointer);
+    document.addEventListener('touchstart', handlePointer);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handlePointer);
+      document.removeEventListener('touchstart', handlePointer);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [onClose]);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    menuRef.current?.querySelector('button')?.focus();
+    return () => {
+      // Only if focus was still in the menu, not moved on by the chosen action
+      if (previous?.isConnected && (document.activeElement === document.body || !document.activeElement)) {
+        previous.focus();
+      }
+    };
+  }, []);
+
+  const handleKeyDown = (e) => {
+    const items = focusableIn(menuRef.current);
+    const index = items.indexOf(document.activeElement);
+    let next;
+    if (NEXT_KEYS.includes(e.key)) next = items[(index + 1) % items.length];
+    else if (PREVIOUS_KEYS.includes(e.key)) next = items[(index - 1 + items.length) % items.length];
+    else if (e.key === 'Home') next = items[0];
+    else if (e.key === 'End') next = items[items.length - 1];
+    else if (e.key === 'Tab') onClose();
+    if (!next) return;
+    e.preventDefault();
+    next.focus();
+  };
+
+  return (
+    <div ref={menuRef} className={`message-menu ${align}`} role="menu" onKeyDown={handleKeyDown}>
+      {onReact && (
+        <div className="message-menu-reactions">
+          {QUICK_REACTIONS.map(emoji => (
+            <button
+              key={emoji}
+              type="button"
+              role="menuitem"
+              className="emoji-btn"
+              title={t('reactions.reactWith', { name: emojiName(emoji) })}
+              aria-label={t('reactions.reactWith', { name: emojiName(emoji) })}
+              onClick={() => {
+                onClose();
+                onReact(emoji);
+              }}
+            >
+              {emoji}
+            </button>
+          ))}
+          <button
+            type="button"
+            role="menuitem"
+            className="emoji-btn more"
+            title={t('reactions.more')}
+            aria-label={t('reactions.more')}
+            onClick={onMoreReactions}
+          >
+            +
+          </button>
+        </div>
+      )}
+      {actions.map(action => (
+        <button
+          key={action.id}
+          type="button"
+          role="menuitem"
+          className={`message-menu-item ${action.danger ? 'danger' : ''}`}
+          onClick={() => {
+            onClose();
+            action.onSelect();
+          }}
+        >
+          {action.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MessageMenu;
@@ -0,0 +1,27 @@
+// PasswordStrength.js
+// How hard a new password looks to guess, as a four-step bar and a word.
+// Nothing shows until something's typed.
+import React from 'react';
+import { passwordStrength } from './auth';
+import { t } from './i18n';
+
+const LEVELS = ['auth.strengthTooShort', 'auth.strengthWeak', 'auth.strengthFair', 'auth.strengthGood', 'auth.strengthStrong'];
+
+const PasswordStrength = ({ id, password }) => {
+  const score = password ? passwordStrength(password) : null;
+
+  return (
+    <div id={id} className={`password-strength${score !== null ? ` strength-${score}` : ''}`}>
+      {score !== null && (
+        <>
+          <div className="password-strength-bar" aria-hidden="true">
+            {[1, 2, 3, 4].map(step => <span key={step} className={step <= score ? 'filled' : undefined} />)}
+          </div>
+          <span className="password-strength-label">{t('auth.strength', { level: t(LEVELS[score]) })}</span>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PasswordStrength;
@@ -0,0 +1,280 @@
+// ProfileDialog.js
+// The signed-in user's account settings: picture, display name, password,
+// and deleting the account. Each section saves on its own and shows its own
+// errors; the handlers reject with the server's error when it refuses.
+import React, { useState, useRef, useId } from 'react';
+import Avatar from './Avatar';
+import AvatarCropper from './AvatarCropper';
+import PasswordStrength from './PasswordStrength';
+import { validateAvatar, MAX_USERNAME_LENGTH, MIN_PASSWORD_LENGTH } from './profile';
+import { t } from './i18n';
+import { useDialog } from './a11y';
+
+const EMPTY_PASSWORDS = { current: '', next: '', confirm: '' };
+
+// 403 is how the server says a confirming password was wrong
+const errorText = (error) => (error.status === 403 ? t('profile.wrongPassword') : error.message || t('common.failed'));
+
+const ProfileDialog = ({
+  user,
+  onUpdateName,
+  onUploadAvatar, // (blob)
+  onRemoveAvatar,
+  onChangePassword, // (current, next)
+  onDeleteAccount, // (password)
+  onClose
+}) => {
+  const [name, setName] = useState(user.username || '');
+  const [pickedFile, setPickedFile] = useState(null);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [saving, setSaving] = useState(null); // the section being saved
+  const [errors, setErrors] = useState({}); // section -> message
+  const [notice, setNotice] = useState(null); // { section, text } after a save
+  const fileInputRef = useRef(null);
+  const dialogRef = useDialog(onClose);
+  const titleId = useId();
+  const strengthId = useId();
+
+  const showError = (section, message) => setErrors(prev => ({ ...prev, [section]: message }));
+
+  const run = async (section, action, success) => {
+    setSaving(section);
+    showError(section, null);
+    setNotice(null);
+    try {
+      await action();
+      if (success) setNotice({ section, text: success });
+    } catch (error) {
+      showError(section, errorText(error));
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // picking the same file again still fires
+    if (!file) return;
+    const problem = validateAvatar(file);
+    showError('avatar', problem);
+    if (!problem) setPickedFile(file);
+  };
+
+  const saveAvatar = (blob) => run('avatar', async () => {
+    await onUploadAvatar(blob);
+    setPickedFile(null);
+  }, t('profile.avatarSaved'));
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === user.username) return;
+    run('name', () => onUpdateName(trimmed), t('profile.nameSaved'));
+  };
+
+  const setPassword = (field) => (e) => setPasswords(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    if (passwords.next.length < MIN_PASSWORD_LENGTH) {
+      showError('password', t('profile.passwordTooShort', { count: MIN_PASSWORD_LENGTH }));
+      return;
+    }
+    if (passwords.next !== passwords.confirm) {
+      showError('password', t('profile.passwordMismatch'));
+      return;
+    }
+    run('password', async () => {
+      await onChangePassword(passwords.current, passwords.next);
+      setPasswords(EMPTY_PASSWORDS);
+    }, t('profile.passwordChanged'));
+  };
+
+  const handleDeleteSubmit = (e) => {
+    e.preventDefault();
+    if (!deletePassword) return;
+    run('delete', () => onDeleteAccount(deletePassword));
+  };
+
+  const feedback = (section) => (
+    <>
+      {errors[section] && <p className="form-error" role="alert">{errors[section]}</p>}
+      {notice?.section === section && <p className="form-notice" role="status">{notice.text}</p>}
+    </>
+  );
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h3 id={titleId}>{t('profile.title')}</h3>
+          <button type="button" className="dialog-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+        </div>
+
+        <div className="dialog-body">
+          <h4 className="dialog-section-title">{t('profile.picture')}</h4>
+          {pickedFile ? (
+            <AvatarCropper
+              file={pickedFile}
+              saving={saving === 'avatar'}
+              onCrop={saveAvatar}
+              onError={error => showError('avatar', errorText(error))}
+              onCancel={() => setPickedFile(null)}
+            />
+          ) : (
+            <div className="profile-picture">
+              <Avatar className="profile-avatar" name={user.username} src={user.avatar_url} />
+              <div className="profile-picture-actions">
+                <button
+                  type="button"
+                  className="auth-btn"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={saving === 'avatar'}
+                >
+                  {t(user.avatar_url ? 'profile.changePicture' : 'profile.uploadPicture')}
+                </button>
+                {user.avatar_url && (
+                  <button
+                    type="button"
+                    className="secondary-btn"
+                    onClick={() => run('avatar', onRemoveAvatar, t('profile.avatarRemoved'))}
+                    disabled={saving === 'avatar'}
+                  >
+                    {t('profile.removePicture')}
+                  </button>
+                )}
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/png,image/jpeg,image/gif,image/webp"
+                onChange={handleFile}
+                hidden
+              />
+            </div>
+          )}
+          {feedback('avatar')}
+
+          <h4 className="dialog-section-title">{t('profile.displayName')}</h4>
+          <form className="profile-form" onSubmit={handleNameSubmit}>
+            <input
+              type="text"
+              className="form-input"
+              aria-label={t('profile.displayName')}
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={MAX_USERNAME_LENGTH}
+              autoComplete="nickname"
+              required
+            />
+            <button
+              type="submit"
+              className="auth-btn"
+              disabled={saving === 'name' || !name.trim() || name.trim() === user.username}
+            >
+              {t('common.save')}
+            </button>
+          </form>
+          {feedback('name')}
+
+          <h4 className="dialog-section-title">{t('profile.password')}</h4>
+          <form className="profile-form stacked" onSubmit={handlePasswordSubmit}>
+            {/* Lets password managers tie the new password to this account */}
+            <input type="text" autoComplete="username" value={user.email || ''} readOnly hidden />
+            <input
+              type="password"
+              className="form-input"
+              placeholder={t('profile.currentPassword')}
+              aria-label={t('profile.currentPassword')}
+              value={passwords.current}
+              onChange={setPassword('current')}
+              autoComplete="current-password"
+              required
+            />
+            <input
+              type="password"
+              className="form-input"
+              placeholder={t('profile.newPassword')}
+              aria-label={t('profile.newPassword')}
+              value={passwords.next}
+              onChange={setPassword('next')}
+              autoComplete="new-password"
+              aria-describedby={strengthId}
+              required
+            />
+            <PasswordStrength id={strengthId} password={passwords.next} />
+            <input
+              type="password"
+              className="form-input"
+              placeholder={t('profile.confirmPassword')}
+              aria-label={t('profile.confirmPassword')}
+              value={passwords.confirm}
+              onChange={setPassword('confirm')}
+              autoComplete="new-password"
+              required
+            />
+            <button type="submit" className="auth-btn" disabled={saving === 'password'}>
+              {t('profile.changePassword')}
+            </button>
+          </form>
+          {feedback('password')}
+
+          <h4 className="dialog-section-title">{t('profile.deleteAccount')}</h4>
+          {confirmingDelete ? (
+            <form className="profile-form stacked" onSubmit={handleDeleteSubmit}>
+              <p className="dialog-note">{t('profile.deleteWarning')}</p>
+              <input
+                type="password"
+                className="form-input"
+                placeholder={t('profile.currentPassword')}
+                aria-label={t('profile.currentPassword')}
+                value={deletePassword}
+                onChange={e => setDeletePassword(e.target.value)}
+                autoComplete="current-password"
+                autoFocus
+                required
+              />
+              <div className="dialog-actions">
+                <button
+                  type="button"
+                  className="secondary-btn"
+                  onClick={() => {
+                    setConfirmingDelete(false);
+                    setDeletePassword('');
+                    showError('delete', null);
+                  }}
+                  disabled={saving === 'delete'}
+                >
+                  {t('common.cancel')}
+                </button>
+                <button type="submit" className="danger-btn" disabled={saving === 'delete' || !deletePassword}>
+                  {t('profile.deleteForever')}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <p className="dialog-note">{t('profile.deleteAbout')}</p>
+              <button type="button" className="danger-btn" onClick={() => setConfirmingDelete(true)}>
+                {t('profile.deleteAccount')}
+              </button>
+            </>
+          )}
+          {feedback('delete')}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileDialog;
@@ -0,0 +1,56 @@
+// ProfilePanel.js
+// Someone else's profile, opened from the chat header: their picture, name,
+// custom status, presence and when they joined.
+import React, { useId } from 'react';
+import Avatar from './Avatar';
+import { describePresence } from './presence';
+import { t, formatDate } from './i18n';
+import { useDialog } from './a11y';
+
+const ProfilePanel = ({ user, presence, now, onClose }) => {
+  const dialogRef = useDialog(onClose);
+  const titleId = useId();
+
+  return (
+    <div className="dialog-overlay" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="dialog profile-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        tabIndex={-1}
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="dialog-header">
+          <h3>{t('profile.contactTitle')}</h3>
+          <button type="button" className="dialog-close" onClick={onClose} title={t('common.close')} aria-label={t('common.close')}>×</button>
+        </div>
+
+        <div className="dialog-body">
+          <Avatar className="profile-avatar large" name={user.username} src={user.avatar_url} />
+          <h2 id={titleId} className="profile-name">{user.username}</h2>
+          <p className="profile-presence">{describePresence(presence, now)}</p>
+          {user.status_message && <p className="profile-status">{user.status_message}</p>}
+
+          <dl className="profile-details">
+            {user.email && (
+              <>
+                <dt>{t('profile.email')}</dt>
+                <dd><a href={`mailto:${user.email}`}>{user.email}</a></dd>
+              </>
+            )}
+            {user.created_at && (
+              <>
+                <dt>{t('profile.joined')}</dt>
+                <dd>{formatDate(user.created_at, now)}</dd>
+              </>
+            )}
+          </dl>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePanel;
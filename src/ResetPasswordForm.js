@@ -0,0 +1,97 @@
+// ResetPasswordForm.js
+// Where the emailed reset link lands: choose a new password. Saving it signs
+// out every other device and signs in here (`onReset` gets the new session).
+import React, { useState, useRef, useId } from 'react';
+import FormField from './FormField';
+import PasswordStrength from './PasswordStrength';
+import { resetPassword, validateFields, errorsFrom } from './auth';
+import { t } from './i18n';
+
+const ResetPasswordForm = ({ token, onReset, onRequestLink }) => {
+  const [values, setValues] = useState({ password: '', confirm: '' });
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [linkInvalid, setLinkInvalid] = useState(!token);
+  const formRef = useRef(null);
+  const strengthId = useId();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) setErrors(prev => ({ ...prev, [name]: null }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = validateFields(values, { newPassword: true });
+    setErrors(found);
+    const first = ['password', 'confirm'].find(field => found[field]);
+    if (first) {
+      formRef.current?.elements[first].focus();
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onReset(await resetPassword(token, values.password));
+    } catch (error) {
+      // A 400 that isn't about the password is the link itself
+      if (error.status === 400 && !error.data?.field) setLinkInvalid(true);
+      else setErrors(errorsFrom(error));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (linkInvalid) {
+    return (
+      <div className="auth-form">
+        <h2 className="auth-title">{t('auth.resetTitle')}</h2>
+        <p className="form-error" role="alert">{t('auth.linkInvalid')}</p>
+        <button type="button" className="auth-btn" onClick={onRequestLink}>
+          {t('auth.requestNewLink')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} className="auth-form" noValidate>
+      <h2 className="auth-title">{t('auth.resetTitle')}</h2>
+
+      <FormField
+        type="password"
+        name="password"
+        label={t('profile.newPassword')}
+        autoComplete="new-password"
+        value={values.password}
+        error={errors.password}
+        onChange={handleChange}
+        describedBy={strengthId}
+        required
+        autoFocus
+      >
+        <PasswordStrength id={strengthId} password={values.password} />
+      </FormField>
+
+      <FormField
+        type="password"
+        name="confirm"
+        label={t('profile.confirmPassword')}
+        autoComplete="new-password"
+        value={values.confirm}
+        error={errors.confirm}
+        onChange={handleChange}
+        required
+      />
+
+      {errors.form && <p className="form-error" role="alert">{errors.form}</p>}
+
+      <button type="submit" className="auth-btn" disabled={submitting}>
+        {submitting ? <div className="spinner"></div> : t('auth.savePassword')}
+      </button>
+    </form>
+  );
+};
+
+export default ResetPasswordForm;
@@ -0,0 +1,122 @@
+// SearchResults.js
+// Sidebar results for the search box: matching contacts and groups first, then
+// message hits grouped by conversation with the matched words highlighted.
+import React from 'react';
+import Avatar from './Avatar';
+import { toPlainText } from './markdown';
+import { tokenize } from './searchIndex';
+import { chatName } from './conversations';
+import { t } from './i18n';
+
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 40;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches a query word at the start of a word in the text
+const termsPattern = (query) => {
+  const terms = tokenize(query).map(escapeRegExp);
+  return terms.length ? new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.join('|')})`, 'giu') : null;
+};
+
+export const highlight = (text, query) => {
+  const pattern = termsPattern(query);
+  if (!pattern) return text;
+  const nodes = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    if (start > last) nodes.push(text.slice(last, start));
+    nodes.push(<mark key={start}>{match[2]}</mark>);
+    last = start + match[2].length;
+  }
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+// A window of the message around its first match
+const snippetOf = (content, query) => {
+  const text = toPlainText(content);
+  if (text.length <= SNIPPET_LENGTH) return text;
+  const first = termsPattern(query)?.exec(text);
+  const start = Math.max(0, (first ? first.index + first[1].length : 0) - SNIPPET_LEAD);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+const SearchResults = ({
+  query,
+  chats,
+  messageResults,
+  searching,
+  senderName,
+  formatTime,
+  onOpenChat,
+  onOpenMessage
+}) => {
+  const terms = tokenize(query);
+  const contactMatches = chats.filter(chat => {
+    const nameTokens = tokenize(chatName(chat));
+    return terms.every(term => nameTokens.some(token => token.startsWith(term)));
+  });
+
+  // Keep the newest-first order of the hits, grouped under their conversation
+  const groups = [];
+  messageResults.forEach(result => {
+    const chat = chats.find(c => c.id === result.conversationId);
+    if (!chat) return;
+    let group = groups.find(g => g.chat.id === chat.id);
+    if (!group) {
+      group = { chat, results: [] };
+      groups.push(group);
+    }
+    group.results.push(result);
+  });
+
+  if (!searching && contactMatches.length === 0 && groups.length === 0) {
+    return <p className="search-empty">{t('search.noResults', { query: query.trim() })}</p>;
+  }
+
+  return (
+    <div className="search-results">
+      {contactMatches.length > 0 && (
+        <section>
+          <h4 className="search-section-title">{t('search.contacts')}</h4>
+          {contactMatches.map(chat => (
+            <div key={chat.id} className="user-item" onClick={() => onOpenChat(chat.id)}>
+              <Avatar className={`user-avatar ${chat.isGroup ? 'group' : ''}`} name={chatName(chat)} src={chat.avatar_url} />
+              <div className="user-details">
+                <span className="user-name">{highlight(chatName(chat), query)}</span>
+              </div>
+            </div>
+          ))}
+        </section>
+      )}
+
+      {groups.length > 0 && (
+        <section>
+          <h4 className="search-section-title">{t('search.messages')}</h4>
+          {groups.map(({ chat, results }) => (
+            <div key={chat.id} className="search-group">
+              <div className="search-group-title">{chatName(chat)}</div>
+              {results.map(result => (
+                <div key={result.key} className="search-result" onClick={() => onOpenMessage(result)}>
+                  <div className="search-result-meta">
+                    <span className="search-result-sender">{senderName(result.sender_id)}</span>
+                    <span className="search-result-time">{formatTime(result.created_at)}</span>
+                  </div>
+                  <div className="search-result-text">{highlight(snippetOf(result.content, query), query)}</div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </section>
+      )}
+
+      {searching && <div className="history-loader"><div className="spinner small"></div></div>}
+    </div>
+  );
+};
+
+export default SearchResults;
@@ -0,0 +1,150 @@
+// SignInForm.js
+// Sign in and sign up, one form switched by the route. Fields are checked as
+// they're left and again on submit, and problems show next to the field they
+// belong to. `onSubmit` rejects with the server's error when it refuses.
+import React, { useState, useRef, useId } from 'react';
+import FormField from './FormField';
+import PasswordStrength from './PasswordStrength';
+import { validateFields, errorsFrom } from './auth';
+import { MAX_USERNAME_LENGTH } from './profile';
+import { t } from './i18n';
+
+const FIELDS = ['username', 'email', 'password'];
+
+const SignInForm = ({ isLogin, onSubmit, onSwitch, onForgotPassword }) => {
+  const [values, setValues] = useState({ username: '', email: '', password: '' });
+  const [errors, setErrors] = useState({}); // field (or `form`) -> message
+  const [touched, setTouched] = useState({}); // fields checked as they're typed in, once left
+  const [submitting, setSubmitting] = useState(false);
+  const formRef = useRef(null);
+  const strengthId = useId();
+
+  const fields = isLogin ? FIELDS.slice(1) : FIELDS;
+  const check = (next) => validateFields(
+    Object.fromEntries(fields.map(field => [field, next[field]])),
+    { newPassword: !isLogin }
+  );
+
+  // Puts the cursor in the first field with a problem
+  const focusFirstError = (found) => {
+    const first = fields.find(field => found[field]);
+    if (first) formRef.current?.elements[first]?.focus();
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const next = { ...values, [name]: value };
+    setValues(next);
+    if (touched[name]) setErrors(prev => ({ ...prev, [name]: check(next)[name], form: null }));
+  };
+
+  const handleBlur = (e) => {
+    const { name } = e.target;
+    if (!values[name]) return; // tabbing through an empty field isn't a mistake yet
+    setTouched(prev => ({ ...prev, [name]: true }));
+    setErrors(prev => ({ ...prev, [name]: check(values)[name] }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const found = check(values);
+    setErrors(found);
+    setTouched(Object.fromEntries(fields.map(field => [field, true])));
+    if (Object.keys(found).length > 0) {
+      focusFirstError(found);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await onSubmit(values);
+    } catch (error) {
+      const refused = isLogin && error.status === 401 ? { form: t('auth.invalidCredentials') } : errorsFrom(error);
+      setErrors(refused);
+      focusFirstError(refused);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const fieldProps = (name) => ({
+    name,
+    value: values[name],
+    error: errors[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    required: true
+  });
+
+  return (
+    <>
+      <form ref={formRef} onSubmit={handleSubmit} className="auth-form" noValidate>
+        <h2 className="auth-title">
+          {t(isLogin ? 'auth.welcomeBack' : 'auth.createAccount')}
+        </h2>
+
+        {!isLogin && (
+          <FormField
+            {...fieldProps('username')}
+            type="text"
+            label={t('auth.username')}
+            autoComplete="username"
+            maxLength={MAX_USERNAME_LENGTH}
+          />
+        )}
+
+        <FormField
+          {...fieldProps('email')}
+          type="email"
+          label={t('auth.email')}
+          autoComplete="email"
+        />
+
+        <FormField
+          {...fieldProps('password')}
+          type="password"
+          label={t('auth.password')}
+          autoComplete={isLogin ? 'current-password' : 'new-password'}
+          describedBy={isLogin ? undefined : strengthId}
+        >
+          {!isLogin && <PasswordStrength id={strengthId} password={values.password} />}
+        </FormField>
+
+        {isLogin && (
+          <button type="button" className="switch-btn forgot-btn" onClick={onForgotPassword}>
+            {t('auth.forgotPassword')}
+          </button>
+        )}
+
+        {errors.form && <p className="form-error" role="alert">{errors.form}</p>}
+
+        <button
+          type="submit"
+          className="auth-btn"
+          disabled={submitting}
+        >
+          {submitting ? (
+            <div className="spinner"></div>
+          ) : (
+            t(isLogin ? 'auth.signIn' : 'auth.createAccount')
+          )}
+        </button>
+      </form>
+
+      <div className="auth-switch">
+        <p>
+          {t(isLogin ? 'auth.noAccount' : 'auth.haveAccount')}{' '}
+          <button
+            type="button"
+            className="switch-btn"
+            onClick={onSwitch}
+          >
+            {t(isLogin ? 'auth.signUp' : 'auth.signIn')}
+          </button>
+        </p>
+      </div>
+    </>
+  );
+};
+
+export default SignInForm;
@@ -0,0 +1,66 @@
+// StatusEditor.js
+// The current user's custom status under their name: click to edit, Enter to
+// save, Escape or clicking away to cancel. Saving an empty status clears it.
+import React, { useState } from 'react';
+import { MAX_STATUS_LENGTH } from './presence';
+import { reportError } from './errors';
+import { t } from './i18n';
+
+const StatusEditor = ({ value, onSave }) => {
+  const [draft, setDraft] = useState(null); // null while not editing
+  const [saving, setSaving] = useState(false);
+
+  const save = async (e) => {
+    e.preventDefault();
+    if (draft.trim() === value) {
+      setDraft(null);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(draft.trim());
+      setDraft(null);
+    } catch (error) {
+      reportError(error.message || t('status.saveFailed'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (draft === null) {
+    return (
+      <button
+        type="button"
+        className={`status-message-btn ${value ? '' : 'empty'}`}
+        onClick={() => setDraft(value)}
+        title={t('status.set')}
+      >
+        {value || t('status.set')}
+      </button>
+    );
+  }
+
+  return (
+    <form className="status-message-form" onSubmit={save}>
+      <input
+        type="text"
+        className="status-message-input"
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key !== 'Escape') return;
+          e.preventDefault(); // not a step back out of the chat
+          setDraft(null);
+        }}
+        onBlur={() => !saving && setDraft(null)}
+        maxLength={MAX_STATUS_LENGTH}
+        placeholder={t('status.placeholder')}
+        aria-label={t('status.label')}
+        disabled={saving}
+        autoFocus
+      />
+    </form>
+  );
+};
+
+export default StatusEditor;
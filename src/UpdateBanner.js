@@ -0,0 +1,28 @@
+// UpdateBanner.js
+// "New version available" prompt, shown while a newer service worker waits.
+import React, { useState, useEffect } from 'react';
+import { onUpdateAvailable, applyUpdate } from './serviceWorker';
+import { t } from './i18n';
+
+const UpdateBanner = () => {
+  const [registration, setRegistration] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => onUpdateAvailable(setRegistration), []);
+
+  if (!registration || dismissed) return null;
+
+  return (
+    <div className="update-banner" role="status">
+      <span>{t('update.available')}</span>
+      <button type="button" className="update-reload-btn" onClick={() => applyUpdate(registration)}>
+        {t('update.reload')}
+      </button>
+      <button type="button" className="update-dismiss-btn" onClick={() => setDismissed(true)} title={t('update.later')} aria-label={t('update.later')}>
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default UpdateBanner;
@@ -0,0 +1,71 @@
+// VerifyEmail.js
+// Email verification, two ways in. With a `token` it's the emailed link
+// landing: it verifies straight away and hands the new session to
+// `onVerified`. Without one it's what a signed-up `user` sees until they've
+// followed the link: where it went, and a way to send it again.
+import React, { useState, useEffect, useRef } from 'react';
+import { verifyEmail, resendVerification } from './auth';
+import { t } from './i18n';
+
+const VerifyEmail = ({ token, user, onVerified, onSignOut, onBack }) => {
+  const [failed, setFailed] = useState(!token && !user); // nothing to verify
+  const [resend, setResend] = useState(null); // null | 'sending' | 'sent' | 'failed'
+  const startedRef = useRef(false); // links are single-use, so only ever try once
+
+  useEffect(() => {
+    if (!token || startedRef.current) return;
+    startedRef.current = true;
+    verifyEmail(token).then(onVerified, () => setFailed(true));
+  }, [token, onVerified]);
+
+  const handleResend = async () => {
+    setResend('sending');
+    try {
+      await resendVerification();
+      setResend('sent');
+    } catch (error) {
+      setResend('failed');
+    }
+  };
+
+  const resendButton = user && (
+    <>
+      <button type="button" className="auth-btn" onClick={handleResend} disabled={resend === 'sending'}>
+        {resend === 'sending' ? <div className="spinner"></div> : t('auth.resendLink')}
+      </button>
+      {resend === 'sent' && <p className="form-notice" role="status">{t('auth.linkResent')}</p>}
+      {resend === 'failed' && <p className="form-error" role="alert">{t('common.failed')}</p>}
+    </>
+  );
+
+  if (token && !failed) {
+    return (
+      <div className="auth-form" role="status">
+        <h2 className="auth-title">{t('auth.verifying')}</h2>
+        <div className="spinner auth-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="auth-form">
+        <h2 className="auth-title">{t(failed ? 'auth.verifyFailed' : 'auth.checkEmail')}</h2>
+        {failed ? (
+          <p className="form-error" role="alert">{t('auth.linkInvalid')}</p>
+        ) : (
+          <p className="auth-message">{t('auth.verifySent', { email: user.email })}</p>
+        )}
+        {resendButton}
+      </div>
+
+      <div className="auth-switch">
+        <button type="button" className="switch-btn" onClick={user ? onSignOut : onBack}>
+          {t(user ? 'auth.useAnotherAccount' : 'auth.backToSignIn')}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default VerifyEmail;
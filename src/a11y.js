@@ -0,0 +1,93 @@
+// a11y.js
+// Screen reader announcements and modal dialog focus handling.
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const regions = {};
+
+// One visually hidden live region per politeness, created on first use
+const liveRegion = (politeness) => {
+  if (!regions[politeness]) {
+    const region = document.createElement('div');
+    region.className = 'visually-hidden';
+    region.setAttribute('aria-live', politeness);
+    region.setAttribute('aria-atomic', 'true');
+    if (politeness === 'assertive') region.setAttribute('role', 'alert');
+    document.body.appendChild(region);
+    regions[politeness] = region;
+  }
+  return regions[politeness];
+};
+
+// Read `message` out to screen readers. The region is cleared first and filled
+// on the next tick so the same text twice in a row is still announced.
+export const announce = (message, { assertive = false } = {}) => {
+  if (!message || typeof document === 'undefined') return;
+  const region = liveRegion(assertive ? 'assertive' : 'polite');
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+};
+
+export const focusableIn = (element) => (
+  [...element.querySelectorAll(FOCUSABLE)].filter(node => !node.closest('[hidden]'))
+);
+
+// Modal dialog behaviour for the element the returned ref is attached to:
+// focus moves in when it opens, Tab stays inside, Escape calls `onClose`, and
+// focus goes back to whatever had it once the dialog closes.
+export const useDialog = (onClose) => {
+  const ref = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  useEffect(() => {
+    const dialog = ref.current;
+    if (!dialog) return;
+    const previous = document.activeElement;
+    (dialog.querySelector('[data-autofocus]') || focusableIn(dialog)[0] || dialog).focus();
+
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onCloseRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusableIn(dialog);
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', handleKey);
+    return () => {
+      dialog.removeEventListener('keydown', handleKey);
+      if (previous?.isConnected) previous.focus();
+    };
+  }, []);
+
+  return ref;
+};
@@ -0,0 +1,125 @@
+// api.js
+// The single way the app talks to the REST backend. Requests carry the access
+// token; a 401 renews it with the refresh token and retries the call once.
+// When the session can't be renewed, `onSessionExpired` listeners are told so
+// the app can sign out cleanly.
+import { apiUrl } from './config';
+
+const TOKEN_KEY = 'token';
+const REFRESH_KEY = 'refreshToken';
+
+export class ApiError extends Error {
+  constructor(message, status, data = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+let refreshPromise = null;
+const expiryListeners = new Set();
+
+export const getAccessToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const hasSession = () => Boolean(getAccessToken());
+
+export const setSession = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+};
+
+export const onSessionExpired = (listener) => {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+};
+
+const expireSession = () => {
+  clearSession();
+  expiryListeners.forEach(listener => listener());
+};
+
+const parseBody = async (res) => {
+  try {
+    return await res.json();
+  } catch (error) {
+    return {};
+  }
+};
+
+// Concurrent 401s share one refresh. Rejects (and expires the session) when the
+// refresh token is missing or refused; network failures leave the session alone.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) {
+        expireSession();
+        throw new ApiError('Session expired', 401);
+      }
+
+      const res = await fetch(apiUrl('/api/refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      const data = await parseBody(res);
+      if (!res.ok || !data.token) {
+        if (res.status >= 400 && res.status < 500) expireSession();
+        throw new ApiError(data.error || 'Session expired', res.status, data);
+      }
+      setSession(data);
+      return data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// JSON request; resolves to the parsed body, rejects with an ApiError.
+// Pass `auth: false` for the endpoints used before signing in.
+export const request = async (path, { method = 'GET', body, auth = true } = {}) => {
+  const send = (token) => fetch(apiUrl(path), {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(auth && token && { 'Authorization': `Bearer ${token}` })
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+
+  const token = auth ? getAccessToken() : null;
+  let res = await send(token);
+  if (auth && res.status === 401) {
+    // Another call may have renewed the token while this one was in flight
+    const current = getAccessToken();
+    res = await send(current && current !== token ? current : await refreshAccessToken());
+    if (res.status === 401) expireSession();
+  }
+
+  const data = await parseBody(res);
+  if (!res.ok) {
+    throw new ApiError(data.error || `Request failed (${res.status})`, res.status, data);
+  }
+  return data;
+};
+
+// Revokes the refresh token server-side; the local session is cleared either way
+export const logout = () => {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  clearSession();
+  if (refreshToken) {
+    request('/api/logout', { method: 'POST', body: { refreshToken }, auth: false }).catch(() => {});
+  }
+};
+
+// socket.io's connect_error when the server's auth middleware turned us away
+export const isSocketAuthError = (error) => (
+  error?.data?.code === 'unauthorized' || /auth|token|unauthori[sz]ed/i.test(error?.message || '')
+);
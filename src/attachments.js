@@ -0,0 +1,102 @@
+// attachments.js
+// Client-side checks and upload for files sent in a chat. A file is uploaded
+// first; the resulting attachment then rides along on a normal `send_message`.
+import { apiUrl } from './config';
+import { ApiError, getAccessToken, refreshAccessToken } from './api';
+import { t } from './i18n';
+
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024; // 25 MB
+export const MAX_ATTACHMENTS_PER_SEND = 10;
+
+const ALLOWED_TYPES = [
+  /^image\/(png|jpe?g|gif|webp|heic|heif)$/,
+  /^video\/(mp4|webm|quicktime)$/,
+  /^audio\/(mpeg|mp4|ogg|wav|webm)$/,
+  /^text\/(plain|csv|markdown)$/,
+  /^application\/(pdf|zip|x-zip-compressed|json|rtf)$/,
+  /^application\/vnd\.openxmlformats-officedocument\./,
+  /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint)$/
+];
+
+export const attachmentKind = (mimeType = '') => {
+  if (mimeType.startsWith('image/')) return 'image';
+  if (mimeType.startsWith('video/')) return 'video';
+  return 'file';
+};
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let size = bytes / 1024;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`;
+};
+
+// Returns a user-facing reason the file can't be sent, or null if it's fine
+export const validateFile = (file) => {
+  if (file.size === 0) return t('upload.empty', { name: file.name });
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return t('upload.tooLarge', { name: file.name, size: formatFileSize(MAX_ATTACHMENT_SIZE) });
+  }
+  if (!ALLOWED_TYPES.some(pattern => pattern.test(file.type))) {
+    return t('upload.unsupported', { name: file.name });
+  }
+  return null;
+};
+
+const sendUpload = (file, token, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', apiUrl('/api/uploads'));
+  xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+  xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+  xhr.setRequestHeader('X-File-Name', encodeURIComponent(file.name));
+
+  xhr.upload.onprogress = (e) => {
+    if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+  };
+  xhr.onload = () => {
+    let data = {};
+    try {
+      data = JSON.parse(xhr.responseText);
+    } catch (error) {
+      // handled below
+    }
+    if (xhr.status >= 200 && xhr.status < 300 && data.url) {
+      resolve({
+        url: data.url,
+        name: data.name || file.name,
+        size: data.size ?? file.size,
+        mime_type: data.mime_type || file.type
+      });
+    } else {
+      reject(new ApiError(data.error || t('upload.failed'), xhr.status, data));
+    }
+  };
+  xhr.onerror = () => reject(new Error(t('upload.failed')));
+  xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'));
+
+  signal?.addEventListener('abort', () => xhr.abort());
+  xhr.send(file);
+});
+
+// Uploads with progress. Resolves to the attachment descriptor, rejects with an
+// AbortError when cancelled through `signal`. XHR rather than the API client
+// because fetch has no upload progress, so the 401 retry is repeated here.
+export const uploadFile = (file, options = {}) => sendUpload(file, getAccessToken(), options)
+  .catch(async (error) => {
+    if (error.status !== 401) throw error;
+    return sendUpload(file, await refreshAccessToken(), options);
+  });
+
+// Short label for previews and notifications
+export const describeAttachment = (attachment) => {
+  switch (attachmentKind(attachment.mime_type)) {
+    case 'image': return `📷 ${t('attachment.photo')}`;
+    case 'video': return `🎬 ${t('attachment.video')}`;
+    default: return `📎 ${attachment.name}`;
+  }
+};
@@ -0,0 +1,85 @@
+// auth.js
+// Signing in and up, email verification and password resets, and the checks
+// the signed-out forms run before sending anything. New accounts are signed in
+// straight away but can't use the app until their email is verified.
+import { request } from './api';
+import { MAX_USERNAME_LENGTH, MIN_PASSWORD_LENGTH } from './profile';
+import { t } from './i18n';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // keep in step with the server
+
+// These resolve to a new session: { token, refreshToken, user, vapidPublicKey }
+
+export const signIn = (email, password) => request('/api/login', {
+  method: 'POST',
+  body: { email, password },
+  auth: false
+});
+
+export const signUp = ({ username, email, password }) => request('/api/register', {
+  method: 'POST',
+  body: { username, email, password },
+  auth: false
+});
+
+export const verifyEmail = (token) => request('/api/verify-email', { method: 'POST', body: { token }, auth: false });
+
+export const resetPassword = (token, password) => request('/api/password/reset', {
+  method: 'POST',
+  body: { token, password },
+  auth: false
+});
+
+export const resendVerification = () => request('/api/verify-email/resend', { method: 'POST' });
+
+// Succeeds whether or not the address has an account
+export const requestPasswordReset = (email) => request('/api/password/forgot', {
+  method: 'POST',
+  body: { email },
+  auth: false
+});
+
+// Accounts from a backend without verification have no flag, and get in
+export const needsVerification = (user) => user?.email_verified === false;
+
+// A message per invalid field among those in `values` (any of username, email,
+// password, confirm); empty when they're all fine. Only new passwords are held
+// to the length rule, so older, shorter ones can still sign in.
+export const validateFields = (values, { newPassword = false } = {}) => {
+  const errors = {};
+  if ('username' in values) {
+    const name = values.username.trim();
+    if (!name) errors.username = t('auth.usernameRequired');
+    else if (name.length > MAX_USERNAME_LENGTH) errors.username = t('auth.usernameTooLong', { count: MAX_USERNAME_LENGTH });
+  }
+  if ('email' in values) {
+    const email = values.email.trim();
+    if (!email) errors.email = t('auth.emailRequired');
+    else if (!EMAIL_PATTERN.test(email)) errors.email = t('auth.emailInvalid');
+  }
+  if ('password' in values) {
+    if (!values.password) errors.password = t('auth.passwordRequired');
+    else if (newPassword && values.password.length < MIN_PASSWORD_LENGTH) {
+      errors.password = t('profile.passwordTooShort', { count: MIN_PASSWORD_LENGTH });
+    }
+  }
+  if ('confirm' in values && values.confirm !== values.password) errors.confirm = t('profile.passwordMismatch');
+  return errors;
+};
+
+// Where a refused request's message belongs: next to the field the server
+// named, else over the whole form (`form`)
+export const errorsFrom = (error) => {
+  if (error.status === 409) return { email: t('auth.emailTaken') };
+  const message = error.message || t('common.failed');
+  return error.data?.field ? { [error.data.field]: message } : { form: message };
+};
+
+// 0 (too short) to 4: a point for each kind of character beyond the first,
+// and for length past 12 and 16
+export const passwordStrength = (password) => {
+  if (password.length < MIN_PASSWORD_LENGTH) return 0;
+  const kinds = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/].filter(pattern => pattern.test(password)).length;
+  const length = (password.length >= 12 ? 1 : 0) + (password.length >= 16 ? 1 : 0);
+  return Math.min(4, Math.max(1, kinds - 1 + length));
+};
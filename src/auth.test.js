@@ -0,0 +1,36 @@
+import { validateFields, passwordStrength, errorsFrom } from './auth';
+import { ApiError } from './api';
+import { t } from './i18n';
+
+test('validateFields only checks the fields it is given', () => {
+  expect(validateFields({ email: 'ann@example.com', password: 'x' })).toEqual({});
+  expect(validateFields({ email: 'ann@', password: '' })).toEqual({
+    email: t('auth.emailInvalid'),
+    password: t('auth.passwordRequired')
+  });
+  expect(validateFields({ username: '  ' })).toEqual({ username: t('auth.usernameRequired') });
+});
+
+test('validateFields holds new passwords to the length rule and the confirmation', () => {
+  expect(validateFields({ password: 'short' }, { newPassword: true }).password)
+    .toBe(t('profile.passwordTooShort', { count: 8 }));
+  expect(validateFields({ password: 'long enough', confirm: 'long enougj' }, { newPassword: true }))
+    .toEqual({ confirm: t('profile.passwordMismatch') });
+});
+
+test('passwordStrength rewards variety and length', () => {
+  expect(passwordStrength('Ab1!')).toBe(0);
+  expect(passwordStrength('abcdefgh')).toBe(1);
+  expect(passwordStrength('abcdefg1')).toBe(1);
+  expect(passwordStrength('Abcdefg1')).toBe(2);
+  expect(passwordStrength('Abcdef1!')).toBe(3);
+  expect(passwordStrength('correcthorsebattery')).toBe(2);
+  expect(passwordStrength('Correct-Horse-9-Battery')).toBe(4);
+});
+
+test('errorsFrom puts a refusal next to the field the server named', () => {
+  expect(errorsFrom(new ApiError('Email already registered', 409, { field: 'email' })))
+    .toEqual({ email: t('auth.emailTaken') });
+  expect(errorsFrom(new ApiError('Too short', 400, { field: 'password' }))).toEqual({ password: 'Too short' });
+  expect(errorsFrom(new ApiError('Server down', 503))).toEqual({ form: 'Server down' });
+});
@@ -0,0 +1,75 @@
+// callHooks.js
+// Voice and video calls in React (calls.js): one call controller per chat
+// connection, its state for the call screen, and the ringtone and
+// notification while a call waits for us. `nameOf(userId)` names the caller.
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { createCallController, CALL_STATUS } from './calls';
+import { startRingtone, stopRingtone } from './ringtone';
+import { getConfig } from './config';
+import { t } from './i18n';
+
+const IDLE_CALL = { status: CALL_STATUS.IDLE };
+
+export const canCall = typeof window !== 'undefined' && 'RTCPeerConnection' in window && Boolean(navigator.mediaDevices);
+
+export const useCalls = (nameOf) => {
+  const [call, setCall] = useState(IDLE_CALL);
+  const controllerRef = useRef(null);
+  const nameOfRef = useRef(nameOf);
+
+  useEffect(() => {
+    nameOfRef.current = nameOf;
+  });
+
+  // Calls are signalled over the chat connection's socket
+  const attachCalls = useCallback((socket) => {
+    controllerRef.current?.dispose();
+    controllerRef.current = createCallController({
+      socket,
+      iceServers: getConfig().iceServers,
+      onChange: setCall
+    });
+  }, []);
+
+  const detachCalls = useCallback(() => {
+    controllerRef.current?.dispose();
+    controllerRef.current = null;
+    setCall(IDLE_CALL);
+  }, []);
+
+  // Ring while a call is waiting for us, and say so if we're in another tab
+  useEffect(() => {
+    if (call.status !== CALL_STATUS.INCOMING) return;
+    startRingtone();
+    let notification = null;
+    if (document.hidden && 'Notification' in window && Notification.permission === 'granted') {
+      notification = new Notification(t('notification.calling', { name: nameOfRef.current(call.peerId) || t('common.someone') }), {
+        body: t(call.video ? 'call.incomingVideo' : 'call.incomingVoice'),
+        icon: '/favicon.ico',
+        requireInteraction: true
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    }
+    return () => {
+      stopRingtone();
+      notification?.close();
+    };
+  }, [call.status, call.peerId, call.video]);
+
+  const controller = () => controllerRef.current;
+
+  return {
+    call,
+    attachCalls,
+    detachCalls,
+    startCall: (userId, video) => controller()?.startCall(userId, { video }),
+    accept: () => controller()?.accept(),
+    reject: () => controller()?.reject(),
+    hangUp: () => controller()?.hangUp(),
+    toggleMute: () => controller()?.toggleMute(),
+    toggleCamera: () => controller()?.toggleCamera()
+  };
+};
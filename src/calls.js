@@ -0,0 +1,339 @@
+// calls.js
+// One-to-one voice and video calls: WebRTC media, signalled over the app's
+// socket.io connection. The controller is a small state machine with its
+// socket, peer connection and media access passed in, so it runs (and is
+// tested) without a browser.
+//
+// Signalling events, each carrying `callId`; the server adds `from` when relaying:
+//   call_offer { to, video, sdp }    caller -> callee, acked { error } if unreachable
+//   call_ringing { to }              callee's device is alerting
+//   call_answer { to, sdp }          callee accepted
+//   call_ice { to, candidate }       either side, any time after the offer
+//   call_reject { to, reason }       'declined' or 'busy'
+//   call_hangup { to, reason }       either side ends it, or the caller gives up
+//   call_handled                     another of our devices answered or declined
+import { t } from './i18n';
+
+export const CALL_STATUS = {
+  IDLE: 'idle',
+  OUTGOING: 'outgoing', // offer sent, waiting for their device
+  RINGING: 'ringing', // their device is ringing
+  INCOMING: 'incoming', // our device is ringing
+  CONNECTING: 'connecting', // answered, media still being negotiated
+  ACTIVE: 'active',
+  ENDED: 'ended' // shown briefly, then back to idle
+};
+
+export const RING_TIMEOUT_MS = 45 * 1000;
+export const ENDED_DISPLAY_MS = 2000;
+
+const SIGNAL_EVENTS = ['call_offer', 'call_ringing', 'call_answer', 'call_ice', 'call_reject', 'call_hangup', 'call_handled'];
+
+const IDLE_STATE = {
+  status: CALL_STATUS.IDLE,
+  callId: null,
+  peerId: null,
+  direction: null, // 'outgoing' | 'incoming'
+  video: false,
+  muted: false,
+  cameraOff: false,
+  localStream: null,
+  remoteStream: null,
+  connectedAt: null,
+  endReason: null
+};
+
+const randomId = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+export const createCallController = ({
+  socket,
+  createPeerConnection = (config) => new RTCPeerConnection(config),
+  getUserMedia = (constraints) => navigator.mediaDevices.getUserMedia(constraints),
+  iceServers = [],
+  generateId = randomId,
+  now = Date.now,
+  onChange = () => {}
+}) => {
+  let state = IDLE_STATE;
+  let pc = null;
+  let pendingOffer = null; // an incoming offer until we answer it
+  let pendingCandidates = []; // ICE that arrived before the remote description
+  let ringTimer = null;
+  let resetTimer = null;
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const isLive = () => state.status !== CALL_STATUS.IDLE && state.status !== CALL_STATUS.ENDED;
+
+  // Still the call an async step started for, and not over yet
+  const isCurrent = (callId) => isLive() && callId === state.callId;
+
+  const signal = (event, payload, ack) => socket.emit(event, { callId: state.callId, to: state.peerId, ...payload }, ack);
+
+  const cleanUp = () => {
+    clearTimeout(ringTimer);
+    ringTimer = null;
+    if (pc) {
+      pc.onicecandidate = null;
+      pc.ontrack = null;
+      pc.onconnectionstatechange = null;
+      pc.close();
+      pc = null;
+    }
+    state.localStream?.getTracks().forEach(track => track.stop());
+    pendingOffer = null;
+    pendingCandidates = [];
+  };
+
+  const end = (endReason, { quiet = false } = {}) => {
+    if (!isLive()) return;
+    cleanUp();
+    clearTimeout(resetTimer);
+    if (quiet) {
+      setState(IDLE_STATE);
+      return;
+    }
+    setState({ status: CALL_STATUS.ENDED, endReason, localStream: null, remoteStream: null });
+    resetTimer = setTimeout(() => setState(IDLE_STATE), ENDED_DISPLAY_MS);
+  };
+
+  // Resolves to null, with the devices released again, if the call ended meanwhile
+  const openMedia = async (callId) => {
+    const stream = await getUserMedia({ audio: true, video: state.video });
+    if (!isCurrent(callId)) {
+      stream.getTracks().forEach(track => track.stop());
+      return null;
+    }
+    setState({ localStream: stream });
+    return stream;
+  };
+
+  const connect = (stream) => {
+    pc = createPeerConnection({ iceServers });
+    stream.getTracks().forEach(track => pc.addTrack(track, stream));
+    pc.onicecandidate = (event) => {
+      if (event.candidate) signal('call_ice', { candidate: event.candidate });
+    };
+    pc.ontrack = (event) => {
+      setState({ remoteStream: event.streams[0] });
+    };
+    pc.onconnectionstatechange = () => {
+      if (pc?.connectionState === 'connected' && state.status !== CALL_STATUS.ACTIVE) {
+        setState({ status: CALL_STATUS.ACTIVE, connectedAt: now() });
+      } else if (pc?.connectionState === 'failed') {
+        signal('call_hangup', { reason: 'failed' });
+        end('failed');
+      }
+    };
+  };
+
+  const flushCandidates = async () => {
+    const candidates = pendingCandidates;
+    pendingCandidates = [];
+    for (const candidate of candidates) {
+      await pc.addIceCandidate(candidate);
+    }
+  };
+
+  // --- Our actions ---
+
+  const startCall = async (peerId, { video = false } = {}) => {
+    if (isLive()) return;
+    clearTimeout(resetTimer);
+    const callId = generateId();
+    setState({ ...IDLE_STATE, status: CALL_STATUS.OUTGOING, callId, peerId, direction: 'outgoing', video });
+
+    try {
+      const stream = await openMedia(callId);
+      if (!stream) return;
+      connect(stream);
+      const offer = await pc.createOffer();
+      await pc.setLocalDescription(offer);
+      if (!isCurrent(callId)) return;
+    } catch (error) {
+      console.error('Could not start the call:', error);
+      if (isCurrent(callId)) end('media-error');
+      return;
+    }
+
+    signal('call_offer', { video, sdp: pc.localDescription }, (ack) => {
+      if (ack?.error && isCurrent(callId)) end('unavailable');
+    });
+    ringTimer = setTimeout(() => {
+      signal('call_hangup', { reason: 'no-answer' });
+      end('no-answer');
+    }, RING_TIMEOUT_MS);
+  };
+
+  const accept = async () => {
+    if (state.status !== CALL_STATUS.INCOMING) return;
+    const { callId } = state;
+    const offer = pendingOffer;
+    setState({ status: CALL_STATUS.CONNECTING });
+
+    try {
+      const stream = await openMedia(callId);
+      if (!stream) return;
+      connect(stream);
+      await pc.setRemoteDescription(offer);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      if (!isCurrent(callId)) return;
+      signal('call_answer', { sdp: pc.localDescription });
+      pendingOffer = null;
+      await flushCandidates();
+    } catch (error) {
+      console.error('Could not answer the call:', error);
+      if (isCurrent(callId)) {
+        signal('call_hangup', { reason: 'failed' });
+        end('media-error');
+      }
+    }
+  };
+
+  const reject = () => {
+    if (state.status !== CALL_STATUS.INCOMING) return;
+    signal('call_reject', { reason: 'declined' });
+    end('declined');
+  };
+
+  const hangUp = () => {
+    if (state.status === CALL_STATUS.INCOMING) {
+      reject();
+      return;
+    }
+    if (!isLive()) return;
+    signal('call_hangup', { reason: 'hung-up' });
+    end('hung-up');
+  };
+
+  const toggleMute = () => {
+    if (!state.localStream) return;
+    const muted = !state.muted;
+    state.localStream.getAudioTracks().forEach(track => { track.enabled = !muted; });
+    setState({ muted });
+  };
+
+  const toggleCamera = () => {
+    if (!state.localStream || !state.video) return;
+    const cameraOff = !state.cameraOff;
+    state.localStream.getVideoTracks().forEach(track => { track.enabled = !cameraOff; });
+    setState({ cameraOff });
+  };
+
+  // --- Their side ---
+
+  const handlers = {
+    call_offer: ({ callId, from, video, sdp }) => {
+      if (isLive()) {
+        socket.emit('call_reject', { callId, to: from, reason: 'busy' });
+        return;
+      }
+      clearTimeout(resetTimer);
+      pendingOffer = sdp;
+      pendingCandidates = [];
+      setState({
+        ...IDLE_STATE,
+        status: CALL_STATUS.INCOMING,
+        callId,
+        peerId: from,
+        direction: 'incoming',
+        video: Boolean(video)
+      });
+      signal('call_ringing');
+    },
+
+    call_ringing: ({ callId }) => {
+      if (isCurrent(callId) && state.status === CALL_STATUS.OUTGOING) {
+        setState({ status: CALL_STATUS.RINGING });
+      }
+    },
+
+    call_answer: async ({ callId, sdp }) => {
+      if (!isCurrent(callId) || !pc || state.direction !== 'outgoing') return;
+      clearTimeout(ringTimer);
+      setState({ status: CALL_STATUS.CONNECTING });
+      try {
+        await pc.setRemoteDescription(sdp);
+        await flushCandidates();
+      } catch (error) {
+        console.error('Could not connect the call:', error);
+        signal('call_hangup', { reason: 'failed' });
+        end('failed');
+      }
+    },
+
+    call_ice: async ({ callId, candidate }) => {
+      if (!isCurrent(callId) || !candidate) return;
+      if (!pc?.remoteDescription) {
+        pendingCandidates.push(candidate);
+        return;
+      }
+      try {
+        await pc.addIceCandidate(candidate);
+      } catch (error) {
+        console.warn('Ignoring bad ICE candidate:', error);
+      }
+    },
+
+    call_reject: ({ callId, reason }) => {
+      if (isCurrent(callId)) end(reason === 'busy' ? 'busy' : 'declined');
+    },
+
+    call_hangup: ({ callId }) => {
+      if (!isCurrent(callId)) return;
+      end(state.status === CALL_STATUS.INCOMING ? 'missed' : 'remote-hung-up');
+    },
+
+    // Picked up or turned down on one of our other devices: just stop ringing here
+    call_handled: ({ callId }) => {
+      if (isCurrent(callId) && state.status === CALL_STATUS.INCOMING) end('handled', { quiet: true });
+    }
+  };
+
+  SIGNAL_EVENTS.forEach(event => socket.on(event, handlers[event]));
+
+  const dispose = () => {
+    hangUp();
+    cleanUp();
+    clearTimeout(resetTimer);
+    SIGNAL_EVENTS.forEach(event => socket.off(event, handlers[event]));
+  };
+
+  return {
+    getState: () => state,
+    startCall,
+    accept,
+    reject,
+    hangUp,
+    toggleMute,
+    toggleCamera,
+    dispose
+  };
+};
+
+// "4:05", or "1:02:09" past the hour
+export const formatCallDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+// The history line a call leaves in the conversation, from one side's point of view
+export const describeCall = (call, isCaller) => {
+  const kind = call.video ? 'video' : 'voice';
+  if (call.status === 'completed') {
+    return t(`call.history.${isCaller ? 'outgoing' : 'incoming'}.${kind}`, { duration: formatCallDuration(call.duration || 0) });
+  }
+  if (call.status === 'declined') return t(`call.history.${isCaller ? 'declinedByThem' : 'declinedByYou'}.${kind}`);
+  return t(`call.history.${isCaller ? 'unanswered' : 'missed'}.${kind}`);
+};
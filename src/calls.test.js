@@ -0,0 +1,320 @@
+import {
+  createCallController,
+  CALL_STATUS,
+  RING_TIMEOUT_MS,
+  ENDED_DISPLAY_MS,
+  describeCall,
+  formatCallDuration
+} from './calls';
+
+// Let pending promise chains (media, SDP) settle
+const flush = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+const createFakeSocket = () => {
+  const handlers = {};
+  return {
+    emitted: [],
+    on: (event, handler) => { handlers[event] = handler; },
+    off: (event, handler) => {
+      if (handlers[event] === handler) delete handlers[event];
+    },
+    emit(event, payload, ack) {
+      this.emitted.push({ event, payload, ack });
+    },
+    receive: (event, payload) => handlers[event]?.(payload),
+    listening: (event) => Boolean(handlers[event]),
+    last(event) {
+      return [...this.emitted].reverse().find(e => e.event === event);
+    }
+  };
+};
+
+const createFakeTrack = (kind) => ({ kind, enabled: true, stop: jest.fn() });
+
+const createFakeStream = (video) => {
+  const tracks = [createFakeTrack('audio'), ...(video ? [createFakeTrack('video')] : [])];
+  return {
+    getTracks: () => tracks,
+    getAudioTracks: () => tracks.filter(t => t.kind === 'audio'),
+    getVideoTracks: () => tracks.filter(t => t.kind === 'video')
+  };
+};
+
+const createFakePeer = () => ({
+  tracks: [],
+  candidates: [],
+  localDescription: null,
+  remoteDescription: null,
+  connectionState: 'new',
+  closed: false,
+  addTrack(track) { this.tracks.push(track); },
+  createOffer: async () => ({ type: 'offer', sdp: 'offer-sdp' }),
+  createAnswer: async () => ({ type: 'answer', sdp: 'answer-sdp' }),
+  async setLocalDescription(description) { this.localDescription = description; },
+  async setRemoteDescription(description) { this.remoteDescription = description; },
+  async addIceCandidate(candidate) { this.candidates.push(candidate); },
+  close() { this.closed = true; },
+  connect() {
+    this.connectionState = 'connected';
+    this.onconnectionstatechange();
+  }
+});
+
+const setup = (options = {}) => {
+  const socket = createFakeSocket();
+  const peers = [];
+  const streams = [];
+  const changes = [];
+  const controller = createCallController({
+    socket,
+    createPeerConnection: () => {
+      const peer = createFakePeer();
+      peers.push(peer);
+      return peer;
+    },
+    getUserMedia: jest.fn(async ({ video }) => {
+      const stream = createFakeStream(video);
+      streams.push(stream);
+      return stream;
+    }),
+    generateId: () => 'call-1',
+    now: () => 1000,
+    onChange: state => changes.push(state),
+    ...options
+  });
+  return { socket, peers, streams, changes, controller, state: () => controller.getState() };
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('outgoing calls', () => {
+  test('offers, rings, connects and goes active', async () => {
+    const { socket, peers, controller, state } = setup();
+
+    controller.startCall(7, { video: true });
+    expect(state()).toMatchObject({ status: CALL_STATUS.OUTGOING, peerId: 7, direction: 'outgoing', video: true });
+    await flush();
+
+    const offer = socket.last('call_offer');
+    expect(offer.payload).toEqual({ callId: 'call-1', to: 7, video: true, sdp: { type: 'offer', sdp: 'offer-sdp' } });
+    expect(peers[0].tracks.map(t => t.kind)).toEqual(['audio', 'video']);
+
+    socket.receive('call_ringing', { callId: 'call-1', from: 7 });
+    expect(state().status).toBe(CALL_STATUS.RINGING);
+
+    socket.receive('call_answer', { callId: 'call-1', from: 7, sdp: { type: 'answer', sdp: 'answer-sdp' } });
+    await flush();
+    expect(state().status).toBe(CALL_STATUS.CONNECTING);
+    expect(peers[0].remoteDescription).toEqual({ type: 'answer', sdp: 'answer-sdp' });
+
+    peers[0].connect();
+    expect(state()).toMatchObject({ status: CALL_STATUS.ACTIVE, connectedAt: 1000 });
+  });
+
+  test('sends our ICE candidates and holds theirs until the answer arrives', async () => {
+    const { socket, peers, controller } = setup();
+    controller.startCall(7);
+    await flush();
+
+    peers[0].onicecandidate({ candidate: { candidate: 'ours' } });
+    expect(socket.last('call_ice').payload).toEqual({ callId: 'call-1', to: 7, candidate: { candidate: 'ours' } });
+
+    socket.receive('call_ice', { callId: 'call-1', candidate: { candidate: 'early' } });
+    await flush();
+    expect(peers[0].candidates).toEqual([]);
+
+    socket.receive('call_answer', { callId: 'call-1', sdp: { type: 'answer' } });
+    await flush();
+    socket.receive('call_ice', { callId: 'call-1', candidate: { candidate: 'late' } });
+    await flush();
+    expect(peers[0].candidates).toEqual([{ candidate: 'early' }, { candidate: 'late' }]);
+  });
+
+  test('ignores signals for other calls', async () => {
+    const { socket, controller, state } = setup();
+    controller.startCall(7);
+    await flush();
+
+    socket.receive('call_ringing', { callId: 'other' });
+    socket.receive('call_hangup', { callId: 'other' });
+    expect(state().status).toBe(CALL_STATUS.OUTGOING);
+  });
+
+  test('gives up after the ring timeout', async () => {
+    jest.useFakeTimers();
+    const { socket, controller, state, streams, peers } = setup();
+    controller.startCall(7);
+    await flush();
+
+    jest.advanceTimersByTime(RING_TIMEOUT_MS);
+    expect(socket.last('call_hangup').payload).toMatchObject({ callId: 'call-1', reason: 'no-answer' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'no-answer' });
+    expect(streams[0].getTracks()[0].stop).toHaveBeenCalled();
+    expect(peers[0].closed).toBe(true);
+
+    jest.advanceTimersByTime(ENDED_DISPLAY_MS);
+    expect(state().status).toBe(CALL_STATUS.IDLE);
+  });
+
+  test('ends when they decline or are busy', async () => {
+    const { socket, controller, state } = setup();
+    controller.startCall(7);
+    await flush();
+
+    socket.receive('call_reject', { callId: 'call-1', reason: 'busy' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'busy' });
+  });
+
+  test('ends when the server says they are unreachable', async () => {
+    const { socket, controller, state } = setup();
+    controller.startCall(7);
+    await flush();
+
+    socket.last('call_offer').ack({ error: 'User is offline' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'unavailable' });
+  });
+
+  test('ends without signalling when the camera or microphone is refused', async () => {
+    const { socket, controller, state } = setup({
+      getUserMedia: () => Promise.reject(new Error('NotAllowedError'))
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    controller.startCall(7);
+    await flush();
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'media-error' });
+    expect(socket.last('call_offer')).toBeUndefined();
+    console.error.mockRestore();
+  });
+
+  test('hanging up while the microphone prompt is open releases it afterwards', async () => {
+    let grant;
+    const stream = createFakeStream(false);
+    const { controller, state } = setup({
+      getUserMedia: () => new Promise(resolve => { grant = resolve; })
+    });
+
+    controller.startCall(7);
+    controller.hangUp();
+    grant(stream);
+    await flush();
+    expect(state().status).toBe(CALL_STATUS.ENDED);
+    expect(stream.getTracks()[0].stop).toHaveBeenCalled();
+  });
+});
+
+describe('incoming calls', () => {
+  const offer = { callId: 'call-9', from: 3, video: false, sdp: { type: 'offer', sdp: 'theirs' } };
+
+  test('rings, then answers with our media', async () => {
+    const { socket, peers, controller, state } = setup();
+
+    socket.receive('call_offer', offer);
+    expect(state()).toMatchObject({ status: CALL_STATUS.INCOMING, callId: 'call-9', peerId: 3, direction: 'incoming' });
+    expect(socket.last('call_ringing').payload).toEqual({ callId: 'call-9', to: 3 });
+
+    socket.receive('call_ice', { callId: 'call-9', candidate: { candidate: 'early' } });
+    controller.accept();
+    await flush();
+
+    expect(peers[0].remoteDescription).toEqual(offer.sdp);
+    expect(socket.last('call_answer').payload).toEqual({ callId: 'call-9', to: 3, sdp: { type: 'answer', sdp: 'answer-sdp' } });
+    expect(peers[0].candidates).toEqual([{ candidate: 'early' }]);
+    expect(state().status).toBe(CALL_STATUS.CONNECTING);
+  });
+
+  test('declining tells the caller', () => {
+    const { socket, controller, state } = setup();
+    socket.receive('call_offer', offer);
+
+    controller.reject();
+    expect(socket.last('call_reject').payload).toEqual({ callId: 'call-9', to: 3, reason: 'declined' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'declined' });
+  });
+
+  test('a caller hanging up first is a missed call', () => {
+    const { socket, state } = setup();
+    socket.receive('call_offer', offer);
+
+    socket.receive('call_hangup', { callId: 'call-9' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'missed' });
+  });
+
+  test('stops ringing quietly when another device picks up', () => {
+    const { socket, state } = setup();
+    socket.receive('call_offer', offer);
+
+    socket.receive('call_handled', { callId: 'call-9' });
+    expect(state().status).toBe(CALL_STATUS.IDLE);
+  });
+
+  test('answers busy while already on a call', async () => {
+    const { socket, controller, state } = setup();
+    controller.startCall(7);
+    await flush();
+
+    socket.receive('call_offer', offer);
+    expect(socket.last('call_reject').payload).toEqual({ callId: 'call-9', to: 3, reason: 'busy' });
+    expect(state()).toMatchObject({ callId: 'call-1', status: CALL_STATUS.OUTGOING });
+  });
+});
+
+describe('during a call', () => {
+  test('mute and camera switch the local tracks off and on', async () => {
+    const { controller, streams, state } = setup();
+    controller.startCall(7, { video: true });
+    await flush();
+    const [audio, video] = streams[0].getTracks();
+
+    controller.toggleMute();
+    expect(audio.enabled).toBe(false);
+    expect(state().muted).toBe(true);
+    controller.toggleMute();
+    expect(audio.enabled).toBe(true);
+
+    controller.toggleCamera();
+    expect(video.enabled).toBe(false);
+    expect(state().cameraOff).toBe(true);
+  });
+
+  test('hanging up tells them and releases everything', async () => {
+    const { socket, peers, streams, controller, state } = setup();
+    controller.startCall(7);
+    await flush();
+    socket.receive('call_answer', { callId: 'call-1', sdp: { type: 'answer' } });
+    await flush();
+    peers[0].connect();
+
+    controller.hangUp();
+    expect(socket.last('call_hangup').payload).toEqual({ callId: 'call-1', to: 7, reason: 'hung-up' });
+    expect(state()).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'hung-up', localStream: null });
+    expect(peers[0].closed).toBe(true);
+    expect(streams[0].getTracks()[0].stop).toHaveBeenCalled();
+  });
+
+  test('dispose stops listening to the socket', () => {
+    const { socket, controller } = setup();
+    controller.dispose();
+    expect(socket.listening('call_offer')).toBe(false);
+  });
+});
+
+describe('call history', () => {
+  test('formats durations', () => {
+    expect(formatCallDuration(5)).toBe('0:05');
+    expect(formatCallDuration(245)).toBe('4:05');
+    expect(formatCallDuration(3729)).toBe('1:02:09');
+  });
+
+  test('describes a call from either side', () => {
+    expect(describeCall({ status: 'completed', video: false, duration: 65 }, true)).toBe('Outgoing voice call · 1:05');
+    expect(describeCall({ status: 'completed', video: true, duration: 65 }, false)).toBe('Incoming video call · 1:05');
+    expect(describeCall({ status: 'missed', video: false }, false)).toBe('Missed voice call');
+    expect(describeCall({ status: 'missed', video: false }, true)).toBe('Unanswered voice call');
+    expect(describeCall({ status: 'declined', video: true }, true)).toBe('Video call declined');
+  });
+});
@@ -0,0 +1,658 @@
+// chatClient.js
+// The chat without any UI: the socket.io connection, the REST calls for
+// contacts and history, typing and presence, and the outbox that delivers sends
+// in order across reconnects. What the server says comes out as events, so
+// React (see chatHooks.js), tests or anything else can listen. The socket, REST
+// client and outbox are passed in, with the app's real ones as defaults.
+//
+// Dropped connections are retried with exponential backoff; after each
+// reconnect, one request from the newest message we have catches up on
+// whatever was sent to us meanwhile.
+//
+// Events, each handler called with one payload:
+//   status             'connecting' | 'connected' | 'reconnecting' | 'disconnected' | 'error'
+//   reconnect          { attempt, retryAt }  retryAt null while the attempt is under way; null once connected
+//   message            { message, conversationId }  someone else's, or ours from another device; decrypted
+//   missed_messages    { conversationId, messages }  sent while we were offline, oldest first
+//   message_sent       { clientId, message }  the server stored one of our sends
+//   message_failed     { clientId }  refused by the server, or couldn't be encrypted
+//   message_delivered  { messageId, clientId }
+//   messages_read      { readerId, groupId, messageIds }  messageIds absent: all of ours to readerId
+//   message_changed    { message, conversationId }  edited, or deleted for everyone
+//   message_hidden     { messageId }  deleted for ourselves on another device
+//   reactions          { messageId, reactions }
+//   typing             { conversationId, userId, typing }  all stopped when the connection drops
+//   presence           { [userId]: { status, lastSeen } }  everyone's, whenever one changes
+//   status_message     { userId, statusMessage }  a contact's custom status
+//   group_updated      { group }
+//   group_removed      { groupId }
+//   contact_settings   { pinned, muted, blocked }
+//   keys_changed       { userId, keys }
+//   user_updated       { user }  new display name or avatar, ours included
+//   user_deleted       { userId }  an account was deleted, possibly ours
+//   error              { message }
+import io from 'socket.io-client';
+import { getConfig } from './config';
+import { request as apiRequest, getAccessToken, refreshAccessToken, isSocketAuthError } from './api';
+import {
+  generateClientId,
+  getOutboxMessages,
+  putOutboxMessage,
+  updateOutboxMessage,
+  getOutboxMessage,
+  removeOutboxMessage
+} from './outbox';
+import { groupConversationId, isGroupConversation, groupIdFrom, conversationIdFor } from './conversations';
+import { PRESENCE, presenceFromSnapshot, isAvailable } from './presence';
+import { MESSAGE_STATUS } from './messageStatus';
+import { t } from './i18n';
+
+export const CHAT_EVENTS = [
+  'status',
+  'reconnect',
+  'message',
+  'missed_messages',
+  'message_sent',
+  'message_failed',
+  'message_delivered',
+  'messages_read',
+  'message_changed',
+  'message_hidden',
+  'reactions',
+  'typing',
+  'presence',
+  'status_message',
+  'group_updated',
+  'group_removed',
+  'contact_settings',
+  'keys_changed',
+  'user_updated',
+  'user_deleted',
+  'error'
+];
+
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  DISCONNECTED: 'disconnected',
+  ERROR: 'error'
+};
+
+export const SEND_ACK_TIMEOUT = 10000;
+export const TYPING_IDLE_MS = 2000;
+export const MESSAGE_PAGE_SIZE = 50;
+export const RECONNECT_BASE_MS = 1000;
+export const RECONNECT_MAX_MS = 30000;
+
+// Wait before reconnect `attempt` (from 1): doubling up to a cap, with jitter
+// so a restarted server isn't hit by every client at once
+export const reconnectDelay = (attempt, random = Math.random) => (
+  Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (attempt - 1)) * (0.75 + random() / 2)
+);
+
+const DEFAULT_OUTBOX = {
+  getAll: getOutboxMessages,
+  get: getOutboxMessage,
+  put: putOutboxMessage,
+  update: updateOutboxMessage,
+  remove: removeOutboxMessage
+};
+
+// Socket payload addressing a chat: a user or a group
+export const chatTarget = (chat) => (
+  chat.isGroup ? { groupId: chat.groupId } : { receiverId: chat.id }
+);
+
+// An outbox entry as it shows in the conversation until the server has it
+export const toPendingMessage = (entry) => ({
+  id: entry.clientId, // Temporary ID until the server acknowledges
+  client_id: entry.clientId,
+  content: entry.content,
+  attachment: entry.attachment || null,
+  sender_id: entry.senderId,
+  receiver_id: entry.receiverId ?? null,
+  group_id: entry.groupId ?? null,
+  reply_to: entry.replyTo || null,
+  created_at: entry.createdAt,
+  encrypted: Boolean(entry.encrypted),
+  isOwn: true,
+  status: entry.status === 'failed' ? MESSAGE_STATUS.FAILED : MESSAGE_STATUS.SENDING
+});
+
+export const createChatClient = ({
+  socketUrl = () => getConfig().socketUrl,
+  connectSocket = (url, options) => io(url, options),
+  request = apiRequest,
+  getToken = getAccessToken,
+  refreshToken = refreshAccessToken,
+  isAuthError = isSocketAuthError,
+  outbox = DEFAULT_OUTBOX,
+  readMessage = async (message) => message, // (message, userId): decrypt what the server sends
+  encrypt = async (content) => content, // (content, { senderId, receiverId })
+  generateId = generateClientId,
+  now = () => new Date(),
+  ackTimeout = SEND_ACK_TIMEOUT,
+  typingIdleMs = TYPING_IDLE_MS,
+  retryDelay = reconnectDelay // (attempt) => ms
+} = {}) => {
+  const listeners = new Map(CHAT_EVENTS.map(event => [event, new Set()]));
+  let socket = null;
+  let userId = null;
+  let status = CONNECTION_STATUS.DISCONNECTED;
+  let away = false;
+  let presence = {};
+  let reauthenticating = false;
+  let flushing = false;
+  let flushAgain = false; // asked to flush while already flushing
+  let typingTarget = null;
+  let typingTimer = null;
+  let reconnect = null;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+  let hasConnected = false; // a later connect is a reconnect, which catches up
+  const typists = new Map(); // conversationId -> Set of user ids typing there
+  let lastSeenId = null; // newest server message id we have, in any conversation
+  let arrivedLive = null; // while catching up: ids that came in meanwhile, not to report twice
+
+  const on = (event, handler) => {
+    if (!listeners.has(event)) throw new Error(`Unknown chat client event: ${event}`);
+    listeners.get(event).add(handler);
+    return () => listeners.get(event).delete(handler);
+  };
+
+  const emit = (event, payload) => {
+    listeners.get(event).forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`Chat client "${event}" handler failed:`, error);
+      }
+    });
+  };
+
+  const setStatus = (next) => {
+    status = next;
+    emit('status', next);
+  };
+
+  const setPresence = (next) => {
+    presence = next;
+    emit('presence', presence);
+  };
+
+  const setReconnect = (next) => {
+    reconnect = next;
+    emit('reconnect', reconnect);
+  };
+
+  // Remember the newest message the server gave us, to catch up from. Server
+  // ids increase across all conversations, so one is enough.
+  const noteSeen = (message) => {
+    if (message?.id == null) return;
+    arrivedLive?.add(message.id);
+    if (lastSeenId == null || message.id > lastSeenId) lastSeenId = message.id;
+  };
+
+  const read = (message) => readMessage(message, userId);
+
+  const isConnected = () => Boolean(socket?.connected);
+
+  // Acked emit for edits, deletes and reactions; unlike sends they aren't queued offline
+  const emitWithAck = (event, payload) => new Promise((resolve, reject) => {
+    if (!isConnected()) {
+      reject(new Error(t('message.offline')));
+      return;
+    }
+    socket.timeout(ackTimeout).emit(event, payload, (err, ack) => {
+      if (err || ack?.error) reject(new Error(ack?.error || t('message.noResponse')));
+      else resolve(ack);
+    });
+  });
+
+  // Outbox: every send is queued durably first, then delivered in order
+
+  const settle = async (clientId, serverMessage) => {
+    await outbox.remove(clientId);
+    noteSeen(serverMessage);
+    emit('message_sent', { clientId, message: serverMessage });
+  };
+
+  const fail = async (clientId) => {
+    await outbox.update(clientId, { status: 'failed' });
+    emit('message_failed', { clientId });
+  };
+
+  // Resolves false when the connection dropped and the entry should wait
+  const deliver = async (entry) => {
+    // Only text is encrypted; a file would reach the server readable
+    if (entry.encrypted && entry.attachment) {
+      console.error('Attachments cannot be sent to an encrypted chat');
+      await fail(entry.clientId);
+      return true;
+    }
+
+    // The outbox keeps plaintext on this device; encryption happens on the way out
+    let content = entry.content;
+    if (entry.encrypted && content) {
+      try {
+        content = await encrypt(content, entry);
+      } catch (error) {
+        console.error('Failed to encrypt message:', error);
+        await fail(entry.clientId);
+        return true;
+      }
+    }
+
+    return new Promise((resolve) => {
+      socket.timeout(ackTimeout).emit('send_message', {
+        ...(entry.groupId != null ? { groupId: entry.groupId } : { receiverId: entry.receiverId }),
+        content,
+        attachment: entry.attachment || undefined,
+        replyToId: entry.replyTo?.id,
+        clientId: entry.clientId
+      }, async (err, ack) => {
+        // Already settled through the server's echo
+        if (!await outbox.get(entry.clientId)) return resolve(true);
+
+        if (!err && !ack?.error) {
+          await settle(entry.clientId, await read(ack?.message || ack || {}));
+          return resolve(true);
+        }
+
+        // Connection dropped mid-send: leave it queued for the next reconnect
+        if (!isConnected()) return resolve(false);
+
+        await fail(entry.clientId);
+        resolve(true);
+      });
+    });
+  };
+
+  // One delivery loop at a time. Sends queued while it waits on an ack ask for
+  // another pass rather than being dropped.
+  const flush = async () => {
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    flushing = true;
+    try {
+      do {
+        flushAgain = false;
+        for (const entry of await outbox.getAll()) {
+          if (entry.status !== 'queued' || entry.senderId !== userId) continue;
+          if (!isConnected()) break;
+          if (!await deliver(entry)) break;
+        }
+      } while (flushAgain && isConnected());
+    } catch (error) {
+      console.error('Failed to flush outbox:', error);
+    } finally {
+      flushing = false;
+      flushAgain = false;
+    }
+  };
+
+  // Queue a message for `chat` and return its outbox entry straight away, so
+  // it can be shown before it's sent
+  const send = (chat, { content = '', attachment = null, replyTo = null, encrypted = false } = {}) => {
+    const entry = {
+      clientId: generateId(),
+      senderId: userId,
+      conversationId: chat.id,
+      receiverId: chat.isGroup ? null : chat.id,
+      groupId: chat.isGroup ? chat.groupId : null,
+      content,
+      attachment,
+      replyTo,
+      encrypted: !chat.isGroup && encrypted,
+      createdAt: now().toISOString(),
+      status: 'queued'
+    };
+    outbox.put(entry)
+      .then(flush)
+      .catch((error) => {
+        // Never queued, so nothing will ever deliver it
+        console.error('Failed to queue message:', error);
+        emit('message_failed', { clientId: entry.clientId });
+      });
+    return entry;
+  };
+
+  const retry = async (clientId) => {
+    // A send that never made it into the outbox can only be discarded
+    if (!await outbox.update(clientId, { status: 'queued' })) {
+      emit('message_failed', { clientId });
+      return;
+    }
+    flush();
+  };
+
+  const discard = (clientId) => outbox.remove(clientId);
+
+  // Our sends to a conversation that the server doesn't have yet
+  const pendingFor = async (conversationId) => (
+    (await outbox.getAll()).filter(entry => entry.conversationId === conversationId && entry.senderId === userId)
+  );
+
+  const editMessage = async (message, content) => {
+    // An encrypted message stays encrypted when edited
+    const payload = message.encrypted
+      ? await encrypt(content, { senderId: userId, receiverId: message.receiver_id })
+      : content;
+    const ack = await emitWithAck('edit_message', { messageId: message.id, content: payload });
+    return ack?.message ? read(ack.message) : null;
+  };
+
+  const deleteMessage = async (messageId, forEveryone) => (
+    (await emitWithAck('delete_message', { messageId, forEveryone }))?.message || null
+  );
+
+  const react = async (messageId, emoji) => (
+    (await emitWithAck('react_message', { messageId, emoji })).reactions
+  );
+
+  // Typing: started on the first keystroke, stopped once they pause
+  const stopTyping = () => {
+    clearTimeout(typingTimer);
+    if (!typingTarget) return;
+    socket?.emit('typing_stop', typingTarget);
+    typingTarget = null;
+  };
+
+  const typing = (chat) => {
+    if (!socket) return;
+    const target = chatTarget(chat);
+    const sameChat = typingTarget && typingTarget.groupId === target.groupId && typingTarget.receiverId === target.receiverId;
+    if (!sameChat) {
+      stopTyping();
+      socket.emit('typing_start', target);
+      typingTarget = target;
+    }
+    clearTimeout(typingTimer);
+    typingTimer = setTimeout(stopTyping, typingIdleMs);
+  };
+
+  // Presence: this device is active unless told otherwise
+  const setAway = (isAway) => {
+    away = isAway;
+    if (isConnected()) socket.emit('set_presence', { away });
+  };
+
+  const markRead = (chat, messageIds) => {
+    if (!isConnected() || messageIds.length === 0) return false;
+    socket.emit('mark_read', {
+      ...(chat.isGroup ? { groupId: chat.groupId } : { senderId: chat.id }),
+      messageIds
+    });
+    return true;
+  };
+
+  // REST
+
+  const historyPath = (conversationId) => (
+    isGroupConversation(conversationId)
+      ? `/api/groups/${groupIdFrom(conversationId)}/messages`
+      : `/api/messages/${conversationId}`
+  );
+
+  // One page of a conversation's history, newest first unless `before` is given
+  const loadHistory = async (conversationId, { before, limit = MESSAGE_PAGE_SIZE } = {}) => {
+    const params = new URLSearchParams({ limit });
+    if (before != null) params.set('before', before);
+    const data = await request(`${historyPath(conversationId)}?${params}`);
+    // Older servers ignore paging and return the whole history as an array
+    const { page, hasMore } = Array.isArray(data)
+      ? { page: data, hasMore: data.length >= limit }
+      : { page: data.messages, hasMore: Boolean(data.hasMore) };
+    const messages = await Promise.all(page.map(read));
+    messages.forEach(noteSeen);
+    return { messages, hasMore };
+  };
+
+  // Everything sent to us after message `after`, in every conversation, oldest first
+  const loadMissed = async (after) => {
+    const params = new URLSearchParams({ after, limit: MESSAGE_PAGE_SIZE });
+    const { messages, hasMore } = await request(`/api/messages/missed?${params}`);
+    const page = await Promise.all(messages.map(read));
+    if (!hasMore || page.length === 0) return page;
+    return [...page, ...await loadMissed(page[page.length - 1].id)];
+  };
+
+  // After a reconnect: fetch what was sent meanwhile and hand it out by
+  // conversation. With no message from the server yet there's nothing to go
+  // on from; those conversations load in full when they're opened.
+  const catchUp = async () => {
+    if (lastSeenId == null) return;
+    const live = new Set();
+    arrivedLive = live;
+    try {
+      const missed = (await loadMissed(lastSeenId)).filter(m => !live.has(m.id));
+      const byConversation = new Map();
+      missed.forEach(message => {
+        noteSeen(message);
+        const conversationId = conversationOf(message);
+        byConversation.set(conversationId, [...(byConversation.get(conversationId) || []), message]);
+      });
+      if (socket) {
+        byConversation.forEach((messages, conversationId) => emit('missed_messages', { conversationId, messages }));
+      }
+    } catch (error) {
+      console.error('Failed to catch up on missed messages:', error);
+    }
+    if (arrivedLive === live) arrivedLive = null;
+  };
+
+  const loadUsers = () => request('/api/users');
+
+  const loadGroups = () => request('/api/groups');
+
+  // Reconnecting: socket.io's own retries are off, so the wait between
+  // attempts can be shown and cut short
+
+  const scheduleReconnect = () => {
+    clearTimeout(reconnectTimer);
+    reconnectAttempt += 1;
+    const delay = retryDelay(reconnectAttempt);
+    reconnectTimer = setTimeout(reconnectNow, delay);
+    setStatus(CONNECTION_STATUS.RECONNECTING);
+    setReconnect({ attempt: reconnectAttempt, retryAt: now().getTime() + delay });
+  };
+
+  // Try again straight away, e.g. from a "retry now" button
+  const reconnectNow = () => {
+    if (!socket || socket.connected) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    setStatus(CONNECTION_STATUS.CONNECTING);
+    if (reconnect) setReconnect({ attempt: reconnectAttempt, retryAt: null });
+    socket.connect();
+  };
+
+  // Whoever was typing when the connection dropped won't send typing_stop to us
+  const clearTypists = () => {
+    typists.forEach((ids, conversationId) => ids.forEach(id => (
+      emit('typing', { conversationId, userId: id, typing: false })
+    )));
+    typists.clear();
+  };
+
+  const setTyping = (conversationId, id, isTyping) => {
+    const ids = typists.get(conversationId) || new Set();
+    if (isTyping) ids.add(id);
+    else ids.delete(id);
+    if (ids.size > 0) typists.set(conversationId, ids);
+    else typists.delete(conversationId);
+    emit('typing', { conversationId, userId: id, typing: isTyping });
+  };
+
+  // Server events, translated into the client's own
+
+  const conversationOf = (message) => conversationIdFor(message, userId);
+
+  const handlers = {
+    connect: () => {
+      const isReconnect = hasConnected;
+      hasConnected = true;
+      reauthenticating = false;
+      reconnectAttempt = 0;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      setStatus(CONNECTION_STATUS.CONNECTED);
+      if (reconnect) setReconnect(null);
+      // Each connection starts out active on the server
+      if (away) socket.emit('set_presence', { away: true });
+      flush();
+      if (isReconnect) catchUp();
+    },
+    disconnect: (reason) => {
+      typingTarget = null;
+      clearTimeout(typingTimer);
+      clearTypists();
+      // Our own disconnect() is the only one we don't come back from
+      if (reason === 'io client disconnect') {
+        setStatus(CONNECTION_STATUS.DISCONNECTED);
+        return;
+      }
+      scheduleReconnect();
+    },
+    connect_error: (error) => {
+      console.error('Connection error:', error);
+      // Turned away by the server's auth check: renew the token once and
+      // reconnect. If the renewal fails the API client expires the session.
+      if (isAuthError(error)) {
+        setStatus(CONNECTION_STATUS.ERROR);
+        if (reauthenticating) return;
+        reauthenticating = true;
+        refreshToken()
+          .then(reconnectNow)
+          .catch(err => console.error('Socket re-authentication failed:', err));
+        return;
+      }
+      scheduleReconnect();
+    },
+    message: async (incoming) => {
+      const message = await read(incoming);
+      // Server echo of one of our own sends from this device. Ours from
+      // another device come in like anyone else's.
+      if (message.client_id && message.sender_id === userId && await outbox.get(message.client_id)) {
+        await settle(message.client_id, message);
+        return;
+      }
+      const conversationId = conversationOf(message);
+      noteSeen(message);
+      emit('message', { message, conversationId });
+    },
+    message_delivered: (data) => emit('message_delivered', {
+      messageId: data.messageId ?? data.id,
+      clientId: data.clientId ?? data.client_id
+    }),
+    messages_read: ({ readerId, groupId, messageIds }) => emit('messages_read', { readerId, groupId, messageIds }),
+    message_edited: async ({ message }) => {
+      const changed = await read(message);
+      emit('message_changed', { message: changed, conversationId: conversationOf(changed) });
+    },
+    message_deleted: async ({ message }) => {
+      const changed = await read(message);
+      emit('message_changed', { message: changed, conversationId: conversationOf(changed) });
+    },
+    message_hidden: ({ messageId }) => emit('message_hidden', { messageId }),
+    message_reactions: ({ messageId, reactions }) => emit('reactions', { messageId, reactions }),
+    typing_start: ({ userId: from, groupId }) => (
+      setTyping(groupId != null ? groupConversationId(groupId) : from, from, true)
+    ),
+    typing_stop: ({ userId: from, groupId }) => (
+      setTyping(groupId != null ? groupConversationId(groupId) : from, from, false)
+    ),
+    // Sent on every (re)connect, so presence is rebuilt rather than patched
+    // across a dropped connection
+    presence_snapshot: ({ users = [] }) => {
+      setPresence(presenceFromSnapshot(users));
+      users.forEach(entry => emit('status_message', { userId: entry.userId, statusMessage: entry.statusMessage || '' }));
+    },
+    presence: ({ userId: id, status: next, lastSeen, statusMessage }) => {
+      setPresence({ ...presence, [id]: { status: next, lastSeen: lastSeen || null } });
+      if (statusMessage !== undefined && id !== userId) emit('status_message', { userId: id, statusMessage });
+    },
+    // Bare online/offline deltas, for servers that don't send `presence`
+    user_online: (id) => {
+      if (isAvailable(presence[id])) return;
+      setPresence({ ...presence, [id]: { status: PRESENCE.ONLINE, lastSeen: presence[id]?.lastSeen || null } });
+    },
+    user_offline: (id) => {
+      setPresence({ ...presence, [id]: { status: PRESENCE.OFFLINE, lastSeen: now().toISOString() } });
+    },
+    group_updated: ({ group }) => emit('group_updated', { group }),
+    group_removed: ({ groupId }) => emit('group_removed', { groupId }),
+    contact_settings: (settings) => emit('contact_settings', settings),
+    user_keys_changed: ({ userId: id, public_keys: keys }) => emit('keys_changed', { userId: id, keys }),
+    user_updated: ({ user }) => emit('user_updated', { user }),
+    user_deleted: ({ userId: id }) => emit('user_deleted', { userId: id }),
+    error: (err) => emit('error', { message: err?.message })
+  };
+
+  // Open the connection for a signed-in user. Returns the socket, which calls
+  // are signalled over too.
+  const connect = (user) => {
+    disconnect();
+    userId = user;
+    setStatus(CONNECTION_STATUS.CONNECTING);
+    socket = connectSocket(typeof socketUrl === 'function' ? socketUrl() : socketUrl, {
+      auth: (cb) => cb({ token: getToken() }), // read on every (re)connect
+      transports: ['websocket', 'polling'],
+      reconnection: false // see scheduleReconnect
+    });
+    Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler));
+    return socket;
+  };
+
+  const disconnect = () => {
+    if (!socket) return;
+    stopTyping();
+    Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler));
+    socket.disconnect();
+    socket = null;
+    userId = null;
+    away = false;
+    reauthenticating = false;
+    hasConnected = false;
+    reconnectAttempt = 0;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    typists.clear();
+    lastSeenId = null;
+    arrivedLive = null;
+    setStatus(CONNECTION_STATUS.DISCONNECTED);
+    if (reconnect) setReconnect(null);
+    setPresence({});
+  };
+
+  return {
+    on,
+    connect,
+    disconnect,
+    isConnected,
+    getStatus: () => status,
+    getPresence: () => presence,
+    getReconnect: () => reconnect,
+    reconnectNow,
+    getSocket: () => socket,
+    getUserId: () => userId,
+    send,
+    retry,
+    discard,
+    flush,
+    pendingFor,
+    editMessage,
+    deleteMessage,
+    react,
+    typing,
+    stopTyping,
+    setAway,
+    markRead,
+    loadHistory,
+    loadUsers,
+    loadGroups
+  };
+};
@@ -0,0 +1,976 @@
+import { renderHook, act } from '@testing-library/react';
+import { createChatClient, CHAT_EVENTS, CONNECTION_STATUS, toPendingMessage, reconnectDelay } from './chatClient';
+import { useConnectionStatus, useReconnect, usePresence, useTyping, useConversations } from './chatHooks';
+import { MESSAGE_STATUS } from './messageStatus';
+import { PRESENCE } from './presence';
+
+// Let pending promise chains (outbox, acks) settle
+const flush = async () => {
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+
+const createFakeSocket = () => {
+  const handlers = {};
+  return {
+    connected: false,
+    emitted: [],
+    on: (event, handler) => { handlers[event] = handler; },
+    off: (event, handler) => {
+      if (handlers[event] === handler) delete handlers[event];
+    },
+    emit(event, payload, ack) {
+      this.emitted.push({ event, payload, ack });
+    },
+    timeout() {
+      return this;
+    },
+    connect() {
+      this.connected = true;
+      handlers.connect?.();
+    },
+    disconnect() {
+      this.connected = false;
+    },
+    // The connection dropping on its own
+    drop() {
+      this.connected = false;
+      handlers.disconnect?.('transport close');
+    },
+    receive: (event, payload) => handlers[event]?.(payload),
+    listening: (event) => Boolean(handlers[event]),
+    sent(event) {
+      return this.emitted.filter(e => e.event === event);
+    },
+    last(event) {
+      return [...this.emitted].reverse().find(e => e.event === event);
+    }
+  };
+};
+
+// Keeps insertion order, like the IndexedDB store's createdAt index
+const createMemoryOutbox = () => {
+  const entries = new Map();
+  return {
+    entries,
+    getAll: async () => [...entries.values()],
+    get: async (clientId) => entries.get(clientId),
+    put: async (entry) => { entries.set(entry.clientId, entry); },
+    update: async (clientId, changes) => {
+      if (!entries.has(clientId)) return null;
+      entries.set(clientId, { ...entries.get(clientId), ...changes });
+      return entries.get(clientId);
+    },
+    remove: async (clientId) => { entries.delete(clientId); }
+  };
+};
+
+// Disconnected after each test, so no reconnect timer outlives it
+const clients = [];
+
+const setup = ({ responses = {}, ...options } = {}) => {
+  const socket = createFakeSocket();
+  const outbox = createMemoryOutbox();
+  const request = jest.fn(async (path) => {
+    if (!(path in responses)) throw new Error(`Unexpected request: ${path}`);
+    return responses[path];
+  });
+  let nextId = 0;
+  const client = createChatClient({
+    socketUrl: 'http://chat.test',
+    connectSocket: jest.fn(() => socket),
+    request,
+    getToken: () => 'token-1',
+    refreshToken: jest.fn(async () => {}),
+    isAuthError: error => error.message === 'unauthorized',
+    outbox,
+    generateId: () => `c${++nextId}`,
+    now: () => new Date('2026-01-01T12:00:00Z'),
+    ...options
+  });
+  clients.push(client);
+  const events = [];
+  CHAT_EVENTS.forEach(event => client.on(event, payload => events.push({ event, payload })));
+  const received = (event) => events.filter(e => e.event === event).map(e => e.payload);
+  return { socket, outbox, request, client, received };
+};
+
+// Signed in as user 1 and connected
+const connected = (options) => {
+  const context = setup(options);
+  context.client.connect(1);
+  context.socket.connect();
+  return context;
+};
+
+const bob = { id: 2, username: 'bob' };
+const team = { id: 'group:5', groupId: 5, isGroup: true, name: 'Team' };
+
+afterEach(() => {
+  act(() => clients.splice(0).forEach(client => client.disconnect()));
+  jest.useRealTimers();
+});
+
+describe('connection', () => {
+  test('reports connecting, connected and disconnected', () => {
+    const { socket, client, received } = setup();
+
+    const returned = client.connect(1);
+    expect(returned).toBe(socket);
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.CONNECTING);
+
+    socket.connect();
+    expect(client.isConnected()).toBe(true);
+    client.disconnect();
+    expect(received('status')).toEqual(['connecting', 'connected', 'disconnected']);
+  });
+
+  test('reconnects on its own with a growing wait', () => {
+    jest.useFakeTimers();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { socket, client, received } = connected({ retryDelay: attempt => attempt * 1000 });
+    const start = new Date('2026-01-01T12:00:00Z').getTime();
+    const connect = jest.spyOn(socket, 'connect').mockImplementation(() => {});
+
+    socket.drop();
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.RECONNECTING);
+    expect(client.getReconnect()).toEqual({ attempt: 1, retryAt: start + 1000 });
+
+    jest.advanceTimersByTime(999);
+    expect(connect).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(client.getReconnect()).toEqual({ attempt: 1, retryAt: null });
+
+    socket.receive('connect_error', new Error('timeout'));
+    expect(client.getReconnect()).toEqual({ attempt: 2, retryAt: start + 2000 });
+
+    connect.mockRestore();
+    jest.advanceTimersByTime(2000);
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.CONNECTED);
+    expect(client.getReconnect()).toBe(null);
+    expect(received('status')).toEqual([
+      'connecting', 'connected', 'reconnecting', 'connecting', 'reconnecting', 'connecting', 'connected'
+    ]);
+    expect(received('reconnect').map(r => r?.attempt ?? null)).toEqual([1, 1, 2, 2, null]);
+    error.mockRestore();
+  });
+
+  test('retry now skips the wait', () => {
+    jest.useFakeTimers();
+    const { socket, client } = connected();
+    socket.drop();
+
+    client.reconnectNow();
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.CONNECTED);
+
+    // The timer it replaced doesn't connect again
+    const connect = jest.spyOn(socket, 'connect');
+    jest.runOnlyPendingTimers();
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  test('the backoff doubles up to a cap, with jitter', () => {
+    expect(reconnectDelay(1, () => 0.5)).toBe(1000);
+    expect(reconnectDelay(3, () => 0.5)).toBe(4000);
+    expect(reconnectDelay(20, () => 0.5)).toBe(30000);
+    expect(reconnectDelay(1, () => 0)).toBe(750);
+    expect(reconnectDelay(1, () => 1)).toBe(1250);
+  });
+
+  test('authenticates with the current token on every connect', () => {
+    const connectSocket = jest.fn(() => createFakeSocket());
+    const { client } = setup({ connectSocket, getToken: () => 'token-2' });
+    client.connect(1);
+
+    const [url, { auth }] = connectSocket.mock.calls[0];
+    const cb = jest.fn();
+    auth(cb);
+    expect(url).toBe('http://chat.test');
+    expect(cb).toHaveBeenCalledWith({ token: 'token-2' });
+  });
+
+  test('renews the token once when the server turns it away, then reconnects', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const renew = jest.fn(async () => {});
+    const { socket, client, received } = setup({ refreshToken: renew });
+    client.connect(1);
+
+    socket.receive('connect_error', new Error('unauthorized'));
+    socket.receive('connect_error', new Error('unauthorized'));
+    await flush();
+
+    expect(renew).toHaveBeenCalledTimes(1);
+    expect(socket.connected).toBe(true);
+    expect(received('status')).toEqual(['connecting', 'error', 'error', 'connecting', 'connected']);
+    error.mockRestore();
+  });
+
+  test('retries other connection errors without renewing the token', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const renew = jest.fn(async () => {});
+    const { socket, client } = setup({ refreshToken: renew });
+    client.connect(1);
+
+    socket.receive('connect_error', new Error('timeout'));
+    await flush();
+    expect(renew).not.toHaveBeenCalled();
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.RECONNECTING);
+    error.mockRestore();
+  });
+
+  test('disconnect stops listening and forgets the session', () => {
+    const { socket, client, received } = connected();
+    socket.receive('presence_snapshot', { users: [{ userId: 2, status: 'online' }] });
+
+    client.disconnect();
+    expect(socket.listening('message')).toBe(false);
+    expect(socket.connected).toBe(false);
+    expect(client.getStatus()).toBe(CONNECTION_STATUS.DISCONNECTED);
+    expect(client.getPresence()).toEqual({});
+    expect(received('presence').pop()).toEqual({});
+    expect(client.getUserId()).toBe(null);
+  });
+
+  test('only accepts known events', () => {
+    const { client } = setup();
+    expect(() => client.on('mesage', () => {})).toThrow('Unknown chat client event: mesage');
+  });
+
+  test('a throwing listener does not stop the others', () => {
+    const { socket, client, received } = setup();
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const off = client.on('status', () => {
+      throw new Error('boom');
+    });
+
+    client.connect(1);
+    socket.connect();
+    expect(received('status')).toEqual(['connecting', 'connected']);
+    off();
+    error.mockRestore();
+  });
+});
+
+describe('incoming messages', () => {
+  test('reads them and names their conversation', async () => {
+    const { socket, received } = connected({
+      readMessage: async (message, userId) => ({ ...message, content: `${message.content} for ${userId}` })
+    });
+
+    socket.receive('message', { id: 10, sender_id: 2, receiver_id: 1, content: 'hi' });
+    socket.receive('message', { id: 11, sender_id: 3, group_id: 5, content: 'all' });
+    await flush();
+
+    expect(received('message')).toEqual([
+      { message: { id: 10, sender_id: 2, receiver_id: 1, content: 'hi for 1' }, conversationId: 2 },
+      { message: { id: 11, sender_id: 3, group_id: 5, content: 'all for 1' }, conversationId: 'group:5' }
+    ]);
+  });
+
+  test('passes on receipts, edits, deletes and reactions', async () => {
+    const { socket, received } = connected();
+
+    socket.receive('message_delivered', { id: 10, client_id: 'c1' });
+    socket.receive('messages_read', { readerId: 2, messageIds: [10] });
+    socket.receive('message_edited', { message: { id: 10, sender_id: 1, receiver_id: 2, content: 'edited' } });
+    socket.receive('message_deleted', { message: { id: 11, sender_id: 2, receiver_id: 1, deleted_at: 'now' } });
+    socket.receive('message_hidden', { messageId: 12 });
+    socket.receive('message_reactions', { messageId: 10, reactions: { '👍': [2] } });
+    await flush();
+
+    expect(received('message_delivered')).toEqual([{ messageId: 10, clientId: 'c1' }]);
+    expect(received('messages_read')).toEqual([{ readerId: 2, groupId: undefined, messageIds: [10] }]);
+    expect(received('message_changed').map(e => [e.message.id, e.conversationId])).toEqual([[10, 2], [11, 2]]);
+    expect(received('message_hidden')).toEqual([{ messageId: 12 }]);
+    expect(received('reactions')).toEqual([{ messageId: 10, reactions: { '👍': [2] } }]);
+  });
+
+  test('passes on group, contact and profile changes', () => {
+    const { socket, received } = connected();
+
+    socket.receive('group_updated', { group: { id: 5 } });
+    socket.receive('group_removed', { groupId: 5 });
+    socket.receive('contact_settings', { pinned: [2], muted: [], blocked: [] });
+    socket.receive('user_keys_changed', { userId: 2, public_keys: ['key'] });
+    socket.receive('user_updated', { user: { id: 2, username: 'Robert' } });
+    socket.receive('user_deleted', { userId: 3 });
+    socket.receive('error', { message: 'Nope' });
+
+    expect(received('group_updated')).toEqual([{ group: { id: 5 } }]);
+    expect(received('group_removed')).toEqual([{ groupId: 5 }]);
+    expect(received('contact_settings')).toEqual([{ pinned: [2], muted: [], blocked: [] }]);
+    expect(received('keys_changed')).toEqual([{ userId: 2, keys: ['key'] }]);
+    expect(received('user_updated')).toEqual([{ user: { id: 2, username: 'Robert' } }]);
+    expect(received('user_deleted')).toEqual([{ userId: 3 }]);
+    expect(received('error')).toEqual([{ message: 'Nope' }]);
+  });
+});
+
+describe('sending', () => {
+  test('queues a message, sends it and settles on the ack', async () => {
+    const { socket, outbox, client, received } = connected();
+
+    const entry = client.send(bob, { content: 'hi' });
+    expect(entry).toMatchObject({
+      clientId: 'c1',
+      senderId: 1,
+      conversationId: 2,
+      receiverId: 2,
+      content: 'hi',
+      createdAt: '2026-01-01T12:00:00.000Z',
+      status: 'queued'
+    });
+    expect(toPendingMessage(entry)).toMatchObject({ id: 'c1', client_id: 'c1', isOwn: true, status: MESSAGE_STATUS.SENDING });
+    await flush();
+
+    const sent = socket.last('send_message');
+    expect(sent.payload).toEqual({ receiverId: 2, content: 'hi', clientId: 'c1' });
+    expect(outbox.entries.has('c1')).toBe(true);
+
+    const stored = { id: 10, client_id: 'c1', sender_id: 1, receiver_id: 2, content: 'hi' };
+    sent.ack(null, { message: stored });
+    await flush();
+    expect(received('message_sent')).toEqual([{ clientId: 'c1', message: stored }]);
+    expect(outbox.entries.size).toBe(0);
+  });
+
+  test('addresses groups, replies and attachments', async () => {
+    const { socket, client } = connected();
+
+    client.send(team, { attachment: { url: '/f' }, replyTo: { id: 7 }, encrypted: true });
+    await flush();
+    expect(socket.last('send_message').payload).toEqual({
+      groupId: 5,
+      content: '',
+      attachment: { url: '/f' },
+      replyToId: 7,
+      clientId: 'c1'
+    });
+  });
+
+  test('holds sends while offline and delivers them in order once connected', async () => {
+    const { socket, client } = setup();
+    client.connect(1);
+
+    client.send(bob, { content: 'one' });
+    client.send(bob, { content: 'two' });
+    await flush();
+    expect(socket.sent('send_message')).toEqual([]);
+    expect((await client.pendingFor(2)).map(entry => entry.content)).toEqual(['one', 'two']);
+
+    socket.connect();
+    await flush();
+    expect(socket.sent('send_message').map(e => e.payload.content)).toEqual(['one']);
+
+    socket.last('send_message').ack(null, { message: { id: 10, client_id: 'c1', sender_id: 1 } });
+    await flush();
+    expect(socket.sent('send_message').map(e => e.payload.content)).toEqual(['one', 'two']);
+  });
+
+  test('sends a message queued while the one before waits for its ack', async () => {
+    const { socket, outbox, client } = connected();
+
+    client.send(bob, { content: 'one' });
+    await flush();
+    client.send(bob, { content: 'two' });
+    await flush();
+    expect(socket.sent('send_message').map(e => e.payload.content)).toEqual(['one']);
+
+    socket.last('send_message').ack(null, { message: { id: 10, client_id: 'c1', sender_id: 1 } });
+    await flush();
+    expect(socket.sent('send_message').map(e => e.payload.content)).toEqual(['one', 'two']);
+
+    socket.last('send_message').ack(null, { message: { id: 11, client_id: 'c2', sender_id: 1 } });
+    await flush();
+    expect(outbox.entries.size).toBe(0);
+  });
+
+  test('settles through the server echo when it beats the ack', async () => {
+    const { socket, client, received } = connected();
+    client.send(bob, { content: 'hi' });
+    await flush();
+
+    const echo = { id: 10, client_id: 'c1', sender_id: 1, receiver_id: 2, content: 'hi' };
+    socket.receive('message', echo);
+    await flush();
+    socket.last('send_message').ack(null, { message: echo });
+    await flush();
+
+    expect(received('message_sent')).toEqual([{ clientId: 'c1', message: echo }]);
+    expect(received('message')).toEqual([]);
+  });
+
+  test('takes our own message from another device as a new message', async () => {
+    const { socket, client, received } = connected();
+    client.send(bob, { content: 'hi' });
+    await flush();
+
+    const elsewhere = { id: 11, client_id: 'other-device-1', sender_id: 1, receiver_id: 2, content: 'from my phone' };
+    socket.receive('message', elsewhere);
+    await flush();
+    expect(received('message')).toEqual([{ message: elsewhere, conversationId: 2 }]);
+    expect(received('message_sent')).toEqual([]);
+  });
+
+  test('marks a refused send failed, and sends it again on retry', async () => {
+    const { socket, outbox, client, received } = connected();
+    client.send(bob, { content: 'hi' });
+    await flush();
+
+    socket.last('send_message').ack(null, { error: 'Too long' });
+    await flush();
+    expect(received('message_failed')).toEqual([{ clientId: 'c1' }]);
+    expect(outbox.entries.get('c1').status).toBe('failed');
+
+    await client.retry('c1');
+    await flush();
+    expect(socket.sent('send_message')).toHaveLength(2);
+  });
+
+  test('fails a send the outbox could not store', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { socket, outbox, client, received } = connected();
+    outbox.put = async () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    client.send(bob, { content: 'hi' });
+    await flush();
+    expect(socket.sent('send_message')).toEqual([]);
+    expect(received('message_failed')).toEqual([{ clientId: 'c1' }]);
+
+    // Nothing to send again; it can only be discarded
+    await client.retry('c1');
+    expect(received('message_failed')).toHaveLength(2);
+    error.mockRestore();
+  });
+
+  test('keeps a send queued when the connection drops before the ack', async () => {
+    const { socket, outbox, client, received } = connected();
+    client.send(bob, { content: 'hi' });
+    await flush();
+
+    socket.drop();
+    socket.last('send_message').ack(new Error('operation has timed out'));
+    await flush();
+    expect(received('message_failed')).toEqual([]);
+    expect(outbox.entries.get('c1').status).toBe('queued');
+  });
+
+  test('encrypts direct messages on the way out', async () => {
+    const encrypt = jest.fn(async (content, { senderId, receiverId }) => `${content}:${senderId}>${receiverId}`);
+    const { socket, outbox, client } = connected({ encrypt });
+
+    client.send(bob, { content: 'secret', encrypted: true });
+    await flush();
+    expect(socket.last('send_message').payload.content).toBe('secret:1>2');
+    expect(outbox.entries.get('c1').content).toBe('secret'); // plaintext stays on this device
+  });
+
+  test('fails a message that cannot be encrypted', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { socket, client, received } = connected({
+      encrypt: async () => {
+        throw new Error('No key');
+      }
+    });
+
+    client.send(bob, { content: 'secret', encrypted: true });
+    await flush();
+    expect(socket.sent('send_message')).toEqual([]);
+    expect(received('message_failed')).toEqual([{ clientId: 'c1' }]);
+    error.mockRestore();
+  });
+
+  test('never sends a file to an encrypted chat', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const encrypt = jest.fn(async content => `sealed:${content}`);
+    const { socket, client, received } = connected({ encrypt });
+
+    client.send(bob, { content: 'caption', attachment: { url: 'https://files.test/1' }, encrypted: true });
+    await flush();
+    expect(socket.sent('send_message')).toEqual([]);
+    expect(encrypt).not.toHaveBeenCalled();
+    expect(received('message_failed')).toEqual([{ clientId: 'c1' }]);
+    error.mockRestore();
+  });
+
+  test('discard drops a message from the outbox', async () => {
+    const { client } = setup();
+    client.connect(1);
+    client.send(bob, { content: 'hi' });
+    await flush();
+
+    await client.discard('c1');
+    expect(await client.pendingFor(2)).toEqual([]);
+  });
+});
+
+describe('edits, deletes and reactions', () => {
+  test('are refused while offline', async () => {
+    const { client } = setup();
+    client.connect(1);
+
+    await expect(client.deleteMessage(10, true)).rejects.toThrow();
+  });
+
+  test('resolve with what the server saved', async () => {
+    const { socket, client } = connected({ readMessage: async message => ({ ...message, read: true }) });
+
+    const edit = client.editMessage({ id: 10, receiver_id: 2, content: 'old' }, 'new');
+    await flush();
+    expect(socket.last('edit_message').payload).toEqual({ messageId: 10, content: 'new' });
+    socket.last('edit_message').ack(null, { message: { id: 10, content: 'new' } });
+    await expect(edit).resolves.toEqual({ id: 10, content: 'new', read: true });
+
+    const reaction = client.react(10, '👍');
+    socket.last('react_message').ack(null, { reactions: { '👍': [1] } });
+    await expect(reaction).resolves.toEqual({ '👍': [1] });
+
+    const removal = client.deleteMessage(10, true);
+    socket.last('delete_message').ack(null, { message: { id: 10, deleted_at: 'now' } });
+    await expect(removal).resolves.toEqual({ id: 10, deleted_at: 'now' });
+  });
+
+  test('reject with the server error', async () => {
+    const { socket, client } = connected();
+
+    const reaction = client.react(10, '👍');
+    socket.last('react_message').ack(null, { error: 'Not allowed' });
+    await expect(reaction).rejects.toThrow('Not allowed');
+  });
+
+  test('keep encrypted messages encrypted when edited', async () => {
+    const encrypt = jest.fn(async content => `sealed:${content}`);
+    const { socket, client } = connected({ encrypt });
+
+    client.editMessage({ id: 10, receiver_id: 2, encrypted: true }, 'new');
+    await flush();
+    expect(encrypt).toHaveBeenCalledWith('new', { senderId: 1, receiverId: 2 });
+    expect(socket.last('edit_message').payload.content).toBe('sealed:new');
+  });
+});
+
+describe('typing', () => {
+  test('starts once and stops after a pause', () => {
+    jest.useFakeTimers();
+    const { socket, client } = connected();
+
+    client.typing(bob);
+    jest.advanceTimersByTime(1500);
+    client.typing(bob);
+    expect(socket.sent('typing_start')).toHaveLength(1);
+    expect(socket.last('typing_start').payload).toEqual({ receiverId: 2 });
+
+    jest.advanceTimersByTime(1500);
+    expect(socket.sent('typing_stop')).toEqual([]);
+    jest.advanceTimersByTime(500);
+    expect(socket.last('typing_stop').payload).toEqual({ receiverId: 2 });
+  });
+
+  test('switching chats stops typing in the old one', () => {
+    const { socket, client } = connected();
+
+    client.typing(bob);
+    client.typing(team);
+    expect(socket.last('typing_stop').payload).toEqual({ receiverId: 2 });
+    expect(socket.last('typing_start').payload).toEqual({ groupId: 5 });
+
+    client.stopTyping();
+    client.stopTyping();
+    expect(socket.sent('typing_stop')).toHaveLength(2);
+  });
+
+  test('reports who is typing where', () => {
+    const { socket, received } = connected();
+
+    socket.receive('typing_start', { userId: 2 });
+    socket.receive('typing_start', { userId: 3, groupId: 5 });
+    socket.receive('typing_stop', { userId: 2 });
+
+    expect(received('typing')).toEqual([
+      { conversationId: 2, userId: 2, typing: true },
+      { conversationId: 'group:5', userId: 3, typing: true },
+      { conversationId: 2, userId: 2, typing: false }
+    ]);
+  });
+
+  test('stops everyone typing when the connection drops', () => {
+    const { socket, received } = connected();
+    socket.receive('typing_start', { userId: 2 });
+    socket.receive('typing_start', { userId: 3, groupId: 5 });
+
+    socket.drop();
+    expect(received('typing').slice(2)).toEqual([
+      { conversationId: 2, userId: 2, typing: false },
+      { conversationId: 'group:5', userId: 3, typing: false }
+    ]);
+  });
+});
+
+describe('presence', () => {
+  test('is rebuilt from the snapshot, then updated', () => {
+    const { socket, client, received } = connected();
+
+    socket.receive('presence_snapshot', {
+      users: [
+        { userId: 2, status: 'online', statusMessage: 'At lunch' },
+        { userId: 3, status: 'offline', lastSeen: '2026-01-01T10:00:00Z' }
+      ]
+    });
+    expect(client.getPresence()).toEqual({
+      2: { status: 'online', lastSeen: null },
+      3: { status: 'offline', lastSeen: '2026-01-01T10:00:00Z' }
+    });
+    expect(received('status_message')).toEqual([
+      { userId: 2, statusMessage: 'At lunch' },
+      { userId: 3, statusMessage: '' }
+    ]);
+
+    socket.receive('presence', { userId: 2, status: 'away', statusMessage: 'Back soon' });
+    socket.receive('presence', { userId: 1, status: 'online', statusMessage: 'Mine' });
+    expect(client.getPresence()[2]).toEqual({ status: 'away', lastSeen: null });
+    expect(received('status_message').pop()).toEqual({ userId: 2, statusMessage: 'Back soon' });
+    expect(received('presence')).toHaveLength(3);
+  });
+
+  test('bare online deltas do not override away', () => {
+    const { socket, client } = connected();
+    socket.receive('presence', { userId: 2, status: PRESENCE.AWAY });
+
+    socket.receive('user_online', 2);
+    expect(client.getPresence()[2].status).toBe(PRESENCE.AWAY);
+
+    socket.receive('user_offline', 2);
+    socket.receive('user_online', 3);
+    expect(client.getPresence()).toEqual({
+      2: { status: PRESENCE.OFFLINE, lastSeen: '2026-01-01T12:00:00.000Z' },
+      3: { status: PRESENCE.ONLINE, lastSeen: null }
+    });
+  });
+
+  test('reports this device away, again after reconnecting', () => {
+    const { socket, client } = setup();
+    client.connect(1);
+
+    client.setAway(true);
+    expect(socket.sent('set_presence')).toEqual([]);
+
+    socket.connect();
+    expect(socket.last('set_presence').payload).toEqual({ away: true });
+    client.setAway(false);
+    expect(socket.last('set_presence').payload).toEqual({ away: false });
+  });
+
+  test('marks messages read only while connected', () => {
+    const { socket, client } = setup();
+    client.connect(1);
+    expect(client.markRead(bob, [10])).toBe(false);
+
+    socket.connect();
+    expect(client.markRead(bob, [])).toBe(false);
+    expect(client.markRead(bob, [10, 11])).toBe(true);
+    expect(client.markRead(team, [12])).toBe(true);
+    expect(socket.sent('mark_read').map(e => e.payload)).toEqual([
+      { senderId: 2, messageIds: [10, 11] },
+      { groupId: 5, messageIds: [12] }
+    ]);
+  });
+});
+
+describe('history', () => {
+  test('pages through a conversation', async () => {
+    const { client, request } = connected({
+      responses: {
+        '/api/messages/2?limit=50': { messages: [{ id: 30 }, { id: 31 }], hasMore: true },
+        '/api/groups/5/messages?limit=2&before=30': { messages: [{ id: 28 }, { id: 29 }], hasMore: false }
+      },
+      readMessage: async message => ({ ...message, read: true })
+    });
+
+    await expect(client.loadHistory(2)).resolves.toEqual({
+      messages: [{ id: 30, read: true }, { id: 31, read: true }],
+      hasMore: true
+    });
+    await expect(client.loadHistory('group:5', { before: 30, limit: 2 })).resolves.toMatchObject({ hasMore: false });
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  test('understands older servers that return the whole history', async () => {
+    const { client } = connected({
+      responses: {
+        '/api/messages/2?limit=2': [{ id: 1 }, { id: 2 }],
+        '/api/messages/3?limit=2': [{ id: 3 }]
+      }
+    });
+
+    await expect(client.loadHistory(2, { limit: 2 })).resolves.toMatchObject({ hasMore: true });
+    await expect(client.loadHistory(3, { limit: 2 })).resolves.toMatchObject({ hasMore: false });
+  });
+
+  test('catches up on what was missed after a reconnect', async () => {
+    const message = (id, from = 2) => ({ id, sender_id: from, receiver_id: 3 - from, created_at: `2026-01-01T12:00:${id}Z` });
+    const { socket, client, request, received } = connected({
+      responses: {
+        '/api/messages/2?limit=50': { messages: [message(10)], hasMore: false },
+        '/api/groups/5/messages?limit=50': { messages: [{ id: 20, group_id: 5 }], hasMore: false },
+        '/api/messages/missed?after=20&limit=50': {
+          messages: [message(21), { id: 22, group_id: 5, sender_id: 3 }],
+          hasMore: true
+        },
+        '/api/messages/missed?after=22&limit=50': {
+          messages: [message(23), message(24, 1), { id: 25, sender_id: 3, receiver_id: 1 }],
+          hasMore: false
+        }
+      }
+    });
+    await client.loadHistory(2);
+    await client.loadHistory('group:5');
+
+    socket.drop();
+    socket.connect();
+    socket.receive('message', message(23)); // arrives live while catching up
+    await flush();
+
+    // One request from the newest message we had, paged, whatever the number of chats
+    expect(request.mock.calls.slice(2).map(([path]) => path)).toEqual([
+      '/api/messages/missed?after=20&limit=50',
+      '/api/messages/missed?after=22&limit=50'
+    ]);
+    expect(received('missed_messages')).toEqual([
+      { conversationId: 2, messages: [message(21), message(24, 1)] },
+      { conversationId: 'group:5', messages: [{ id: 22, group_id: 5, sender_id: 3 }] },
+      // A chat that wasn't loaded hears about it too
+      { conversationId: 3, messages: [{ id: 25, sender_id: 3, receiver_id: 1 }] }
+    ]);
+    expect(received('message')).toEqual([{ message: message(23), conversationId: 2 }]);
+  });
+
+  test('goes on from the newest message, live or loaded, at the next reconnect', async () => {
+    const { socket, request, received } = connected({
+      responses: {
+        '/api/messages/missed?after=30&limit=50': { messages: [{ id: 31, sender_id: 2, receiver_id: 1 }], hasMore: false },
+        '/api/messages/missed?after=31&limit=50': { messages: [], hasMore: false }
+      }
+    });
+    socket.receive('message', { id: 30, sender_id: 2, receiver_id: 1 });
+    await flush();
+
+    socket.drop();
+    socket.connect();
+    await flush();
+    socket.drop();
+    socket.connect();
+    await flush();
+
+    expect(request.mock.calls.map(([path]) => path)).toEqual([
+      '/api/messages/missed?after=30&limit=50',
+      '/api/messages/missed?after=31&limit=50'
+    ]);
+    expect(received('missed_messages')).toHaveLength(1);
+  });
+
+  test('has nothing to catch up from before any message arrives', async () => {
+    const { socket, request } = connected();
+    socket.drop();
+    socket.connect();
+    await flush();
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('logs a failed catch-up and keeps the connection', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { socket, client, received } = connected();
+    socket.receive('message', { id: 30, sender_id: 2, receiver_id: 1 });
+    await flush();
+
+    socket.drop();
+    socket.connect();
+    await flush();
+
+    expect(error).toHaveBeenCalledWith('Failed to catch up on missed messages:', expect.any(Error));
+    expect(received('missed_messages')).toEqual([]);
+    expect(client.isConnected()).toBe(true);
+    error.mockRestore();
+  });
+
+  test('does not catch up on the first connect', async () => {
+    const { request } = connected();
+    await flush();
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('loads contacts and groups', async () => {
+    const { client } = setup({ responses: { '/api/users': [bob], '/api/groups': [{ id: 5 }] } });
+
+    await expect(client.loadUsers()).resolves.toEqual([bob]);
+    await expect(client.loadGroups()).resolves.toEqual([{ id: 5 }]);
+  });
+
+  test('rejects when the server can not be reached', async () => {
+    const { client } = setup();
+    await expect(client.loadHistory(2)).rejects.toThrow('Unexpected request');
+  });
+});
+
+describe('React hooks', () => {
+  const renderConversations = (context, options) => (
+    renderHook(({ userId }) => useConversations(context.client, userId, options), { initialProps: { userId: 1 } })
+  );
+
+  test('follow the connection, presence and typing', () => {
+    const context = setup();
+    const { result } = renderHook(() => ({
+      status: useConnectionStatus(context.client),
+      presence: usePresence(context.client),
+      typing: useTyping(context.client, 1, { ignore: userId => userId === 3 })
+    }));
+    expect(result.current.status).toBe(CONNECTION_STATUS.DISCONNECTED);
+
+    act(() => {
+      context.client.connect(1);
+      context.socket.connect();
+      context.socket.receive('presence', { userId: 2, status: 'online' });
+      context.socket.receive('typing_start', { userId: 2 });
+      context.socket.receive('typing_start', { userId: 3 });
+    });
+    expect(result.current.status).toBe(CONNECTION_STATUS.CONNECTED);
+    expect(result.current.presence).toEqual({ 2: { status: 'online', lastSeen: null } });
+    expect([...result.current.typing[2]]).toEqual([2]);
+    expect(result.current.typing[3]).toBeUndefined();
+
+    act(() => context.socket.receive('typing_stop', { userId: 2 }));
+    expect(result.current.typing[2].size).toBe(0);
+  });
+
+  test('follow reconnecting, and stop typing when the connection drops', () => {
+    jest.useFakeTimers();
+    const context = connected({ retryDelay: () => 5000 });
+    const { result } = renderHook(() => ({
+      status: useConnectionStatus(context.client),
+      reconnect: useReconnect(context.client),
+      typing: useTyping(context.client, 1)
+    }));
+
+    act(() => {
+      context.socket.receive('typing_start', { userId: 2 });
+      context.socket.drop();
+    });
+    expect(result.current.status).toBe(CONNECTION_STATUS.RECONNECTING);
+    expect(result.current.reconnect).toEqual({ attempt: 1, retryAt: new Date('2026-01-01T12:00:05Z').getTime() });
+    expect(result.current.typing[2].size).toBe(0);
+
+    act(() => jest.advanceTimersByTime(5000));
+    expect(result.current.status).toBe(CONNECTION_STATUS.CONNECTED);
+    expect(result.current.reconnect).toBe(null);
+  });
+
+  test('show a send straight away and settle it on the ack', async () => {
+    const context = connected();
+    const { result } = renderConversations(context);
+
+    act(() => {
+      result.current.send(bob, { content: 'hi' });
+    });
+    expect(result.current.conversations[2]).toMatchObject([{ id: 'c1', status: MESSAGE_STATUS.SENDING }]);
+    await act(flush);
+
+    await act(async () => {
+      context.socket.last('send_message').ack(null, { message: { id: 10, client_id: 'c1', sender_id: 1, receiver_id: 2 } });
+      await flush();
+    });
+    expect(result.current.conversations[2]).toMatchObject([{ id: 10, client_id: 'c1', status: MESSAGE_STATUS.SENT }]);
+
+    act(() => context.socket.receive('message_delivered', { messageId: 10 }));
+    act(() => context.socket.receive('messages_read', { readerId: 2 }));
+    expect(result.current.conversations[2][0].status).toBe(MESSAGE_STATUS.READ);
+  });
+
+  test('load history with unsent messages at the end', async () => {
+    const context = setup({
+      responses: { '/api/messages/2?limit=50': { messages: [{ id: 30, sender_id: 2, receiver_id: 1 }], hasMore: false } }
+    });
+    context.client.connect(1);
+    const { result } = renderConversations(context);
+
+    act(() => {
+      result.current.send(bob, { content: 'later' });
+    });
+    await act(() => result.current.loadMessages(2));
+
+    expect(result.current.conversations[2].map(m => [m.id, m.status])).toEqual([
+      [30, MESSAGE_STATUS.SENT],
+      ['c1', MESSAGE_STATUS.SENDING]
+    ]);
+    expect(result.current.historyMeta[2]).toEqual({ hasMore: false, loading: false });
+    expect(result.current.isLoaded(2)).toBe(true);
+  });
+
+  test('add incoming messages, except from chats being ignored', async () => {
+    const context = connected();
+    const { result } = renderConversations(context, { ignore: conversationId => conversationId === 3 });
+
+    await act(async () => {
+      context.socket.receive('message', { id: 10, sender_id: 2, receiver_id: 1 });
+      context.socket.receive('message', { id: 11, sender_id: 3, receiver_id: 1 });
+      await flush();
+    });
+    expect(result.current.conversations).toEqual({
+      2: [{ id: 10, sender_id: 2, receiver_id: 1, isOwn: false, status: MESSAGE_STATUS.DELIVERED }]
+    });
+  });
+
+  test('merge in messages missed while offline', async () => {
+    const message = (id) => ({ id, sender_id: 2, receiver_id: 1, created_at: `2026-01-01T12:00:${id}Z` });
+    const context = connected({
+      responses: {
+        '/api/messages/2?limit=50': { messages: [message(10)], hasMore: false },
+        '/api/messages/missed?after=10&limit=50': { messages: [message(11)], hasMore: false }
+      }
+    });
+    const { result } = renderConversations(context);
+    await act(() => result.current.loadMessages(2));
+
+    await act(async () => {
+      context.socket.drop();
+      context.socket.connect();
+      await flush();
+    });
+    expect(result.current.conversations[2].map(m => [m.id, m.status])).toEqual([
+      [10, MESSAGE_STATUS.SENT],
+      [11, MESSAGE_STATUS.DELIVERED]
+    ]);
+  });
+
+  test('put a reaction back when the server refuses it', async () => {
+    const context = connected();
+    const { result } = renderConversations(context);
+    await act(async () => {
+      context.socket.receive('message', { id: 10, sender_id: 2, receiver_id: 1 });
+      await flush();
+    });
+
+    let reaction;
+    act(() => {
+      reaction = result.current.react(result.current.conversations[2][0], '👍').catch(error => error);
+    });
+    expect(result.current.conversations[2][0].reactions).toEqual({ '👍': [1] });
+
+    await act(async () => {
+      context.socket.last('react_message').ack(null, { error: 'Not allowed' });
+      await reaction;
+    });
+    expect(result.current.conversations[2][0].reactions).toEqual({});
+  });
+
+  test('start over for another user', () => {
+    const context = connected();
+    const { result, rerender } = renderConversations(context);
+    act(() => {
+      result.current.send(bob, { content: 'hi' });
+    });
+
+    rerender({ userId: 4 });
+    expect(result.current.conversations).toEqual({});
+  });
+});
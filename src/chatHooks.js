@@ -0,0 +1,287 @@
+// chatHooks.js
+// React on top of the chat client (chatClient.js): each hook mirrors part of
+// what the client reports into component state. Hooks holding a signed-in
+// user's data take their id and start over empty when it changes.
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { toPendingMessage } from './chatClient';
+import { MESSAGE_STATUS, advanceStatus, deriveStatus, matchesMessage } from './messageStatus';
+import { applyMessageChange, toggleReaction } from './messageActions';
+import {
+  conversationIdFor,
+  appendMessage,
+  setConversationMessages,
+  mapMessages,
+  filterMessages
+} from './conversations';
+
+// Call `handler` for every `event` from the client; the latest handler is
+// used, so it may read the render's state
+export const useChatEvent = (client, event, handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => client.on(event, payload => handlerRef.current(payload)), [client, event]);
+};
+
+export const useConnectionStatus = (client) => {
+  const [status, setStatus] = useState(client.getStatus);
+  useChatEvent(client, 'status', setStatus);
+  return status;
+};
+
+// { attempt, retryAt } while waiting to reconnect, else null
+export const useReconnect = (client) => {
+  const [reconnect, setReconnect] = useState(client.getReconnect);
+  useChatEvent(client, 'reconnect', setReconnect);
+  return reconnect;
+};
+
+// userId -> { status, lastSeen }
+export const usePresence = (client) => {
+  const [presence, setPresence] = useState(client.getPresence);
+  useChatEvent(client, 'presence', setPresence);
+  return presence;
+};
+
+// The time, ticking every minute while `active`, so "last seen" and relative
+// times stay current
+export const useNow = (active) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  return now;
+};
+
+// conversationId -> Set of the user ids typing there. `ignore(userId)` drops
+// people we don't want to hear from.
+export const useTyping = (client, userId, { ignore } = {}) => {
+  const [typingByChat, setTypingByChat] = useState({});
+
+  useEffect(() => {
+    setTypingByChat({});
+  }, [userId]);
+
+  useChatEvent(client, 'typing', ({ conversationId, userId: typistId, typing }) => {
+    if (typing && ignore?.(typistId)) return;
+    setTypingByChat(prev => {
+      const typists = new Set(prev[conversationId]);
+      if (typing) typists.add(typistId);
+      else typists.delete(typistId);
+      return { ...prev, [conversationId]: typists };
+    });
+  });
+
+  return typingByChat;
+};
+
+// The message store, { [conversationId]: Message[] }, kept current from the
+// client's events, with paged history and optimistic sends, edits, deletes
+// and reactions. Messages from the senders `ignore(userId)` accepts are
+// dropped as they arrive, in groups as well as direct chats.
+export const useConversations = (client, userId, { ignore } = {}) => {
+  const [conversations, setConversations] = useState({});
+  const [historyMeta, setHistoryMeta] = useState({}); // conversationId -> { hasMore, loading }
+  const conversationsRef = useRef(conversations);
+  const historyMetaRef = useRef(historyMeta);
+  const loadingRef = useRef(new Set());
+  const loadedRef = useRef(new Set());
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+    historyMetaRef.current = historyMeta;
+  }, [conversations, historyMeta]);
+
+  useEffect(() => {
+    setConversations({});
+    setHistoryMeta({});
+    loadingRef.current = new Set();
+    loadedRef.current = new Set();
+  }, [userId]);
+
+  const updateStatus = (match, status) => {
+    setConversations(prev => mapMessages(prev, m => (
+      matchesMessage(m, match) ? { ...m, status: advanceStatus(m.status, status) } : m
+    )));
+  };
+
+  useChatEvent(client, 'message', ({ message, conversationId }) => {
+    if (ignore?.(message.sender_id)) return;
+    const isOwn = message.sender_id === userId; // history of a call we made
+    setConversations(prev => appendMessage(prev, conversationId, {
+      ...message,
+      isOwn,
+      status: advanceStatus(deriveStatus(message), MESSAGE_STATUS.DELIVERED)
+    }));
+  });
+
+  // Caught up after a reconnect
+  useChatEvent(client, 'missed_messages', ({ conversationId, messages }) => {
+    const kept = ignore ? messages.filter(message => !ignore(message.sender_id)) : messages;
+    if (kept.length === 0) return;
+    setConversations(prev => setConversationMessages(prev, conversationId, kept.map(message => {
+      const isOwn = message.sender_id === userId; // sent from another device
+      return {
+        ...message,
+        isOwn,
+        status: isOwn ? deriveStatus(message) : advanceStatus(deriveStatus(message), MESSAGE_STATUS.DELIVERED)
+      };
+    })));
+  });
+
+  useChatEvent(client, 'message_sent', ({ clientId, message }) => {
+    setConversations(prev => mapMessages(prev, m => (
+      m.client_id === clientId
+        ? {
+            ...m,
+            ...message,
+            client_id: clientId,
+            isOwn: true,
+            status: advanceStatus(advanceStatus(m.status, MESSAGE_STATUS.SENT), deriveStatus(message))
+          }
+        : m
+    )));
+  });
+
+  useChatEvent(client, 'message_failed', ({ clientId }) => updateStatus({ clientId }, MESSAGE_STATUS.FAILED));
+
+  useChatEvent(client, 'message_delivered', match => updateStatus(match, MESSAGE_STATUS.DELIVERED));
+
+  // The peer has seen our messages: either an explicit list, or everything we sent them
+  useChatEvent(client, 'messages_read', ({ readerId, groupId, messageIds }) => {
+    setConversations(prev => mapMessages(prev, m => {
+      if (m.sender_id !== userId) return m;
+      const isMatch = messageIds
+        ? messageIds.includes(m.id)
+        : m.receiver_id === readerId;
+      return isMatch && m.status !== MESSAGE_STATUS.SENDING && m.status !== MESSAGE_STATUS.FAILED
+        ? { ...m, status: advanceStatus(m.status, MESSAGE_STATUS.READ) }
+        : m;
+    }, groupId != null ? `group:${groupId}` : readerId));
+  });
+
+  useChatEvent(client, 'message_changed', ({ message, conversationId }) => {
+    setConversations(prev => mapMessages(prev, applyMessageChange(message), conversationId));
+  });
+
+  useChatEvent(client, 'message_hidden', ({ messageId }) => {
+    setConversations(prev => filterMessages(prev, m => m.id !== messageId));
+  });
+
+  useChatEvent(client, 'reactions', ({ messageId, reactions }) => {
+    setConversations(prev => mapMessages(prev, m => (m.id === messageId ? { ...m, reactions } : m)));
+  });
+
+  // Load a page of history into the store: the newest without a cursor,
+  // further back with `before`. Rejects if it couldn't be fetched.
+  const loadMessages = async (conversationId, { before, limit } = {}) => {
+    if (loadingRef.current.has(conversationId)) return;
+    loadingRef.current.add(conversationId);
+    setHistoryMeta(prev => ({ ...prev, [conversationId]: { ...prev[conversationId], loading: true } }));
+
+    let hasMore = historyMetaRef.current[conversationId]?.hasMore ?? true;
+    try {
+      const { messages: page, ...result } = await client.loadHistory(conversationId, { before, limit });
+      const known = conversationsRef.current[conversationId] || [];
+      const fresh = page.filter(m => !known.some(k => k.id === m.id));
+      hasMore = result.hasMore;
+      if (before != null && fresh.length === 0) hasMore = false;
+
+      const history = page.map(m => ({ ...m, status: deriveStatus(m) }));
+      const pending = before != null ? [] : (await client.pendingFor(conversationId))
+        .filter(entry => !page.some(m => m.client_id === entry.clientId))
+        .map(toPendingMessage);
+      setConversations(prev => setConversationMessages(prev, conversationId, [...history, ...pending]));
+      loadedRef.current.add(conversationId);
+    } finally {
+      loadingRef.current.delete(conversationId);
+      setHistoryMeta(prev => ({ ...prev, [conversationId]: { hasMore, loading: false } }));
+    }
+  };
+
+  // Queue a message and show it straight away
+  const send = (chat, options) => {
+    const entry = client.send(chat, options);
+    setConversations(prev => appendMessage(prev, chat.id, toPendingMessage(entry)));
+    return entry;
+  };
+
+  const retry = async (clientId) => {
+    updateStatus({ clientId }, MESSAGE_STATUS.SENDING);
+    await client.retry(clientId);
+  };
+
+  const discard = async (clientId) => {
+    await client.discard(clientId);
+    setConversations(prev => filterMessages(prev, m => m.client_id !== clientId));
+  };
+
+  // Edits show at once and are put back if the server refuses
+  const editMessage = async (message, content) => {
+    const conversationId = conversationIdFor(message, userId);
+    const edited = { ...message, content, edited_at: new Date().toISOString() };
+    setConversations(prev => mapMessages(prev, applyMessageChange(edited), conversationId));
+    try {
+      const saved = await client.editMessage(message, content);
+      if (saved) setConversations(prev => mapMessages(prev, applyMessageChange(saved), conversationId));
+    } catch (error) {
+      setConversations(prev => mapMessages(prev, applyMessageChange(message), conversationId));
+      throw error;
+    }
+  };
+
+  const deleteMessage = async (message, forEveryone) => {
+    const deleted = await client.deleteMessage(message.id, forEveryone);
+    if (forEveryone) {
+      setConversations(prev => mapMessages(prev, applyMessageChange(deleted), conversationIdFor(message, userId)));
+    } else {
+      setConversations(prev => filterMessages(prev, m => m.id !== message.id));
+    }
+  };
+
+  const react = async (message, emoji) => {
+    const setReactions = (reactions) => setConversations(prev => mapMessages(prev, m => (
+      m.id === message.id ? { ...m, reactions } : m
+    ), conversationIdFor(message, userId)));
+
+    setReactions(toggleReaction(message.reactions, emoji, userId));
+    try {
+      setReactions(await client.react(message.id, emoji));
+    } catch (error) {
+      setReactions(message.reactions || {});
+      throw error;
+    }
+  };
+
+  // Stable, so effects can depend on it
+  const isLoaded = useCallback(conversationId => loadedRef.current.has(conversationId), []);
+
+  const markRead = useCallback((chat, messageIds) => {
+    if (!client.markRead(chat, messageIds)) return;
+    setConversations(prev => mapMessages(prev, m => (
+      messageIds.includes(m.id) ? { ...m, status: MESSAGE_STATUS.READ } : m
+    ), chat.id));
+  }, [client]);
+
+  return {
+    conversations,
+    historyMeta,
+    isLoaded,
+    loadMessages,
+    send,
+    retry,
+    discard,
+    editMessage,
+    deleteMessage,
+    react,
+    markRead
+  };
+};
@@ -0,0 +1,152 @@
+// chatViewHooks.js
+// State for the open chat's view: what's being written in the composer, and
+// scrolling to a message that may not be loaded yet.
+import { useState, useEffect, useRef } from 'react';
+import { quoteOf } from './messageActions';
+
+const HIGHLIGHT_MS = 2000;
+
+// The draft, and the message it replies to or edits. Typing is reported to
+// the chat client as the draft changes; `onSend(chat, { content, replyTo })`
+// and `onEdit(message, content)` do the rest. Starts over when the signed-in
+// user's id changes.
+export const useComposer = (client, userId, { inputRef, onSend, onEdit }) => {
+  const [draft, setDraft] = useState('');
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+
+  useEffect(() => {
+    setDraft('');
+    setReplyingTo(null);
+    setEditingMessage(null);
+  }, [userId]);
+
+  const focus = () => inputRef.current?.focus();
+
+  const changeDraft = (chat, value) => {
+    setDraft(value);
+    if (value.trim()) {
+      client.typing(chat);
+    } else {
+      client.stopTyping();
+    }
+  };
+
+  const submit = (chat) => {
+    const content = draft.trim();
+    if (!content || !chat) return;
+    client.stopTyping();
+
+    if (editingMessage) {
+      setEditingMessage(null);
+      if (content !== editingMessage.content) onEdit(editingMessage, content);
+    } else {
+      onSend(chat, { content, replyTo: replyingTo && quoteOf(replyingTo) });
+      setReplyingTo(null);
+    }
+    setDraft('');
+    focus();
+  };
+
+  const cancelEdit = () => {
+    if (!editingMessage) return;
+    setEditingMessage(null);
+    setDraft('');
+  };
+
+  const cancelReply = () => setReplyingTo(null);
+
+  const startReply = (message) => {
+    cancelEdit();
+    setReplyingTo(message);
+    focus();
+  };
+
+  const startEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setDraft(message.content);
+    focus();
+  };
+
+  // Another chat was opened
+  const reset = () => {
+    cancelReply();
+    cancelEdit();
+  };
+
+  // A message that's gone can't be replied to or edited
+  const forget = (message) => {
+    if (editingMessage?.id === message.id) cancelEdit();
+    if (replyingTo?.id === message.id) cancelReply();
+  };
+
+  return {
+    draft,
+    replyingTo,
+    editingMessage,
+    changeDraft,
+    submit,
+    startReply,
+    startEdit,
+    cancelReply,
+    cancelEdit,
+    reset,
+    forget
+  };
+};
+
+// Scroll `chat` to a message, paging back through its history with
+// `loadOlder(limit)` until the message is loaded, then highlight it for a
+// moment. A jump can be asked for before its chat is shown: it waits while
+// `routeChatId` is on the way there, and is dropped if the route goes
+// elsewhere.
+export const useMessageJump = (chat, {
+  messages,
+  historyMeta,
+  routeChatId,
+  listRef,
+  getKey,
+  loadOlder,
+  pageSize
+}) => {
+  const [pendingJump, setPendingJump] = useState(null); // { conversationId, messageId }
+  const [highlightedKey, setHighlightedKey] = useState(null);
+  const loadOlderRef = useRef(loadOlder);
+
+  useEffect(() => {
+    loadOlderRef.current = loadOlder;
+  });
+
+  useEffect(() => {
+    if (!pendingJump || !chat) return;
+    if (pendingJump.conversationId !== chat.id) {
+      // Still on the way there: the route has changed but the chat isn't shown yet
+      if (pendingJump.conversationId !== routeChatId) setPendingJump(null);
+      return;
+    }
+    const target = messages.find(m => m.id === pendingJump.messageId);
+    const meta = historyMeta[chat.id];
+    if (target) {
+      listRef.current?.scrollToKey(getKey(target));
+      setHighlightedKey(getKey(target));
+      setPendingJump(null);
+    } else if (!meta || meta.loading) {
+      // The first page is still on its way
+    } else if (meta.hasMore) {
+      loadOlderRef.current(pageSize);
+    } else {
+      setPendingJump(null);
+    }
+  }, [pendingJump, messages, historyMeta, chat, routeChatId, listRef, getKey, pageSize]);
+
+  useEffect(() => {
+    if (highlightedKey == null) return;
+    const timeout = setTimeout(() => setHighlightedKey(null), HIGHLIGHT_MS);
+    return () => clearTimeout(timeout);
+  }, [highlightedKey]);
+
+  const jumpTo = (conversationId, messageId) => setPendingJump({ conversationId, messageId });
+
+  return { highlightedKey, jumpTo };
+};
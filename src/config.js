@@ -0,0 +1,47 @@
+// config.js
+// Backend endpoints, resolved at runtime. Precedence, highest first:
+//   1. /config.json served next to index.html ({ "apiUrl": ..., "socketUrl": ... })
+//   2. REACT_APP_API_URL / REACT_APP_SOCKET_URL at build time
+//   3. the hosted production backend
+// config.json may also list `iceServers` for calls, e.g. a TURN server for
+// networks where peers can't reach each other directly.
+
+const DEFAULT_API_URL = 'https://vschats.onrender.com';
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const fromEnv = () => {
+  const apiUrl = process.env.REACT_APP_API_URL || DEFAULT_API_URL;
+  return {
+    apiUrl: trimSlash(apiUrl),
+    socketUrl: trimSlash(process.env.REACT_APP_SOCKET_URL || apiUrl),
+    iceServers: DEFAULT_ICE_SERVERS
+  };
+};
+
+let config = fromEnv();
+
+export const getConfig = () => config;
+
+export const apiUrl = (path = '') => `${config.apiUrl}${path}`;
+
+export const loadConfig = async () => {
+  try {
+    const res = await fetch(`${process.env.PUBLIC_URL || ''}/config.json`, { cache: 'no-store' });
+    const type = res.headers.get('content-type') || '';
+    // The dev server answers unknown paths with index.html, so check what came back
+    if (res.ok && type.includes('application/json')) {
+      const served = await res.json();
+      const apiUrl = served.apiUrl ? trimSlash(served.apiUrl) : config.apiUrl;
+      config = {
+        apiUrl,
+        socketUrl: served.socketUrl ? trimSlash(served.socketUrl) : (served.apiUrl ? apiUrl : config.socketUrl),
+        iceServers: Array.isArray(served.iceServers) ? served.iceServers : config.iceServers
+      };
+    }
+  } catch (error) {
+    console.warn('No runtime config found, using build-time settings');
+  }
+  return config;
+};
@@ -0,0 +1,117 @@
+// contactHooks.js
+// The people we chat with, on top of the chat client (chatClient.js): the
+// contacts list kept current from the client's events, and our favorites,
+// mutes and blocks (contacts.js). Both start over empty when the signed-in
+// user's id changes. What's loaded is kept with the account it was loaded
+// for: the first loads are asked for before the new id reaches us, and one
+// still on its way when the account changes mustn't show up for the next.
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useChatEvent } from './chatHooks';
+import { EMPTY_SETTINGS, withSetting } from './contacts';
+import { rememberKeys } from './e2ee';
+import { syncMutedChats } from './serviceWorker';
+import { request } from './api';
+import { reportError } from './errors';
+import { t } from './i18n';
+
+const NO_USERS = [];
+
+// Everyone but us. Changes to our own account are left to the caller.
+export const useContacts = (client, userId) => {
+  const [loaded, setLoaded] = useState({ userId: null, users: NO_USERS });
+  const users = loaded.userId === userId ? loaded.users : NO_USERS;
+
+  const setUsers = (update) => setLoaded(prev => ({ ...prev, users: update(prev.users) }));
+
+  const updateUser = (id, changes) => {
+    setUsers(prev => prev.map(user => (user.id === id ? { ...user, ...changes } : user)));
+  };
+
+  const loadUsers = useCallback(async () => {
+    const owner = client.getUserId();
+    try {
+      const usersData = await client.loadUsers();
+      usersData.forEach(user => rememberKeys(user.id, user.public_keys));
+      setLoaded({ userId: owner, users: usersData });
+    } catch (error) {
+      console.error('Failed to load users:', error);
+      // An expired session signs out with its own message
+      if (error.status !== 401) reportError(t('contacts.loadFailed'));
+    }
+  }, [client]);
+
+  useChatEvent(client, 'status_message', ({ userId: id, statusMessage }) => {
+    setUsers(prev => prev.map(user => (
+      user.id === id && (user.status_message || '') !== statusMessage
+        ? { ...user, status_message: statusMessage }
+        : user
+    )));
+  });
+
+  // A contact set up encryption on another device
+  useChatEvent(client, 'keys_changed', ({ userId: id, keys }) => {
+    rememberKeys(id, keys);
+    if (id !== userId) updateUser(id, { public_keys: keys });
+  });
+
+  // A new name or picture
+  useChatEvent(client, 'user_updated', ({ user }) => {
+    if (user.id !== userId) updateUser(user.id, user);
+  });
+
+  useChatEvent(client, 'user_deleted', ({ userId: id }) => {
+    setUsers(prev => prev.filter(user => user.id !== id));
+  });
+
+  return { users, loadUsers };
+};
+
+// { pinned, muted, blocked }, kept on the server and synced between our devices
+export const useContactSettings = (client, userId) => {
+  const [loaded, setLoaded] = useState({ userId: null, settings: EMPTY_SETTINGS });
+  const contactSettings = loaded.userId === userId ? loaded.settings : EMPTY_SETTINGS;
+  const settingsRef = useRef(contactSettings);
+
+  useEffect(() => {
+    settingsRef.current = contactSettings;
+  }, [contactSettings]);
+
+  // Pushes for muted chats are dropped by the service worker
+  useEffect(() => {
+    syncMutedChats(contactSettings.muted);
+  }, [contactSettings.muted]);
+
+  const setContactSettings = useCallback((settings, owner = client.getUserId()) => {
+    setLoaded({ userId: owner, settings });
+  }, [client]);
+
+  // Favorites, mutes and blocks changed on another of our devices
+  useChatEvent(client, 'contact_settings', settings => setContactSettings(settings));
+
+  const loadContactSettings = useCallback(async () => {
+    const owner = client.getUserId();
+    try {
+      setContactSettings({ ...EMPTY_SETTINGS, ...await request('/api/contacts/settings') }, owner);
+    } catch (error) {
+      console.error('Failed to load contact settings:', error);
+    }
+  }, [client, setContactSettings]);
+
+  // Favorite, mute or block one chat; shown at once and put back if the server refuses
+  const updateContactSetting = useCallback(async (chatId, list, on) => {
+    const previous = settingsRef.current;
+    setContactSettings(withSetting(previous, list, chatId, on));
+    try {
+      setContactSettings(await request('/api/contacts/settings', {
+        method: 'PATCH',
+        body: { chatId, [list]: on }
+      }));
+    } catch (error) {
+      console.error('Failed to update contact settings:', error);
+      setContactSettings(previous);
+      reportError(error.message || t('contacts.updateFailed'));
+    }
+  }, [setContactSettings]);
+
+  return { contactSettings, loadContactSettings, updateContactSetting };
+};
@@ -0,0 +1,40 @@
+// contacts.js
+// Organising the contacts list: per-chat settings kept on the server
+// ({ pinned, muted, blocked }, each a list of chat ids), filters, and
+// favorites first.
+import { chatName } from './conversations';
+
+export const EMPTY_SETTINGS = { pinned: [], muted: [], blocked: [] };
+
+// Each has `contacts.filter.<id>` and `contacts.empty.<id>` messages
+export const CONTACT_FILTERS = ['all', 'unread', 'favorites', 'groups', 'blocked'];
+
+export const isPinned = (settings, chatId) => settings.pinned.includes(chatId);
+export const isMuted = (settings, chatId) => settings.muted.includes(chatId);
+export const isBlocked = (settings, chatId) => settings.blocked.includes(chatId);
+
+export const withSetting = (settings, list, chatId, on) => {
+  const rest = settings[list].filter(id => id !== chatId);
+  return { ...settings, [list]: on ? [...rest, chatId] : rest };
+};
+
+// Blocked contacts only show under their own filter. `query` narrows any of
+// them down to names containing it.
+export const filterChats = (chats, filter, { settings, unreadCounts, query = '' }) => {
+  const needle = query.trim().toLocaleLowerCase();
+  return chats.filter(chat => {
+    if (needle && !chatName(chat).toLocaleLowerCase().includes(needle)) return false;
+    if (filter === 'blocked') return isBlocked(settings, chat.id);
+    if (isBlocked(settings, chat.id)) return false;
+    if (filter === 'unread') return unreadCounts[chat.id] > 0;
+    if (filter === 'favorites') return isPinned(settings, chat.id);
+    if (filter === 'groups') return Boolean(chat.isGroup);
+    return true;
+  });
+};
+
+// Favorites on top, both parts keeping the order they came in
+export const pinnedFirst = (chats, settings) => [
+  ...chats.filter(chat => isPinned(settings, chat.id)),
+  ...chats.filter(chat => !isPinned(settings, chat.id))
+];
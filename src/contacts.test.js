@@ -0,0 +1,53 @@
+import { EMPTY_SETTINGS, isPinned, isMuted, isBlocked, withSetting, filterChats, pinnedFirst } from './contacts';
+
+const bob = { id: 2, username: 'Bob' };
+const carol = { id: 3, username: 'Carol' };
+const dave = { id: 4, username: 'Dave' };
+const team = { id: 'group:5', groupId: 5, isGroup: true, name: 'Bobsleigh team', members: [1, 2] };
+const chats = [bob, carol, dave, team];
+
+const settings = { pinned: [4, 'group:5'], muted: [3], blocked: [2] };
+const names = (list) => list.map(chat => chat.username || chat.name);
+
+test('withSetting turns one chat on or off in one list, leaving the rest', () => {
+  const muted = withSetting(EMPTY_SETTINGS, 'muted', 'group:5', true);
+  expect(muted).toEqual({ pinned: [], muted: ['group:5'], blocked: [] });
+  expect(isMuted(muted, 'group:5')).toBe(true);
+
+  // Turning it on twice keeps one entry
+  expect(withSetting(muted, 'muted', 'group:5', true).muted).toEqual(['group:5']);
+
+  const unmuted = withSetting(muted, 'muted', 'group:5', false);
+  expect(isMuted(unmuted, 'group:5')).toBe(false);
+  expect(EMPTY_SETTINGS.muted).toEqual([]);
+});
+
+test('each list is checked on its own', () => {
+  expect(isBlocked(settings, 2)).toBe(true);
+  expect(isMuted(settings, 2)).toBe(false);
+  expect(isPinned(settings, 'group:5')).toBe(true);
+  expect(isPinned(settings, 5)).toBe(false);
+});
+
+test('blocked contacts only show under the Blocked filter', () => {
+  const options = { settings, unreadCounts: {} };
+  expect(names(filterChats(chats, 'all', options))).toEqual(['Carol', 'Dave', 'Bobsleigh team']);
+  expect(names(filterChats(chats, 'blocked', options))).toEqual(['Bob']);
+});
+
+test('muted chats stay in the list and its filters', () => {
+  const options = { settings, unreadCounts: { 3: 2, 4: 0 } };
+  expect(names(filterChats(chats, 'unread', options))).toEqual(['Carol']);
+  expect(names(filterChats(chats, 'favorites', options))).toEqual(['Dave', 'Bobsleigh team']);
+  expect(names(filterChats(chats, 'groups', options))).toEqual(['Bobsleigh team']);
+});
+
+test('the name filter narrows any of them, ignoring case and spaces around it', () => {
+  expect(names(filterChats(chats, 'all', { settings, unreadCounts: {}, query: '  BOB ' }))).toEqual(['Bobsleigh team']);
+  expect(names(filterChats(chats, 'blocked', { settings, unreadCounts: {}, query: 'bob' }))).toEqual(['Bob']);
+  expect(filterChats(chats, 'all', { settings, unreadCounts: {}, query: 'zed' })).toEqual([]);
+});
+
+test('favorites come first, each part in its own order', () => {
+  expect(names(pinnedFirst(chats, settings))).toEqual(['Dave', 'Bobsleigh team', 'Bob', 'Carol']);
+});
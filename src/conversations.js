@@ -0,0 +1,100 @@
+// conversations.js
+// Pure helpers for the message store: { [conversationId]: Message[] }, oldest first.
+import { t, formatList } from './i18n';
+
+// Direct chats are keyed by the other user's id, groups by `group:<groupId>`
+const GROUP_PREFIX = 'group:';
+
+export const groupConversationId = (groupId) => `${GROUP_PREFIX}${groupId}`;
+
+export const isGroupConversation = (conversationId) => String(conversationId).startsWith(GROUP_PREFIX);
+
+export const groupIdFrom = (conversationId) => String(conversationId).slice(GROUP_PREFIX.length);
+
+export const conversationIdFor = (message, currentUserId) => {
+  if (message.group_id != null) return groupConversationId(message.group_id);
+  return message.sender_id === currentUserId ? message.receiver_id : message.sender_id;
+};
+
+// A group as it appears alongside contacts in the sidebar and chat header
+export const toGroupChat = (group) => ({
+  ...group,
+  id: groupConversationId(group.id),
+  groupId: group.id,
+  isGroup: true
+});
+
+export const chatName = (chat) => (chat.isGroup ? chat.name : chat.username);
+
+export const formatTypingNames = (names) => {
+  if (names.length === 0) return '';
+  if (names.length === 1) return t('typing.one', { name: names[0] });
+  if (names.length === 2) return t('typing.two', { names: formatList(names) });
+  return t('typing.many', { first: names[0], second: names[1], count: names.length - 2 });
+};
+
+const sameMessage = (a, b) => (
+  (a.id != null && a.id === b.id) ||
+  (a.client_id != null && a.client_id === b.client_id)
+);
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// Merge without duplicates; the incoming copy wins when both sides have a message
+export const mergeMessages = (existing = [], incoming = []) => {
+  const merged = existing.filter(m => !incoming.some(n => sameMessage(m, n)));
+  return [...merged, ...incoming].sort(byCreatedAt);
+};
+
+export const appendMessage = (store, conversationId, message) => ({
+  ...store,
+  [conversationId]: mergeMessages(store[conversationId], [message])
+});
+
+export const setConversationMessages = (store, conversationId, messages) => ({
+  ...store,
+  [conversationId]: mergeMessages(store[conversationId], messages)
+});
+
+// Apply a mapper to every message, keeping references for untouched conversations
+export const mapMessages = (store, mapper, conversationId) => {
+  const next = {};
+  let changed = false;
+  Object.entries(store).forEach(([id, messages]) => {
+    if (conversationId != null && String(id) !== String(conversationId)) {
+      next[id] = messages;
+      return;
+    }
+    const mapped = messages.map(mapper);
+    const touched = mapped.some((m, i) => m !== messages[i]);
+    next[id] = touched ? mapped : messages;
+    changed = changed || touched;
+  });
+  return changed ? next : store;
+};
+
+export const filterMessages = (store, predicate) => {
+  const next = {};
+  Object.entries(store).forEach(([id, messages]) => {
+    next[id] = messages.filter(predicate);
+  });
+  return next;
+};
+
+export const lastMessageOf = (store, conversationId) => {
+  const messages = store[conversationId];
+  return messages?.length ? messages[messages.length - 1] : null;
+};
+
+// Most recent activity first; chats with no known activity keep their server order
+export const sortContactsByActivity = (users, store) => {
+  const activityOf = (user) => {
+    const last = lastMessageOf(store, user.id);
+    const at = last?.created_at || user.last_message_at;
+    return at ? new Date(at).getTime() : 0;
+  };
+  return users
+    .map((user, index) => ({ user, index, at: activityOf(user) }))
+    .sort((a, b) => (b.at - a.at) || (a.index - b.index))
+    .map(({ user }) => user);
+};
@@ -0,0 +1,289 @@
+// e2ee.js
+// End-to-end encryption for direct messages. Every device has its own ECDH P-256
+// key pair: the private key is created non-extractable and only ever stored in
+// IndexedDB, the public key is published on the user's profile (`public_keys`).
+//
+// A message is encrypted once with a fresh AES-GCM key, and that key is wrapped
+// for each device of both people, so their other devices (and the sender's own)
+// can read it too. The result travels as the message content, so the server
+// stores and relays it like any other text without being able to read it.
+import { request } from './api';
+
+const DB_NAME = 'vschats-keys';
+const DB_VERSION = 1;
+const STORE = 'devices';
+const ENVELOPE_PREFIX = 'e2ee:v1:';
+const ENABLED_KEY = 'vschats-e2ee-chats';
+const VERIFIED_KEY = 'vschats-verified';
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+let dbPromise = null;
+const devicePromises = new Map(); // userId -> Promise of this device's keys
+const directory = new Map(); // userId -> Promise of their published keys
+const sharedKeys = new Map(); // `${userId}:${their public key}` -> AES key
+
+export const isEncryptionSupported = () => (
+  typeof crypto !== 'undefined' && Boolean(crypto.subtle) &&
+  typeof indexedDB !== 'undefined' && indexedDB !== null
+);
+
+export const isEnvelope = (content) => typeof content === 'string' && content.startsWith(ENVELOPE_PREFIX);
+
+// --- Encoding ---
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+// --- This device's key pair ---
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE)) {
+          req.result.createObjectStore(STORE, { keyPath: 'userId' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const createDevice = async (userId) => {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(ECDH, false, ['deriveKey']);
+  const device = {
+    userId,
+    deviceId: crypto.randomUUID ? crypto.randomUUID() : toBase64(crypto.getRandomValues(new Uint8Array(12))),
+    privateKey,
+    publicKey: toBase64(await crypto.subtle.exportKey('raw', publicKey)),
+    createdAt: new Date().toISOString()
+  };
+  await withStore('readwrite', store => store.put(device));
+  return device;
+};
+
+// Keys are kept per account, so signing out and back in on this device still
+// reads the conversation history
+const deviceFor = (userId) => {
+  if (!devicePromises.has(userId)) {
+    const promise = withStore('readonly', store => store.get(userId))
+      .then(device => device || createDevice(userId));
+    promise.catch(() => devicePromises.delete(userId));
+    devicePromises.set(userId, promise);
+  }
+  return devicePromises.get(userId);
+};
+
+// Make sure this device has a key pair and that it's on the user's profile.
+// Resolves to the profile's keys once published.
+export const setUpEncryption = async (user) => {
+  const device = await deviceFor(user.id);
+  const published = user.public_keys || [];
+  if (published.some(k => k.device_id === device.deviceId && k.key === device.publicKey)) {
+    rememberKeys(user.id, published);
+    return published;
+  }
+  const { public_keys: keys } = await request('/api/keys', {
+    method: 'PUT',
+    body: { deviceId: device.deviceId, publicKey: device.publicKey }
+  });
+  rememberKeys(user.id, keys);
+  return keys;
+};
+
+// --- Everyone else's public keys ---
+
+// Profiles already carry their keys; remembering them saves a request and
+// lets cached conversations decrypt offline
+export const rememberKeys = (userId, keys = []) => {
+  directory.set(userId, Promise.resolve(keys));
+};
+
+export const forgetKeys = (userId) => {
+  if (userId == null) directory.clear();
+  else directory.delete(userId);
+};
+
+const keysFor = (userId) => {
+  if (!directory.has(userId)) {
+    const promise = request(`/api/users/${userId}/keys`).then(data => data.public_keys || []);
+    promise.catch(() => directory.delete(userId));
+    directory.set(userId, promise);
+  }
+  return directory.get(userId);
+};
+
+// AES key shared between this device and one of theirs
+const sharedKeyWith = async (device, theirKey) => {
+  const id = `${device.userId}:${theirKey}`;
+  if (!sharedKeys.has(id)) {
+    const promise = crypto.subtle.importKey('raw', fromBase64(theirKey), ECDH, false, [])
+      .then(publicKey => crypto.subtle.deriveKey(
+        { name: 'ECDH', public: publicKey },
+        device.privateKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      ));
+    promise.catch(() => sharedKeys.delete(id));
+    sharedKeys.set(id, promise);
+  }
+  return sharedKeys.get(id);
+};
+
+// --- Messages ---
+
+// Ties the ciphertext to its conversation, so it can't be replayed into another
+const associatedData = (senderId, receiverId) => utf8(`${senderId}>${receiverId}`);
+
+const aesEncrypt = async (key, data, additionalData) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, data);
+  return { iv: toBase64(iv), data: toBase64(sealed) };
+};
+
+const aesDecrypt = (key, { iv, data }, additionalData) => crypto.subtle.decrypt(
+  { name: 'AES-GCM', iv: fromBase64(iv), additionalData },
+  key,
+  fromBase64(data)
+);
+
+// Rejects when the recipient has no keys published yet
+export const encryptContent = async (content, senderId, receiverId) => {
+  const [device, theirKeys, ourKeys] = await Promise.all([
+    deviceFor(senderId),
+    keysFor(receiverId),
+    keysFor(senderId)
+  ]);
+  if (theirKeys.length === 0) throw new Error('They have not set up encryption yet');
+
+  const additionalData = associatedData(senderId, receiverId);
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const messageKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+  const body = await aesEncrypt(messageKey, utf8(content), additionalData);
+
+  // Our own device may not be on the cached profile yet
+  const recipients = [...theirKeys, ...ourKeys];
+  if (!ourKeys.some(k => k.device_id === device.deviceId)) {
+    recipients.push({ device_id: device.deviceId, key: device.publicKey });
+  }
+  const keys = {};
+  for (const { device_id: deviceId, key } of recipients) {
+    keys[deviceId] = await aesEncrypt(await sharedKeyWith(device, key), rawKey, additionalData);
+  }
+
+  const envelope = { sender: device.deviceId, ...body, keys };
+  return ENVELOPE_PREFIX + btoa(JSON.stringify(envelope));
+};
+
+const senderKey = async (userId, deviceId) => {
+  const find = (keys) => keys.find(k => k.device_id === deviceId)?.key;
+  const key = find(await keysFor(userId));
+  if (key) return key;
+  // A device they added since we last looked
+  forgetKeys(userId);
+  return find(await keysFor(userId));
+};
+
+const decryptContent = async (content, message, userId) => {
+  const envelope = JSON.parse(atob(content.slice(ENVELOPE_PREFIX.length)));
+  const device = await deviceFor(userId);
+  const wrapped = envelope.keys?.[device.deviceId];
+  if (!wrapped) throw new Error('Not encrypted for this device');
+  const theirKey = await senderKey(message.sender_id, envelope.sender);
+  if (!theirKey) throw new Error('Unknown sender device');
+
+  const additionalData = associatedData(message.sender_id, message.receiver_id);
+  const rawKey = await aesDecrypt(await sharedKeyWith(device, theirKey), wrapped, additionalData);
+  const messageKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  return new TextDecoder().decode(await aesDecrypt(messageKey, envelope, additionalData));
+};
+
+// The message as the UI shows it: encrypted content replaced by the plaintext
+// and flagged `encrypted`, or flagged `undecryptable` with no content
+export const decryptMessage = async (message, userId) => {
+  let result = message;
+  if (isEnvelope(message.content)) {
+    try {
+      result = { ...message, content: await decryptContent(message.content, message, userId), encrypted: true };
+    } catch (error) {
+      console.warn('Could not decrypt message', message.id, error);
+      result = { ...message, content: null, encrypted: true, undecryptable: true };
+    }
+  }
+  // The server's quote is a cut-off envelope; the UI looks the original up instead
+  if (isEnvelope(result.reply_to?.content)) {
+    result = { ...result, reply_to: { ...result.reply_to, content: null, encrypted: true } };
+  }
+  return result;
+};
+
+// --- Safety numbers ---
+
+// 30 digits from a user's id and every key on their profile
+const fingerprint = async (userId, keys) => {
+  const material = `${userId}:${keys.map(k => k.key).sort().join(',')}`;
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', utf8(material)));
+  let digits = '';
+  for (let i = 0; i < 30; i += 5) {
+    const chunk = hash.slice(i, i + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+};
+
+// The same 60 digits on both sides, in groups of five. Comparing them in
+// person (or over a call) proves nobody swapped in their own keys.
+export const safetyNumber = async (userA, userB) => {
+  const [a, b] = [userA, userB].sort((x, y) => x.id - y.id);
+  const digits = (await fingerprint(a.id, a.public_keys || [])) + (await fingerprint(b.id, b.public_keys || []));
+  return digits.match(/\d{5}/g).join(' ');
+};
+
+// --- Preferences, per account on this device ---
+
+const readJSON = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const getEncryptedChats = (userId) => new Set(readJSON(`${ENABLED_KEY}-${userId}`, []));
+
+export const saveEncryptedChats = (userId, chatIds) => {
+  localStorage.setItem(`${ENABLED_KEY}-${userId}`, JSON.stringify([...chatIds]));
+};
+
+// The safety number the user last confirmed for a contact, if any
+export const getVerifiedNumber = (userId, contactId) => readJSON(`${VERIFIED_KEY}-${userId}`, {})[contactId] || null;
+
+export const setVerifiedNumber = (userId, contactId, number) => {
+  const verified = readJSON(`${VERIFIED_KEY}-${userId}`, {});
+  if (number) verified[contactId] = number;
+  else delete verified[contactId];
+  localStorage.setItem(`${VERIFIED_KEY}-${userId}`, JSON.stringify(verified));
+};
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { request } from './api';
+import { setUpEncryption, encryptContent, decryptMessage, rememberKeys, forgetKeys, safetyNumber, isEnvelope } from './e2ee';
+
+jest.mock('./api', () => ({ request: jest.fn() }));
+
+// Just enough of IndexedDB for the device store: one object store keyed by
+// `keyPath`, values kept as they are (CryptoKeys included)
+const createFakeIndexedDB = () => {
+  const stores = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: (name, { keyPath }) => stores.set(name, { keyPath, rows: new Map() }),
+    transaction: (name) => {
+      const { keyPath, rows } = stores.get(name);
+      const tx = {};
+      const run = (fn) => {
+        const req = {};
+        later(() => {
+          req.result = fn();
+          later(() => tx.oncomplete?.());
+        });
+        return req;
+      };
+      tx.objectStore = () => ({
+        get: key => run(() => rows.get(key)),
+        put: value => run(() => rows.set(value[keyPath], value))
+      });
+      return tx;
+    }
+  };
+  return {
+    open: () => {
+      const req = { result: db };
+      later(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+};
+
+global.crypto = webcrypto;
+global.indexedDB = createFakeIndexedDB();
+
+const alice = { id: 1 };
+const bob = { id: 2 };
+const carol = { id: 3 };
+
+// Each account's device publishes its key; the server answers with the profile's keys
+request.mockImplementation(async (path, { body }) => ({
+  public_keys: [{ device_id: body.deviceId, key: body.publicKey }]
+}));
+
+beforeAll(async () => {
+  alice.public_keys = await setUpEncryption(alice);
+  bob.public_keys = await setUpEncryption(bob);
+  carol.public_keys = await setUpEncryption(carol);
+});
+
+const sealed = async (content, from = alice, to = bob) => ({
+  id: 1,
+  sender_id: from.id,
+  receiver_id: to.id,
+  content: await encryptContent(content, from.id, to.id)
+});
+
+const quietly = async (fn) => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  try {
+    return await fn();
+  } finally {
+    warn.mockRestore();
+  }
+};
+
+test('a message reads back on both sides, and only there', async () => {
+  const message = await sealed('meet at 6 *sharp*');
+  expect(isEnvelope(message.content)).toBe(true);
+  expect(message.content).not.toContain('meet');
+
+  await expect(decryptMessage(message, bob.id)).resolves.toMatchObject({ content: 'meet at 6 *sharp*', encrypted: true });
+  // The sender's own devices can read it too
+  await expect(decryptMessage(message, alice.id)).resolves.toMatchObject({ content: 'meet at 6 *sharp*' });
+});
+
+test('someone it was not encrypted for cannot read it', async () => {
+  const message = await sealed('for bob only');
+  const result = await quietly(() => decryptMessage(message, carol.id));
+  expect(result).toMatchObject({ content: null, encrypted: true, undecryptable: true });
+});
+
+test('a tampered ciphertext is refused, not misread', async () => {
+  const message = await sealed('pay 10');
+  const envelope = JSON.parse(atob(message.content.slice('e2ee:v1:'.length)));
+  const bytes = Uint8Array.from(atob(envelope.data), char => char.charCodeAt(0));
+  bytes[0] ^= 1;
+  envelope.data = btoa(String.fromCharCode(...bytes));
+  const tampered = { ...message, content: `e2ee:v1:${btoa(JSON.stringify(envelope))}` };
+
+  const result = await quietly(() => decryptMessage(tampered, bob.id));
+  expect(result).toMatchObject({ content: null, undecryptable: true });
+});
+
+test('a message replayed into another conversation is refused', async () => {
+  const message = await sealed('to bob');
+  // Carol forwards what Alice sent Bob as if Alice had sent it to her
+  const replayed = { ...message, receiver_id: carol.id };
+  const result = await quietly(() => decryptMessage(replayed, bob.id));
+  expect(result).toMatchObject({ undecryptable: true });
+});
+
+test('a sender key that does not match is refused', async () => {
+  const message = await sealed('from alice');
+  // Bob's copy of Alice's keys swapped for Carol's
+  rememberKeys(alice.id, carol.public_keys);
+  const result = await quietly(() => decryptMessage(message, bob.id));
+  rememberKeys(alice.id, alice.public_keys);
+  expect(result).toMatchObject({ undecryptable: true });
+});
+
+test('encrypting waits for the recipient to publish a key', async () => {
+  rememberKeys(4, []);
+  await expect(encryptContent('hello', alice.id, 4)).rejects.toThrow();
+  forgetKeys(4);
+});
+
+test('plain messages pass through untouched', async () => {
+  const message = { id: 2, sender_id: 2, receiver_id: 1, content: 'hi' };
+  await expect(decryptMessage(message, alice.id)).resolves.toBe(message);
+});
+
+test('the safety number is the same from both sides and changes with the keys', async () => {
+  const number = await safetyNumber(alice, bob);
+  expect(number).toMatch(/^(\d{5} ){11}\d{5}$/);
+  await expect(safetyNumber(bob, alice)).resolves.toBe(number);
+  await expect(safetyNumber(alice, { ...bob, public_keys: carol.public_keys })).resolves.not.toBe(number);
+});
@@ -0,0 +1,250 @@
+// emoji.js
+// The emoji the picker offers, grouped by category with search keywords, and the
+// recently used list kept in localStorage.
+
+const RECENT_KEY = 'vschats-recent-emoji';
+const MAX_RECENT = 24;
+
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// [emoji, keywords]; the first keyword doubles as the name
+const CATEGORIES = [
+  {
+    id: 'smileys',
+    labelKey: 'emoji.smileys',
+    emoji: [
+      ['😀', 'grinning smile happy'],
+      ['😃', 'smiley happy joy'],
+      ['😄', 'smile happy laugh'],
+      ['😁', 'grin beaming teeth'],
+      ['😆', 'laughing satisfied'],
+      ['😅', 'sweat smile relief'],
+      ['🤣', 'rofl rolling laughing'],
+      ['😂', 'joy tears laughing lol'],
+      ['🙂', 'slightly smiling'],
+      ['🙃', 'upside down silly'],
+      ['😉', 'wink flirt'],
+      ['😊', 'blush happy shy'],
+      ['😇', 'innocent halo angel'],
+      ['🥰', 'smiling hearts love'],
+      ['😍', 'heart eyes love crush'],
+      ['🤩', 'star struck excited'],
+      ['😘', 'kiss blow love'],
+      ['😋', 'yum tasty delicious'],
+      ['😛', 'tongue playful'],
+      ['😜', 'winking tongue crazy'],
+      ['🤪', 'zany crazy goofy'],
+      ['🤔', 'thinking hmm consider'],
+      ['🤨', 'raised eyebrow skeptical'],
+      ['😐', 'neutral meh'],
+      ['😑', 'expressionless blank'],
+      ['😶', 'no mouth silent'],
+      ['🙄', 'eye roll whatever'],
+      ['😏', 'smirk smug'],
+      ['😬', 'grimace awkward'],
+      ['😌', 'relieved calm'],
+      ['😔', 'pensive sad'],
+      ['😪', 'sleepy tired'],
+      ['😴', 'sleeping zzz'],
+      ['😷', 'mask sick'],
+      ['🤒', 'thermometer ill fever'],
+      ['🤯', 'mind blown exploding'],
+      ['🥳', 'party celebrate birthday'],
+      ['😎', 'cool sunglasses'],
+      ['🤓', 'nerd geek glasses'],
+      ['😕', 'confused unsure'],
+      ['😟', 'worried concerned'],
+      ['😮', 'open mouth wow surprised'],
+      ['😲', 'astonished shocked'],
+      ['🥺', 'pleading puppy eyes'],
+      ['😢', 'cry sad tear'],
+      ['😭', 'sob crying loudly'],
+      ['😱', 'scream fear shocked'],
+      ['😤', 'triumph huff frustrated'],
+      ['😡', 'angry mad rage'],
+      ['🤬', 'cursing swearing'],
+      ['💀', 'skull dead'],
+      ['🤡', 'clown'],
+      ['👻', 'ghost boo'],
+      ['🤖', 'robot bot']
+    ]
+  },
+  {
+    id: 'gestures',
+    labelKey: 'emoji.gestures',
+    emoji: [
+      ['👍', 'thumbs up like yes approve +1'],
+      ['👎', 'thumbs down dislike no -1'],
+      ['👌', 'ok perfect'],
+      ['✌️', 'victory peace'],
+      ['🤞', 'crossed fingers luck hope'],
+      ['🤙', 'call me shaka'],
+      ['👋', 'wave hello hi bye'],
+      ['👏', 'clap applause bravo'],
+      ['🙌', 'raised hands hooray celebrate'],
+      ['🙏', 'pray please thanks folded hands'],
+      ['🤝', 'handshake deal agree'],
+      ['💪', 'muscle strong flex'],
+      ['👀', 'eyes look see'],
+      ['🫡', 'salute respect'],
+      ['🤷', 'shrug dunno whatever'],
+      ['🤦', 'facepalm'],
+      ['🙋', 'raising hand me question'],
+      ['🙅', 'no gesture stop']
+    ]
+  },
+  {
+    id: 'hearts',
+    labelKey: 'emoji.hearts',
+    emoji: [
+      ['❤️', 'heart red love'],
+      ['🧡', 'orange heart'],
+      ['💛', 'yellow heart'],
+      ['💚', 'green heart'],
+      ['💙', 'blue heart'],
+      ['💜', 'purple heart'],
+      ['🖤', 'black heart'],
+      ['🤍', 'white heart'],
+      ['💔', 'broken heart sad'],
+      ['💕', 'two hearts love'],
+      ['💖', 'sparkling heart'],
+      ['💯', 'hundred perfect score']
+    ]
+  },
+  {
+    id: 'nature',
+    labelKey: 'emoji.nature',
+    emoji: [
+      ['🐶', 'dog puppy'],
+      ['🐱', 'cat kitten'],
+      ['🦊', 'fox'],
+      ['🐻', 'bear'],
+      ['🐼', 'panda'],
+      ['🐵', 'monkey'],
+      ['🦄', 'unicorn magic'],
+      ['🐝', 'bee honey'],
+      ['🐢', 'turtle slow'],
+      ['🌸', 'cherry blossom flower'],
+      ['🌹', 'rose flower'],
+      ['🌻', 'sunflower'],
+      ['🌈', 'rainbow'],
+      ['☀️', 'sun sunny weather'],
+      ['🌧️', 'rain weather'],
+      ['⛄', 'snowman winter'],
+      ['🔥', 'fire hot lit'],
+      ['⭐', 'star'],
+      ['🌙', 'moon night']
+    ]
+  },
+  {
+    id: 'food',
+    labelKey: 'emoji.food',
+    emoji: [
+      ['🍕', 'pizza'],
+      ['🍔', 'burger hamburger'],
+      ['🍟', 'fries chips'],
+      ['🌮', 'taco'],
+      ['🍣', 'sushi'],
+      ['🍜', 'noodles ramen'],
+      ['🍰', 'cake dessert'],
+      ['🎂', 'birthday cake'],
+      ['🍩', 'donut doughnut'],
+      ['🍪', 'cookie'],
+      ['🍎', 'apple fruit'],
+      ['🍌', 'banana fruit'],
+      ['🥑', 'avocado'],
+      ['☕', 'coffee tea hot'],
+      ['🍺', 'beer drink'],
+      ['🍷', 'wine drink'],
+      ['🥂', 'cheers toast champagne']
+    ]
+  },
+  {
+    id: 'activities',
+    labelKey: 'emoji.activities',
+    emoji: [
+      ['🎉', 'tada party celebrate congrats'],
+      ['🎊', 'confetti celebrate'],
+      ['🎁', 'gift present'],
+      ['🏆', 'trophy win award'],
+      ['🥇', 'gold medal first'],
+      ['⚽', 'soccer football'],
+      ['🏀', 'basketball'],
+      ['🎮', 'video game controller'],
+      ['🎵', 'music note song'],
+      ['🎸', 'guitar rock'],
+      ['🎬', 'movie film clapper'],
+      ['✈️', 'airplane travel flight'],
+      ['🚀', 'rocket launch ship'],
+      ['🏖️', 'beach vacation holiday']
+    ]
+  },
+  {
+    id: 'objects',
+    labelKey: 'emoji.objects',
+    emoji: [
+      ['💡', 'idea bulb'],
+      ['📌', 'pin pushpin'],
+      ['📎', 'paperclip attachment'],
+      ['📅', 'calendar date'],
+      ['⏰', 'alarm clock time'],
+      ['💻', 'laptop computer'],
+      ['📱', 'phone mobile'],
+      ['📷', 'camera photo'],
+      ['🔒', 'lock secure private'],
+      ['🔑', 'key'],
+      ['💰', 'money bag'],
+      ['✅', 'check done yes'],
+      ['❌', 'cross no wrong'],
+      ['⚠️', 'warning caution'],
+      ['❓', 'question'],
+      ['❗', 'exclamation important'],
+      ['✨', 'sparkles shiny new'],
+      ['💤', 'zzz sleep'],
+      ['➕', 'plus add'],
+      ['👉', 'point right'],
+      ['👈', 'point left']
+    ]
+  }
+];
+
+export const EMOJI_CATEGORIES = CATEGORIES.map(category => ({
+  ...category,
+  emoji: category.emoji.map(([char, keywords]) => ({
+    char,
+    name: keywords.split(' ')[0],
+    keywords: keywords.split(' ')
+  }))
+}));
+
+const ALL_EMOJI = EMOJI_CATEGORIES.flatMap(category => category.emoji);
+
+// Every word of the query has to prefix one of the keywords
+export const searchEmoji = (query) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return ALL_EMOJI;
+  return ALL_EMOJI.filter(emoji => (
+    words.every(word => emoji.keywords.some(keyword => keyword.startsWith(word)))
+  ));
+};
+
+export const emojiName = (char) => ALL_EMOJI.find(emoji => emoji.char === char)?.name || char;
+
+export const getRecentEmoji = () => {
+  try {
+    const recent = JSON.parse(localStorage.getItem(RECENT_KEY));
+    return Array.isArray(recent) ? recent.filter(char => typeof char === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const addRecentEmoji = (char) => {
+  const recent = [char, ...getRecentEmoji().filter(c => c !== char)].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+  } catch (error) {
+    // Storage full or disabled: recents just won't persist
+  }
+  return recent;
+};
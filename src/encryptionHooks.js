@@ -0,0 +1,87 @@
+// encryptionHooks.js
+// End-to-end encryption in React (e2ee.js): whether this device's key is
+// published, which chats encrypt what we send, and the safety number of a
+// direct chat.
+import { useState, useEffect, useCallback } from 'react';
+import {
+  isEncryptionSupported,
+  setUpEncryption,
+  safetyNumber,
+  getEncryptedChats,
+  saveEncryptedChats,
+  getVerifiedNumber,
+  setVerifiedNumber
+} from './e2ee';
+
+// Which chats are encrypted is kept per account on this device, and read
+// again when the signed-in user's id changes
+export const useEncryption = (userId) => {
+  const [readyFor, setReadyFor] = useState(null); // the user whose key this device has published
+  const [encryptedChats, setEncryptedChats] = useState(new Set());
+
+  useEffect(() => {
+    setEncryptedChats(userId == null ? new Set() : getEncryptedChats(userId));
+  }, [userId]);
+
+  // Publish this device's key. Resolves with the account's keys, or null if
+  // this browser can't encrypt or setting up failed.
+  const setUpKeys = useCallback(async (user) => {
+    if (!isEncryptionSupported()) return null;
+    try {
+      const keys = await setUpEncryption(user);
+      setReadyFor(user.id);
+      return keys;
+    } catch (error) {
+      console.error('Encryption setup failed:', error);
+      return null;
+    }
+  }, []);
+
+  const toggleEncryption = (chatId, enabled) => {
+    const next = new Set(encryptedChats);
+    if (enabled) next.add(chatId);
+    else next.delete(chatId);
+    saveEncryptedChats(userId, next);
+    setEncryptedChats(next);
+  };
+
+  return {
+    encryptionReady: userId != null && readyFor === userId,
+    encryptedChats,
+    setUpKeys,
+    toggleEncryption
+  };
+};
+
+// The safety number between `user` and a direct chat's `contact`, worked out
+// again whenever either side's keys change. `safety` is { number, verified },
+// `changed` says the number is no longer the one marked as verified.
+export const useSafetyNumber = (user, contact) => {
+  const [safety, setSafety] = useState(null);
+
+  useEffect(() => {
+    setSafety(null);
+    if (!user?.public_keys?.length || !contact?.public_keys?.length) return;
+    let cancelled = false;
+    safetyNumber(user, contact)
+      .then(number => {
+        if (!cancelled) setSafety({ number, verified: getVerifiedNumber(user.id, contact.id) });
+      })
+      .catch(error => console.error('Failed to work out the safety number:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [user, contact]);
+
+  const verify = (verified) => {
+    const number = verified ? safety.number : null;
+    setVerifiedNumber(user.id, contact.id, number);
+    setSafety(prev => ({ ...prev, verified: number }));
+  };
+
+  return {
+    safety,
+    changed: Boolean(safety?.verified && safety.verified !== safety.number),
+    verify
+  };
+};
@@ -0,0 +1,30 @@
+// errors.js
+// Errors for the user, shown inline by <ErrorNotice> instead of a blocking
+// alert(). Anything can report one; the latest replaces whatever was showing.
+import { useSyncExternalStore } from 'react';
+
+const listeners = new Set();
+let current = null; // { id, message }
+let lastId = 0;
+
+const notify = () => listeners.forEach(listener => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const reportError = (message) => {
+  if (!message) return;
+  current = { id: ++lastId, message };
+  notify();
+};
+
+// Only that error, so a newer one that took its place stays
+export const dismissError = (id) => {
+  if (!current || (id !== undefined && current.id !== id)) return;
+  current = null;
+  notify();
+};
+
+export const useError = () => useSyncExternalStore(subscribe, () => current);
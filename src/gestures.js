@@ -0,0 +1,23 @@
+// gestures.js
+// Long-press, which opens menus on touch screens; hover and right-click do
+// elsewhere.
+import { useRef, useEffect } from 'react';
+
+const LONG_PRESS_MS = 500;
+
+// Returns `longPress(onPress)`: touch handlers for an element that call
+// `onPress` once a finger has rested on it, and not if it moves or lifts first
+export const useLongPress = () => {
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return (onPress) => ({
+    onTouchStart: () => {
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(onPress, LONG_PRESS_MS);
+    },
+    onTouchMove: () => clearTimeout(timerRef.current),
+    onTouchEnd: () => clearTimeout(timerRef.current)
+  });
+};
@@ -0,0 +1,68 @@
+// groupHooks.js
+// The groups we belong to, kept current from the chat client's events, and
+// managing them. The server broadcasts `group_updated` and `group_removed`,
+// so every member's list follows. Starts over empty when the signed-in user's
+// id changes; loaded groups are kept with the account they were loaded for,
+// as in contactHooks.js.
+import { useState, useCallback } from 'react';
+import { useChatEvent } from './chatHooks';
+import { request } from './api';
+
+const NO_GROUPS = [];
+
+const groupRequest = (method, path, body) => request(`/api/groups${path}`, { method, body });
+
+export const useGroups = (client, userId) => {
+  const [loaded, setLoaded] = useState({ userId: null, groups: NO_GROUPS });
+  const groups = loaded.userId === userId ? loaded.groups : NO_GROUPS;
+
+  const setGroups = (update) => setLoaded(prev => ({ ...prev, groups: update(prev.groups) }));
+
+  const upsertGroup = (group) => {
+    setGroups(prev => (
+      prev.some(g => g.id === group.id)
+        ? prev.map(g => (g.id === group.id ? group : g))
+        : [...prev, group]
+    ));
+  };
+
+  const dropGroup = (groupId) => setGroups(prev => prev.filter(g => g.id !== groupId));
+
+  useChatEvent(client, 'group_updated', ({ group }) => upsertGroup(group));
+
+  useChatEvent(client, 'group_removed', ({ groupId }) => dropGroup(groupId));
+
+  const loadGroups = useCallback(async () => {
+    const owner = client.getUserId();
+    try {
+      setLoaded({ userId: owner, groups: await client.loadGroups() });
+    } catch (error) {
+      console.error('Failed to load groups:', error);
+    }
+  }, [client]);
+
+  // These reject with the server's error
+
+  const createGroup = async (name, memberIds) => {
+    const group = await groupRequest('POST', '', { name, memberIds });
+    upsertGroup(group);
+    return group;
+  };
+
+  const renameGroup = async (groupId, name) => {
+    upsertGroup(await groupRequest('PATCH', `/${groupId}`, { name }));
+  };
+
+  const addMember = async (groupId, memberId) => {
+    upsertGroup(await groupRequest('POST', `/${groupId}/members`, { userId: memberId }));
+  };
+
+  // Removing ourselves leaves the group
+  const removeMember = async (groupId, memberId) => {
+    const group = await groupRequest('DELETE', `/${groupId}/members/${memberId}`);
+    if (memberId === userId) dropGroup(group.id);
+    else upsertGroup(group);
+  };
+
+  return { groups, loadGroups, createGroup, renameGroup, addMember, removeMember };
+};
@@ -0,0 +1,150 @@
+// i18n.js
+// Translations and locale-aware dates. Messages live in ./locales, one module
+// per language keyed by dotted ids; t(key, values) fills in {placeholders} and
+// picks plural forms by `count` with Intl.PluralRules. Anything a translation
+// is missing falls back to English. The language is the user's pick, else the
+// browser's first supported one; <html lang dir> follows it, so right-to-left
+// languages lay out mirrored.
+import { useSyncExternalStore } from 'react';
+import en from './locales/en';
+import es from './locales/es';
+import ar from './locales/ar';
+import he from './locales/he';
+
+export const LOCALES = [
+  { id: 'en', name: 'English', messages: en },
+  { id: 'es', name: 'Español', messages: es },
+  { id: 'ar', name: 'العربية', messages: ar, dir: 'rtl' },
+  { id: 'he', name: 'עברית', messages: he, dir: 'rtl' }
+];
+
+const STORAGE_KEY = 'vschats-locale';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const listeners = new Set();
+
+const findLocale = (tag) => {
+  const id = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES.find(option => option.id === (id === 'iw' ? 'he' : id));
+};
+
+const savedLocale = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+const detectLocale = () => {
+  const preferred = [savedLocale(), ...(navigator.languages || [navigator.language])];
+  return (preferred.map(findLocale).find(Boolean) || LOCALES[0]).id;
+};
+
+let locale = detectLocale();
+let formats = {};
+
+// Intl objects are slow to build, so keep one per locale and options
+const cached = (type, options) => {
+  const key = `${type}:${JSON.stringify(options)}`;
+  if (!formats[key]) formats[key] = new Intl[type](locale, options);
+  return formats[key];
+};
+
+export const getLocale = () => locale;
+
+export const isRtl = () => findLocale(locale).dir === 'rtl';
+
+export const applyLocale = () => {
+  const root = document.documentElement;
+  root.lang = locale;
+  root.dir = isRtl() ? 'rtl' : 'ltr';
+};
+
+export const setLocale = (id) => {
+  if (!findLocale(id) || id === locale) return;
+  locale = id;
+  formats = {};
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    // private mode: the choice just lasts for this visit
+  }
+  applyLocale();
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the caller when the language changes
+export const useLocale = () => useSyncExternalStore(subscribe, getLocale);
+
+export const formatNumber = (value) => cached('NumberFormat', {}).format(value);
+
+export const t = (key, values = {}) => {
+  let message = findLocale(locale).messages[key] ?? en[key] ?? key;
+  if (typeof message === 'object') {
+    const form = cached('PluralRules', {}).select(values.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    return typeof values[name] === 'number' ? formatNumber(values[name]) : values[name];
+  });
+};
+
+// "Ana, Ben and Cy", joined the way the language does it
+export const formatList = (items, type = 'conjunction') => (
+  Intl.ListFormat ? cached('ListFormat', { type }).format(items) : items.join(', ')
+);
+
+export const formatTime = (value) => cached('DateTimeFormat', { hour: 'numeric', minute: '2-digit' }).format(new Date(value));
+
+// Calendar days between `value` and `now`; 0 is today, 1 yesterday
+const daysAgo = (value, now) => {
+  const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return Math.round((startOfDay(new Date(now)) - startOfDay(new Date(value))) / DAY_MS);
+};
+
+const sameYear = (value, now) => new Date(value).getFullYear() === new Date(now).getFullYear();
+
+// "Mar 5", with the year when it isn't this one
+export const formatDate = (value, now = Date.now()) => cached('DateTimeFormat', sameYear(value, now)
+  ? { month: 'short', day: 'numeric' }
+  : { year: 'numeric', month: 'short', day: 'numeric' }).format(new Date(value));
+
+// Compact, for lists: the time today, then "Yesterday", the weekday this week,
+// and a date after that
+export const formatRelativeDate = (value, now = Date.now()) => {
+  const days = daysAgo(value, now);
+  if (days <= 0) return formatTime(value);
+  if (days === 1) return t('time.yesterday');
+  if (days < 7) return cached('DateTimeFormat', { weekday: 'long' }).format(new Date(value));
+  return formatDate(value, now);
+};
+
+// Headings between days in a conversation
+export const formatDay = (value, now = Date.now()) => {
+  const days = daysAgo(value, now);
+  if (days <= 0) return t('time.today');
+  if (days === 1) return t('time.yesterday');
+  if (days < 7) return cached('DateTimeFormat', { weekday: 'long' }).format(new Date(value));
+  return cached('DateTimeFormat', sameYear(value, now)
+    ? { weekday: 'long', month: 'long', day: 'numeric' }
+    : { year: 'numeric', month: 'long', day: 'numeric' }).format(new Date(value));
+};
+
+export const isSameDay = (a, b) => daysAgo(a, b) === 0;
+
+// "5 minutes ago", "3 hours ago"; null once it's a day or more
+export const formatTimeAgo = (value, now = Date.now()) => {
+  const minutes = Math.floor((now - new Date(value).getTime()) / 60000);
+  const relative = cached('RelativeTimeFormat', { numeric: 'auto' });
+  if (minutes < 60) return relative.format(-minutes, 'minute');
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return relative.format(-hours, 'hour');
+  return null;
+};
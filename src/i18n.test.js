@@ -0,0 +1,111 @@
+import { renderHook, act } from '@testing-library/react';
+import { LOCALES, t, setLocale, getLocale, isRtl, useLocale, formatDay, formatRelativeDate } from './i18n';
+
+afterEach(() => {
+  setLocale('en');
+  localStorage.clear();
+});
+
+test('every language has the same messages, and the same placeholders in each', () => {
+  const [english, ...others] = LOCALES;
+  const placeholders = (message) => [...new Set(JSON.stringify(message).match(/\{\w+\}/g) || [])].sort();
+
+  others.forEach(({ id, messages }) => {
+    expect({ id, keys: Object.keys(messages).sort() }).toEqual({ id, keys: Object.keys(english.messages).sort() });
+    Object.entries(messages).forEach(([key, message]) => {
+      expect({ id, key, placeholders: placeholders(message) }).toEqual({ id, key, placeholders: placeholders(english.messages[key]) });
+    });
+  });
+});
+
+test('switching language translates, persists and sets the page language', () => {
+  setLocale('es');
+  expect(getLocale()).toBe('es');
+  expect(t('time.yesterday')).toBe('Ayer');
+  expect(localStorage.getItem('vschats-locale')).toBe('es');
+  expect(document.documentElement.lang).toBe('es');
+  expect(document.documentElement.dir).toBe('ltr');
+
+  // Unknown languages are ignored
+  setLocale('xx');
+  expect(getLocale()).toBe('es');
+});
+
+test('Arabic and Hebrew lay the page out right to left, and back', () => {
+  setLocale('ar');
+  expect(isRtl()).toBe(true);
+  expect(document.documentElement.dir).toBe('rtl');
+
+  setLocale('he');
+  expect(document.documentElement).toHaveAttribute('lang', 'he');
+  expect(document.documentElement.dir).toBe('rtl');
+
+  setLocale('en');
+  expect(isRtl()).toBe(false);
+  expect(document.documentElement.dir).toBe('ltr');
+});
+
+test('useLocale renders again in the new language', () => {
+  const { result } = renderHook(() => {
+    useLocale();
+    return t('time.today');
+  });
+  expect(result.current).toBe('Today');
+
+  act(() => setLocale('he'));
+  expect(result.current).toBe('היום');
+});
+
+test('plurals follow the rules of each language', () => {
+  expect(t('group.members', { count: 1 })).toBe('1 member');
+  expect(t('group.members', { count: 1200 })).toBe('1,200 members');
+
+  setLocale('ar');
+  expect(t('group.members', { count: 2 })).toBe('عضوان');
+  expect(t('group.members', { count: 3 })).toBe('3 أعضاء');
+  expect(t('group.members', { count: 11 })).toBe('11 عضوًا');
+});
+
+test('missing messages fall back to English, then to the key', () => {
+  const es = LOCALES.find(option => option.id === 'es').messages;
+  const saved = es['time.today'];
+  delete es['time.today'];
+  setLocale('es');
+  expect(t('time.today')).toBe('Today');
+  expect(t('no.such.key')).toBe('no.such.key');
+  es['time.today'] = saved;
+});
+
+test('days are named in the current language', () => {
+  const now = new Date(2026, 2, 10, 12);
+  expect(formatDay(new Date(2026, 2, 10, 8), now)).toBe('Today');
+  expect(formatRelativeDate(new Date(2026, 2, 9, 8), now)).toBe('Yesterday');
+  expect(formatDay(new Date(2025, 11, 24), now)).toBe('December 24, 2025');
+
+  setLocale('es');
+  expect(formatDay(new Date(2026, 2, 9, 8), now)).toBe('Ayer');
+});
+
+test('the saved choice wins over the browser, which wins over English', () => {
+  const languages = jest.spyOn(navigator, 'languages', 'get');
+  const detect = () => {
+    let detected;
+    jest.isolateModules(() => {
+      detected = require('./i18n').getLocale();
+    });
+    return detected;
+  };
+
+  languages.mockReturnValue(['iw-IL', 'en-US']);
+  expect(detect()).toBe('he');
+
+  languages.mockReturnValue(['fr-FR', 'es-MX']);
+  expect(detect()).toBe('es');
+
+  languages.mockReturnValue(['fr-FR']);
+  expect(detect()).toBe('en');
+
+  localStorage.setItem('vschats-locale', 'ar');
+  expect(detect()).toBe('ar');
+  languages.mockRestore();
+});
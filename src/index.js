@@ -3,13 +3,28 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { loadConfig } from './config';
+import { registerServiceWorker } from './serviceWorker';
+import { applyTheme, loadTheme } from './theme';
+import { applyLocale } from './i18n';
+
+// Before anything renders, so the page never flashes the wrong theme or direction
+applyTheme(loadTheme());
+applyLocale();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Resolve the backend before the first render so every request uses it
+loadConfig().then(() => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
+
+// Precaches the app shell and serves recent data offline; see public/sw.js
+window.addEventListener('load', () => registerServiceWorker());
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
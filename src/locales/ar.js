@@ -0,0 +1,390 @@
+// ar.js
+// Arabic (right to left).
+const ar = {
+  'common.close': 'إغلاق',
+  'common.save': 'حفظ',
+  'common.cancel': 'إلغاء',
+  'common.failed': 'حدث خطأ ما',
+  'common.you': 'أنت',
+  'common.someone': 'شخص ما',
+  'common.unknown': 'غير معروف',
+
+  'auth.tagline': 'منصة مراسلة فورية',
+  'auth.welcomeBack': 'مرحبًا بعودتك',
+  'auth.createAccount': 'إنشاء حساب',
+  'auth.username': 'اسم المستخدم',
+  'auth.email': 'البريد الإلكتروني',
+  'auth.password': 'كلمة المرور',
+  'auth.signIn': 'تسجيل الدخول',
+  'auth.signUp': 'إنشاء حساب',
+  'auth.signOut': 'تسجيل الخروج',
+  'auth.noAccount': 'ليس لديك حساب؟',
+  'auth.haveAccount': 'لديك حساب بالفعل؟',
+  'auth.sessionExpired': 'انتهت صلاحية جلستك. يُرجى تسجيل الدخول مرة أخرى.',
+  'auth.forgotPassword': 'هل نسيت كلمة المرور؟',
+  'auth.forgotTitle': 'إعادة تعيين كلمة المرور',
+  'auth.forgotHint': 'أدخل البريد الإلكتروني الذي سجّلت به وسنرسل إليك رابطًا لاختيار كلمة مرور جديدة.',
+  'auth.sendResetLink': 'إرسال الرابط',
+  'auth.resetSent': 'إذا كان لـ{email} حساب، فرابط إعادة التعيين في الطريق إليه. يعمل الرابط لمدة ساعة.',
+  'auth.resetTitle': 'اختر كلمة مرور جديدة',
+  'auth.savePassword': 'حفظ كلمة المرور',
+  'auth.linkInvalid': 'هذا الرابط غير صالح أو انتهت صلاحيته.',
+  'auth.requestNewLink': 'إرسال رابط جديد',
+  'auth.backToSignIn': 'العودة إلى تسجيل الدخول',
+  'auth.checkEmail': 'تحقّق من بريدك الإلكتروني',
+  'auth.verifySent': 'أرسلنا رابطًا إلى {email}. افتحه لإكمال إعداد حسابك.',
+  'auth.verifying': 'جارٍ التحقق من بريدك الإلكتروني…',
+  'auth.verifyFailed': 'تعذّر التحقق من بريدك الإلكتروني',
+  'auth.resendLink': 'إرسال الرسالة مرة أخرى',
+  'auth.linkResent': 'تم الإرسال. قد يستغرق وصولها دقيقة.',
+  'auth.useAnotherAccount': 'استخدام حساب آخر',
+  'auth.usernameRequired': 'اختر اسم مستخدم',
+  'auth.usernameTooLong': {
+    zero: 'استخدم {count} حرفًا على الأكثر',
+    one: 'استخدم حرفًا واحدًا على الأكثر',
+    two: 'استخدم حرفين على الأكثر',
+    few: 'استخدم {count} أحرف على الأكثر',
+    many: 'استخدم {count} حرفًا على الأكثر',
+    other: 'استخدم {count} حرف على الأكثر'
+  },
+  'auth.emailRequired': 'أدخل بريدك الإلكتروني',
+  'auth.emailInvalid': 'لا يبدو هذا عنوان بريد إلكتروني',
+  'auth.emailTaken': 'يوجد حساب بهذا البريد الإلكتروني بالفعل',
+  'auth.passwordRequired': 'أدخل كلمة المرور',
+  'auth.invalidCredentials': 'البريد الإلكتروني أو كلمة المرور غير صحيحة',
+  'auth.strength': 'قوة كلمة المرور: {level}',
+  'auth.strengthTooShort': 'قصيرة جدًا',
+  'auth.strengthWeak': 'ضعيفة',
+  'auth.strengthFair': 'مقبولة',
+  'auth.strengthGood': 'جيدة',
+  'auth.strengthStrong': 'قوية',
+
+  'connection.connected': 'متصل',
+  'connection.connecting': 'جارٍ الاتصال',
+  'connection.disconnected': 'غير متصل',
+  'connection.error': 'خطأ في الاتصال',
+  'connection.server': 'الخادم: {status}',
+  'connection.reconnecting': 'جارٍ إعادة الاتصال',
+  'connection.lost': 'انقطع الاتصال.',
+  'connection.retryIn': {
+    zero: 'إعادة المحاولة الآن',
+    one: 'إعادة المحاولة خلال ثانية واحدة',
+    two: 'إعادة المحاولة خلال ثانيتين',
+    few: 'إعادة المحاولة خلال {count} ثوانٍ',
+    many: 'إعادة المحاولة خلال {count} ثانية',
+    other: 'إعادة المحاولة خلال {count} ثانية'
+  },
+  'connection.retrying': 'جارٍ إعادة الاتصال…',
+  'connection.attempt': 'المحاولة {count}',
+  'connection.retryNow': 'أعد المحاولة الآن',
+
+  'time.today': 'اليوم',
+  'time.yesterday': 'أمس',
+
+  'presence.online': 'متصل الآن',
+  'presence.away': 'بعيد',
+  'presence.offline': 'غير متصل',
+  'presence.lastSeenJustNow': 'آخر ظهور قبل لحظات',
+  'presence.lastSeenAgo': 'آخر ظهور {time}',
+  'presence.lastSeenYesterday': 'آخر ظهور أمس',
+  'presence.lastSeenOn': 'آخر ظهور في {date}',
+
+  'status.set': 'اكتب حالة',
+  'status.placeholder': 'ما حالتك؟',
+  'status.label': 'رسالة الحالة',
+  'status.saveFailed': 'تعذّر تحديث حالتك',
+
+  'contacts.title': 'جهات الاتصال',
+  'contacts.refresh': 'تحديث جهات الاتصال',
+  'contacts.show': 'عرض',
+  'contacts.filter.all': 'الكل',
+  'contacts.filter.unread': 'غير المقروءة',
+  'contacts.filter.favorites': 'المفضلة',
+  'contacts.filter.groups': 'المجموعات',
+  'contacts.filter.blocked': 'المحظورون',
+  'contacts.empty.all': 'لا توجد جهات اتصال بعد',
+  'contacts.empty.unread': 'لا توجد رسائل جديدة',
+  'contacts.empty.favorites': 'أضف إلى المفضلة من قائمة جهة الاتصال',
+  'contacts.empty.groups': 'لا توجد مجموعات بعد',
+  'contacts.empty.blocked': 'لم تحظر أي أحد',
+  'contacts.filterByName': 'التصفية حسب الاسم',
+  'contacts.noMatch': 'لا توجد جهات اتصال تطابق «{query}»',
+  'contacts.favorite': 'إضافة إلى المفضلة',
+  'contacts.unfavorite': 'إزالة من المفضلة',
+  'contacts.mute': 'كتم الإشعارات',
+  'contacts.unmute': 'إلغاء كتم الإشعارات',
+  'contacts.block': 'حظر',
+  'contacts.unblock': 'إلغاء الحظر',
+  'contacts.confirmBlock': 'هل تريد حظر {name}؟ لن يتمكن من مراسلتك أو الاتصال بك.',
+  'contacts.blockedBanner': 'لقد حظرت {name}.',
+  'contacts.favoriteBadge': 'مفضلة',
+  'contacts.mutedBadge': 'مكتوم',
+  'contacts.moreOptions': 'خيارات إضافية',
+  'contacts.optionsFor': 'خيارات {name}',
+  'contacts.loadFailed': 'تعذّر تحميل المستخدمين. يُرجى المحاولة مرة أخرى.',
+  'contacts.updateFailed': 'تعذّر تحديث جهة الاتصال',
+
+  'search.placeholder': 'ابحث في جهات الاتصال والرسائل',
+  'search.contacts': 'جهات الاتصال',
+  'search.messages': 'الرسائل',
+  'search.noResults': 'لا توجد نتائج لـ «{query}»',
+
+  'chat.back': 'العودة إلى جهات الاتصال',
+  'chat.menu': 'القائمة',
+  'chat.previewSender': '{name}: ',
+  'chat.emptyTitle': 'لا توجد رسائل بعد',
+  'chat.emptyText': 'ابدأ المحادثة بإرسال رسالة',
+  'chat.welcomeTitle': 'مرحبًا بك في VSChats',
+  'chat.welcomeText': 'اختر محادثة لبدء المراسلة',
+  'chat.start': 'بدء محادثة جديدة',
+  'chat.loadFailed': 'تعذّر تحميل الرسائل. يُرجى المحاولة مرة أخرى.',
+  'chat.messagesWith': 'الرسائل مع {name}',
+
+  'typing.direct': 'يكتب…',
+  'typing.one': '{name} يكتب…',
+  'typing.two': '{names} يكتبان…',
+  'typing.many': {
+    zero: '{first} و{second} يكتبان…',
+    one: '{first} و{second} وشخص آخر يكتبون…',
+    two: '{first} و{second} وشخصان آخران يكتبون…',
+    few: '{first} و{second} و{count} أشخاص آخرين يكتبون…',
+    many: '{first} و{second} و{count} شخصًا آخر يكتبون…',
+    other: '{first} و{second} و{count} شخص آخر يكتبون…'
+  },
+
+  'message.reply': 'رد',
+  'message.edit': 'تعديل',
+  'message.deleteForMe': 'حذف لدي',
+  'message.deleteForEveryone': 'حذف لدى الجميع',
+  'message.confirmDelete': 'هل تريد حذف هذه الرسالة لدى الجميع؟',
+  'message.actions': 'إجراءات الرسالة',
+  'message.deleted': 'تم حذف الرسالة',
+  'message.quoteDeleted': 'تم حذف هذه الرسالة',
+  'message.encrypted': 'رسالة مشفرة',
+  'message.undecryptable': 'لا يمكن فك تشفير هذه الرسالة على هذا الجهاز',
+  'message.edited': 'معدّلة',
+  'message.queued': 'في الانتظار',
+  'message.notSent': 'لم تُرسل',
+  'message.retry': 'إعادة المحاولة',
+  'message.discard': 'تجاهل',
+  'message.offline': 'أنت غير متصل. حاول مرة أخرى بعد إعادة الاتصال.',
+  'message.noResponse': 'لم يستجب الخادم',
+  'message.editFailed': 'تعذّر تعديل الرسالة: {error}',
+  'message.deleteFailed': 'تعذّر حذف الرسالة: {error}',
+  'message.reactFailed': 'تعذّر التفاعل مع الرسالة: {error}',
+
+  'delivery.sending': 'جارٍ الإرسال',
+  'delivery.sent': 'أُرسلت',
+  'delivery.delivered': 'وصلت',
+  'delivery.read': 'قُرئت',
+  'delivery.failed': 'فشل الإرسال',
+
+  'reactions.reactWith': 'تفاعل بـ {name}',
+  'reactions.more': 'تفاعلات أخرى',
+  'reactions.reactedWith': 'تفاعلات {name}: {names}',
+
+  'composer.placeholder': 'اكتب رسالة…',
+  'composer.label': 'الرسالة',
+  'composer.encryptedPlaceholder': 'رسالة مشفرة…',
+  'composer.formatting': 'التنسيق',
+  'composer.bold': 'غامق',
+  'composer.italic': 'مائل',
+  'composer.code': 'شيفرة',
+  'composer.codeBlock': 'كتلة شيفرة',
+  'composer.quote': 'اقتباس',
+  'composer.list': 'قائمة',
+  'composer.preview': 'معاينة',
+  'composer.attach': 'إرفاق ملفات',
+  'composer.attachEncrypted': 'لا يمكن إرسال الملفات في محادثة مشفرة',
+  'composer.emoji': 'رموز تعبيرية',
+  'composer.send': 'إرسال الرسالة',
+  'composer.saveEdit': 'حفظ التغييرات',
+  'composer.editing': 'تعديل الرسالة',
+  'composer.replyingTo': 'الرد على {name}',
+  'composer.replyingToSelf': 'الرد على نفسك',
+  'composer.cancelEdit': 'إلغاء التعديل',
+  'composer.cancelReply': 'إلغاء الرد',
+
+  'upload.progress': '{percent}٪ من {size}',
+  'upload.cancel': 'إلغاء الرفع',
+  'upload.dismiss': 'إغلاق',
+  'upload.failed': 'فشل الرفع',
+  'upload.drop': 'أفلت الملفات لإرسالها',
+  'upload.empty': '«{name}» فارغ',
+  'upload.tooLarge': 'حجم «{name}» أكبر من {size}',
+  'upload.unsupported': 'نوع الملف «{name}» غير مدعوم',
+  'upload.tooMany': {
+    one: 'يمكنك إرسال ملف واحد في المرة',
+    two: 'يمكنك إرسال ملفين في المرة',
+    few: 'يمكنك إرسال {count} ملفات كحد أقصى في المرة',
+    many: 'يمكنك إرسال {count} ملفًا كحد أقصى في المرة',
+    other: 'يمكنك إرسال {count} ملف كحد أقصى في المرة'
+  },
+
+  'attachment.download': 'تنزيل',
+  'attachment.photo': 'صورة',
+  'attachment.video': 'فيديو',
+  'attachment.unavailable': 'المرفق غير متاح',
+
+  'emoji.search': 'ابحث عن رمز تعبيري',
+  'emoji.noResults': 'لم يتم العثور على رموز تعبيرية',
+  'emoji.recent': 'المستخدمة مؤخرًا',
+  'emoji.smileys': 'الوجوه',
+  'emoji.gestures': 'الأشخاص',
+  'emoji.hearts': 'القلوب',
+  'emoji.nature': 'الحيوانات والطبيعة',
+  'emoji.food': 'الطعام والشراب',
+  'emoji.activities': 'الأنشطة',
+  'emoji.objects': 'الأشياء والرموز',
+
+  'group.new': 'مجموعة جديدة',
+  'group.info': 'معلومات المجموعة',
+  'group.name': 'اسم المجموعة',
+  'group.members': {
+    zero: 'لا يوجد أعضاء',
+    one: 'عضو واحد',
+    two: 'عضوان',
+    few: '{count} أعضاء',
+    many: '{count} عضوًا',
+    other: '{count} عضو'
+  },
+  'group.admin': 'المشرف',
+  'group.chooseMembers': 'اختر الأعضاء',
+  'group.addMembers': 'إضافة أعضاء',
+  'group.addMember': 'إضافة {name}',
+  'group.add': 'إضافة',
+  'group.remove': 'إزالة',
+  'group.leave': 'مغادرة المجموعة',
+  'group.create': 'إنشاء المجموعة',
+
+  'encryption.title': 'التشفير',
+  'encryption.settings': 'إعدادات التشفير',
+  'encryption.enabled': 'مشفرة تمامًا بين الطرفين',
+  'encryption.toggle': 'تشفير الرسائل الجديدة إلى {name}',
+  'encryption.about': 'تُشفَّر الرسائل على هذا الجهاز ولا يمكن قراءتها إلا على جهازك وجهازه. لا يمكن إرسال الملفات ما دامت المحادثة مشفرة.',
+  'encryption.unsupported': 'لا يمكن لهذا المتصفح تشفير الرسائل.',
+  'encryption.settingUp': 'لا يزال إعداد التشفير جاريًا على هذا الجهاز.',
+  'encryption.contactNotReady': 'لم يُعدّ {name} التشفير بعد. سيُعدّ عند تسجيل دخوله في المرة القادمة.',
+  'encryption.safetyNumber': 'رقم الأمان',
+  'encryption.calculating': 'جارٍ الحساب…',
+  'encryption.changed': 'تغيّر رقم الأمان بينك وبين {name} منذ أن تحققت منه. ربما سجّل الدخول من جهاز جديد، أو ربما يعترض أحدهم رسائلك.',
+  'encryption.changedBanner': 'تغيّر رقم الأمان بينك وبين {name}.',
+  'encryption.compare': 'قارن هذا الرقم بالرقم الظاهر على شاشة {name}، وجهًا لوجه أو خلال مكالمة. إذا تطابقا، فلا أحد يقرأ رسائلكما.',
+  'encryption.verify': 'تحقق',
+  'encryption.markVerified': 'وضع علامة «تم التحقق»',
+  'encryption.clearVerification': 'إلغاء التحقق',
+
+  'call.voice': 'مكالمة صوتية',
+  'call.video': 'مكالمة فيديو',
+  'call.voiceWith': 'مكالمة صوتية مع {name}',
+  'call.videoWith': 'مكالمة فيديو مع {name}',
+  'call.incomingVoice': 'مكالمة صوتية واردة',
+  'call.incomingVideo': 'مكالمة فيديو واردة',
+  'call.calling': 'جارٍ الاتصال…',
+  'call.ringing': 'يرن…',
+  'call.connecting': 'جارٍ التوصيل…',
+  'call.answer': 'رد',
+  'call.decline': 'رفض',
+  'call.hangUp': 'إنهاء المكالمة',
+  'call.mute': 'كتم الصوت',
+  'call.unmute': 'إلغاء كتم الصوت',
+  'call.cameraOff': 'إيقاف الكاميرا',
+  'call.cameraOn': 'تشغيل الكاميرا',
+  'call.ended': 'انتهت المكالمة',
+  'call.end.declined': 'رُفضت المكالمة',
+  'call.end.busy': '{name} في مكالمة أخرى',
+  'call.end.no-answer': 'لا يوجد رد',
+  'call.end.unavailable': 'لا يمكن الوصول إلى {name} حاليًا',
+  'call.end.media-error': 'تعذّر استخدام الميكروفون أو الكاميرا',
+  'call.end.failed': 'انقطعت المكالمة',
+  'call.end.missed': 'مكالمة فائتة',
+  'call.history.outgoing.voice': 'مكالمة صوتية صادرة · {duration}',
+  'call.history.outgoing.video': 'مكالمة فيديو صادرة · {duration}',
+  'call.history.incoming.voice': 'مكالمة صوتية واردة · {duration}',
+  'call.history.incoming.video': 'مكالمة فيديو واردة · {duration}',
+  'call.history.declinedByThem.voice': 'رُفضت المكالمة الصوتية',
+  'call.history.declinedByThem.video': 'رُفضت مكالمة الفيديو',
+  'call.history.declinedByYou.voice': 'مكالمة صوتية مرفوضة',
+  'call.history.declinedByYou.video': 'مكالمة فيديو مرفوضة',
+  'call.history.unanswered.voice': 'مكالمة صوتية بلا رد',
+  'call.history.unanswered.video': 'مكالمة فيديو بلا رد',
+  'call.history.missed.voice': 'مكالمة صوتية فائتة',
+  'call.history.missed.video': 'مكالمة فيديو فائتة',
+
+  'notification.message': 'رسالة جديدة من {name}',
+  'notification.groupMessage': '{name} في {group}',
+  'notification.calling': '{name} يتصل بك',
+
+  'announce.message': '{name}: {text}',
+  'announce.newMessage': 'رسالة جديدة من {name}',
+  'announce.newGroupMessage': 'رسالة جديدة من {name} في {group}',
+
+  'appearance.title': 'المظهر',
+  'appearance.theme': 'السمة',
+  'appearance.system': 'تلقائي',
+  'appearance.light': 'فاتح',
+  'appearance.dark': 'داكن',
+  'appearance.contrast': 'تباين عالٍ',
+  'appearance.systemNote': 'يتبع الوضع التلقائي إعدادات جهازك للوضع الفاتح والداكن والتباين.',
+  'appearance.accent': 'لون التمييز',
+  'appearance.blue': 'أزرق',
+  'appearance.purple': 'بنفسجي',
+  'appearance.pink': 'وردي',
+  'appearance.orange': 'برتقالي',
+  'appearance.green': 'أخضر',
+  'appearance.teal': 'أزرق مخضر',
+  'appearance.custom': 'لون مخصص',
+  'appearance.customAccent': 'لون تمييز مخصص',
+  'appearance.contrastNote': 'يستخدم وضع التباين العالي لون التمييز الخاص به.',
+  'appearance.reset': 'إعادة التعيين',
+
+  'profile.title': 'إعدادات الملف الشخصي',
+  'profile.contactTitle': 'الملف الشخصي',
+  'profile.view': 'عرض الملف الشخصي لـ{name}',
+  'profile.picture': 'الصورة',
+  'profile.uploadPicture': 'رفع صورة',
+  'profile.changePicture': 'تغيير الصورة',
+  'profile.removePicture': 'إزالة',
+  'profile.usePicture': 'استخدام الصورة',
+  'profile.saving': 'جارٍ الحفظ…',
+  'profile.cropArea': 'قص الصورة',
+  'profile.cropHint': 'اسحب الصورة أو استخدم مفاتيح الأسهم لضبط موضعها، و+ و− للتكبير والتصغير.',
+  'profile.zoom': 'التكبير',
+  'profile.avatarUnsupported': 'اختر صورة PNG أو JPEG أو GIF أو WebP',
+  'profile.avatarTooLarge': 'يمكن أن يصل حجم الصورة إلى {size}',
+  'profile.avatarFailed': 'تعذّرت معالجة الصورة',
+  'profile.avatarSaved': 'تم تحديث الصورة',
+  'profile.avatarRemoved': 'تمت إزالة الصورة',
+  'profile.displayName': 'الاسم المعروض',
+  'profile.nameSaved': 'تم تحديث الاسم',
+  'profile.password': 'كلمة المرور',
+  'profile.currentPassword': 'كلمة المرور الحالية',
+  'profile.newPassword': 'كلمة المرور الجديدة',
+  'profile.confirmPassword': 'تأكيد كلمة المرور الجديدة',
+  'profile.changePassword': 'تغيير كلمة المرور',
+  'profile.passwordTooShort': {
+    zero: 'استخدم {count} حرفًا على الأقل',
+    one: 'استخدم حرفًا واحدًا على الأقل',
+    two: 'استخدم حرفين على الأقل',
+    few: 'استخدم {count} أحرف على الأقل',
+    many: 'استخدم {count} حرفًا على الأقل',
+    other: 'استخدم {count} حرف على الأقل'
+  },
+  'profile.passwordMismatch': 'كلمتا المرور الجديدتان غير متطابقتين',
+  'profile.passwordChanged': 'تم تغيير كلمة المرور',
+  'profile.wrongPassword': 'كلمة المرور غير صحيحة',
+  'profile.deleteAccount': 'حذف الحساب',
+  'profile.deleteAbout': 'حذف حسابك يسجّل خروجك من كل مكان ولا يمكن التراجع عنه.',
+  'profile.deleteWarning': 'سيؤدي هذا إلى حذف حسابك نهائيًا. ستبقى الرسائل التي أرسلتها في محادثات الآخرين. أدخل كلمة المرور للتأكيد.',
+  'profile.deleteForever': 'حذف نهائيًا',
+  'profile.email': 'البريد الإلكتروني',
+  'profile.joined': 'تاريخ الانضمام',
+
+  'language.title': 'اللغة',
+
+  'update.available': 'يتوفر إصدار جديد من VSChats.',
+  'update.reload': 'إعادة التحميل',
+  'update.later': 'لاحقًا'
+};
+
+export default ar;
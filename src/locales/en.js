@@ -0,0 +1,368 @@
+// en.js
+// English, the source language: every key lives here, and other languages fall
+// back to it. Plurals are objects of Intl.PluralRules forms, picked by `count`.
+const en = {
+  'common.close': 'Close',
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.failed': 'Something went wrong',
+  'common.you': 'You',
+  'common.someone': 'Someone',
+  'common.unknown': 'Unknown',
+
+  'auth.tagline': 'Real-time messaging platform',
+  'auth.welcomeBack': 'Welcome Back',
+  'auth.createAccount': 'Create Account',
+  'auth.username': 'Username',
+  'auth.email': 'Email address',
+  'auth.password': 'Password',
+  'auth.signIn': 'Sign In',
+  'auth.signUp': 'Sign Up',
+  'auth.signOut': 'Sign out',
+  'auth.noAccount': "Don't have an account?",
+  'auth.haveAccount': 'Already have an account?',
+  'auth.sessionExpired': 'Your session has expired. Please sign in again.',
+  'auth.forgotPassword': 'Forgot password?',
+  'auth.forgotTitle': 'Reset your password',
+  'auth.forgotHint': 'Enter the email address you signed up with and we’ll send you a link to choose a new password.',
+  'auth.sendResetLink': 'Send reset link',
+  'auth.resetSent': 'If {email} has an account, a reset link is on its way. It works for an hour.',
+  'auth.resetTitle': 'Choose a new password',
+  'auth.savePassword': 'Save password',
+  'auth.linkInvalid': 'This link is invalid or has expired.',
+  'auth.requestNewLink': 'Send a new link',
+  'auth.backToSignIn': 'Back to sign in',
+  'auth.checkEmail': 'Check your email',
+  'auth.verifySent': 'We sent a link to {email}. Open it to finish setting up your account.',
+  'auth.verifying': 'Verifying your email…',
+  'auth.verifyFailed': 'We couldn’t verify your email',
+  'auth.resendLink': 'Send the email again',
+  'auth.linkResent': 'Sent. It can take a minute to arrive.',
+  'auth.useAnotherAccount': 'Use a different account',
+  'auth.usernameRequired': 'Choose a username',
+  'auth.usernameTooLong': {
+    one: 'Use at most {count} character',
+    other: 'Use at most {count} characters'
+  },
+  'auth.emailRequired': 'Enter your email address',
+  'auth.emailInvalid': 'That doesn’t look like an email address',
+  'auth.emailTaken': 'There’s already an account with this email',
+  'auth.passwordRequired': 'Enter your password',
+  'auth.invalidCredentials': 'Wrong email or password',
+  'auth.strength': 'Password strength: {level}',
+  'auth.strengthTooShort': 'too short',
+  'auth.strengthWeak': 'weak',
+  'auth.strengthFair': 'fair',
+  'auth.strengthGood': 'good',
+  'auth.strengthStrong': 'strong',
+
+  'connection.connected': 'Connected',
+  'connection.connecting': 'Connecting',
+  'connection.disconnected': 'Disconnected',
+  'connection.error': 'Connection error',
+  'connection.server': 'Server: {status}',
+  'connection.reconnecting': 'Reconnecting',
+  'connection.lost': 'Connection lost.',
+  'connection.retryIn': {
+    one: 'Retrying in {count} second',
+    other: 'Retrying in {count} seconds'
+  },
+  'connection.retrying': 'Reconnecting…',
+  'connection.attempt': 'Attempt {count}',
+  'connection.retryNow': 'Retry now',
+
+  'time.today': 'Today',
+  'time.yesterday': 'Yesterday',
+
+  'presence.online': 'Online',
+  'presence.away': 'Away',
+  'presence.offline': 'Offline',
+  'presence.lastSeenJustNow': 'last seen just now',
+  'presence.lastSeenAgo': 'last seen {time}',
+  'presence.lastSeenYesterday': 'last seen yesterday',
+  'presence.lastSeenOn': 'last seen {date}',
+
+  'status.set': 'Set a status',
+  'status.placeholder': "What's your status?",
+  'status.label': 'Status message',
+  'status.saveFailed': 'Failed to update your status',
+
+  'contacts.title': 'Contacts',
+  'contacts.refresh': 'Refresh contacts',
+  'contacts.show': 'Show',
+  'contacts.filter.all': 'All',
+  'contacts.filter.unread': 'Unread',
+  'contacts.filter.favorites': 'Favorites',
+  'contacts.filter.groups': 'Groups',
+  'contacts.filter.blocked': 'Blocked',
+  'contacts.empty.all': 'No contacts yet',
+  'contacts.empty.unread': "You're all caught up",
+  'contacts.empty.favorites': "Add favorites from a contact's menu",
+  'contacts.empty.groups': 'No groups yet',
+  'contacts.empty.blocked': "You haven't blocked anyone",
+  'contacts.filterByName': 'Filter by name',
+  'contacts.noMatch': 'No contacts match “{query}”',
+  'contacts.favorite': 'Add to favorites',
+  'contacts.unfavorite': 'Remove from favorites',
+  'contacts.mute': 'Mute notifications',
+  'contacts.unmute': 'Unmute notifications',
+  'contacts.block': 'Block',
+  'contacts.unblock': 'Unblock',
+  'contacts.confirmBlock': "Block {name}? They won't be able to message or call you.",
+  'contacts.blockedBanner': 'You blocked {name}.',
+  'contacts.favoriteBadge': 'Favorite',
+  'contacts.mutedBadge': 'Muted',
+  'contacts.moreOptions': 'More options',
+  'contacts.optionsFor': 'Options for {name}',
+  'contacts.loadFailed': 'Failed to load users. Please try again.',
+  'contacts.updateFailed': 'Failed to update contact',
+
+  'search.placeholder': 'Search contacts and messages',
+  'search.contacts': 'Contacts',
+  'search.messages': 'Messages',
+  'search.noResults': 'No results for “{query}”',
+
+  'chat.back': 'Back to contacts',
+  'chat.menu': 'Menu',
+  'chat.previewSender': '{name}: ',
+  'chat.emptyTitle': 'No messages yet',
+  'chat.emptyText': 'Start a conversation by sending a message',
+  'chat.welcomeTitle': 'Welcome to VSChats',
+  'chat.welcomeText': 'Select a conversation to start messaging',
+  'chat.start': 'Start New Chat',
+  'chat.loadFailed': 'Failed to load messages. Please try again.',
+  'chat.messagesWith': 'Messages with {name}',
+
+  'typing.direct': 'typing…',
+  'typing.one': '{name} is typing…',
+  'typing.two': '{names} are typing…',
+  'typing.many': {
+    one: '{first}, {second} and {count} other are typing…',
+    other: '{first}, {second} and {count} others are typing…'
+  },
+
+  'message.reply': 'Reply',
+  'message.edit': 'Edit',
+  'message.deleteForMe': 'Delete for me',
+  'message.deleteForEveryone': 'Delete for everyone',
+  'message.confirmDelete': 'Delete this message for everyone?',
+  'message.actions': 'Message actions',
+  'message.deleted': 'Message deleted',
+  'message.quoteDeleted': 'This message was deleted',
+  'message.encrypted': 'Encrypted message',
+  'message.undecryptable': "This message can't be decrypted on this device",
+  'message.edited': 'edited',
+  'message.queued': 'Queued',
+  'message.notSent': 'Not sent',
+  'message.retry': 'Retry',
+  'message.discard': 'Discard',
+  'message.offline': 'You are offline. Try again once reconnected.',
+  'message.noResponse': 'The server did not respond',
+  'message.editFailed': "Couldn't edit the message: {error}",
+  'message.deleteFailed': "Couldn't delete the message: {error}",
+  'message.reactFailed': "Couldn't react to the message: {error}",
+
+  'delivery.sending': 'Sending',
+  'delivery.sent': 'Sent',
+  'delivery.delivered': 'Delivered',
+  'delivery.read': 'Read',
+  'delivery.failed': 'Failed',
+
+  'reactions.reactWith': 'React with {name}',
+  'reactions.more': 'More reactions',
+  'reactions.reactedWith': '{names} reacted with {name}',
+
+  'composer.placeholder': 'Type a message…',
+  'composer.label': 'Message',
+  'composer.encryptedPlaceholder': 'Encrypted message…',
+  'composer.formatting': 'Formatting',
+  'composer.bold': 'Bold',
+  'composer.italic': 'Italic',
+  'composer.code': 'Inline code',
+  'composer.codeBlock': 'Code block',
+  'composer.quote': 'Quote',
+  'composer.list': 'List',
+  'composer.preview': 'Preview',
+  'composer.attach': 'Attach files',
+  'composer.attachEncrypted': "Files can't be sent in an encrypted chat",
+  'composer.emoji': 'Emoji',
+  'composer.send': 'Send message',
+  'composer.saveEdit': 'Save changes',
+  'composer.editing': 'Editing message',
+  'composer.replyingTo': 'Replying to {name}',
+  'composer.replyingToSelf': 'Replying to yourself',
+  'composer.cancelEdit': 'Cancel edit',
+  'composer.cancelReply': 'Cancel reply',
+
+  'upload.progress': '{percent}% of {size}',
+  'upload.cancel': 'Cancel upload',
+  'upload.dismiss': 'Dismiss',
+  'upload.failed': 'Upload failed',
+  'upload.drop': 'Drop files to send',
+  'upload.empty': '“{name}” is empty',
+  'upload.tooLarge': '“{name}” is larger than {size}',
+  'upload.unsupported': '“{name}” is not a supported file type',
+  'upload.tooMany': {
+    one: 'You can send {count} file at a time',
+    other: 'You can send up to {count} files at a time'
+  },
+
+  'attachment.download': 'Download',
+  'attachment.photo': 'Photo',
+  'attachment.video': 'Video',
+  'attachment.unavailable': 'Attachment unavailable',
+
+  'emoji.search': 'Search emoji',
+  'emoji.noResults': 'No emoji found',
+  'emoji.recent': 'Recently used',
+  'emoji.smileys': 'Smileys',
+  'emoji.gestures': 'People',
+  'emoji.hearts': 'Hearts',
+  'emoji.nature': 'Animals & nature',
+  'emoji.food': 'Food & drink',
+  'emoji.activities': 'Activities',
+  'emoji.objects': 'Objects & symbols',
+
+  'group.new': 'New group',
+  'group.info': 'Group info',
+  'group.name': 'Group name',
+  'group.members': {
+    one: '{count} member',
+    other: '{count} members'
+  },
+  'group.admin': 'Admin',
+  'group.chooseMembers': 'Choose members',
+  'group.addMembers': 'Add members',
+  'group.addMember': 'Add {name}',
+  'group.add': 'Add',
+  'group.remove': 'Remove',
+  'group.leave': 'Leave group',
+  'group.create': 'Create group',
+
+  'encryption.title': 'Encryption',
+  'encryption.settings': 'Encryption settings',
+  'encryption.enabled': 'End-to-end encrypted',
+  'encryption.toggle': 'Encrypt new messages to {name}',
+  'encryption.about': "Messages are encrypted on this device and can only be read on yours and theirs. Files can't be sent while the chat is encrypted.",
+  'encryption.unsupported': "This browser can't encrypt messages.",
+  'encryption.settingUp': 'Encryption is still being set up on this device.',
+  'encryption.contactNotReady': "{name} hasn't set up encryption yet. It's set up when they next sign in.",
+  'encryption.safetyNumber': 'Safety number',
+  'encryption.calculating': 'Calculating…',
+  'encryption.changed': 'Your safety number with {name} has changed since you verified it. They may have signed in on a new device, or someone may be intercepting your messages.',
+  'encryption.changedBanner': 'Your safety number with {name} has changed.',
+  'encryption.compare': "Compare this with the number on {name}'s screen, in person or on a call. If they match, nobody is reading your messages in between.",
+  'encryption.verify': 'Verify',
+  'encryption.markVerified': 'Mark as verified',
+  'encryption.clearVerification': 'Clear verification',
+
+  'call.voice': 'Voice call',
+  'call.video': 'Video call',
+  'call.voiceWith': 'Voice call with {name}',
+  'call.videoWith': 'Video call with {name}',
+  'call.incomingVoice': 'Incoming voice call',
+  'call.incomingVideo': 'Incoming video call',
+  'call.calling': 'Calling…',
+  'call.ringing': 'Ringing…',
+  'call.connecting': 'Connecting…',
+  'call.answer': 'Answer',
+  'call.decline': 'Decline',
+  'call.hangUp': 'Hang up',
+  'call.mute': 'Mute',
+  'call.unmute': 'Unmute',
+  'call.cameraOff': 'Turn camera off',
+  'call.cameraOn': 'Turn camera on',
+  'call.ended': 'Call ended',
+  'call.end.declined': 'Call declined',
+  'call.end.busy': '{name} is on another call',
+  'call.end.no-answer': 'No answer',
+  'call.end.unavailable': "{name} can't be reached right now",
+  'call.end.media-error': "Couldn't use your microphone or camera",
+  'call.end.failed': 'The call dropped',
+  'call.end.missed': 'Missed call',
+  'call.history.outgoing.voice': 'Outgoing voice call · {duration}',
+  'call.history.outgoing.video': 'Outgoing video call · {duration}',
+  'call.history.incoming.voice': 'Incoming voice call · {duration}',
+  'call.history.incoming.video': 'Incoming video call · {duration}',
+  'call.history.declinedByThem.voice': 'Voice call declined',
+  'call.history.declinedByThem.video': 'Video call declined',
+  'call.history.declinedByYou.voice': 'Declined voice call',
+  'call.history.declinedByYou.video': 'Declined video call',
+  'call.history.unanswered.voice': 'Unanswered voice call',
+  'call.history.unanswered.video': 'Unanswered video call',
+  'call.history.missed.voice': 'Missed voice call',
+  'call.history.missed.video': 'Missed video call',
+
+  'notification.message': 'New message from {name}',
+  'notification.groupMessage': '{name} in {group}',
+  'notification.calling': '{name} is calling',
+
+  'announce.message': '{name}: {text}',
+  'announce.newMessage': 'New message from {name}',
+  'announce.newGroupMessage': 'New message from {name} in {group}',
+
+  'appearance.title': 'Appearance',
+  'appearance.theme': 'Theme',
+  'appearance.system': 'Automatic',
+  'appearance.light': 'Light',
+  'appearance.dark': 'Dark',
+  'appearance.contrast': 'High contrast',
+  'appearance.systemNote': "Automatic follows your device's light, dark and contrast settings.",
+  'appearance.accent': 'Accent color',
+  'appearance.blue': 'Blue',
+  'appearance.purple': 'Purple',
+  'appearance.pink': 'Pink',
+  'appearance.orange': 'Orange',
+  'appearance.green': 'Green',
+  'appearance.teal': 'Teal',
+  'appearance.custom': 'Custom color',
+  'appearance.customAccent': 'Custom accent color',
+  'appearance.contrastNote': 'High contrast uses its own accent color.',
+  'appearance.reset': 'Reset',
+
+  'profile.title': 'Profile settings',
+  'profile.contactTitle': 'Profile',
+  'profile.view': 'View {name}’s profile',
+  'profile.picture': 'Picture',
+  'profile.uploadPicture': 'Upload picture',
+  'profile.changePicture': 'Change picture',
+  'profile.removePicture': 'Remove',
+  'profile.usePicture': 'Use picture',
+  'profile.saving': 'Saving…',
+  'profile.cropArea': 'Picture crop',
+  'profile.cropHint': 'Drag the picture or use the arrow keys to position it; + and − zoom.',
+  'profile.zoom': 'Zoom',
+  'profile.avatarUnsupported': 'Choose a PNG, JPEG, GIF or WebP image',
+  'profile.avatarTooLarge': 'Pictures can be up to {size}',
+  'profile.avatarFailed': 'The picture couldn’t be processed',
+  'profile.avatarSaved': 'Picture updated',
+  'profile.avatarRemoved': 'Picture removed',
+  'profile.displayName': 'Display name',
+  'profile.nameSaved': 'Name updated',
+  'profile.password': 'Password',
+  'profile.currentPassword': 'Current password',
+  'profile.newPassword': 'New password',
+  'profile.confirmPassword': 'Confirm new password',
+  'profile.changePassword': 'Change password',
+  'profile.passwordTooShort': {
+    one: 'Use at least {count} character',
+    other: 'Use at least {count} characters'
+  },
+  'profile.passwordMismatch': 'The new passwords don’t match',
+  'profile.passwordChanged': 'Password changed',
+  'profile.wrongPassword': 'That password is incorrect',
+  'profile.deleteAccount': 'Delete account',
+  'profile.deleteAbout': 'Deleting your account signs you out everywhere and can’t be undone.',
+  'profile.deleteWarning': 'This permanently deletes your account. Messages you sent stay in other people’s chats. Enter your password to confirm.',
+  'profile.deleteForever': 'Delete permanently',
+  'profile.email': 'Email',
+  'profile.joined': 'Joined',
+
+  'language.title': 'Language',
+
+  'update.available': 'A new version of VSChats is available.',
+  'update.reload': 'Reload',
+  'update.later': 'Later'
+};
+
+export default en;
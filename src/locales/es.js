@@ -0,0 +1,367 @@
+// es.js
+// Spanish.
+const es = {
+  'common.close': 'Cerrar',
+  'common.save': 'Guardar',
+  'common.cancel': 'Cancelar',
+  'common.failed': 'Algo salió mal',
+  'common.you': 'Tú',
+  'common.someone': 'Alguien',
+  'common.unknown': 'Desconocido',
+
+  'auth.tagline': 'Mensajería en tiempo real',
+  'auth.welcomeBack': 'Hola de nuevo',
+  'auth.createAccount': 'Crear cuenta',
+  'auth.username': 'Nombre de usuario',
+  'auth.email': 'Correo electrónico',
+  'auth.password': 'Contraseña',
+  'auth.signIn': 'Iniciar sesión',
+  'auth.signUp': 'Regístrate',
+  'auth.signOut': 'Cerrar sesión',
+  'auth.noAccount': '¿No tienes una cuenta?',
+  'auth.haveAccount': '¿Ya tienes una cuenta?',
+  'auth.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'auth.forgotPassword': '¿Olvidaste la contraseña?',
+  'auth.forgotTitle': 'Restablece tu contraseña',
+  'auth.forgotHint': 'Escribe el correo con el que te registraste y te enviaremos un enlace para elegir una contraseña nueva.',
+  'auth.sendResetLink': 'Enviar enlace',
+  'auth.resetSent': 'Si {email} tiene una cuenta, le llegará un enlace para restablecerla. Sirve durante una hora.',
+  'auth.resetTitle': 'Elige una contraseña nueva',
+  'auth.savePassword': 'Guardar contraseña',
+  'auth.linkInvalid': 'Este enlace no es válido o ha caducado.',
+  'auth.requestNewLink': 'Enviar un enlace nuevo',
+  'auth.backToSignIn': 'Volver a iniciar sesión',
+  'auth.checkEmail': 'Revisa tu correo',
+  'auth.verifySent': 'Hemos enviado un enlace a {email}. Ábrelo para terminar de crear tu cuenta.',
+  'auth.verifying': 'Verificando tu correo…',
+  'auth.verifyFailed': 'No hemos podido verificar tu correo',
+  'auth.resendLink': 'Volver a enviar el correo',
+  'auth.linkResent': 'Enviado. Puede tardar un minuto en llegar.',
+  'auth.useAnotherAccount': 'Usar otra cuenta',
+  'auth.usernameRequired': 'Elige un nombre de usuario',
+  'auth.usernameTooLong': {
+    one: 'Usa como máximo {count} carácter',
+    other: 'Usa como máximo {count} caracteres'
+  },
+  'auth.emailRequired': 'Escribe tu correo electrónico',
+  'auth.emailInvalid': 'Eso no parece un correo electrónico',
+  'auth.emailTaken': 'Ya existe una cuenta con este correo',
+  'auth.passwordRequired': 'Escribe tu contraseña',
+  'auth.invalidCredentials': 'El correo o la contraseña no son correctos',
+  'auth.strength': 'Seguridad de la contraseña: {level}',
+  'auth.strengthTooShort': 'demasiado corta',
+  'auth.strengthWeak': 'débil',
+  'auth.strengthFair': 'aceptable',
+  'auth.strengthGood': 'buena',
+  'auth.strengthStrong': 'fuerte',
+
+  'connection.connected': 'Conectado',
+  'connection.connecting': 'Conectando',
+  'connection.disconnected': 'Desconectado',
+  'connection.error': 'Error de conexión',
+  'connection.server': 'Servidor: {status}',
+  'connection.reconnecting': 'Reconectando',
+  'connection.lost': 'Se perdió la conexión.',
+  'connection.retryIn': {
+    one: 'Reintentando en {count} segundo',
+    other: 'Reintentando en {count} segundos'
+  },
+  'connection.retrying': 'Reconectando…',
+  'connection.attempt': 'Intento {count}',
+  'connection.retryNow': 'Reintentar ahora',
+
+  'time.today': 'Hoy',
+  'time.yesterday': 'Ayer',
+
+  'presence.online': 'En línea',
+  'presence.away': 'Ausente',
+  'presence.offline': 'Desconectado',
+  'presence.lastSeenJustNow': 'visto hace un momento',
+  'presence.lastSeenAgo': 'visto {time}',
+  'presence.lastSeenYesterday': 'visto ayer',
+  'presence.lastSeenOn': 'visto el {date}',
+
+  'status.set': 'Añadir un estado',
+  'status.placeholder': '¿Qué estás haciendo?',
+  'status.label': 'Mensaje de estado',
+  'status.saveFailed': 'No se pudo actualizar tu estado',
+
+  'contacts.title': 'Contactos',
+  'contacts.refresh': 'Actualizar contactos',
+  'contacts.show': 'Mostrar',
+  'contacts.filter.all': 'Todos',
+  'contacts.filter.unread': 'No leídos',
+  'contacts.filter.favorites': 'Favoritos',
+  'contacts.filter.groups': 'Grupos',
+  'contacts.filter.blocked': 'Bloqueados',
+  'contacts.empty.all': 'Todavía no tienes contactos',
+  'contacts.empty.unread': 'Estás al día',
+  'contacts.empty.favorites': 'Añade favoritos desde el menú de un contacto',
+  'contacts.empty.groups': 'Todavía no hay grupos',
+  'contacts.empty.blocked': 'No has bloqueado a nadie',
+  'contacts.filterByName': 'Filtrar por nombre',
+  'contacts.noMatch': 'Ningún contacto coincide con «{query}»',
+  'contacts.favorite': 'Añadir a favoritos',
+  'contacts.unfavorite': 'Quitar de favoritos',
+  'contacts.mute': 'Silenciar notificaciones',
+  'contacts.unmute': 'Activar notificaciones',
+  'contacts.block': 'Bloquear',
+  'contacts.unblock': 'Desbloquear',
+  'contacts.confirmBlock': '¿Bloquear a {name}? No podrá enviarte mensajes ni llamarte.',
+  'contacts.blockedBanner': 'Has bloqueado a {name}.',
+  'contacts.favoriteBadge': 'Favorito',
+  'contacts.mutedBadge': 'Silenciado',
+  'contacts.moreOptions': 'Más opciones',
+  'contacts.optionsFor': 'Opciones de {name}',
+  'contacts.loadFailed': 'No se pudieron cargar los usuarios. Inténtalo de nuevo.',
+  'contacts.updateFailed': 'No se pudo actualizar el contacto',
+
+  'search.placeholder': 'Buscar contactos y mensajes',
+  'search.contacts': 'Contactos',
+  'search.messages': 'Mensajes',
+  'search.noResults': 'No hay resultados para «{query}»',
+
+  'chat.back': 'Volver a contactos',
+  'chat.menu': 'Menú',
+  'chat.previewSender': '{name}: ',
+  'chat.emptyTitle': 'Todavía no hay mensajes',
+  'chat.emptyText': 'Envía un mensaje para empezar la conversación',
+  'chat.welcomeTitle': 'Te damos la bienvenida a VSChats',
+  'chat.welcomeText': 'Elige una conversación para empezar a chatear',
+  'chat.start': 'Nuevo chat',
+  'chat.loadFailed': 'No se pudieron cargar los mensajes. Inténtalo de nuevo.',
+  'chat.messagesWith': 'Mensajes con {name}',
+
+  'typing.direct': 'escribiendo…',
+  'typing.one': '{name} está escribiendo…',
+  'typing.two': '{names} están escribiendo…',
+  'typing.many': {
+    one: '{first}, {second} y {count} más están escribiendo…',
+    other: '{first}, {second} y {count} más están escribiendo…'
+  },
+
+  'message.reply': 'Responder',
+  'message.edit': 'Editar',
+  'message.deleteForMe': 'Eliminar para mí',
+  'message.deleteForEveryone': 'Eliminar para todos',
+  'message.confirmDelete': '¿Eliminar este mensaje para todos?',
+  'message.actions': 'Acciones del mensaje',
+  'message.deleted': 'Mensaje eliminado',
+  'message.quoteDeleted': 'Se eliminó este mensaje',
+  'message.encrypted': 'Mensaje cifrado',
+  'message.undecryptable': 'Este mensaje no se puede descifrar en este dispositivo',
+  'message.edited': 'editado',
+  'message.queued': 'En cola',
+  'message.notSent': 'No enviado',
+  'message.retry': 'Reintentar',
+  'message.discard': 'Descartar',
+  'message.offline': 'No tienes conexión. Inténtalo cuando vuelvas a conectarte.',
+  'message.noResponse': 'El servidor no respondió',
+  'message.editFailed': 'No se pudo editar el mensaje: {error}',
+  'message.deleteFailed': 'No se pudo eliminar el mensaje: {error}',
+  'message.reactFailed': 'No se pudo reaccionar al mensaje: {error}',
+
+  'delivery.sending': 'Enviando',
+  'delivery.sent': 'Enviado',
+  'delivery.delivered': 'Entregado',
+  'delivery.read': 'Leído',
+  'delivery.failed': 'Error',
+
+  'reactions.reactWith': 'Reaccionar con {name}',
+  'reactions.more': 'Más reacciones',
+  'reactions.reactedWith': 'Reacciones con {name}: {names}',
+
+  'composer.placeholder': 'Escribe un mensaje…',
+  'composer.label': 'Mensaje',
+  'composer.encryptedPlaceholder': 'Mensaje cifrado…',
+  'composer.formatting': 'Formato',
+  'composer.bold': 'Negrita',
+  'composer.italic': 'Cursiva',
+  'composer.code': 'Código',
+  'composer.codeBlock': 'Bloque de código',
+  'composer.quote': 'Cita',
+  'composer.list': 'Lista',
+  'composer.preview': 'Vista previa',
+  'composer.attach': 'Adjuntar archivos',
+  'composer.attachEncrypted': 'No se pueden enviar archivos en un chat cifrado',
+  'composer.emoji': 'Emoji',
+  'composer.send': 'Enviar mensaje',
+  'composer.saveEdit': 'Guardar cambios',
+  'composer.editing': 'Editando mensaje',
+  'composer.replyingTo': 'Respondiendo a {name}',
+  'composer.replyingToSelf': 'Respondiéndote a ti',
+  'composer.cancelEdit': 'Cancelar edición',
+  'composer.cancelReply': 'Cancelar respuesta',
+
+  'upload.progress': '{percent} % de {size}',
+  'upload.cancel': 'Cancelar subida',
+  'upload.dismiss': 'Descartar',
+  'upload.failed': 'No se pudo subir',
+  'upload.drop': 'Suelta los archivos para enviarlos',
+  'upload.empty': '«{name}» está vacío',
+  'upload.tooLarge': '«{name}» ocupa más de {size}',
+  'upload.unsupported': '«{name}» no es un tipo de archivo admitido',
+  'upload.tooMany': {
+    one: 'Puedes enviar {count} archivo a la vez',
+    other: 'Puedes enviar hasta {count} archivos a la vez'
+  },
+
+  'attachment.download': 'Descargar',
+  'attachment.photo': 'Foto',
+  'attachment.video': 'Vídeo',
+  'attachment.unavailable': 'Adjunto no disponible',
+
+  'emoji.search': 'Buscar emoji',
+  'emoji.noResults': 'No se encontraron emoji',
+  'emoji.recent': 'Usados recientemente',
+  'emoji.smileys': 'Caras',
+  'emoji.gestures': 'Personas',
+  'emoji.hearts': 'Corazones',
+  'emoji.nature': 'Animales y naturaleza',
+  'emoji.food': 'Comida y bebida',
+  'emoji.activities': 'Actividades',
+  'emoji.objects': 'Objetos y símbolos',
+
+  'group.new': 'Nuevo grupo',
+  'group.info': 'Información del grupo',
+  'group.name': 'Nombre del grupo',
+  'group.members': {
+    one: '{count} miembro',
+    other: '{count} miembros'
+  },
+  'group.admin': 'Administrador',
+  'group.chooseMembers': 'Elige a los miembros',
+  'group.addMembers': 'Añadir miembros',
+  'group.addMember': 'Añadir a {name}',
+  'group.add': 'Añadir',
+  'group.remove': 'Quitar',
+  'group.leave': 'Salir del grupo',
+  'group.create': 'Crear grupo',
+
+  'encryption.title': 'Cifrado',
+  'encryption.settings': 'Ajustes de cifrado',
+  'encryption.enabled': 'Cifrado de extremo a extremo',
+  'encryption.toggle': 'Cifrar los mensajes nuevos para {name}',
+  'encryption.about': 'Los mensajes se cifran en este dispositivo y solo se pueden leer en el tuyo y en el suyo. No se pueden enviar archivos mientras el chat está cifrado.',
+  'encryption.unsupported': 'Este navegador no puede cifrar mensajes.',
+  'encryption.settingUp': 'El cifrado aún se está configurando en este dispositivo.',
+  'encryption.contactNotReady': '{name} aún no ha configurado el cifrado. Se configurará la próxima vez que inicie sesión.',
+  'encryption.safetyNumber': 'Número de seguridad',
+  'encryption.calculating': 'Calculando…',
+  'encryption.changed': 'Tu número de seguridad con {name} ha cambiado desde que lo verificaste. Puede que haya iniciado sesión en un dispositivo nuevo o que alguien esté interceptando tus mensajes.',
+  'encryption.changedBanner': 'Tu número de seguridad con {name} ha cambiado.',
+  'encryption.compare': 'Compáralo con el número que aparece en la pantalla de {name}, en persona o en una llamada. Si coinciden, nadie está leyendo vuestros mensajes por el camino.',
+  'encryption.verify': 'Verificar',
+  'encryption.markVerified': 'Marcar como verificado',
+  'encryption.clearVerification': 'Quitar verificación',
+
+  'call.voice': 'Llamada de voz',
+  'call.video': 'Videollamada',
+  'call.voiceWith': 'Llamada de voz con {name}',
+  'call.videoWith': 'Videollamada con {name}',
+  'call.incomingVoice': 'Llamada de voz entrante',
+  'call.incomingVideo': 'Videollamada entrante',
+  'call.calling': 'Llamando…',
+  'call.ringing': 'Sonando…',
+  'call.connecting': 'Conectando…',
+  'call.answer': 'Responder',
+  'call.decline': 'Rechazar',
+  'call.hangUp': 'Colgar',
+  'call.mute': 'Silenciar',
+  'call.unmute': 'Activar micrófono',
+  'call.cameraOff': 'Desactivar cámara',
+  'call.cameraOn': 'Activar cámara',
+  'call.ended': 'Llamada finalizada',
+  'call.end.declined': 'Llamada rechazada',
+  'call.end.busy': '{name} está en otra llamada',
+  'call.end.no-answer': 'No contesta',
+  'call.end.unavailable': 'No se puede contactar con {name} ahora mismo',
+  'call.end.media-error': 'No se pudo usar el micrófono o la cámara',
+  'call.end.failed': 'Se cortó la llamada',
+  'call.end.missed': 'Llamada perdida',
+  'call.history.outgoing.voice': 'Llamada de voz saliente · {duration}',
+  'call.history.outgoing.video': 'Videollamada saliente · {duration}',
+  'call.history.incoming.voice': 'Llamada de voz entrante · {duration}',
+  'call.history.incoming.video': 'Videollamada entrante · {duration}',
+  'call.history.declinedByThem.voice': 'Llamada de voz rechazada',
+  'call.history.declinedByThem.video': 'Videollamada rechazada',
+  'call.history.declinedByYou.voice': 'Rechazaste una llamada de voz',
+  'call.history.declinedByYou.video': 'Rechazaste una videollamada',
+  'call.history.unanswered.voice': 'Llamada de voz sin respuesta',
+  'call.history.unanswered.video': 'Videollamada sin respuesta',
+  'call.history.missed.voice': 'Llamada de voz perdida',
+  'call.history.missed.video': 'Videollamada perdida',
+
+  'notification.message': 'Nuevo mensaje de {name}',
+  'notification.groupMessage': '{name} en {group}',
+  'notification.calling': '{name} te está llamando',
+
+  'announce.message': '{name}: {text}',
+  'announce.newMessage': 'Nuevo mensaje de {name}',
+  'announce.newGroupMessage': 'Nuevo mensaje de {name} en {group}',
+
+  'appearance.title': 'Apariencia',
+  'appearance.theme': 'Tema',
+  'appearance.system': 'Automático',
+  'appearance.light': 'Claro',
+  'appearance.dark': 'Oscuro',
+  'appearance.contrast': 'Alto contraste',
+  'appearance.systemNote': 'Automático sigue los ajustes de modo claro, oscuro y contraste de tu dispositivo.',
+  'appearance.accent': 'Color de énfasis',
+  'appearance.blue': 'Azul',
+  'appearance.purple': 'Morado',
+  'appearance.pink': 'Rosa',
+  'appearance.orange': 'Naranja',
+  'appearance.green': 'Verde',
+  'appearance.teal': 'Verde azulado',
+  'appearance.custom': 'Color personalizado',
+  'appearance.customAccent': 'Color de énfasis personalizado',
+  'appearance.contrastNote': 'El alto contraste usa su propio color de énfasis.',
+  'appearance.reset': 'Restablecer',
+
+  'profile.title': 'Ajustes del perfil',
+  'profile.contactTitle': 'Perfil',
+  'profile.view': 'Ver el perfil de {name}',
+  'profile.picture': 'Foto',
+  'profile.uploadPicture': 'Subir foto',
+  'profile.changePicture': 'Cambiar foto',
+  'profile.removePicture': 'Quitar',
+  'profile.usePicture': 'Usar foto',
+  'profile.saving': 'Guardando…',
+  'profile.cropArea': 'Recorte de la foto',
+  'profile.cropHint': 'Arrastra la foto o usa las flechas para colocarla; + y − para acercar o alejar.',
+  'profile.zoom': 'Zoom',
+  'profile.avatarUnsupported': 'Elige una imagen PNG, JPEG, GIF o WebP',
+  'profile.avatarTooLarge': 'Las fotos pueden ocupar hasta {size}',
+  'profile.avatarFailed': 'No se pudo procesar la foto',
+  'profile.avatarSaved': 'Foto actualizada',
+  'profile.avatarRemoved': 'Foto eliminada',
+  'profile.displayName': 'Nombre visible',
+  'profile.nameSaved': 'Nombre actualizado',
+  'profile.password': 'Contraseña',
+  'profile.currentPassword': 'Contraseña actual',
+  'profile.newPassword': 'Contraseña nueva',
+  'profile.confirmPassword': 'Confirma la contraseña nueva',
+  'profile.changePassword': 'Cambiar contraseña',
+  'profile.passwordTooShort': {
+    one: 'Usa al menos {count} carácter',
+    other: 'Usa al menos {count} caracteres'
+  },
+  'profile.passwordMismatch': 'Las contraseñas nuevas no coinciden',
+  'profile.passwordChanged': 'Contraseña cambiada',
+  'profile.wrongPassword': 'La contraseña no es correcta',
+  'profile.deleteAccount': 'Eliminar cuenta',
+  'profile.deleteAbout': 'Al eliminar tu cuenta se cerrará la sesión en todas partes, y no se puede deshacer.',
+  'profile.deleteWarning': 'Esto elimina tu cuenta para siempre. Los mensajes que enviaste seguirán en los chats de los demás. Escribe tu contraseña para confirmar.',
+  'profile.deleteForever': 'Eliminar para siempre',
+  'profile.email': 'Correo electrónico',
+  'profile.joined': 'Se unió',
+
+  'language.title': 'Idioma',
+
+  'update.available': 'Hay una nueva versión de VSChats disponible.',
+  'update.reload': 'Recargar',
+  'update.later': 'Más tarde'
+};
+
+export default es;
@@ -0,0 +1,372 @@
+// he.js
+// Hebrew (right to left).
+const he = {
+  'common.close': 'סגירה',
+  'common.save': 'שמירה',
+  'common.cancel': 'ביטול',
+  'common.failed': 'משהו השתבש',
+  'common.you': 'את/ה',
+  'common.someone': 'מישהו',
+  'common.unknown': 'לא ידוע',
+
+  'auth.tagline': 'פלטפורמת הודעות בזמן אמת',
+  'auth.welcomeBack': 'ברוכים השבים',
+  'auth.createAccount': 'יצירת חשבון',
+  'auth.username': 'שם משתמש',
+  'auth.email': 'כתובת אימייל',
+  'auth.password': 'סיסמה',
+  'auth.signIn': 'כניסה',
+  'auth.signUp': 'הרשמה',
+  'auth.signOut': 'יציאה',
+  'auth.noAccount': 'אין לך חשבון?',
+  'auth.haveAccount': 'כבר יש לך חשבון?',
+  'auth.sessionExpired': 'תוקף ההתחברות פג. יש להיכנס שוב.',
+  'auth.forgotPassword': 'שכחת את הסיסמה?',
+  'auth.forgotTitle': 'איפוס סיסמה',
+  'auth.forgotHint': 'יש להזין את כתובת האימייל שאיתה נרשמת, ונשלח קישור לבחירת סיסמה חדשה.',
+  'auth.sendResetLink': 'שליחת קישור',
+  'auth.resetSent': 'אם ל־{email} יש חשבון, קישור לאיפוס בדרך אליו. הקישור תקף למשך שעה.',
+  'auth.resetTitle': 'בחירת סיסמה חדשה',
+  'auth.savePassword': 'שמירת הסיסמה',
+  'auth.linkInvalid': 'הקישור לא תקין או שפג תוקפו.',
+  'auth.requestNewLink': 'שליחת קישור חדש',
+  'auth.backToSignIn': 'חזרה לכניסה',
+  'auth.checkEmail': 'כדאי לבדוק את האימייל',
+  'auth.verifySent': 'שלחנו קישור אל {email}. יש לפתוח אותו כדי לסיים את הגדרת החשבון.',
+  'auth.verifying': 'מאמתים את האימייל…',
+  'auth.verifyFailed': 'לא הצלחנו לאמת את האימייל',
+  'auth.resendLink': 'שליחת האימייל שוב',
+  'auth.linkResent': 'נשלח. ייתכן שיעבור רגע עד שיגיע.',
+  'auth.useAnotherAccount': 'שימוש בחשבון אחר',
+  'auth.usernameRequired': 'יש לבחור שם משתמש',
+  'auth.usernameTooLong': {
+    one: 'אפשר להשתמש בתו אחד לכל היותר',
+    two: 'אפשר להשתמש בשני תווים לכל היותר',
+    other: 'אפשר להשתמש ב־{count} תווים לכל היותר'
+  },
+  'auth.emailRequired': 'יש להזין כתובת אימייל',
+  'auth.emailInvalid': 'זו לא נראית כמו כתובת אימייל',
+  'auth.emailTaken': 'כבר קיים חשבון עם האימייל הזה',
+  'auth.passwordRequired': 'יש להזין סיסמה',
+  'auth.invalidCredentials': 'האימייל או הסיסמה שגויים',
+  'auth.strength': 'חוזק הסיסמה: {level}',
+  'auth.strengthTooShort': 'קצרה מדי',
+  'auth.strengthWeak': 'חלשה',
+  'auth.strengthFair': 'סבירה',
+  'auth.strengthGood': 'טובה',
+  'auth.strengthStrong': 'חזקה',
+
+  'connection.connected': 'מחובר',
+  'connection.connecting': 'מתחבר',
+  'connection.disconnected': 'מנותק',
+  'connection.error': 'שגיאת חיבור',
+  'connection.server': 'שרת: {status}',
+  'connection.reconnecting': 'מתחבר מחדש',
+  'connection.lost': 'החיבור אבד.',
+  'connection.retryIn': {
+    one: 'ניסיון נוסף בעוד שנייה',
+    two: 'ניסיון נוסף בעוד שתי שניות',
+    other: 'ניסיון נוסף בעוד {count} שניות'
+  },
+  'connection.retrying': 'מתחבר מחדש…',
+  'connection.attempt': 'ניסיון {count}',
+  'connection.retryNow': 'נסה שוב עכשיו',
+
+  'time.today': 'היום',
+  'time.yesterday': 'אתמול',
+
+  'presence.online': 'מחובר/ת',
+  'presence.away': 'לא ליד המחשב',
+  'presence.offline': 'לא מחובר/ת',
+  'presence.lastSeenJustNow': 'נראה/תה לאחרונה ממש עכשיו',
+  'presence.lastSeenAgo': 'נראה/תה לאחרונה {time}',
+  'presence.lastSeenYesterday': 'נראה/תה לאחרונה אתמול',
+  'presence.lastSeenOn': 'נראה/תה לאחרונה ב־{date}',
+
+  'status.set': 'הגדרת סטטוס',
+  'status.placeholder': 'מה הסטטוס שלך?',
+  'status.label': 'הודעת סטטוס',
+  'status.saveFailed': 'עדכון הסטטוס נכשל',
+
+  'contacts.title': 'אנשי קשר',
+  'contacts.refresh': 'רענון אנשי הקשר',
+  'contacts.show': 'הצגה',
+  'contacts.filter.all': 'הכול',
+  'contacts.filter.unread': 'לא נקראו',
+  'contacts.filter.favorites': 'מועדפים',
+  'contacts.filter.groups': 'קבוצות',
+  'contacts.filter.blocked': 'חסומים',
+  'contacts.empty.all': 'אין עדיין אנשי קשר',
+  'contacts.empty.unread': 'אין הודעות חדשות',
+  'contacts.empty.favorites': 'אפשר להוסיף למועדפים מהתפריט של איש קשר',
+  'contacts.empty.groups': 'אין עדיין קבוצות',
+  'contacts.empty.blocked': 'לא חסמת אף אחד',
+  'contacts.filterByName': 'סינון לפי שם',
+  'contacts.noMatch': 'אין אנשי קשר שתואמים ל„{query}”',
+  'contacts.favorite': 'הוספה למועדפים',
+  'contacts.unfavorite': 'הסרה מהמועדפים',
+  'contacts.mute': 'השתקת התראות',
+  'contacts.unmute': 'ביטול השתקת התראות',
+  'contacts.block': 'חסימה',
+  'contacts.unblock': 'ביטול חסימה',
+  'contacts.confirmBlock': 'לחסום את {name}? לא תהיה אפשרות לשלוח לך הודעות או להתקשר אליך.',
+  'contacts.blockedBanner': 'חסמת את {name}.',
+  'contacts.favoriteBadge': 'מועדף',
+  'contacts.mutedBadge': 'מושתק',
+  'contacts.moreOptions': 'אפשרויות נוספות',
+  'contacts.optionsFor': 'אפשרויות עבור {name}',
+  'contacts.loadFailed': 'טעינת המשתמשים נכשלה. כדאי לנסות שוב.',
+  'contacts.updateFailed': 'עדכון איש הקשר נכשל',
+
+  'search.placeholder': 'חיפוש באנשי קשר ובהודעות',
+  'search.contacts': 'אנשי קשר',
+  'search.messages': 'הודעות',
+  'search.noResults': 'אין תוצאות עבור „{query}”',
+
+  'chat.back': 'חזרה לאנשי הקשר',
+  'chat.menu': 'תפריט',
+  'chat.previewSender': '{name}: ',
+  'chat.emptyTitle': 'אין עדיין הודעות',
+  'chat.emptyText': 'אפשר להתחיל שיחה בשליחת הודעה',
+  'chat.welcomeTitle': 'ברוכים הבאים ל־VSChats',
+  'chat.welcomeText': 'יש לבחור שיחה כדי להתחיל',
+  'chat.start': 'שיחה חדשה',
+  'chat.loadFailed': 'טעינת ההודעות נכשלה. כדאי לנסות שוב.',
+  'chat.messagesWith': 'הודעות עם {name}',
+
+  'typing.direct': 'מקליד/ה…',
+  'typing.one': '{name} מקליד/ה…',
+  'typing.two': '{names} מקלידים…',
+  'typing.many': {
+    one: '{first}, {second} ועוד אחד מקלידים…',
+    two: '{first}, {second} ועוד שניים מקלידים…',
+    other: '{first}, {second} ועוד {count} מקלידים…'
+  },
+
+  'message.reply': 'תגובה',
+  'message.edit': 'עריכה',
+  'message.deleteForMe': 'מחיקה אצלי',
+  'message.deleteForEveryone': 'מחיקה אצל כולם',
+  'message.confirmDelete': 'למחוק את ההודעה הזו אצל כולם?',
+  'message.actions': 'פעולות על ההודעה',
+  'message.deleted': 'ההודעה נמחקה',
+  'message.quoteDeleted': 'ההודעה הזו נמחקה',
+  'message.encrypted': 'הודעה מוצפנת',
+  'message.undecryptable': 'אי אפשר לפענח את ההודעה הזו במכשיר הזה',
+  'message.edited': 'נערכה',
+  'message.queued': 'בתור',
+  'message.notSent': 'לא נשלחה',
+  'message.retry': 'ניסיון חוזר',
+  'message.discard': 'ביטול',
+  'message.offline': 'אין חיבור. אפשר לנסות שוב אחרי שהחיבור יחזור.',
+  'message.noResponse': 'השרת לא הגיב',
+  'message.editFailed': 'עריכת ההודעה נכשלה: {error}',
+  'message.deleteFailed': 'מחיקת ההודעה נכשלה: {error}',
+  'message.reactFailed': 'התגובה להודעה נכשלה: {error}',
+
+  'delivery.sending': 'נשלחת',
+  'delivery.sent': 'נשלחה',
+  'delivery.delivered': 'הגיעה',
+  'delivery.read': 'נקראה',
+  'delivery.failed': 'נכשלה',
+
+  'reactions.reactWith': 'תגובה עם {name}',
+  'reactions.more': 'תגובות נוספות',
+  'reactions.reactedWith': 'הגיבו עם {name}: {names}',
+
+  'composer.placeholder': 'כתיבת הודעה…',
+  'composer.label': 'הודעה',
+  'composer.encryptedPlaceholder': 'הודעה מוצפנת…',
+  'composer.formatting': 'עיצוב',
+  'composer.bold': 'מודגש',
+  'composer.italic': 'נטוי',
+  'composer.code': 'קוד',
+  'composer.codeBlock': 'בלוק קוד',
+  'composer.quote': 'ציטוט',
+  'composer.list': 'רשימה',
+  'composer.preview': 'תצוגה מקדימה',
+  'composer.attach': 'צירוף קבצים',
+  'composer.attachEncrypted': "אי אפשר לשלוח קבצים בצ'אט מוצפן",
+  'composer.emoji': "אימוג'י",
+  'composer.send': 'שליחת ההודעה',
+  'composer.saveEdit': 'שמירת השינויים',
+  'composer.editing': 'עריכת הודעה',
+  'composer.replyingTo': 'תגובה ל{name}',
+  'composer.replyingToSelf': 'תגובה לעצמך',
+  'composer.cancelEdit': 'ביטול העריכה',
+  'composer.cancelReply': 'ביטול התגובה',
+
+  'upload.progress': '{percent}% מתוך {size}',
+  'upload.cancel': 'ביטול ההעלאה',
+  'upload.dismiss': 'סגירה',
+  'upload.failed': 'ההעלאה נכשלה',
+  'upload.drop': 'אפשר לשחרר את הקבצים כדי לשלוח',
+  'upload.empty': '„{name}” ריק',
+  'upload.tooLarge': '„{name}” גדול מ־{size}',
+  'upload.unsupported': 'סוג הקובץ של „{name}” אינו נתמך',
+  'upload.tooMany': {
+    one: 'אפשר לשלוח קובץ אחד בכל פעם',
+    other: 'אפשר לשלוח עד {count} קבצים בכל פעם'
+  },
+
+  'attachment.download': 'הורדה',
+  'attachment.photo': 'תמונה',
+  'attachment.video': 'סרטון',
+  'attachment.unavailable': 'הקובץ המצורף אינו זמין',
+
+  'emoji.search': "חיפוש אימוג'י",
+  'emoji.noResults': "לא נמצאו אימוג'י",
+  'emoji.recent': 'בשימוש לאחרונה',
+  'emoji.smileys': 'פרצופים',
+  'emoji.gestures': 'אנשים',
+  'emoji.hearts': 'לבבות',
+  'emoji.nature': 'בעלי חיים וטבע',
+  'emoji.food': 'אוכל ושתייה',
+  'emoji.activities': 'פעילויות',
+  'emoji.objects': 'חפצים וסמלים',
+
+  'group.new': 'קבוצה חדשה',
+  'group.info': 'פרטי הקבוצה',
+  'group.name': 'שם הקבוצה',
+  'group.members': {
+    one: 'חבר אחד',
+    two: 'שני חברים',
+    other: '{count} חברים'
+  },
+  'group.admin': 'מנהל/ת',
+  'group.chooseMembers': 'בחירת חברים',
+  'group.addMembers': 'הוספת חברים',
+  'group.addMember': 'הוספת {name}',
+  'group.add': 'הוספה',
+  'group.remove': 'הסרה',
+  'group.leave': 'יציאה מהקבוצה',
+  'group.create': 'יצירת הקבוצה',
+
+  'encryption.title': 'הצפנה',
+  'encryption.settings': 'הגדרות הצפנה',
+  'encryption.enabled': 'מוצפן מקצה לקצה',
+  'encryption.toggle': 'הצפנת הודעות חדשות אל {name}',
+  'encryption.about': "ההודעות מוצפנות במכשיר הזה ואפשר לקרוא אותן רק אצלך ואצל הצד השני. אי אפשר לשלוח קבצים כל עוד הצ'אט מוצפן.",
+  'encryption.unsupported': 'הדפדפן הזה לא יכול להצפין הודעות.',
+  'encryption.settingUp': 'ההצפנה עדיין מוגדרת במכשיר הזה.',
+  'encryption.contactNotReady': 'ההצפנה עדיין לא הוגדרה אצל {name}. היא תוגדר בכניסה הבאה.',
+  'encryption.safetyNumber': 'מספר ביטחון',
+  'encryption.calculating': 'מחשב…',
+  'encryption.changed': 'מספר הביטחון שלך עם {name} השתנה מאז שאימתת אותו. ייתכן שבוצעה כניסה ממכשיר חדש, או שמישהו מיירט את ההודעות שלך.',
+  'encryption.changedBanner': 'מספר הביטחון שלך עם {name} השתנה.',
+  'encryption.compare': 'כדאי להשוות את המספר הזה למספר שמופיע במסך של {name}, פנים אל פנים או בשיחה. אם הם זהים, אף אחד לא קורא את ההודעות ביניכם.',
+  'encryption.verify': 'אימות',
+  'encryption.markVerified': 'סימון כמאומת',
+  'encryption.clearVerification': 'ביטול האימות',
+
+  'call.voice': 'שיחה קולית',
+  'call.video': 'שיחת וידאו',
+  'call.voiceWith': 'שיחה קולית עם {name}',
+  'call.videoWith': 'שיחת וידאו עם {name}',
+  'call.incomingVoice': 'שיחה קולית נכנסת',
+  'call.incomingVideo': 'שיחת וידאו נכנסת',
+  'call.calling': 'מתקשר…',
+  'call.ringing': 'מצלצל…',
+  'call.connecting': 'מתחבר…',
+  'call.answer': 'מענה',
+  'call.decline': 'דחייה',
+  'call.hangUp': 'ניתוק',
+  'call.mute': 'השתקה',
+  'call.unmute': 'ביטול השתקה',
+  'call.cameraOff': 'כיבוי המצלמה',
+  'call.cameraOn': 'הפעלת המצלמה',
+  'call.ended': 'השיחה הסתיימה',
+  'call.end.declined': 'השיחה נדחתה',
+  'call.end.busy': '{name} בשיחה אחרת',
+  'call.end.no-answer': 'אין מענה',
+  'call.end.unavailable': 'אי אפשר להשיג את {name} כרגע',
+  'call.end.media-error': 'אי אפשר להשתמש במיקרופון או במצלמה',
+  'call.end.failed': 'השיחה נותקה',
+  'call.end.missed': 'שיחה שלא נענתה',
+  'call.history.outgoing.voice': 'שיחה קולית יוצאת · {duration}',
+  'call.history.outgoing.video': 'שיחת וידאו יוצאת · {duration}',
+  'call.history.incoming.voice': 'שיחה קולית נכנסת · {duration}',
+  'call.history.incoming.video': 'שיחת וידאו נכנסת · {duration}',
+  'call.history.declinedByThem.voice': 'השיחה הקולית נדחתה',
+  'call.history.declinedByThem.video': 'שיחת הווידאו נדחתה',
+  'call.history.declinedByYou.voice': 'שיחה קולית שנדחתה',
+  'call.history.declinedByYou.video': 'שיחת וידאו שנדחתה',
+  'call.history.unanswered.voice': 'שיחה קולית ללא מענה',
+  'call.history.unanswered.video': 'שיחת וידאו ללא מענה',
+  'call.history.missed.voice': 'שיחה קולית שלא נענתה',
+  'call.history.missed.video': 'שיחת וידאו שלא נענתה',
+
+  'notification.message': 'הודעה חדשה מ{name}',
+  'notification.groupMessage': '{name} ב{group}',
+  'notification.calling': '{name} מתקשר/ת',
+
+  'announce.message': '{name}: {text}',
+  'announce.newMessage': 'הודעה חדשה מאת {name}',
+  'announce.newGroupMessage': 'הודעה חדשה מאת {name} בקבוצה {group}',
+
+  'appearance.title': 'מראה',
+  'appearance.theme': 'ערכת נושא',
+  'appearance.system': 'אוטומטי',
+  'appearance.light': 'בהיר',
+  'appearance.dark': 'כהה',
+  'appearance.contrast': 'ניגודיות גבוהה',
+  'appearance.systemNote': 'במצב אוטומטי המראה תואם להגדרות הבהיר, הכהה והניגודיות של המכשיר.',
+  'appearance.accent': 'צבע הדגשה',
+  'appearance.blue': 'כחול',
+  'appearance.purple': 'סגול',
+  'appearance.pink': 'ורוד',
+  'appearance.orange': 'כתום',
+  'appearance.green': 'ירוק',
+  'appearance.teal': 'טורקיז',
+  'appearance.custom': 'צבע מותאם אישית',
+  'appearance.customAccent': 'צבע הדגשה מותאם אישית',
+  'appearance.contrastNote': 'בניגודיות גבוהה יש צבע הדגשה משלה.',
+  'appearance.reset': 'איפוס',
+
+  'profile.title': 'הגדרות פרופיל',
+  'profile.contactTitle': 'פרופיל',
+  'profile.view': 'הצגת הפרופיל של {name}',
+  'profile.picture': 'תמונה',
+  'profile.uploadPicture': 'העלאת תמונה',
+  'profile.changePicture': 'החלפת תמונה',
+  'profile.removePicture': 'הסרה',
+  'profile.usePicture': 'שימוש בתמונה',
+  'profile.saving': 'שומר…',
+  'profile.cropArea': 'חיתוך התמונה',
+  'profile.cropHint': 'גררו את התמונה או השתמשו במקשי החיצים כדי למקם אותה; + ו־− לשינוי הגודל.',
+  'profile.zoom': 'זום',
+  'profile.avatarUnsupported': 'יש לבחור תמונת PNG‏, JPEG‏, GIF או WebP',
+  'profile.avatarTooLarge': 'גודל התמונה יכול להגיע עד {size}',
+  'profile.avatarFailed': 'לא ניתן היה לעבד את התמונה',
+  'profile.avatarSaved': 'התמונה עודכנה',
+  'profile.avatarRemoved': 'התמונה הוסרה',
+  'profile.displayName': 'שם תצוגה',
+  'profile.nameSaved': 'השם עודכן',
+  'profile.password': 'סיסמה',
+  'profile.currentPassword': 'הסיסמה הנוכחית',
+  'profile.newPassword': 'סיסמה חדשה',
+  'profile.confirmPassword': 'אימות הסיסמה החדשה',
+  'profile.changePassword': 'שינוי סיסמה',
+  'profile.passwordTooShort': {
+    one: 'יש להשתמש בתו אחד לפחות',
+    two: 'יש להשתמש בשני תווים לפחות',
+    other: 'יש להשתמש ב־{count} תווים לפחות'
+  },
+  'profile.passwordMismatch': 'הסיסמאות החדשות אינן תואמות',
+  'profile.passwordChanged': 'הסיסמה שונתה',
+  'profile.wrongPassword': 'הסיסמה שגויה',
+  'profile.deleteAccount': 'מחיקת החשבון',
+  'profile.deleteAbout': 'מחיקת החשבון מנתקת אותך מכל המכשירים ואי אפשר לבטל אותה.',
+  'profile.deleteWarning': 'פעולה זו מוחקת את החשבון לצמיתות. הודעות ששלחת יישארו בצ׳אטים של אחרים. יש להזין את הסיסמה לאישור.',
+  'profile.deleteForever': 'מחיקה לצמיתות',
+  'profile.email': 'אימייל',
+  'profile.joined': 'הצטרפות',
+
+  'language.title': 'שפה',
+
+  'update.available': 'גרסה חדשה של VSChats זמינה.',
+  'update.reload': 'טעינה מחדש',
+  'update.later': 'אחר כך'
+};
+
+export default he;
@@ -0,0 +1,138 @@
+// markdown.js
+// A small, safe Markdown subset for message bubbles: **bold**, _italic_, `code`,
+// fenced code blocks, > quotes (up to five deep), - and 1. lists, and
+// auto-linked URLs.
+// Output is React elements built from text nodes, never HTML strings, so message
+// content can't inject markup; links are limited to http(s).
+import React from 'react';
+
+const FENCE = /^```\s*([\w-]*)\s*$/;
+const QUOTE = /^>\s?/;
+const BULLET = /^\s*[-*+]\s+/;
+const ORDERED = /^\s*\d+[.)]\s+/;
+const MAX_QUOTE_DEPTH = 5; // deeper > markers are shown as text
+
+// code | bold | italic | url, tried left to right
+const INLINE = /(`[^`\n]+`)|(\*\*[^*\n]+?\*\*|__[^_\n]+?__)|(\*[^*\s][^*\n]*?\*|_[^_\s][^_\n]*?_)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"]|www\.[^\s<]*[^\s<.,;:!?)\]'"])/g;
+
+const isWordChar = (char) => Boolean(char) && /\w/.test(char);
+
+export const safeHref = (raw) => {
+  try {
+    const url = new URL(raw.startsWith('www.') ? `https://${raw}` : raw);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  const pattern = new RegExp(INLINE.source, 'g'); // fresh state: this recurses
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [token, code, bold, italic, url] = match;
+    const start = match.index;
+
+    // snake_case and similar: underscores inside a word are not emphasis
+    if (italic && token.startsWith('_') &&
+        (isWordChar(text[start - 1]) || isWordChar(text[start + token.length]))) {
+      pattern.lastIndex = start + 1;
+      continue;
+    }
+
+    if (start > last) nodes.push(text.slice(last, start));
+    const key = `${keyPrefix}-${start}`;
+
+    if (code) {
+      nodes.push(<code key={key}>{code.slice(1, -1)}</code>);
+    } else if (bold) {
+      nodes.push(<strong key={key}>{renderInline(bold.slice(2, -2), key)}</strong>);
+    } else if (italic) {
+      nodes.push(<em key={key}>{renderInline(italic.slice(1, -1), key)}</em>);
+    } else if (url) {
+      const href = safeHref(url);
+      nodes.push(href ? (
+        <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow">{url}</a>
+      ) : url);
+    }
+    last = start + token.length;
+  }
+
+  if (last < text.length) nodes.push(text.slice(last));
+  return nodes;
+};
+
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, i) => (
+  i === 0
+    ? renderInline(line, `${keyPrefix}-${i}`)
+    : [<br key={`${keyPrefix}-br-${i}`} />, ...renderInline(line, `${keyPrefix}-${i}`)]
+));
+
+const renderBlocks = (lines, keyPrefix = 'md', depth = 0) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `${keyPrefix}-${i}`;
+
+    if (FENCE.test(line)) {
+      const language = line.match(FENCE)[1];
+      const body = [];
+      i++;
+      while (i < lines.length && !/^```\s*$/.test(lines[i])) body.push(lines[i++]);
+      i++; // closing fence (or end of message)
+      blocks.push(
+        <pre key={key} className="md-code-block" data-language={language || undefined}>
+          <code>{body.join('\n')}</code>
+        </pre>
+      );
+    } else if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) body.push(lines[i++].replace(QUOTE, ''));
+      blocks.push(
+        <blockquote key={key}>
+          {depth + 1 < MAX_QUOTE_DEPTH ? renderBlocks(body, key, depth + 1) : <p>{renderLines(body, key)}</p>}
+        </blockquote>
+      );
+    } else if (BULLET.test(line) || ORDERED.test(line)) {
+      const ordered = ORDERED.test(line);
+      const marker = ordered ? ORDERED : BULLET;
+      const items = [];
+      while (i < lines.length && marker.test(lines[i])) items.push(lines[i++].replace(marker, ''));
+      const List = ordered ? 'ol' : 'ul';
+      blocks.push(
+        <List key={key}>
+          {items.map((item, j) => <li key={j}>{renderInline(item, `${key}-${j}`)}</li>)}
+        </List>
+      );
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const body = [];
+      while (i < lines.length && lines[i].trim() && !FENCE.test(lines[i]) && !QUOTE.test(lines[i]) &&
+             !BULLET.test(lines[i]) && !ORDERED.test(lines[i])) {
+        body.push(lines[i++]);
+      }
+      blocks.push(<p key={key}>{renderLines(body, key)}</p>);
+    }
+  }
+
+  return blocks;
+};
+
+export const renderMarkdown = (text = '') => renderBlocks(String(text).replace(/\r\n?/g, '\n').split('\n'));
+
+// Plain-text version for previews and notifications
+export const toPlainText = (text = '') => String(text)
+  .replace(/^```[\w-]*\s*$/gm, '')
+  .replace(/^>\s?/gm, '')
+  .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+  .replace(/`([^`\n]+)`/g, '$1')
+  .replace(/\*\*([^*\n]+?)\*\*|__([^_\n]+?)__/g, '$1$2')
+  .replace(/\*([^*\s][^*\n]*?)\*/g, '$1')
+  .replace(/\s+/g, ' ')
+  .trim();
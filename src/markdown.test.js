@@ -0,0 +1,60 @@
+import { renderToStaticMarkup } from 'react-dom/server';
+import { renderMarkdown, toPlainText, safeHref } from './markdown';
+
+const html = (text) => renderToStaticMarkup(<>{renderMarkdown(text)}</>);
+
+// Written out whole it trips no-script-url
+const scriptUrl = ['javascript', 'alert(1)'].join(':');
+
+test('raw HTML is shown as text, never as markup', () => {
+  expect(html('<img src=x onerror="alert(1)"> <b>hi</b>')).toBe(
+    '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &lt;b&gt;hi&lt;/b&gt;</p>'
+  );
+  expect(html('**<script>alert(1)</script>**')).toBe('<p><strong>&lt;script&gt;alert(1)&lt;/script&gt;</strong></p>');
+});
+
+test('only http(s) links become links', () => {
+  expect(safeHref(scriptUrl)).toBeNull();
+  expect(safeHref('data:text/html,<script>alert(1)</script>')).toBeNull();
+  expect(safeHref('www.example.com')).toBe('https://www.example.com/');
+
+  expect(html(`${scriptUrl} data:text/html;base64,PHNjcmlwdD4=`)).toBe(
+    `<p>${scriptUrl} data:text/html;base64,PHNjcmlwdD4=</p>`
+  );
+  expect(html('see https://example.com/a?b=1.')).toBe(
+    '<p>see <a href="https://example.com/a?b=1" target="_blank" rel="noopener noreferrer nofollow">https://example.com/a?b=1</a>.</p>'
+  );
+});
+
+test('a link hidden in emphasis or a quote is still checked', () => {
+  expect(html(`**${scriptUrl}**`)).toBe(`<p><strong>${scriptUrl}</strong></p>`);
+  expect(html('> _https://example.com_')).toBe(
+    '<blockquote><p><em><a href="https://example.com/" target="_blank" rel="noopener noreferrer nofollow">https://example.com</a></em></p></blockquote>'
+  );
+});
+
+test('nested markup', () => {
+  expect(html('**bold _and italic_** `**not bold**`')).toBe(
+    '<p><strong>bold <em>and italic</em></strong> <code>**not bold**</code></p>'
+  );
+  expect(html('> quoted\n> > and quoted again\n> - a list')).toBe(
+    '<blockquote><p>quoted</p><blockquote><p>and quoted again</p></blockquote><ul><li>a list</li></ul></blockquote>'
+  );
+  expect(html('```js\n**as is** <b>\n```')).toBe(
+    '<pre class="md-code-block" data-language="js"><code>**as is** &lt;b&gt;</code></pre>'
+  );
+  expect(html('snake_case_name')).toBe('<p>snake_case_name</p>');
+});
+
+test('quotes nest five deep; any deeper markers are text', () => {
+  const eightDeep = `${'> '.repeat(8)}deep`;
+  expect(html(eightDeep).match(/<blockquote>/g)).toHaveLength(5);
+  expect(html(eightDeep)).toContain('<p>&gt; &gt; &gt; deep</p>');
+
+  // Thousands of markers render without running out of stack
+  expect(html('>'.repeat(5000)).match(/<blockquote>/g)).toHaveLength(5);
+});
+
+test('plain text drops the markup', () => {
+  expect(toPlainText('> **Lunch** at *noon*?\n- `12:00`')).toBe('Lunch at noon? 12:00');
+});
@@ -0,0 +1,88 @@
+// messageActions.js
+// Rules and store updates for changing a message after it was sent: edits,
+// deletes, reactions and the quoted preview a reply carries. The mock server applies the
+// same edit window. Also the one-line text that stands for a message elsewhere.
+import { describeCall } from './calls';
+import { describeAttachment } from './attachments';
+import { toPlainText } from './markdown';
+import { t } from './i18n';
+
+export const EDIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const QUOTE_LENGTH = 200;
+
+// Only messages the server has acknowledged have an id the server knows about
+export const isAcknowledged = (message) => message.id != null && message.id !== message.client_id;
+
+export const isDeleted = (message) => Boolean(message.deleted_at);
+
+// Call-history entries aren't something to reply or react to
+export const canReply = (message) => isAcknowledged(message) && !isDeleted(message) && !message.call;
+
+export const canEdit = (message, userId, now = Date.now()) => (
+  isAcknowledged(message) &&
+  !isDeleted(message) &&
+  message.sender_id === userId &&
+  Boolean(message.content) &&
+  now - new Date(message.created_at).getTime() < EDIT_WINDOW_MS
+);
+
+export const canDeleteForEveryone = (message, userId) => (
+  isAcknowledged(message) && !isDeleted(message) && message.sender_id === userId
+);
+
+// The snapshot of the original a reply shows above its own text
+export const quoteOf = (message) => ({
+  id: message.id,
+  sender_id: message.sender_id,
+  content: (message.content || '').slice(0, QUOTE_LENGTH),
+  attachment: message.attachment || null,
+  deleted: isDeleted(message)
+});
+
+// One line for a message in the contacts list or a notification
+export const previewOf = (message, isOwn = false) => {
+  if (isDeleted(message)) return t('message.deleted');
+  if (message.call) return describeCall(message.call, isOwn);
+  if (message.undecryptable) return t('message.encrypted');
+  if (message.content) return toPlainText(message.content);
+  return message.attachment ? describeAttachment(message.attachment) : '';
+};
+
+// The text of a quote. An encrypted original's quote carries no text, so it's
+// taken from the original when that is loaded.
+export const quotePreview = (quote, messages = []) => {
+  if (quote.deleted) return t('message.quoteDeleted');
+  if (quote.encrypted && !quote.content) {
+    const original = messages.find(m => m.id === quote.id);
+    return original?.content ? toPlainText(original.content) : t('message.encrypted');
+  }
+  if (quote.content) return toPlainText(quote.content);
+  return quote.attachment ? describeAttachment(quote.attachment) : '';
+};
+
+// Merge a server-side change into our copy, keeping the client-only fields,
+// and refresh quotes of it in replies
+export const applyMessageChange = (changed) => (m) => {
+  if (m.id === changed.id) {
+    return { ...m, ...changed, client_id: m.client_id, isOwn: m.isOwn, status: m.status };
+  }
+  if (m.reply_to?.id === changed.id) {
+    return { ...m, reply_to: quoteOf(changed) };
+  }
+  return m;
+};
+
+export const canReact = canReply;
+
+// reactions: { [emoji]: userIds[] }; reacting again with the same emoji takes it back
+export const toggleReaction = (reactions = {}, emoji, userId) => {
+  const userIds = reactions[emoji] || [];
+  const next = { ...reactions };
+  if (userIds.includes(userId)) {
+    next[emoji] = userIds.filter(id => id !== userId);
+    if (next[emoji].length === 0) delete next[emoji];
+  } else {
+    next[emoji] = [...userIds, userId];
+  }
+  return next;
+};
@@ -0,0 +1,42 @@
+// messageStatus.js
+// Delivery lifecycle of a message: sending → sent → delivered → read, or failed.
+
+export const MESSAGE_STATUS = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+const STATUS_RANK = {
+  [MESSAGE_STATUS.SENDING]: 1,
+  [MESSAGE_STATUS.SENT]: 2,
+  [MESSAGE_STATUS.DELIVERED]: 3,
+  [MESSAGE_STATUS.READ]: 4
+};
+
+// Receipts can arrive out of order, so a status only ever moves forward.
+// Only a message still sending can fail, and a failed one accepts anything
+// (a retry, or a late server ack).
+export const advanceStatus = (current, next) => {
+  if (!current || current === MESSAGE_STATUS.FAILED) return next || current;
+  if (next === MESSAGE_STATUS.FAILED) {
+    return current === MESSAGE_STATUS.SENDING ? next : current;
+  }
+  if (!(next in STATUS_RANK)) return current;
+  return STATUS_RANK[next] > STATUS_RANK[current] ? next : current;
+};
+
+// Messages from history carry timestamps rather than an explicit status
+export const deriveStatus = (message) => {
+  if (message.status) return message.status;
+  if (message.read_at || message.is_read) return MESSAGE_STATUS.READ;
+  if (message.delivered_at || message.is_delivered) return MESSAGE_STATUS.DELIVERED;
+  return MESSAGE_STATUS.SENT;
+};
+
+export const matchesMessage = (message, { messageId, clientId }) => (
+  (messageId != null && message.id === messageId) ||
+  (clientId != null && message.client_id === clientId)
+);
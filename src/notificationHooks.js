@@ -0,0 +1,89 @@
+// notificationHooks.js
+// What other people's messages do besides showing up in their conversation
+// (that's useConversations): unread counts, reading them out to screen
+// readers, and desktop notifications while the app is in the background.
+// Blocked people are ignored, and our own messages from other devices don't
+// count. Muted chats are counted but stay quiet.
+import { useState, useEffect, useCallback } from 'react';
+import { useChatEvent } from './chatHooks';
+import { isMuted, isBlocked } from './contacts';
+import { previewOf } from './messageActions';
+import { announce } from './a11y';
+import { t } from './i18n';
+
+const NO_COUNTS = {};
+
+// { [chatId]: count } of messages that arrived while their chat wasn't open.
+// Starts over when the signed-in user's id changes.
+export const useUnreadCounts = (client, userId, { openChatId, settings }) => {
+  const [loaded, setLoaded] = useState({ userId: null, counts: NO_COUNTS });
+  const unreadCounts = loaded.userId === userId ? loaded.counts : NO_COUNTS;
+
+  const add = (chatId, count) => setLoaded((prev) => {
+    const counts = prev.userId === userId ? prev.counts : NO_COUNTS;
+    return { userId, counts: { ...counts, [chatId]: (counts[chatId] || 0) + count } };
+  });
+
+  const counts = message => message.sender_id !== userId && !isBlocked(settings, message.sender_id);
+
+  useChatEvent(client, 'message', ({ message, conversationId }) => {
+    if (conversationId !== openChatId && counts(message)) add(conversationId, 1);
+  });
+
+  // Missed while offline: counted, without a notification for each
+  useChatEvent(client, 'missed_messages', ({ conversationId, messages }) => {
+    if (conversationId === openChatId) return;
+    const count = messages.filter(counts).length;
+    if (count > 0) add(conversationId, count);
+  });
+
+  const clearUnread = useCallback((chatId) => setLoaded(prev => (
+    prev.userId === userId ? { userId, counts: { ...prev.counts, [chatId]: 0 } } : prev
+  )), [userId]);
+
+  return { unreadCounts, clearUnread };
+};
+
+// Read a new message out in full in the open chat, and only who sent it
+// elsewhere; while the app is hidden, show a desktop notification that opens
+// its chat with `onOpen(chatId)`. `nameOf(userId)` and `groupOf(groupId)` look
+// up who and where.
+export const useMessageAlerts = (client, userId, { openChatId, settings, nameOf, groupOf, onOpen }) => {
+  // Asked once signed in, when there's something to notify about
+  useEffect(() => {
+    if (userId == null) return;
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }, [userId]);
+
+  useChatEvent(client, 'message', ({ message, conversationId }) => {
+    if (message.sender_id === userId || isBlocked(settings, message.sender_id)) return;
+
+    const name = nameOf(message.sender_id) || t('common.someone');
+    const group = message.group_id != null && groupOf(message.group_id);
+
+    if (conversationId === openChatId) {
+      announce(t('announce.message', { name, text: previewOf(message) }));
+    } else if (!isMuted(settings, conversationId)) {
+      announce(group
+        ? t('announce.newGroupMessage', { name, group: group.name })
+        : t('announce.newMessage', { name }));
+    }
+
+    if (!document.hidden || isMuted(settings, conversationId) ||
+        !('Notification' in window) || Notification.permission !== 'granted') return;
+    const title = group
+      ? t('notification.groupMessage', { name, group: group.name })
+      : t('notification.message', { name });
+    const notification = new Notification(title, {
+      body: previewOf(message),
+      icon: '/favicon.ico'
+    });
+    notification.onclick = () => {
+      window.focus();
+      onOpen(conversationId);
+      notification.close();
+    };
+  });
+};
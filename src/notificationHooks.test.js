@@ -0,0 +1,142 @@
+import { renderHook, act } from '@testing-library/react';
+import { useUnreadCounts, useMessageAlerts } from './notificationHooks';
+import { EMPTY_SETTINGS } from './contacts';
+import { announce } from './a11y';
+
+jest.mock('./a11y', () => ({ announce: jest.fn() }));
+
+// Just the events side of the chat client
+const createFakeClient = () => {
+  const listeners = new Map();
+  return {
+    on: (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event).delete(handler);
+    },
+    emit: (event, payload) => act(() => listeners.get(event)?.forEach(handler => handler(payload)))
+  };
+};
+
+const settings = { ...EMPTY_SETTINGS, muted: ['group:5'], blocked: [4] };
+const fromBob = { id: 10, sender_id: 2, receiver_id: 1, group_id: null, content: 'hi **there**' };
+const inTeam = { id: 11, sender_id: 3, receiver_id: null, group_id: 5, content: 'standup?' };
+
+describe('unread counts', () => {
+  const setup = (props = {}) => {
+    const client = createFakeClient();
+    const { result, rerender } = renderHook(
+      ({ userId, openChatId }) => useUnreadCounts(client, userId, { openChatId, settings }),
+      { initialProps: { userId: 1, openChatId: null, ...props } }
+    );
+    return { client, result, rerender };
+  };
+
+  test('count other people\'s messages in chats that are not open', () => {
+    const { client, result } = setup({ openChatId: 3 });
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    client.emit('message', { message: { ...fromBob, sender_id: 3 }, conversationId: 3 });
+    // Ours from another device, and a blocked person's in a group
+    client.emit('message', { message: { ...fromBob, sender_id: 1 }, conversationId: 2 });
+    client.emit('message', { message: { ...inTeam, sender_id: 4 }, conversationId: 'group:5' });
+    expect(result.current.unreadCounts).toEqual({ 2: 2 });
+  });
+
+  test('add what was missed offline, and clear when a chat is read', () => {
+    const { client, result } = setup();
+    client.emit('missed_messages', { conversationId: 'group:5', messages: [inTeam, { ...inTeam, sender_id: 1 }, inTeam] });
+    expect(result.current.unreadCounts).toEqual({ 'group:5': 2 });
+
+    act(() => result.current.clearUnread('group:5'));
+    expect(result.current.unreadCounts).toEqual({ 'group:5': 0 });
+  });
+
+  test('start over for the next account', () => {
+    const { client, result, rerender } = setup();
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    rerender({ userId: 3, openChatId: null });
+    expect(result.current.unreadCounts).toEqual({});
+  });
+});
+
+describe('message alerts', () => {
+  let hidden = false;
+  let shown = [];
+  class Notification {
+    constructor(title, { body }) {
+      this.title = title;
+      this.body = body;
+      this.close = jest.fn();
+      shown.push(this);
+    }
+  }
+
+  beforeAll(() => {
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+    window.Notification = Notification;
+  });
+
+  beforeEach(() => {
+    hidden = false;
+    Notification.permission = 'granted';
+    Notification.requestPermission = jest.fn();
+    shown = [];
+    announce.mockClear();
+  });
+
+  afterAll(() => {
+    delete document.hidden;
+    delete window.Notification;
+  });
+
+  const setup = ({ openChatId = null } = {}) => {
+    const client = createFakeClient();
+    const onOpen = jest.fn();
+    renderHook(() => useMessageAlerts(client, 1, {
+      openChatId,
+      settings,
+      nameOf: id => ({ 2: 'bob', 3: 'carol' })[id],
+      groupOf: id => (id === 5 ? { id: 5, name: 'Team' } : null),
+      onOpen
+    }));
+    return { client, onOpen };
+  };
+
+  test('read the open chat\'s messages out in full, others by who sent them', () => {
+    const { client } = setup({ openChatId: 2 });
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    client.emit('message', { message: { ...fromBob, sender_id: 3, receiver_id: 1 }, conversationId: 3 });
+    expect(announce.mock.calls).toEqual([['bob: hi there'], ['New message from carol']]);
+  });
+
+  test('muted chats and blocked people stay quiet', () => {
+    hidden = true;
+    const { client } = setup();
+    client.emit('message', { message: inTeam, conversationId: 'group:5' });
+    client.emit('message', { message: { ...fromBob, sender_id: 4 }, conversationId: 4 });
+    expect(announce).not.toHaveBeenCalled();
+    expect(shown).toEqual([]);
+  });
+
+  test('notify only while the app is hidden; the notification opens its chat', () => {
+    const { client, onOpen } = setup();
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    expect(shown).toEqual([]);
+
+    hidden = true;
+    client.emit('message', { message: fromBob, conversationId: 2 });
+    const [notification] = shown;
+    expect(notification).toMatchObject({ title: 'New message from bob', body: 'hi there' });
+
+    notification.onclick();
+    expect(onOpen).toHaveBeenCalledWith(2);
+    expect(notification.close).toHaveBeenCalled();
+  });
+
+  test('ask for permission once signed in', () => {
+    Notification.permission = 'default';
+    setup();
+    expect(Notification.requestPermission).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,105 @@
+// outbox.js
+// Durable queue for messages that have not been acknowledged by the server yet.
+// Backed by IndexedDB, with an in-memory fallback where it isn't available.
+
+const DB_NAME = 'vschats-outbox';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'clientId' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const generateClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export const putOutboxMessage = async (entry) => {
+  if (!hasIndexedDB()) {
+    memoryStore.set(entry.clientId, entry);
+    return;
+  }
+  await withStore('readwrite', store => store.put(entry));
+};
+
+export const updateOutboxMessage = async (clientId, changes) => {
+  const entry = await getOutboxMessage(clientId);
+  if (!entry) return null;
+  const updated = { ...entry, ...changes };
+  await putOutboxMessage(updated);
+  return updated;
+};
+
+export const getOutboxMessage = async (clientId) => {
+  if (!hasIndexedDB()) return memoryStore.get(clientId) || null;
+  return (await withStore('readonly', store => store.get(clientId))) || null;
+};
+
+export const removeOutboxMessage = async (clientId) => {
+  if (!hasIndexedDB()) {
+    memoryStore.delete(clientId);
+    return;
+  }
+  await withStore('readwrite', store => store.delete(clientId));
+};
+
+// All queued messages, oldest first
+export const getOutboxMessages = async () => {
+  const entries = hasIndexedDB()
+    ? await withStore('readonly', store => store.index('createdAt').getAll())
+    : [...memoryStore.values()];
+  return (entries || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Everything queued, or only what `senderId` queued
+export const clearOutbox = async (senderId) => {
+  const matches = entry => senderId === undefined || entry.senderId === senderId;
+  if (!hasIndexedDB()) {
+    for (const entry of [...memoryStore.values()]) {
+      if (matches(entry)) memoryStore.delete(entry.clientId);
+    }
+    return;
+  }
+  await withStore('readwrite', store => {
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (matches(cursor.value)) cursor.delete();
+      cursor.continue();
+    };
+    return req;
+  });
+};
@@ -0,0 +1,54 @@
+import {
+  generateClientId,
+  putOutboxMessage,
+  updateOutboxMessage,
+  getOutboxMessage,
+  removeOutboxMessage,
+  getOutboxMessages,
+  clearOutbox
+} from './outbox';
+
+const entry = (clientId, senderId, createdAt) => ({
+  clientId,
+  senderId,
+  conversationId: 2,
+  content: `message ${clientId}`,
+  createdAt,
+  status: 'queued'
+});
+
+afterEach(() => clearOutbox());
+
+test('client ids are unique', () => {
+  const ids = new Set(Array.from({ length: 50 }, generateClientId));
+  expect(ids.size).toBe(50);
+});
+
+test('hands back queued messages oldest first, whatever order they were put in', async () => {
+  await putOutboxMessage(entry('b', 1, '2026-01-01T12:00:02.000Z'));
+  await putOutboxMessage(entry('a', 1, '2026-01-01T12:00:01.000Z'));
+  await putOutboxMessage(entry('c', 1, '2026-01-01T12:00:03.000Z'));
+  expect((await getOutboxMessages()).map(e => e.clientId)).toEqual(['a', 'b', 'c']);
+});
+
+test('updates and removes one message by its client id', async () => {
+  await putOutboxMessage(entry('a', 1, '2026-01-01T12:00:01.000Z'));
+
+  await expect(updateOutboxMessage('a', { status: 'failed' })).resolves.toMatchObject({ clientId: 'a', status: 'failed' });
+  await expect(getOutboxMessage('a')).resolves.toMatchObject({ content: 'message a', status: 'failed' });
+  await expect(updateOutboxMessage('missing', { status: 'failed' })).resolves.toBeNull();
+
+  await removeOutboxMessage('a');
+  await expect(getOutboxMessage('a')).resolves.toBeNull();
+});
+
+test('clearing for one account keeps what others queued', async () => {
+  await putOutboxMessage(entry('a', 1, '2026-01-01T12:00:01.000Z'));
+  await putOutboxMessage(entry('b', 3, '2026-01-01T12:00:02.000Z'));
+
+  await clearOutbox(1);
+  expect((await getOutboxMessages()).map(e => e.clientId)).toEqual(['b']);
+
+  await clearOutbox();
+  expect(await getOutboxMessages()).toEqual([]);
+});
@@ -0,0 +1,86 @@
+// presence.js
+// Who's online, away or gone, and since when. The server sends a full
+// `presence_snapshot` on every (re)connect and `presence` updates after that;
+// this device reports itself away when the tab is hidden or left untouched.
+import { t, formatTimeAgo, formatDate } from './i18n';
+
+export const PRESENCE = {
+  ONLINE: 'online',
+  AWAY: 'away',
+  OFFLINE: 'offline'
+};
+
+export const IDLE_AFTER_MS = 5 * 60 * 1000;
+export const MAX_STATUS_LENGTH = 80; // keep in step with mock-server/index.js
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+// { [userId]: { status, lastSeen } } from the server's snapshot
+export const presenceFromSnapshot = (users = []) => Object.fromEntries(
+  users.map(({ userId, status, lastSeen }) => [userId, { status, lastSeen: lastSeen || null }])
+);
+
+export const isAvailable = (entry) => Boolean(entry) && entry.status !== PRESENCE.OFFLINE;
+
+// "last seen 5 minutes ago", falling back to a date once it's more than a day old
+export const formatLastSeen = (lastSeen, now = Date.now()) => {
+  const time = new Date(lastSeen).getTime();
+  if (!lastSeen || Number.isNaN(time)) return t('presence.offline');
+  if (now - time < 60000) return t('presence.lastSeenJustNow');
+  const ago = formatTimeAgo(time, now);
+  if (ago) return t('presence.lastSeenAgo', { time: ago });
+  if (now - time < 48 * 60 * 60 * 1000) return t('presence.lastSeenYesterday');
+  return t('presence.lastSeenOn', { date: formatDate(time, now) });
+};
+
+export const describePresence = (entry, now) => {
+  if (entry?.status === PRESENCE.ONLINE) return t('presence.online');
+  if (entry?.status === PRESENCE.AWAY) return t('presence.away');
+  return formatLastSeen(entry?.lastSeen, now);
+};
+
+// Calls onChange(away) whenever this tab goes hidden or idle, or comes back.
+// Returns a function that stops watching.
+export const watchActivity = (onChange, idleAfter = IDLE_AFTER_MS) => {
+  let idle = false;
+  let away = false;
+  let timer = null;
+
+  const update = () => {
+    const next = document.hidden || idle;
+    if (next !== away) {
+      away = next;
+      onChange(away);
+    }
+  };
+
+  const markIdle = () => {
+    idle = true;
+    update();
+  };
+
+  const onActivity = () => {
+    clearTimeout(timer);
+    timer = setTimeout(markIdle, idleAfter);
+    if (idle) {
+      idle = false;
+      update();
+    }
+  };
+
+  const onVisibilityChange = () => {
+    if (!document.hidden) onActivity();
+    update();
+  };
+
+  ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  onActivity();
+  update();
+
+  return () => {
+    clearTimeout(timer);
+    ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, onActivity));
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
+};
@@ -0,0 +1,83 @@
+// profile.js
+// The signed-in user's own account: display name, avatar, password, and
+// deleting it. Avatars are cropped to a square in the browser, uploaded like
+// any attachment, and the profile then points at the upload.
+import { request } from './api';
+import { uploadFile, formatFileSize } from './attachments';
+import { t } from './i18n';
+
+export const AVATAR_SIZE = 256; // px, the square that's uploaded
+export const MAX_AVATAR_FILE_SIZE = 10 * 1024 * 1024;
+export const MAX_USERNAME_LENGTH = 40; // keep in step with the server
+export const MIN_PASSWORD_LENGTH = 8;
+
+const AVATAR_TYPES = /^image\/(png|jpe?g|gif|webp)$/;
+
+// Resolves to the updated user. `changes`: { username?, avatarUrl? }
+export const updateProfile = (changes) => request('/api/profile', { method: 'PATCH', body: changes });
+
+export const uploadAvatar = async (blob) => {
+  const { url } = await uploadFile(new File([blob], 'avatar.jpg', { type: blob.type }));
+  return updateProfile({ avatarUrl: url });
+};
+
+export const removeAvatar = () => updateProfile({ avatarUrl: null });
+
+export const changePassword = (currentPassword, newPassword) => request('/api/password', {
+  method: 'PUT',
+  body: { currentPassword, newPassword }
+});
+
+export const deleteAccount = (password) => request('/api/account', { method: 'DELETE', body: { password } });
+
+// Returns a user-facing reason the picture can't be used, or null if it's fine
+export const validateAvatar = (file) => {
+  if (!AVATAR_TYPES.test(file.type)) return t('profile.avatarUnsupported');
+  if (file.size > MAX_AVATAR_FILE_SIZE) return t('profile.avatarTooLarge', { size: formatFileSize(MAX_AVATAR_FILE_SIZE) });
+  return null;
+};
+
+// Crop geometry: the image is scaled to cover a square viewport `viewport` px
+// wide, times `zoom` (1 or more), with its top-left corner at `offset`.
+
+export const coverScale = (image, viewport, zoom) => (
+  (viewport / Math.min(image.width, image.height)) * zoom
+);
+
+// Keep the image covering the whole viewport
+export const clampOffset = (offset, image, viewport, zoom) => {
+  const scale = coverScale(image, viewport, zoom);
+  const clamp = (value, length) => Math.min(0, Math.max(viewport - length * scale, value));
+  return { x: clamp(offset.x, image.width), y: clamp(offset.y, image.height) };
+};
+
+// The image centered in the viewport
+export const centerOffset = (image, viewport, zoom) => {
+  const scale = coverScale(image, viewport, zoom);
+  return { x: (viewport - image.width * scale) / 2, y: (viewport - image.height * scale) / 2 };
+};
+
+// Zoom about the middle of the viewport rather than the corner
+export const zoomOffset = (offset, image, viewport, from, to) => {
+  const ratio = coverScale(image, viewport, to) / coverScale(image, viewport, from);
+  const middle = viewport / 2;
+  return clampOffset({
+    x: middle - (middle - offset.x) * ratio,
+    y: middle - (middle - offset.y) * ratio
+  }, image, viewport, to);
+};
+
+// What the viewport shows, drawn onto an AVATAR_SIZE square. Resolves to a JPEG.
+export const cropImage = (img, { offset, zoom, viewport }) => new Promise((resolve, reject) => {
+  const image = { width: img.naturalWidth, height: img.naturalHeight };
+  const scale = coverScale(image, viewport, zoom);
+  const canvas = document.createElement('canvas');
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+  canvas.getContext('2d').drawImage(
+    img,
+    -offset.x / scale, -offset.y / scale, viewport / scale, viewport / scale,
+    0, 0, AVATAR_SIZE, AVATAR_SIZE
+  );
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(t('profile.avatarFailed')))), 'image/jpeg', 0.9);
+});
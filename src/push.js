@@ -0,0 +1,37 @@
+// push.js
+// Web push: subscribes this browser with the server's VAPID key, so messages
+// still arrive as notifications while the app is closed (see public/sw.js).
+import { getServiceWorkerRegistration } from './serviceWorker';
+import { request } from './api';
+
+const isSupported = () => 'serviceWorker' in navigator && 'PushManager' in window;
+
+// The VAPID key comes base64url encoded; the browser wants bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding)
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  const rawData = window.atob(base64);
+  const outputArray = new Uint8Array(rawData.length);
+  for (let i = 0; i < rawData.length; ++i) {
+    outputArray[i] = rawData.charCodeAt(i);
+  }
+  return outputArray;
+};
+
+// Failures are logged; the app works without push
+export const subscribeToPush = async (vapidPublicKey) => {
+  if (!vapidPublicKey || !isSupported()) return;
+  try {
+    const reg = await getServiceWorkerRegistration();
+    if (!reg) return;
+    const subscription = await reg.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+    });
+    await request('/api/subscribe', { method: 'POST', body: { subscription } });
+  } catch (error) {
+    console.error('Push notification setup failed:', error);
+  }
+};
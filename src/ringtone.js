@@ -0,0 +1,53 @@
+// ringtone.js
+// Incoming-call ring, synthesised with Web Audio so there's no sound file to
+// ship or cache: two short dual-tone bursts, repeated every few seconds.
+
+const RING_EVERY_MS = 3000;
+const TONES = [440, 480]; // Hz, the classic telephone ring
+
+let context = null;
+let timer = null;
+
+const burst = (start, length) => {
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(0.15, start + 0.02);
+  gain.gain.setValueAtTime(0.15, start + length - 0.05);
+  gain.gain.linearRampToValueAtTime(0, start + length);
+  gain.connect(context.destination);
+
+  TONES.forEach(frequency => {
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = frequency;
+    oscillator.connect(gain);
+    oscillator.start(start);
+    oscillator.stop(start + length);
+  });
+};
+
+const ring = () => {
+  const now = context.currentTime;
+  burst(now, 0.4);
+  burst(now + 0.6, 0.4);
+};
+
+export const startRingtone = () => {
+  if (timer) return;
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  try {
+    context = context || new AudioContext();
+    // Browsers may keep audio suspended until the page has been interacted with
+    context.resume().catch(() => {});
+    ring();
+    timer = setInterval(ring, RING_EVERY_MS);
+  } catch (error) {
+    console.warn('Ringtone unavailable:', error);
+  }
+};
+
+export const stopRingtone = () => {
+  clearInterval(timer);
+  timer = null;
+  context?.suspend().catch(() => {});
+};
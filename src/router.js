@@ -0,0 +1,77 @@
+// router.js
+// Minimal History API routing: the current location as React state, navigate()
+// and goBack(), and the app's routes:
+//   /login, /register      signed-out screens (?next= returns there after sign-in)
+//   /forgot-password       asks for a password reset email
+//   /reset-password        the emailed reset link (?token=)
+//   /verify-email          the emailed verification link (?token=)
+//   /chat                  contacts, no conversation open
+//   /chat/:userId          a direct conversation
+//   /group/:groupId        a group conversation
+import { useSyncExternalStore } from 'react';
+import { groupConversationId, isGroupConversation, groupIdFrom } from './conversations';
+
+const listeners = new Set();
+
+const notify = () => listeners.forEach(listener => listener());
+
+const subscribe = (listener) => {
+  if (listeners.size === 0) window.addEventListener('popstate', notify);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('popstate', notify);
+  };
+};
+
+const currentHref = () => `${window.location.pathname}${window.location.search}`;
+
+// How many entries deep into the app this history entry is; 0 is where we came in
+const depth = () => window.history.state?.depth ?? 0;
+
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === currentHref()) return;
+  if (replace) {
+    window.history.replaceState({ depth: depth() }, '', to);
+  } else {
+    window.history.pushState({ depth: depth() + 1 }, '', to);
+  }
+  notify();
+};
+
+// Back within the app when there's somewhere to go back to, otherwise replace
+// with `fallback` so the back button never leaves the app by accident
+export const goBack = (fallback) => {
+  if (depth() > 0) window.history.back();
+  else navigate(fallback, { replace: true });
+};
+
+export const useLocation = () => {
+  const href = useSyncExternalStore(subscribe, currentHref);
+  const url = new URL(href, window.location.origin);
+  return { pathname: url.pathname, search: url.search, query: url.searchParams, href };
+};
+
+export const matchRoute = (pathname) => {
+  let match;
+  if (pathname === '/login') return { name: 'login' };
+  if (pathname === '/register') return { name: 'register' };
+  if (pathname === '/forgot-password') return { name: 'forgotPassword' };
+  if (pathname === '/reset-password') return { name: 'resetPassword' };
+  if (pathname === '/verify-email') return { name: 'verifyEmail' };
+  if (pathname === '/chat' || pathname === '/chat/') return { name: 'chats' };
+  if ((match = pathname.match(/^\/chat\/(\d+)\/?$/))) {
+    return { name: 'chat', chatId: Number(match[1]) };
+  }
+  if ((match = pathname.match(/^\/group\/(\d+)\/?$/))) {
+    return { name: 'chat', chatId: groupConversationId(Number(match[1])) };
+  }
+  return { name: 'home' };
+};
+
+// The routes shown to signed-out visitors; signed-in ones are sent on from them
+export const AUTH_ROUTES = ['login', 'register', 'forgotPassword', 'resetPassword', 'verifyEmail'];
+
+export const chatPath = (chatId) => (
+  isGroupConversation(chatId) ? `/group/${groupIdFrom(chatId)}` : `/chat/${chatId}`
+);
@@ -0,0 +1,72 @@
+import { renderHook, act } from '@testing-library/react';
+import { navigate, goBack, useLocation, matchRoute, chatPath } from './router';
+
+beforeEach(() => window.history.replaceState(null, '', '/chat'));
+
+test('matches every route, with or without a trailing slash', () => {
+  expect(matchRoute('/login')).toEqual({ name: 'login' });
+  expect(matchRoute('/register')).toEqual({ name: 'register' });
+  expect(matchRoute('/forgot-password')).toEqual({ name: 'forgotPassword' });
+  expect(matchRoute('/reset-password')).toEqual({ name: 'resetPassword' });
+  expect(matchRoute('/verify-email')).toEqual({ name: 'verifyEmail' });
+  expect(matchRoute('/chat/')).toEqual({ name: 'chats' });
+  expect(matchRoute('/chat/12')).toEqual({ name: 'chat', chatId: 12 });
+  expect(matchRoute('/group/5/')).toEqual({ name: 'chat', chatId: 'group:5' });
+});
+
+test('anything else is home', () => {
+  expect(matchRoute('/')).toEqual({ name: 'home' });
+  expect(matchRoute('/chat/bob')).toEqual({ name: 'home' });
+  expect(matchRoute('/chat/12/extra')).toEqual({ name: 'home' });
+});
+
+test('chatPath is the way back to a route', () => {
+  expect(chatPath(12)).toBe('/chat/12');
+  expect(chatPath('group:5')).toBe('/group/5');
+  expect(matchRoute(chatPath('group:5'))).toEqual({ name: 'chat', chatId: 'group:5' });
+});
+
+test('useLocation follows navigate and the browser buttons', () => {
+  const { result } = renderHook(() => useLocation());
+  expect(result.current.pathname).toBe('/chat');
+
+  act(() => navigate('/login?next=%2Fchat%2F2'));
+  expect(result.current.pathname).toBe('/login');
+  expect(result.current.query.get('next')).toBe('/chat/2');
+
+  act(() => {
+    window.history.replaceState(null, '', '/group/5');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(result.current.href).toBe('/group/5');
+});
+
+test('navigate pushes, or replaces when asked, and skips where we already are', () => {
+  const length = window.history.length;
+  navigate('/chat/2');
+  expect(window.history.length).toBe(length + 1);
+  expect(window.history.state).toEqual({ depth: 1 });
+
+  navigate('/chat/2');
+  expect(window.history.length).toBe(length + 1);
+
+  navigate('/chat/3', { replace: true });
+  expect(window.location.pathname).toBe('/chat/3');
+  expect(window.history.length).toBe(length + 1);
+  expect(window.history.state).toEqual({ depth: 1 });
+});
+
+test('goBack never leaves the app: it replaces with the fallback where we came in', () => {
+  const back = jest.spyOn(window.history, 'back').mockImplementation(() => {});
+
+  // Opened straight at a conversation
+  window.history.replaceState(null, '', '/chat/2');
+  goBack('/chat');
+  expect(back).not.toHaveBeenCalled();
+  expect(window.location.pathname).toBe('/chat');
+
+  navigate('/chat/3');
+  goBack('/chat');
+  expect(back).toHaveBeenCalledTimes(1);
+  back.mockRestore();
+});
@@ -0,0 +1,122 @@
+// searchHooks.js
+// Message search on top of the local index (searchIndex.js). The index
+// follows the message store: messages that changed are re-indexed, deleted
+// ones and ones no longer in the store are dropped. The first search of a
+// session also indexes the latest page of a few chats that haven't been
+// opened, so it isn't limited to the conversations visited. Encrypted
+// messages stay out of the index and are searched where they're loaded.
+// Starts over when the signed-in user's id changes.
+import { useState, useEffect, useRef } from 'react';
+import { indexMessages, removeFromIndex, searchMessages, matchMessages } from './searchIndex';
+import { isAcknowledged, isDeleted } from './messageActions';
+
+const SEARCH_DEBOUNCE_MS = 200;
+const MAX_BACKFILL_CHATS = 10; // per session, one history request each
+
+const byNewest = (a, b) => String(b.created_at).localeCompare(String(a.created_at));
+
+// `store` is what useConversations returns
+export const useSearch = (client, userId, { chats, store }) => {
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [indexVersion, setIndexVersion] = useState(0); // bumped when a backfill lands
+  const indexedStoreRef = useRef({});
+  const backfilledRef = useRef(new Set());
+  const { conversations, isLoaded } = store;
+  const conversationsRef = useRef(conversations);
+  const searchStarted = searchQuery.trim() !== '';
+
+  useEffect(() => {
+    conversationsRef.current = conversations;
+  }, [conversations]);
+
+  useEffect(() => {
+    setSearchQuery('');
+    indexedStoreRef.current = {};
+    backfilledRef.current = new Set();
+  }, [userId]);
+
+  useEffect(() => {
+    if (userId == null) return;
+    const previous = indexedStoreRef.current;
+    indexedStoreRef.current = conversations;
+
+    const changed = [];
+    const removed = [];
+    Object.keys(conversations).forEach(conversationId => {
+      const list = conversations[conversationId];
+      const before = previous[conversationId] || [];
+      if (list === before) return;
+      const beforeById = new Map(before.map(m => [m.id, m]));
+      const ids = new Set(list.map(m => m.id));
+      list.forEach(m => {
+        if (!isAcknowledged(m) || beforeById.get(m.id) === m) return;
+        if (isDeleted(m)) removed.push(m.id);
+        else changed.push(m);
+      });
+      before.forEach(m => {
+        if (isAcknowledged(m) && !ids.has(m.id)) removed.push(m.id);
+      });
+    });
+
+    if (changed.length) indexMessages(userId, changed).catch(error => console.error('Search indexing failed:', error));
+    if (removed.length) removeFromIndex(userId, removed).catch(error => console.error('Search indexing failed:', error));
+  }, [conversations, userId]);
+
+  useEffect(() => {
+    if (userId == null || !searchStarted) return;
+    const room = MAX_BACKFILL_CHATS - backfilledRef.current.size;
+    const pending = chats
+      .filter(chat => !isLoaded(chat.id) && !backfilledRef.current.has(chat.id))
+      .slice(0, Math.max(0, room));
+    if (pending.length === 0) return;
+    pending.forEach(chat => backfilledRef.current.add(chat.id));
+
+    (async () => {
+      for (const chat of pending) {
+        try {
+          const { messages: page } = await client.loadHistory(chat.id);
+          await indexMessages(userId, page.filter(m => !isDeleted(m)));
+        } catch (error) {
+          console.error('Search backfill failed:', error);
+        }
+      }
+      setIndexVersion(version => version + 1);
+    })();
+  }, [chats, userId, client, isLoaded, searchStarted]);
+
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query || userId == null) {
+      setSearchResults([]);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+    const timeout = setTimeout(async () => {
+      try {
+        const loadedEncrypted = Object.values(conversationsRef.current)
+          .flat()
+          .filter(m => m.encrypted && isAcknowledged(m) && !isDeleted(m));
+        const results = [
+          ...await searchMessages(userId, query),
+          ...matchMessages(userId, loadedEncrypted, query)
+        ].sort(byNewest);
+        if (!cancelled) setSearchResults(results);
+      } catch (error) {
+        console.error('Search failed:', error);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery, userId, indexVersion]);
+
+  return { searchQuery, setSearchQuery, searchResults, searching };
+};
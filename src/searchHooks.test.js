@@ -0,0 +1,52 @@
+import { renderHook, act } from '@testing-library/react';
+import { useSearch } from './searchHooks';
+import { clearSearchIndex } from './searchIndex';
+
+// Let pending promise chains (history, index writes) settle
+const flush = async () => {
+  for (let i = 0; i < 50; i++) await Promise.resolve();
+};
+
+const chats = Array.from({ length: 15 }, (_, i) => ({ id: i + 2, username: `user${i + 2}` }));
+
+const setup = () => {
+  const client = {
+    loadHistory: jest.fn(async (chatId) => ({
+      messages: [{ id: chatId * 100, sender_id: chatId, receiver_id: 1, group_id: null, content: `hello from ${chatId}`, created_at: '2026-01-01T12:00:00Z' }],
+      hasMore: false
+    }))
+  };
+  const store = { conversations: {}, isLoaded: () => false };
+  const { result } = renderHook(() => useSearch(client, 1, { chats, store }));
+  return { client, result };
+};
+
+beforeEach(() => jest.useFakeTimers());
+
+afterEach(() => {
+  jest.useRealTimers();
+  return clearSearchIndex();
+});
+
+test('loads no history until the first search', () => {
+  const { client } = setup();
+  expect(client.loadHistory).not.toHaveBeenCalled();
+});
+
+test('the first search indexes a bounded number of unopened chats, once', async () => {
+  const { client, result } = setup();
+
+  act(() => result.current.setSearchQuery('hello'));
+  // The backfill, then the debounced search
+  await act(async () => {
+    await flush();
+    jest.runAllTimers();
+    await flush();
+  });
+  expect(client.loadHistory).toHaveBeenCalledTimes(10);
+  expect(result.current.searchResults).toHaveLength(10);
+
+  act(() => result.current.setSearchQuery('hello again'));
+  act(() => result.current.setSearchQuery('hello'));
+  expect(client.loadHistory).toHaveBeenCalledTimes(10);
+});
@@ -0,0 +1,150 @@
+// searchIndex.js
+// Local full-text index of message content, kept in IndexedDB so search covers
+// everything this device has seen, not just the open chat. Each message is
+// stored with its words; lookups are word-prefix matches on a multiEntry index.
+// Falls back to an in-memory map where IndexedDB isn't available.
+//
+// End-to-end encrypted messages are never written here: the index would keep
+// their text readable on disk. Search finds them only while they're loaded
+// (see searchHooks.js).
+import { toPlainText } from './markdown';
+import { conversationIdFor } from './conversations';
+
+const DB_NAME = 'vschats-search';
+const DB_VERSION = 2; // 1 could hold decrypted text
+const STORE = 'messages';
+const MAX_RESULTS = 200;
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+const hasIndexedDB = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('tokens', 'tokens', { multiEntry: true });
+          store.createIndex('ownerId', 'ownerId');
+        } else {
+          // Start over rather than pick the encrypted messages out
+          req.transaction.objectStore(STORE).clear();
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Lowercased words with accents folded, so "cafe" finds "Café"
+export const tokenize = (text = '') => [...new Set(
+  String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || []
+)];
+
+const recordKey = (ownerId, messageId) => `${ownerId}:${messageId}`;
+
+const toRecord = (ownerId, m) => ({
+  key: recordKey(ownerId, m.id),
+  ownerId,
+  id: m.id,
+  conversationId: conversationIdFor(m, ownerId),
+  sender_id: m.sender_id,
+  content: m.content,
+  created_at: m.created_at,
+  tokens: tokenize(toPlainText(m.content))
+});
+
+// Whether every query term prefixes one of the words
+const matchesAll = (terms, tokens) => terms.every(term => tokens.some(token => token.startsWith(term)));
+
+// Index (or re-index after an edit) messages for the signed-in user
+export const indexMessages = async (ownerId, messages) => {
+  const records = messages
+    .filter(m => m.content && !m.encrypted)
+    .map(m => toRecord(ownerId, m));
+  if (records.length === 0) return;
+
+  if (!hasIndexedDB()) {
+    records.forEach(record => memoryStore.set(record.key, record));
+    return;
+  }
+  await withStore('readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+};
+
+export const removeFromIndex = async (ownerId, messageIds) => {
+  const keys = messageIds.map(id => recordKey(ownerId, id));
+  if (!hasIndexedDB()) {
+    keys.forEach(key => memoryStore.delete(key));
+    return;
+  }
+  await withStore('readwrite', store => {
+    keys.forEach(key => store.delete(key));
+  });
+};
+
+// Messages where every query word prefixes one of the message's words, newest first
+export const searchMessages = async (ownerId, query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+
+  // Narrow with the longest term through the index, then check the rest here
+  const longest = terms.reduce((a, b) => (b.length > a.length ? b : a));
+  const candidates = hasIndexedDB()
+    ? await withStore('readonly', store => (
+        store.index('tokens').getAll(IDBKeyRange.bound(longest, `${longest}\uffff`))
+      ))
+    : [...memoryStore.values()];
+
+  const seen = new Set();
+  return (candidates || [])
+    .filter(record => {
+      if (record.ownerId !== ownerId || seen.has(record.key)) return false;
+      seen.add(record.key);
+      return matchesAll(terms, record.tokens);
+    })
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .slice(0, MAX_RESULTS);
+};
+
+// The same search over messages in memory, for the ones kept out of the
+// index. Results look like searchMessages' own.
+export const matchMessages = (ownerId, messages, query) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  return messages
+    .filter(m => m.content)
+    .map(m => toRecord(ownerId, m))
+    .filter(record => matchesAll(terms, record.tokens))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .slice(0, MAX_RESULTS);
+};
+
+export const clearSearchIndex = async () => {
+  if (!hasIndexedDB()) {
+    memoryStore.clear();
+    return;
+  }
+  await withStore('readwrite', store => store.clear());
+};
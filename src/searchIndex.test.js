@@ -0,0 +1,69 @@
+import { tokenize, indexMessages, removeFromIndex, searchMessages, matchMessages, clearSearchIndex } from './searchIndex';
+
+const message = (id, content, extra = {}) => ({
+  id,
+  sender_id: 2,
+  receiver_id: 1,
+  group_id: null,
+  content,
+  created_at: `2026-01-01T12:00:${String(id).padStart(2, '0')}Z`,
+  ...extra
+});
+
+const ids = (results) => results.map(result => result.id);
+
+afterEach(() => clearSearchIndex());
+
+test('tokenize lowercases, folds accents and splits on anything but letters and digits', () => {
+  expect(tokenize('Café at 10:30, CAFÉ!')).toEqual(['cafe', 'at', '10', '30']);
+  expect(tokenize('')).toEqual([]);
+});
+
+test('every query word has to prefix a word of the message, newest first', async () => {
+  await indexMessages(1, [
+    message(1, 'Lunch at the café?'),
+    message(2, 'lunch is **ready**'),
+    message(3, 'dinner instead')
+  ]);
+
+  expect(ids(await searchMessages(1, 'lun'))).toEqual([2, 1]);
+  expect(ids(await searchMessages(1, 'lunch cafe'))).toEqual([1]);
+  // Markdown is searched as the text it shows
+  expect(ids(await searchMessages(1, 'ready'))).toEqual([2]);
+  expect(await searchMessages(1, 'unch')).toEqual([]);
+  expect(await searchMessages(1, '  ')).toEqual([]);
+});
+
+test('results name their conversation, direct or group', async () => {
+  await indexMessages(1, [message(1, 'hello'), message(2, 'hello team', { receiver_id: null, group_id: 5 })]);
+  const results = await searchMessages(1, 'hello');
+  expect(results.map(result => result.conversationId)).toEqual(['group:5', 2]);
+});
+
+test('each account only finds its own messages', async () => {
+  await indexMessages(1, [message(1, 'secret plans')]);
+  await indexMessages(3, [message(2, 'secret plans', { receiver_id: 3 })]);
+  expect(ids(await searchMessages(1, 'secret'))).toEqual([1]);
+  expect(ids(await searchMessages(3, 'secret'))).toEqual([2]);
+});
+
+test('encrypted messages are never written to the index', async () => {
+  await indexMessages(1, [message(1, 'the door code is 4321', { encrypted: true }), message(2, 'no code here')]);
+  expect(ids(await searchMessages(1, 'code'))).toEqual([2]);
+});
+
+test('edits replace what was indexed, and removed messages are gone', async () => {
+  await indexMessages(1, [message(1, 'see you at noon'), message(2, 'noon works')]);
+  await indexMessages(1, [message(1, 'see you at one')]);
+  expect(ids(await searchMessages(1, 'noon'))).toEqual([2]);
+
+  await removeFromIndex(1, [2]);
+  expect(await searchMessages(1, 'noon')).toEqual([]);
+});
+
+test('matchMessages searches loaded messages the same way', () => {
+  const loaded = [message(1, 'door code 4321', { encrypted: true }), message(2, 'codes'), message(3, 'other')];
+  const results = matchMessages(1, loaded, 'code');
+  expect(ids(results)).toEqual([2, 1]);
+  expect(results[0]).toMatchObject({ key: '1:2', conversationId: 2, sender_id: 2, content: 'codes' });
+});
@@ -0,0 +1,96 @@
+// serviceWorker.js
+// Registers public/sw.js and reports when a new build's worker is installed and
+// waiting, so the app can offer a reload instead of switching under the user.
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+
+let registrationPromise = null;
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+const announceUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach(listener => listener(registration));
+};
+
+// Only a worker that replaces an existing one is an update; the first install isn't
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    announceUpdate(registration);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        announceUpdate(registration);
+      }
+    });
+  });
+  setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+};
+
+export const registerServiceWorker = () => {
+  if (!isSupported()) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL || ''}/sw.js`)
+      .then(registration => {
+        watchForUpdates(registration);
+        return registration;
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+        return null;
+      });
+  }
+  return registrationPromise;
+};
+
+export const getServiceWorkerRegistration = () => registerServiceWorker();
+
+// Calls `listener(registration)` when an update is waiting, immediately if one already is
+export const onUpdateAvailable = (listener) => {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => updateListeners.delete(listener);
+};
+
+// Let the waiting worker take over, then reload onto the new build
+export const applyUpdate = (registration) => {
+  if (!registration?.waiting) {
+    window.location.reload();
+    return;
+  }
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+// Calls `listener(url)` when a notification clicked in another tab or window
+// asks this one to show a conversation (see notificationclick in public/sw.js)
+export const onNavigateRequest = (listener) => {
+  if (!isSupported()) return () => {};
+  const handleMessage = (event) => {
+    if (event.data?.type === 'NAVIGATE') listener(event.data.url);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
+
+// Forget cached conversations and contacts, e.g. on sign-out
+export const clearOfflineData = () => {
+  if (!isSupported()) return;
+  navigator.serviceWorker.controller?.postMessage({ type: 'CLEAR_DATA' });
+};
+
+// Tell the worker which chats are muted, so their pushes raise no notification
+export const syncMutedChats = (chatIds) => {
+  if (!isSupported()) return;
+  navigator.serviceWorker.controller?.postMessage({ type: 'MUTED_CHATS', chatIds });
+};
@@ -0,0 +1,127 @@
+// theme.js
+// Light, dark and high-contrast themes, plus an accent color, chosen per user.
+// The palettes themselves are the custom properties at the top of App.css,
+// switched by <html data-theme>; this resolves "Automatic" from the system
+// settings, applies the accent, and keeps the browser's theme color (the meta
+// tag and the manifest) matching.
+import { useState, useEffect } from 'react';
+
+export const THEMES = [
+  { id: 'system', labelKey: 'appearance.system' },
+  { id: 'light', labelKey: 'appearance.light' },
+  { id: 'dark', labelKey: 'appearance.dark' },
+  { id: 'contrast', labelKey: 'appearance.contrast' }
+];
+
+export const ACCENTS = [
+  { color: '#0084ff', nameKey: 'appearance.blue' },
+  { color: '#7b61ff', nameKey: 'appearance.purple' },
+  { color: '#e4405f', nameKey: 'appearance.pink' },
+  { color: '#f5793a', nameKey: 'appearance.orange' },
+  { color: '#31a24c', nameKey: 'appearance.green' },
+  { color: '#0a9396', nameKey: 'appearance.teal' }
+];
+
+export const DEFAULT_THEME = { theme: 'system', accent: null };
+
+const STORAGE_KEY = 'vschats-theme';
+const SYSTEM_QUERIES = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'];
+
+const isColor = (value) => /^#[0-9a-f]{6}$/i.test(value || '');
+
+const mediaQuery = (query) => (window.matchMedia ? window.matchMedia(query) : null);
+
+// A user's choice, or the last one made on this device (for the sign-in screen)
+export const loadTheme = (userId) => {
+  const read = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  };
+  const saved = (userId != null && read(`${STORAGE_KEY}-${userId}`)) || read(STORAGE_KEY);
+  return { ...DEFAULT_THEME, ...saved };
+};
+
+const saveTheme = (userId, theme) => {
+  const value = JSON.stringify(theme);
+  if (userId != null) localStorage.setItem(`${STORAGE_KEY}-${userId}`, value);
+  localStorage.setItem(STORAGE_KEY, value);
+};
+
+export const resolveTheme = (theme) => {
+  if (theme !== 'system') return theme;
+  if (mediaQuery('(prefers-contrast: more)')?.matches) return 'contrast';
+  return mediaQuery('(prefers-color-scheme: dark)')?.matches ? 'dark' : 'light';
+};
+
+let themeColor = null;
+let manifestSource = null; // the served manifest, with absolute URLs
+let manifestUrl = null;
+
+// The installed app takes its color from the manifest, so serve a copy of it
+// with theme_color filled in
+const updateManifest = async (color) => {
+  const link = document.querySelector('link[rel="manifest"]');
+  if (!link) return;
+  try {
+    if (!manifestSource) {
+      const href = link.href;
+      const manifest = await (await fetch(href)).json();
+      // The copy lives at a blob: URL, so nothing in it may be relative
+      manifestSource = {
+        ...manifest,
+        start_url: new URL(manifest.start_url || '.', href).href,
+        scope: new URL(manifest.scope || '.', href).href,
+        icons: (manifest.icons || []).map(icon => ({ ...icon, src: new URL(icon.src, href).href }))
+      };
+    }
+    const blob = new Blob([JSON.stringify({ ...manifestSource, theme_color: color })], { type: 'application/manifest+json' });
+    if (manifestUrl) URL.revokeObjectURL(manifestUrl);
+    manifestUrl = URL.createObjectURL(blob);
+    link.href = manifestUrl;
+  } catch (error) {
+    console.warn('Could not update the manifest theme color:', error);
+  }
+};
+
+export const applyTheme = ({ theme, accent }) => {
+  const root = document.documentElement;
+  root.dataset.theme = resolveTheme(theme);
+  if (isColor(accent)) root.style.setProperty('--user-accent', accent);
+  else root.style.removeProperty('--user-accent');
+
+  const color = getComputedStyle(root).getPropertyValue('--theme-color').trim();
+  if (!color || color === themeColor) return;
+  themeColor = color;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute('content', color);
+  updateManifest(color);
+};
+
+// The signed-in user's theme (or this device's, signed out), applied to the
+// page and followed as the system settings change. Returns [theme, update].
+export const useTheme = (userId) => {
+  const [theme, setTheme] = useState(() => loadTheme(userId));
+
+  useEffect(() => {
+    setTheme(loadTheme(userId));
+  }, [userId]);
+
+  useEffect(() => {
+    applyTheme(theme);
+    if (theme.theme !== 'system') return;
+    const onChange = () => applyTheme(theme);
+    const queries = SYSTEM_QUERIES.map(mediaQuery).filter(Boolean);
+    queries.forEach(query => query.addEventListener('change', onChange));
+    return () => queries.forEach(query => query.removeEventListener('change', onChange));
+  }, [theme]);
+
+  const update = (changes) => {
+    const next = { ...theme, ...changes };
+    saveTheme(userId, next);
+    setTheme(next);
+  };
+
+  return [theme, update];
+};
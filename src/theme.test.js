@@ -0,0 +1,101 @@
+import { renderHook, act } from '@testing-library/react';
+import { DEFAULT_THEME, loadTheme, resolveTheme, applyTheme, useTheme } from './theme';
+
+// The system settings, changeable while a test runs
+const createSystem = () => {
+  const matches = { '(prefers-color-scheme: dark)': false, '(prefers-contrast: more)': false };
+  const listeners = new Set();
+  return {
+    matchMedia: (query) => ({
+      get matches() {
+        return matches[query];
+      },
+      addEventListener: (event, listener) => listeners.add(listener),
+      removeEventListener: (event, listener) => listeners.delete(listener)
+    }),
+    set(query, value) {
+      matches[query] = value;
+      listeners.forEach(listener => listener());
+    },
+    listeners
+  };
+};
+
+const root = document.documentElement;
+let system;
+
+beforeEach(() => {
+  system = createSystem();
+  window.matchMedia = system.matchMedia;
+});
+
+afterEach(() => {
+  delete window.matchMedia;
+  localStorage.clear();
+  root.removeAttribute('data-theme');
+  root.removeAttribute('style');
+});
+
+test('a user gets their own choice, else the last one made on this device', () => {
+  expect(loadTheme(1)).toEqual(DEFAULT_THEME);
+
+  localStorage.setItem('vschats-theme', JSON.stringify({ theme: 'dark' }));
+  expect(loadTheme(1)).toEqual({ theme: 'dark', accent: null });
+  expect(loadTheme(null)).toEqual({ theme: 'dark', accent: null });
+
+  localStorage.setItem('vschats-theme-1', JSON.stringify({ theme: 'light', accent: '#31a24c' }));
+  expect(loadTheme(1)).toEqual({ theme: 'light', accent: '#31a24c' });
+});
+
+test('an unreadable saved theme is the default', () => {
+  localStorage.setItem('vschats-theme', '{not json');
+  expect(loadTheme(null)).toEqual(DEFAULT_THEME);
+});
+
+test('Automatic follows the system, high contrast first', () => {
+  expect(resolveTheme('system')).toBe('light');
+  system.set('(prefers-color-scheme: dark)', true);
+  expect(resolveTheme('system')).toBe('dark');
+  system.set('(prefers-contrast: more)', true);
+  expect(resolveTheme('system')).toBe('contrast');
+  expect(resolveTheme('light')).toBe('light');
+});
+
+test('applies the theme and a valid accent to the page', () => {
+  applyTheme({ theme: 'dark', accent: '#7b61ff' });
+  expect(root.dataset.theme).toBe('dark');
+  expect(root.style.getPropertyValue('--user-accent')).toBe('#7b61ff');
+
+  applyTheme({ theme: 'contrast', accent: 'red; background: url(x)' });
+  expect(root.dataset.theme).toBe('contrast');
+  expect(root.style.getPropertyValue('--user-accent')).toBe('');
+});
+
+test('useTheme follows the system while on Automatic, and stops once a theme is picked', () => {
+  const { result } = renderHook(() => useTheme(1));
+  expect(root.dataset.theme).toBe('light');
+
+  act(() => system.set('(prefers-color-scheme: dark)', true));
+  expect(root.dataset.theme).toBe('dark');
+
+  act(() => result.current[1]({ theme: 'light' }));
+  expect(root.dataset.theme).toBe('light');
+  expect(system.listeners.size).toBe(0);
+  act(() => system.set('(prefers-contrast: more)', true));
+  expect(root.dataset.theme).toBe('light');
+});
+
+test('each account keeps its own theme', () => {
+  const { result, rerender } = renderHook(({ userId }) => useTheme(userId), { initialProps: { userId: 1 } });
+  act(() => result.current[1]({ theme: 'dark', accent: '#e4405f' }));
+  expect(JSON.parse(localStorage.getItem('vschats-theme-1'))).toEqual({ theme: 'dark', accent: '#e4405f' });
+
+  localStorage.setItem('vschats-theme-2', JSON.stringify({ theme: 'contrast' }));
+  rerender({ userId: 2 });
+  expect(result.current[0]).toEqual({ theme: 'contrast', accent: null });
+  expect(root.dataset.theme).toBe('contrast');
+  expect(root.style.getPropertyValue('--user-accent')).toBe('');
+
+  rerender({ userId: 1 });
+  expect(result.current[0]).toEqual({ theme: 'dark', accent: '#e4405f' });
+});
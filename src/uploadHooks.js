@@ -0,0 +1,103 @@
+// uploadHooks.js
+// Attachments on their way up (attachments.js): each file is checked, then
+// uploaded with progress and a way to cancel, and handed to
+// `onUploaded(chat, attachment)` to be sent. Files can be dropped onto the
+// chat too. Uploads still going are cancelled when the signed-in user's id
+// changes.
+import { useState, useEffect, useRef } from 'react';
+import { generateClientId } from './outbox';
+import { MAX_ATTACHMENTS_PER_SEND, validateFile, uploadFile } from './attachments';
+import { reportError } from './errors';
+import { t } from './i18n';
+
+const hasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+
+export const useUploads = (userId, onUploaded) => {
+  const [uploads, setUploads] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const controllersRef = useRef(new Map()); // upload id -> AbortController
+  const onUploadedRef = useRef(onUploaded);
+
+  useEffect(() => {
+    onUploadedRef.current = onUploaded;
+  });
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    setUploads([]);
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, [userId]);
+
+  const updateUpload = (id, changes) => {
+    setUploads(prev => prev.map(upload => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const removeUpload = (id) => {
+    controllersRef.current.delete(id);
+    setUploads(prev => prev.filter(upload => upload.id !== id));
+  };
+
+  const attachFiles = (chat, fileList) => {
+    const files = [...fileList];
+    if (files.length > MAX_ATTACHMENTS_PER_SEND) {
+      reportError(t('upload.tooMany', { count: MAX_ATTACHMENTS_PER_SEND }));
+      return;
+    }
+
+    files.forEach(async (file) => {
+      const id = generateClientId();
+      const upload = { id, conversationId: chat.id, name: file.name, size: file.size, progress: 0, error: null };
+      const error = validateFile(file);
+      if (error) {
+        setUploads(prev => [...prev, { ...upload, error }]);
+        return;
+      }
+
+      const controller = new AbortController();
+      controllersRef.current.set(id, controller);
+      setUploads(prev => [...prev, upload]);
+
+      try {
+        const attachment = await uploadFile(file, {
+          signal: controller.signal,
+          onProgress: progress => updateUpload(id, { progress })
+        });
+        removeUpload(id);
+        onUploadedRef.current(chat, attachment);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        controllersRef.current.delete(id);
+        updateUpload(id, { error: err.message || t('upload.failed') });
+      }
+    });
+  };
+
+  const cancelUpload = (id) => {
+    controllersRef.current.get(id)?.abort();
+    removeUpload(id);
+  };
+
+  // Drag and drop handlers for the area that takes files for `chat`, if any
+  const dropTarget = (chat) => ({
+    onDragOver: (e) => {
+      if (!chat || !hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      if (!dragActive) setDragActive(true);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+    },
+    onDrop: (e) => {
+      if (!chat || !hasFiles(e)) return;
+      e.preventDefault();
+      setDragActive(false);
+      attachFiles(chat, e.dataTransfer.files);
+    }
+  });
+
+  return { uploads, dragActive, attachFiles, cancelUpload, dropTarget };
+};